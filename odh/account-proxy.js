@@ -0,0 +1,353 @@
+/**
+ * Account proxy
+ *
+ * Logs users in by nickname without telling the browser anyone's email address, and
+ * moves accounts from the legacy `users` table (cleartext passwords) to Supabase Auth
+ * without exposing the old passwords. AccountService.login sends a nickname and password
+ * here; the proxy rate-limits attempts per nickname and per client address and looks the
+ * email up with login_email() using the service role.
+ *
+ * - When a migrated account has the nickname, it signs in with Supabase Auth's password
+ *   grant and returns the session.
+ * - Otherwise it checks the old password with claim_legacy_account() and signs the user
+ *   up with the same email and password. It only answers once the signup trigger has
+ *   bound the legacy row to the new auth user (see
+ *   supabase/migrations/20261019000000_auth_profiles.sql).
+ *
+ * Unknown nicknames and wrong passwords get the same error. Errors use Supabase Auth's
+ * format ({ code, msg }), so SupabaseError reports them the same way.
+ *
+ * Routes, relative to basePath:
+ *   POST /login   { nickname, password, redirectTo } -> a session, or for a legacy account
+ *                 the signup response (the user while the email is unconfirmed)
+ *
+ * Run:
+ *   SUPABASE_URL=https://<project>.supabase.co SUPABASE_ANON_KEY=... SUPABASE_SERVICE_ROLE_KEY=... \
+ *       node account-proxy.js [port]
+ *
+ * In tests or inside another server:
+ *   const proxy = new AccountProxy({ supabaseUrl, supabaseKey, serviceRoleKey, basePath: '/api/accounts' });
+ *   http.createServer((req, res) => proxy.handle(req, res)).listen(8788);
+ *
+ * Rate limits are kept in memory (rate-limit.js), so they are per proxy process.
+ */
+
+const http = require('http');
+const RateLimiter = require('./rate-limit.js');
+
+class AccountProxy {
+    static DEFAULTS = {
+        supabaseUrl: null,     // Project URL
+        supabaseKey: null,     // Anon key, sent with the signup
+        serviceRoleKey: null,  // Looks up emails and checks legacy passwords; never sent to the browser
+        basePath: '',          // Prefix in front of the routes, e.g. '/api/accounts'
+        rateLimit: {
+            nickname: { requests: 5, windowMs: 15 * 60 * 1000 },   // Attempts per nickname
+            client: { requests: 20, windowMs: 15 * 60 * 1000 }     // Attempts per client address
+        },
+        trustProxy: false,     // Take the client address from X-Forwarded-For
+        maxBodyBytes: 16 * 1024,
+        allowOrigin: '*',      // CORS; requests carry no cookies
+        fetch: null,           // fetch used for Supabase (default global fetch)
+        now: () => Date.now()
+    };
+
+    // Answer for unknown nicknames and wrong passwords alike
+    static INVALID_CREDENTIALS = { code: 'invalid_credentials', msg: 'Invalid nickname or password' };
+
+    /**
+     * @param {Object} options - See AccountProxy.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...AccountProxy.DEFAULTS, ...options };
+        if (!this.options.supabaseUrl || !this.options.supabaseKey || !this.options.serviceRoleKey) {
+            throw new Error('AccountProxy needs supabaseUrl, supabaseKey and serviceRoleKey');
+        }
+        this.supabaseUrl = this.options.supabaseUrl.replace(/\/+$/, '');
+        this.fetch = this.options.fetch || ((...args) => fetch(...args));
+        const now = () => this.options.now();
+        this.limiters = {
+            nickname: new RateLimiter({ ...this.options.rateLimit.nickname, now }),
+            client: new RateLimiter({ ...this.options.rateLimit.client, now })
+        };
+        this.server = null;
+    }
+
+    /**
+     * Handle one HTTP request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @returns {Promise<void>}
+     */
+    async handle(req, res) {
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, {
+                    ...this.corsHeaders(),
+                    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Content-Type',
+                    'Access-Control-Max-Age': '86400'
+                });
+                res.end();
+                return;
+            }
+            if (req.method !== 'POST') {
+                this.sendError(res, 405, 'method_not_allowed', 'Only POST is supported');
+                return;
+            }
+            if (req.url.split('?')[0] !== `${this.options.basePath}/login`) {
+                this.sendError(res, 404, 'not_found', 'Unknown route');
+                return;
+            }
+
+            const { nickname, password, redirectTo } = JSON.parse(await this.readBody(req)) || {};
+            if (typeof nickname !== 'string' || !nickname.trim() || typeof password !== 'string' || !password) {
+                this.sendError(res, 400, 'validation_failed', 'Nickname and password are required');
+                return;
+            }
+
+            const limit = [
+                this.limiters.client.check(this.clientAddress(req)),
+                this.limiters.nickname.check(nickname.trim().toLowerCase())
+            ].find(result => !result.allowed);
+            if (limit) {
+                this.sendError(res, 429, 'over_request_rate_limit',
+                    `Too many login attempts. Try again in ${RateLimiter.formatWait(limit.retryAfter)}.`,
+                    { 'Retry-After': String(limit.retryAfter) });
+                return;
+            }
+
+            const { status, body } = await this.login(nickname.trim(), password, redirectTo);
+            this.send(res, status, body);
+        } catch (error) {
+            if (error.status) {
+                this.sendError(res, error.status, 'bad_request', error.message);
+            } else if (error instanceof SyntaxError) {
+                this.sendError(res, 400, 'bad_json', 'Request body must be JSON');
+            } else {
+                console.error('Error in account proxy:', error);
+                this.sendError(res, 502, 'unexpected_failure', 'Could not reach Supabase');
+            }
+        }
+    }
+
+    /**
+     * Sign in with the email of the nickname's account, or move a legacy account
+     * @param {string} nickname - Nickname
+     * @param {string} password - Password
+     * @param {string} redirectTo - Page a legacy account's confirmation link returns to
+     * @returns {Promise<Object>} - { status, body } to send back
+     */
+    async login(nickname, password, redirectTo) {
+        const email = await this.serviceRequest('/rest/v1/rpc/login_email', {
+            method: 'POST',
+            body: JSON.stringify({ p_nickname: nickname })
+        });
+        if (!email) {
+            return this.migrate(nickname, password, redirectTo);
+        }
+
+        const { response, body } = await this.authRequest('/auth/v1/token?grant_type=password', { email, password });
+        if (response.status === 400 && (body.code === 'invalid_credentials' || body.error === 'invalid_grant')) {
+            return { status: 400, body: AccountProxy.INVALID_CREDENTIALS };
+        }
+        return { status: response.status, body };
+    }
+
+    /**
+     * Check the legacy password, sign the user up and make sure the legacy row was bound
+     * to the new user before answering
+     * @param {string} nickname - Legacy nickname
+     * @param {string} password - Legacy password
+     * @param {string} redirectTo - Page the confirmation link returns to
+     * @returns {Promise<Object>} - { status, body } to send back
+     */
+    async migrate(nickname, password, redirectTo) {
+        const legacy = await this.serviceRequest('/rest/v1/rpc/claim_legacy_account', {
+            method: 'POST',
+            body: JSON.stringify({ p_nickname: nickname, p_password: password })
+        });
+        if (!legacy) {
+            return { status: 400, body: AccountProxy.INVALID_CREDENTIALS };
+        }
+
+        const query = typeof redirectTo === 'string' && redirectTo ? `?redirect_to=${encodeURIComponent(redirectTo)}` : '';
+        const { response, body: signup } = await this.authRequest(`/auth/v1/signup${query}`, {
+            email: legacy.email,
+            password,
+            data: { nickname: legacy.nickname, role: legacy.role || 'user', business_name: legacy.business_name }
+        });
+        if (!response.ok) {
+            return { status: response.status, body: signup };
+        }
+
+        // Auth answers an existing email with a made-up user, and then the trigger never ran
+        const user = signup.user || signup;
+        const bound = user && user.id ? await this.serviceRequest(
+            `/rest/v1/users?select=id&id=eq.${encodeURIComponent(legacy.id)}&migrated_to=eq.${encodeURIComponent(user.id)}`
+        ) : [];
+        if (!bound || bound.length === 0) {
+            return {
+                status: 409,
+                body: { code: 'legacy_account_taken', msg: 'This account was already moved. Log in with its email address or reset the password.' }
+            };
+        }
+        return { status: 200, body: signup };
+    }
+
+    /**
+     * POST to Supabase Auth with the anon key, like the browser would
+     * @param {string} path - Path and query under the project URL
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} - { response, body: parsed body, {} when there is none }
+     */
+    async authRequest(path, body) {
+        const response = await this.fetch(`${this.supabaseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': this.options.supabaseKey,
+                'Authorization': `Bearer ${this.options.supabaseKey}`
+            },
+            body: JSON.stringify(body)
+        });
+        return { response, body: await response.json().catch(() => ({})) };
+    }
+
+    /**
+     * Call the REST API with the service role
+     * @param {string} path - Path and query under the project URL
+     * @param {Object} init - fetch init
+     * @returns {Promise<*>} - Parsed body
+     */
+    async serviceRequest(path, init = {}) {
+        const response = await this.fetch(`${this.supabaseUrl}${path}`, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': this.options.serviceRoleKey,
+                'Authorization': `Bearer ${this.options.serviceRoleKey}`
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`Supabase returned ${response.status} for ${path.split('?')[0]}`);
+        }
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * @param {http.IncomingMessage} req - Request
+     * @returns {string} - Client IP address
+     */
+    clientAddress(req) {
+        const forwarded = this.options.trustProxy && req.headers['x-forwarded-for'];
+        return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+    }
+
+    /**
+     * Read the request body, up to maxBodyBytes
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<string>}
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.options.maxBodyBytes) {
+                    reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Reply with JSON
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {Object} body - Response body
+     * @param {Object} headers - Extra headers
+     */
+    send(res, status, body, headers = {}) {
+        res.writeHead(status, { ...this.corsHeaders(), 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Reply with an error in Supabase Auth's format
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {string} code - Error code
+     * @param {string} message - Error message
+     * @param {Object} headers - Extra headers
+     */
+    sendError(res, status, code, message, headers = {}) {
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        this.send(res, status, { code, msg: message }, headers);
+    }
+
+    /**
+     * CORS headers for every response
+     * @returns {Object}
+     */
+    corsHeaders() {
+        return {
+            'Access-Control-Allow-Origin': this.options.allowOrigin,
+            'Access-Control-Expose-Headers': 'Retry-After'
+        };
+    }
+
+    /**
+     * Start an HTTP server for the proxy
+     * @param {number} port - Port, 0 for any free port
+     * @param {string} host - Interface to listen on
+     * @returns {Promise<string>} - Proxy URL (login is under it)
+     */
+    start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                resolve(`http://${host}:${this.server.address().port}${this.options.basePath}`);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccountProxy;
+}
+
+// Run the proxy
+if (typeof require !== 'undefined' && require.main === module) {
+    const proxy = new AccountProxy({
+        supabaseUrl: process.env.SUPABASE_URL,
+        supabaseKey: process.env.SUPABASE_ANON_KEY,
+        serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        basePath: process.env.ACCOUNT_PROXY_BASE_PATH || '',
+        allowOrigin: process.env.ACCOUNT_PROXY_ALLOW_ORIGIN || '*',
+        trustProxy: process.env.ACCOUNT_PROXY_TRUST_PROXY === '1'
+    });
+    proxy.start(Number(process.argv[2]) || 8788, process.env.HOST || '0.0.0.0').then(url => {
+        console.log(`Account proxy listening on ${url}`);
+    });
+}
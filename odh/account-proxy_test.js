@@ -0,0 +1,188 @@
+/**
+ * Test file for AccountProxy
+ *
+ * Run with: node account-proxy_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var AccountProxy = require('./account-proxy.js');
+    var { TestRunner, assert, assertEqual } = require('./supabase_test.js');
+}
+
+const legacyAccount = { id: 7, email: 'kim@example.com', nickname: 'Kim', role: 'business', business_name: 'Kim Noodles' };
+
+// Stands in for Supabase behind the proxy: a migrated account 'lee' whose password is
+// 'lee-password', and one legacy account whose password is 'old-password'; bound says
+// whether signing up moves it to the new user
+function mockSupabase({ bound = true } = {}) {
+    const calls = [];
+    const upstreamFetch = async (url, options) => {
+        calls.push({ url, options, body: options.body ? JSON.parse(options.body) : undefined });
+        const { body } = calls[calls.length - 1];
+        if (url.endsWith('/rest/v1/rpc/login_email')) {
+            return new Response(body.p_nickname.toLowerCase() === 'lee' ? '"lee@example.com"' : 'null', {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        if (url.includes('/auth/v1/token?grant_type=password')) {
+            return body.password === 'lee-password'
+                ? Response.json({ access_token: 'token-lee', refresh_token: 'refresh-lee', user: { id: 'user-lee', email: 'lee@example.com' } })
+                : Response.json({ code: 'invalid_credentials', msg: 'Invalid login credentials' }, { status: 400 });
+        }
+        if (url.endsWith('/rest/v1/rpc/claim_legacy_account')) {
+            const match = calls[calls.length - 1].body.p_password === 'old-password';
+            return new Response(match ? JSON.stringify(legacyAccount) : 'null', { headers: { 'Content-Type': 'application/json' } });
+        }
+        if (url.includes('/auth/v1/signup')) {
+            return Response.json({ access_token: 'token-1', refresh_token: 'refresh-1', user: { id: 'user-1', email: 'kim@example.com' } });
+        }
+        if (url.includes('/rest/v1/users')) {
+            return Response.json(bound ? [{ id: 7 }] : []);
+        }
+        throw new Error(`Unexpected request to ${url}`);
+    };
+    return { calls, upstreamFetch };
+}
+
+// Starts a proxy on a free port; returns { proxy, url, calls }
+async function startProxy(options = {}, supabase = {}) {
+    const { calls, upstreamFetch } = mockSupabase(supabase);
+    const proxy = new AccountProxy({
+        supabaseUrl: 'https://test.supabase.co',
+        supabaseKey: 'anon-key',
+        serviceRoleKey: 'service-key',
+        basePath: '/api/accounts',
+        fetch: upstreamFetch,
+        ...options
+    });
+    const url = await proxy.start();
+    return { proxy, url, calls };
+}
+
+async function login(url, nickname, password) {
+    const response = await fetch(`${url}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ nickname, password, redirectTo: 'https://example.com/index.html' })
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const runner = new TestRunner('AccountProxy');
+
+runner.test('should sign in by nickname without returning anything but the session', async () => {
+    const { proxy, url, calls } = await startProxy();
+    try {
+        const result = await login(url, 'Lee', 'lee-password');
+        assertEqual(result.status, 200);
+        assertEqual(result.body.access_token, 'token-lee');
+
+        const [lookup, token] = calls;
+        assertEqual(lookup.body, { p_nickname: 'Lee' }, 'Should not send the password to the lookup');
+        assertEqual(lookup.options.headers['Authorization'], 'Bearer service-key', 'Should look the email up with the service role');
+        assertEqual(token.body, { email: 'lee@example.com', password: 'lee-password' });
+        assertEqual(token.options.headers['Authorization'], 'Bearer anon-key', 'Should sign in like the browser would');
+
+        const wrong = await login(url, 'lee', 'guess');
+        assertEqual(wrong.status, 400);
+        assertEqual(wrong.body, AccountProxy.INVALID_CREDENTIALS, 'Should answer like an unknown nickname');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should move a legacy account and return the new session', async () => {
+    const { proxy, url, calls } = await startProxy();
+    try {
+        const result = await login(url, ' kim ', 'old-password');
+        assertEqual(result.status, 200);
+        assertEqual(result.body.access_token, 'token-1');
+
+        const [, claim, signup, bound] = calls;
+        assertEqual(claim.body, { p_nickname: 'kim', p_password: 'old-password' });
+        assertEqual(claim.options.headers['Authorization'], 'Bearer service-key', 'Should check the password with the service role');
+        assertEqual(signup.url, 'https://test.supabase.co/auth/v1/signup?redirect_to=https%3A%2F%2Fexample.com%2Findex.html');
+        assertEqual(signup.options.headers['Authorization'], 'Bearer anon-key', 'Should sign up like the browser would');
+        assertEqual(signup.body, {
+            email: 'kim@example.com',
+            password: 'old-password',
+            data: { nickname: 'Kim', role: 'business', business_name: 'Kim Noodles' }
+        });
+        assert(bound.url.includes('id=eq.7&migrated_to=eq.user-1'), 'Should check the legacy row was bound to the new user');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should not reveal anything for a wrong password', async () => {
+    const { proxy, url, calls } = await startProxy();
+    try {
+        const result = await login(url, 'kim', 'guess');
+        assertEqual(result.status, 400);
+        assertEqual(result.body, { code: 'invalid_credentials', msg: 'Invalid nickname or password' });
+        assertEqual(calls.length, 2, 'Should not sign up');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should only answer once the legacy row is bound to the new user', async () => {
+    const { proxy, url } = await startProxy({}, { bound: false });
+    try {
+        const result = await login(url, 'kim', 'old-password');
+        assertEqual(result.status, 409);
+        assertEqual(result.body.code, 'legacy_account_taken');
+        assert(!JSON.stringify(result.body).includes('kim@example.com'), 'Should not return the email');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should rate limit attempts per nickname and per client', async () => {
+    let now = 1000000;
+    const { proxy, url, calls } = await startProxy({
+        rateLimit: {
+            nickname: { requests: 2, windowMs: 60000 },
+            client: { requests: 3, windowMs: 60000 }
+        },
+        now: () => now
+    });
+    try {
+        await login(url, 'kim', 'guess-1');
+        await login(url, 'KIM', 'guess-2');
+        const limited = await login(url, 'Kim', 'old-password');
+        assertEqual(limited.status, 429);
+        assertEqual(limited.body.code, 'over_request_rate_limit');
+        assertEqual(limited.headers.get('Retry-After'), '60');
+        assertEqual(calls.length, 4, 'Should not check the password once limited');
+
+        const client = await login(url, 'chan', 'guess');
+        assertEqual(client.status, 429, 'Should limit the client across nicknames');
+
+        now += 60001;
+        assertEqual((await login(url, 'kim', 'old-password')).status, 200, 'Should allow attempts again after the window');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should reject requests without a nickname and password', async () => {
+    const { proxy, url, calls } = await startProxy();
+    try {
+        const result = await login(url, '', 'old-password');
+        assertEqual(result.status, 400);
+        assertEqual(result.body.code, 'validation_failed');
+
+        const wrongRoute = await fetch(`${url}/claim`, { method: 'POST', body: '{}' });
+        assertEqual(wrongRoute.status, 404);
+        assertEqual(calls.length, 0);
+    } finally {
+        await proxy.stop();
+    }
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => process.exit(success ? 0 : 1));
+}
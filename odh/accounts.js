@@ -0,0 +1,332 @@
+/**
+ * Account service for the Embrace Hong Kong pages
+ *
+ * Registration and login go through Supabase Auth. Nickname, role and
+ * business_name live in the `profiles` table, keyed by the auth user id
+ * (see supabase/migrations/20261019000000_auth_profiles.sql). Nickname logins go
+ * through account-proxy.js, which keeps account emails on the server and moves
+ * accounts still in the legacy `users` table on their first login.
+ *
+ * Usage:
+ *   const accounts = new AccountService(supabase);
+ *   accounts.onChange(profile => updateHeader(profile));
+ *
+ *   await accounts.register({ nickname, email, password, role: 'business', businessName });
+ *   const profile = await accounts.login('nickname or email', password);
+ *   await accounts.logout();
+ *
+ *   if (accounts.can('comment:reply-official')) showReplyButton();
+ *
+ * Roles: 'user', 'business' and 'admin'. Business accounts only get business
+ * capabilities once an admin approves them (business_status = 'approved').
+ * These checks only decide what the UI offers; the same rules are enforced by
+ * row-level security (see supabase/migrations/20261020000000_roles_permissions.sql).
+ */
+
+class AccountService {
+    // What each role may do, keyed by action
+    static PERMISSIONS = {
+        'comment:create': profile => !!profile,
+        'comment:reply-official': profile => AccountService.isVerifiedBusiness(profile),
+        'comment:moderate': profile => AccountService.isAdmin(profile),
+        'venue:promote': profile => AccountService.isVerifiedBusiness(profile),
+        'business:review': profile => AccountService.isAdmin(profile)
+    };
+
+    static isAdmin(profile) {
+        return !!profile && profile.role === 'admin';
+    }
+
+    static isVerifiedBusiness(profile) {
+        return !!profile && profile.role === 'business' && profile.business_status === 'approved';
+    }
+
+    static DEFAULTS = {
+        nicknameLoginUrl: '/api/accounts/login'   // account-proxy.js
+    };
+
+    /**
+     * @param {SupabaseClient} supabase - Client for the page's project
+     * @param {Object} options - See AccountService.DEFAULTS
+     */
+    constructor(supabase, options = {}) {
+        this.supabase = supabase;
+        this.options = { ...AccountService.DEFAULTS, ...options };
+        this.profile = null;
+    }
+
+    /**
+     * Create an account
+     * @param {Object} details - { nickname, email, password, role, businessName }
+     * @returns {Promise<Object>} - { profile, needsConfirmation }; profile is null until the email is confirmed
+     */
+    async register({ nickname, email, password, role = 'user', businessName = null }) {
+        const available = await this.supabase.rpc('nickname_available', { p_nickname: nickname });
+        if (!available) {
+            throw new SupabaseError('Supabase Error: Nickname already taken', {
+                status: 409,
+                code: '23505',
+                details: `Key (nickname)=(${nickname}) already exists.`,
+                table: 'profiles',
+                operation: 'register'
+            });
+        }
+
+        const result = await this.supabase.signUp(email, password, {
+            nickname: nickname,
+            role: role,
+            business_name: role === 'business' ? businessName : null
+        }, { redirectTo: this.redirectUrl() });
+
+        if (!result || !result.access_token) {
+            return { profile: null, needsConfirmation: true };
+        }
+        return { profile: await this.getProfile(), needsConfirmation: false };
+    }
+
+    /**
+     * Log in with a nickname or an email address
+     * @param {string} login - Nickname or email
+     * @param {string} password - Password
+     * @returns {Promise<Object>} - The profile of the signed-in user
+     */
+    async login(login, password) {
+        const email = login.trim();
+        if (!email.includes('@')) {
+            return this.loginWithNickname(email, password);
+        }
+
+        await this.supabase.signIn(email, password);
+        return this.getProfile();
+    }
+
+    /**
+     * Log in by nickname through account-proxy.js, which looks the email up on the
+     * server (rate-limited) and signs in with it. Accounts still in the legacy `users`
+     * table are signed up with the same email and password on the way; the signup
+     * trigger clears the old password. Wrong passwords and unknown nicknames fail with
+     * invalid_credentials.
+     * @param {string} nickname - Nickname
+     * @param {string} password - Password
+     * @returns {Promise<Object>} - The profile of the signed-in user
+     */
+    async loginWithNickname(nickname, password) {
+        const result = await this.supabase.request('POST', this.options.nicknameLoginUrl, {
+            operation: 'signIn',
+            service: 'auth',
+            headers: { 'Content-Type': 'application/json' },
+            body: { nickname, password, redirectTo: this.redirectUrl() }
+        });
+
+        if (!result || !result.access_token) {
+            throw new SupabaseError('Supabase Auth Error: Your account was upgraded. Please confirm your email, then login again.', {
+                status: 400,
+                code: 'email_not_confirmed',
+                service: 'auth',
+                operation: 'signIn'
+            });
+        }
+        this.supabase.setSession(result, 'SIGNED_IN');
+        return this.getProfile();
+    }
+
+    /**
+     * Email a link for choosing a new password. Following it signs the user in
+     * with a PASSWORD_RECOVERY event (see onChange).
+     * @param {string} email - Account email
+     */
+    async sendPasswordReset(email) {
+        await this.supabase.resetPasswordForEmail(email.trim(), { redirectTo: this.redirectUrl() });
+    }
+
+    /**
+     * Send the email confirmation link again
+     * @param {string} email - Account email
+     */
+    async resendVerification(email) {
+        await this.supabase.resend({ email: email.trim(), type: 'signup', redirectTo: this.redirectUrl() });
+    }
+
+    /**
+     * Email a magic link that logs an existing account in without a password
+     * @param {string} email - Account email
+     */
+    async sendMagicLink(email) {
+        await this.supabase.signInWithOtp({ email: email.trim(), shouldCreateUser: false, redirectTo: this.redirectUrl() });
+    }
+
+    /**
+     * Set a new password for the signed-in user
+     * @param {string} password - New password
+     */
+    async updatePassword(password) {
+        await this.supabase.updateUser({ password });
+    }
+
+    /**
+     * Change the email of the signed-in user. The change applies once the link
+     * sent to the new address is opened.
+     * @param {string} email - New email
+     * @returns {Promise<Object>} - The updated auth user (new_email holds the pending address)
+     */
+    async updateEmail(email) {
+        return this.supabase.updateUser({ email: email.trim() }, { redirectTo: this.redirectUrl() });
+    }
+
+    /**
+     * Finish an emailed link (confirmation, magic link or password recovery) that
+     * returned to this page, then remove the tokens from the address bar
+     * @returns {Promise<string|null>} - The link type (signup, magiclink, recovery, email_change) or null
+     */
+    async handleAuthRedirect() {
+        if (typeof window === 'undefined' || !/access_token=|error=/.test(window.location.hash)) {
+            return null;
+        }
+
+        try {
+            const result = await this.supabase.getSessionFromUrl(window.location.href);
+            return result ? result.type : null;
+        } finally {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    /**
+     * Page that emailed links should return to
+     * @returns {string|undefined}
+     */
+    redirectUrl() {
+        if (typeof window === 'undefined') {
+            return undefined;
+        }
+        return window.location.origin + window.location.pathname;
+    }
+
+    /**
+     * Check whether a profile may perform an action
+     * @param {string} action - Key of AccountService.PERMISSIONS, e.g. 'comment:moderate'
+     * @param {Object|null} profile - Defaults to the signed-in profile
+     * @returns {boolean}
+     */
+    can(action, profile = this.profile) {
+        const rule = AccountService.PERMISSIONS[action];
+        if (!rule) {
+            throw new Error(`Unknown permission "${action}"`);
+        }
+        return rule(profile);
+    }
+
+    /**
+     * Apply for a business account; an admin has to approve it
+     * @param {string} businessName - Name of the shop or venue
+     * @returns {Promise<Object>} - The updated profile
+     */
+    async requestBusinessVerification(businessName) {
+        await this.supabase.rpc('request_business_verification', { p_business_name: businessName.trim() });
+        return this.getProfile();
+    }
+
+    /**
+     * Business accounts waiting for review (admins)
+     * @returns {Promise<Array>} - Profiles, oldest application first
+     */
+    async listBusinessApplications() {
+        return this.supabase.from('profiles')
+            .select('id,nickname,business_name,created_at')
+            .eq('role', 'business')
+            .eq('business_status', 'pending')
+            .order('created_at', { ascending: true });
+    }
+
+    /**
+     * Approve or reject a business account (admins)
+     * @param {string} userId - Profile id
+     * @param {string} status - 'approved' or 'rejected'
+     */
+    async setBusinessStatus(userId, status) {
+        await this.supabase.rpc('set_business_status', { p_user_id: userId, p_status: status });
+    }
+
+    /**
+     * Log out and forget the profile
+     */
+    async logout() {
+        this.profile = null;
+        // Left behind by the old users-table login
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem('tripPlannerUser');
+            localStorage.removeItem('tripPlannerSession');
+        }
+        await this.supabase.signOut();
+    }
+
+    /**
+     * Load the profile of the signed-in user
+     * @returns {Promise<Object|null>} - { id, email, nickname, role, business_name, business_status } or null
+     */
+    async getProfile() {
+        const session = await this.supabase.getSession();
+        if (!session || !session.user) {
+            this.profile = null;
+            return null;
+        }
+
+        let row = null;
+        try {
+            row = await this.supabase.from('profiles').select('*').eq('id', session.user.id).maybeSingle();
+        } catch (error) {
+            // Fall back to the signup metadata when the profile can't be loaded
+            console.error('Error loading profile:', error);
+        }
+
+        this.profile = row
+            ? { ...row, email: session.user.email }
+            : this.profileFromSession(session);
+        return this.profile;
+    }
+
+    /**
+     * Build a profile from the metadata stored with the auth user. The metadata is
+     * self-declared, so a business account is treated as not yet approved.
+     * @param {Object} session - Supabase session
+     * @returns {Object}
+     */
+    profileFromSession(session) {
+        const metadata = session.user.user_metadata || {};
+        const isBusiness = metadata.role === 'business';
+        return {
+            id: session.user.id,
+            email: session.user.email,
+            nickname: metadata.nickname || session.user.email,
+            role: isBusiness ? 'business' : 'user',
+            business_name: metadata.business_name || null,
+            business_status: isBusiness ? 'pending' : 'none'
+        };
+    }
+
+    /**
+     * Call back with the current profile on load and after every sign in, sign out
+     * or account change. The auth event is passed too, so pages can open the
+     * new-password form on PASSWORD_RECOVERY.
+     * @param {Function} callback - Receives (profile or null, event)
+     * @returns {Object} - { unsubscribe }
+     */
+    onChange(callback) {
+        return this.supabase.onAuthStateChange(async (event, session) => {
+            if (event === 'TOKEN_REFRESHED') {
+                return;
+            }
+            if (!session) {
+                this.profile = null;
+                callback(null, event);
+                return;
+            }
+            callback(await this.getProfile(), event);
+        });
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccountService;
+}
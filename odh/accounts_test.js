@@ -0,0 +1,220 @@
+/**
+ * Test file for AccountService
+ *
+ * Run with: node accounts_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var SupabaseClient = require('./supabase.js');
+    var AccountService = require('./accounts.js');
+    var { TestRunner, assert, assertEqual, createTestClient } = require('./supabase_test.js');
+    // accounts.js expects SupabaseError as a global, like in the browser
+    global.SupabaseError = SupabaseClient.SupabaseError;
+}
+
+// Routes mock requests by URL so each test can describe the server it talks to
+function mockServer(routes) {
+    const calls = [];
+    global.fetch = async (url, options) => {
+        calls.push({ url, options, body: options.body ? JSON.parse(options.body) : undefined });
+        const route = Object.keys(routes).find(path => url.includes(path));
+        if (!route) {
+            throw new Error(`Unexpected request to ${url}`);
+        }
+        const { status = 200, body } = routes[route](calls[calls.length - 1]);
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: String(status),
+            json: async () => body
+        };
+    };
+    return calls;
+}
+
+const tokenResponse = {
+    access_token: 'token-1',
+    refresh_token: 'refresh-1',
+    expires_in: 3600,
+    user: { id: 'user-1', email: 'kim@example.com', user_metadata: { nickname: 'kim', role: 'user' } }
+};
+
+const runner = new TestRunner('AccountService');
+const originalFetch = global.fetch;
+
+runner.test('register should reject a taken nickname before signing up', async () => {
+    const calls = mockServer({
+        '/rpc/nickname_available': () => ({ body: false })
+    });
+
+    const accounts = new AccountService(createTestClient());
+    try {
+        await accounts.register({ nickname: 'kim', email: 'kim@example.com', password: 'pw' });
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.isUniqueViolation(), 'Should report a unique violation');
+        assert(error.details.includes('nickname'), 'Should name the nickname');
+    }
+    assert(!calls.some(call => call.url.includes('/auth/v1/signup')), 'Should not sign up');
+});
+
+runner.test('register should sign up with profile metadata and no cleartext users row', async () => {
+    const calls = mockServer({
+        '/rpc/nickname_available': () => ({ body: true }),
+        '/auth/v1/signup': () => ({ body: tokenResponse }),
+        '/rest/v1/profiles': () => ({ body: [{ id: 'user-1', nickname: 'kim', role: 'business', business_name: 'Kim Noodles' }] })
+    });
+
+    const accounts = new AccountService(createTestClient());
+    const result = await accounts.register({
+        nickname: 'kim',
+        email: 'kim@example.com',
+        password: 'pw',
+        role: 'business',
+        businessName: 'Kim Noodles'
+    });
+
+    const signup = calls.find(call => call.url.includes('/auth/v1/signup'));
+    assertEqual(signup.body.data, { nickname: 'kim', role: 'business', business_name: 'Kim Noodles' }, 'Should send metadata');
+    assert(!calls.some(call => call.url.includes('/rest/v1/users')), 'Should not touch the users table');
+    assert(result.needsConfirmation === false, 'Should be signed in');
+    assert(result.profile.business_name === 'Kim Noodles', 'Should load the profile');
+    assert(result.profile.email === 'kim@example.com', 'Should add the email');
+});
+
+runner.test('register should report when email confirmation is required', async () => {
+    mockServer({
+        '/rpc/nickname_available': () => ({ body: true }),
+        '/auth/v1/signup': () => ({ body: { id: 'user-1', email: 'kim@example.com' } })
+    });
+
+    const accounts = new AccountService(createTestClient());
+    const result = await accounts.register({ nickname: 'kim', email: 'kim@example.com', password: 'pw' });
+    assertEqual(result, { profile: null, needsConfirmation: true });
+});
+
+runner.test('login should send nicknames to the account proxy', async () => {
+    const calls = mockServer({
+        '/api/accounts/login': () => ({ body: tokenResponse }),
+        '/rest/v1/profiles': () => ({ body: [{ id: 'user-1', nickname: 'kim', role: 'user' }] })
+    });
+
+    const client = createTestClient();
+    const accounts = new AccountService(client);
+    const profile = await accounts.login(' kim ', 'secret');
+
+    assert(calls.every(call => !call.url.includes('secret')), 'Should keep the password out of URLs');
+    assert(!calls.some(call => call.url.includes('/rpc/')), 'Should not look the email up from the browser');
+    const login = calls.find(call => call.url.includes('/api/accounts/login'));
+    assertEqual(login.body, { nickname: 'kim', password: 'secret' }, 'Should send the login to the proxy');
+    assert(client.session.access_token === 'token-1', 'Should keep the session');
+    assert(profile.nickname === 'kim', 'Should return the profile');
+});
+
+runner.test('login should use an email address directly', async () => {
+    const calls = mockServer({
+        '/auth/v1/token': () => ({ body: tokenResponse }),
+        '/rest/v1/profiles': () => ({ body: [] })
+    });
+
+    const accounts = new AccountService(createTestClient());
+    const profile = await accounts.login('kim@example.com', 'secret');
+    assert(!calls.some(call => call.url.includes('/rpc/')), 'Should not call rpc');
+    assert(profile.nickname === 'kim', 'Should fall back to the signup metadata');
+});
+
+runner.test('login should ask a moved legacy account to confirm its email', async () => {
+    mockServer({
+        '/api/accounts/login': () => ({ body: { id: 'user-1', email: 'kim@example.com' } })
+    });
+
+    const client = createTestClient();
+    const accounts = new AccountService(client);
+    try {
+        await accounts.login('kim', 'old-password');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assertEqual(error.code, 'email_not_confirmed');
+    }
+    assertEqual(client.session, null, 'Should not be signed in');
+});
+
+runner.test('login should fail for an unknown nickname or wrong password', async () => {
+    mockServer({
+        '/api/accounts/login': () => ({ status: 400, body: { code: 'invalid_credentials', msg: 'Invalid nickname or password' } })
+    });
+
+    const accounts = new AccountService(createTestClient());
+    try {
+        await accounts.login('kim', 'wrong');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.code === 'invalid_credentials', 'Should report invalid credentials');
+    }
+});
+
+runner.test('can should only grant business capabilities to approved businesses', async () => {
+    const accounts = new AccountService(createTestClient());
+    const pending = { role: 'business', business_status: 'pending' };
+    const approved = { role: 'business', business_status: 'approved' };
+    const admin = { role: 'admin', business_status: 'none' };
+
+    assert(!accounts.can('comment:create', null), 'Guests cannot comment');
+    assert(accounts.can('comment:create', { role: 'user' }), 'Users can comment');
+    assert(!accounts.can('comment:reply-official', pending), 'Pending businesses cannot reply officially');
+    assert(accounts.can('comment:reply-official', approved), 'Approved businesses can reply officially');
+    assert(accounts.can('venue:promote', approved), 'Approved businesses can promote venues');
+    assert(!accounts.can('comment:moderate', approved), 'Businesses cannot moderate');
+    assert(accounts.can('comment:moderate', admin), 'Admins can moderate');
+    assert(accounts.can('business:review', admin), 'Admins can review businesses');
+    assert(!accounts.can('venue:promote', admin), 'Admins do not promote venues');
+
+    accounts.profile = approved;
+    assert(accounts.can('venue:promote'), 'Should default to the signed-in profile');
+
+    try {
+        accounts.can('comment:teleport');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.message.includes('comment:teleport'), 'Should name the unknown action');
+    }
+});
+
+runner.test('profile fallback should not trust a self-declared role', async () => {
+    mockServer({
+        '/auth/v1/token': () => ({
+            body: { ...tokenResponse, user: { ...tokenResponse.user, user_metadata: { nickname: 'kim', role: 'admin' } } }
+        }),
+        '/rest/v1/profiles': () => ({ body: [] })
+    });
+
+    const accounts = new AccountService(createTestClient());
+    const profile = await accounts.login('kim@example.com', 'secret');
+    assert(profile.role === 'user', 'Should never take the admin role from metadata');
+    assert(!accounts.can('comment:moderate'), 'Should not grant moderation');
+});
+
+runner.test('business review should list pending applications and set their status', async () => {
+    const calls = mockServer({
+        '/rest/v1/profiles': () => ({ body: [{ id: 'user-2', nickname: 'shop', business_name: 'Shop' }] }),
+        '/rpc/set_business_status': () => ({ status: 204 })
+    });
+
+    const accounts = new AccountService(createTestClient());
+    const applications = await accounts.listBusinessApplications();
+    assert(applications.length === 1, 'Should return the applications');
+    const list = calls[0].url;
+    assert(list.includes('role=eq.business') && list.includes('business_status=eq.pending'), 'Should filter pending businesses');
+
+    await accounts.setBusinessStatus('user-2', 'approved');
+    assertEqual(calls[1].body, { p_user_id: 'user-2', p_status: 'approved' }, 'Should call the rpc');
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        global.fetch = originalFetch;
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,651 @@
+/**
+ * Shared login/register header for the Embrace Hong Kong pages
+ *
+ * Mounts the header buttons (Login/Register, or Welcome/Account/Logout), the
+ * register, login, email-link and account-settings modals, and keeps them in
+ * sync with the Supabase session through AccountService.
+ *
+ * Usage:
+ *   <div class="header-buttons">
+ *       <span id="authHeader"></span>
+ *   </div>
+ *
+ *   const authUI = new AuthComponent(accounts, {
+ *       businessAccounts: true,
+ *       onChange: profile => showCommentBox(!!profile)
+ *   }).mount();
+ *
+ *   authUI.openLogin();
+ */
+
+class AuthComponent {
+    static DEFAULTS = {
+        headerSelector: '#authHeader',  // Element the header buttons are rendered into
+        businessAccounts: true,         // Offer the "Business Account (Shop Owner)" type when registering
+        notify: message => alert(message),
+        onChange: null,                 // (profile, event) on load and every sign in/out
+        onLogin: null,                  // (profile) after logging in or registering on this page
+        onLogout: null                  // () after logging out on this page
+    };
+
+    // Copy shown for each email link mode
+    static EMAIL_LINK_MODES = {
+        reset: {
+            title: 'Reset Password',
+            hint: 'Enter your account email and we will send you a link to choose a new password.',
+            success: 'Check your email for a link to reset your password.'
+        },
+        magic: {
+            title: 'Login With Email Link',
+            hint: 'Enter your account email and we will send you a link that logs you in.',
+            success: 'Check your email for your login link.'
+        },
+        verify: {
+            title: 'Resend Verification Email',
+            hint: 'Enter the email you registered with to get a new confirmation link.',
+            success: 'Verification email sent. Please check your inbox.'
+        }
+    };
+
+    /**
+     * @param {AccountService} accounts - Account service for the page's Supabase client
+     * @param {Object} options - See AuthComponent.DEFAULTS
+     */
+    constructor(accounts, options = {}) {
+        this.accounts = accounts;
+        this.options = { ...AuthComponent.DEFAULTS, ...options };
+        this.profile = null;
+        this.header = null;
+        this.modals = {};
+    }
+
+    /**
+     * Render the header and modals, and start following the session
+     * @returns {AuthComponent}
+     */
+    mount() {
+        this.header = document.querySelector(this.options.headerSelector);
+        if (this.header) {
+            this.header.classList.add('auth-header');
+        }
+        document.body.insertAdjacentHTML('beforeend', this.renderModals());
+
+        this.modals = {
+            register: document.getElementById('authRegisterModal'),
+            login: document.getElementById('authLoginModal'),
+            emailLink: document.getElementById('authEmailLinkModal'),
+            account: document.getElementById('authAccountModal')
+        };
+        this.bindModals();
+        this.renderHeader();
+
+        this.accounts.onChange((profile, event) => {
+            this.profile = profile;
+            this.renderHeader();
+            if (event === 'PASSWORD_RECOVERY') {
+                this.openAccount('Choose a new password for your account.');
+            }
+            if (this.options.onChange) {
+                this.options.onChange(profile, event);
+            }
+        });
+        this.handleAuthRedirect();
+
+        return this;
+    }
+
+    /**
+     * Open the login modal
+     */
+    openLogin() {
+        this.open('login');
+    }
+
+    /**
+     * Open the register modal
+     */
+    openRegister() {
+        this.open('register');
+    }
+
+    /**
+     * Open the email link modal
+     * @param {string} mode - 'reset', 'magic' or 'verify'
+     */
+    openEmailLink(mode) {
+        const config = AuthComponent.EMAIL_LINK_MODES[mode];
+        this.close('login');
+        this.modals.emailLink.dataset.mode = mode;
+        document.getElementById('authEmailLinkTitle').textContent = config.title;
+        document.getElementById('authEmailLinkHint').textContent = config.hint;
+        this.open('emailLink');
+    }
+
+    /**
+     * Open the account settings modal
+     * @param {string} hint - Message shown above the form
+     */
+    openAccount(hint = '') {
+        document.getElementById('authAccountHint').textContent = hint;
+        this.renderBusinessStatus();
+        this.open('account');
+    }
+
+    /**
+     * Show the business account status, or the form to apply for one
+     */
+    renderBusinessStatus() {
+        const section = document.getElementById('authBusinessSection');
+        if (!section) {
+            return;
+        }
+
+        const profile = this.profile;
+        const status = profile && profile.role === 'business' ? profile.business_status : 'none';
+        const canApply = profile && profile.role !== 'admin' && (status === 'none' || status === 'rejected');
+        const messages = {
+            pending: `Your business account for ${profile && profile.business_name} is waiting for approval.`,
+            approved: `${profile && profile.business_name} is a verified business.`,
+            rejected: 'Your business account was not approved. You can apply again below.',
+            none: 'Own a shop or venue? Apply for a business account to post official replies and promote your venue.'
+        };
+
+        section.style.display = profile && profile.role !== 'admin' ? 'block' : 'none';
+        document.getElementById('authBusinessStatus').textContent = messages[status] || '';
+        document.getElementById('authBusinessForm').style.display = canApply ? 'block' : 'none';
+    }
+
+    /**
+     * Show a modal
+     * @param {string} name - 'register', 'login', 'emailLink' or 'account'
+     */
+    open(name) {
+        this.modals[name].style.display = 'block';
+    }
+
+    /**
+     * Hide a modal and clear its form
+     * @param {string} name - 'register', 'login', 'emailLink' or 'account'
+     */
+    close(name) {
+        const modal = this.modals[name];
+        modal.style.display = 'none';
+        modal.querySelectorAll('form').forEach(form => form.reset());
+        if (name === 'register') {
+            this.toggleBusinessFields();
+        }
+    }
+
+    /**
+     * Show Login/Register, or the greeting with Account/Logout
+     */
+    renderHeader() {
+        if (!this.header) {
+            return;
+        }
+
+        if (this.profile) {
+            const badge = AuthComponent.roleBadge(this.profile);
+            this.header.innerHTML = `
+                <span class="auth-greeting">Welcome, ${AuthComponent.escapeHtml(this.profile.nickname || this.profile.email)}${badge}</span>
+                <button class="header-btn" data-auth-action="account">Account</button>
+                <button class="header-btn" data-auth-action="logout">Logout</button>
+            `;
+        } else {
+            this.header.innerHTML = `
+                <button class="header-btn" data-auth-action="login">Login</button>
+                <button class="header-btn" data-auth-action="register">Register</button>
+            `;
+        }
+
+        this.header.querySelectorAll('[data-auth-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleAction(button.dataset.authAction));
+        });
+    }
+
+    /**
+     * Run a header button
+     * @param {string} action - 'login', 'register', 'account' or 'logout'
+     */
+    handleAction(action) {
+        if (action === 'login') this.openLogin();
+        if (action === 'register') this.openRegister();
+        if (action === 'account') this.openAccount();
+        if (action === 'logout') this.handleLogout();
+    }
+
+    /**
+     * Markup for the four modals
+     * @returns {string}
+     */
+    renderModals() {
+        const businessFields = this.options.businessAccounts ? `
+                <div class="form-group">
+                    <label for="authAccountType">Account Type:</label>
+                    <select id="authAccountType" name="accountType">
+                        <option value="user">Regular User</option>
+                        <option value="business">Business Account (Shop Owner)</option>
+                    </select>
+                </div>
+                <div id="authBusinessFields" style="display: none;">
+                    <div class="form-group">
+                        <label for="authBusinessName">Business Name:</label>
+                        <input type="text" id="authBusinessName" name="businessName">
+                    </div>
+                </div>` : '';
+
+        return `
+    <!-- Register Popup Form -->
+    <div id="authRegisterModal" class="modal">
+        <div class="modal-content">
+            <span class="close" data-auth-close="register">&times;</span>
+            <h2>Register</h2>
+            <form id="authRegisterForm">
+                <div class="form-group">
+                    <label for="authNickname">Nickname:</label>
+                    <input type="text" id="authNickname" name="nickname" required>
+                </div>
+                <div class="form-group">
+                    <label for="authEmail">Email:</label>
+                    <input type="email" id="authEmail" name="email" required>
+                </div>
+                <div class="form-group">
+                    <label for="authPassword">Password:</label>
+                    <input type="password" id="authPassword" name="password" minlength="6" required>
+                </div>${businessFields}
+                <button type="submit" class="submit-btn">Register</button>
+            </form>
+        </div>
+    </div>
+
+    <!-- Login Popup Form -->
+    <div id="authLoginModal" class="modal">
+        <div class="modal-content">
+            <span class="close" data-auth-close="login">&times;</span>
+            <h2>Login</h2>
+            <form id="authLoginForm">
+                <div class="form-group">
+                    <label for="authLogin">Nickname or Email:</label>
+                    <input type="text" id="authLogin" name="login" required>
+                </div>
+                <div class="form-group">
+                    <label for="authLoginPassword">Password:</label>
+                    <input type="password" id="authLoginPassword" name="password" required>
+                </div>
+                <button type="submit" class="submit-btn">Login</button>
+            </form>
+            <div class="auth-links">
+                <a href="#" data-auth-email-link="reset">Forgot password?</a>
+                <a href="#" data-auth-email-link="magic">Email me a login link</a>
+                <a href="#" data-auth-email-link="verify">Resend verification email</a>
+            </div>
+        </div>
+    </div>
+
+    <!-- Email Link Popup Form (password reset, magic link, verification) -->
+    <div id="authEmailLinkModal" class="modal">
+        <div class="modal-content">
+            <span class="close" data-auth-close="emailLink">&times;</span>
+            <h2 id="authEmailLinkTitle">Reset Password</h2>
+            <p id="authEmailLinkHint" class="modal-hint"></p>
+            <form id="authEmailLinkForm">
+                <div class="form-group">
+                    <label for="authEmailLinkEmail">Email:</label>
+                    <input type="email" id="authEmailLinkEmail" name="email" required>
+                </div>
+                <button type="submit" class="submit-btn">Send Link</button>
+            </form>
+        </div>
+    </div>
+
+    <!-- Account Settings Popup Form (change email or password) -->
+    <div id="authAccountModal" class="modal">
+        <div class="modal-content">
+            <span class="close" data-auth-close="account">&times;</span>
+            <h2>Account Settings</h2>
+            <p id="authAccountHint" class="modal-hint"></p>
+            <form id="authAccountForm">
+                <div class="form-group">
+                    <label for="authAccountEmail">New Email:</label>
+                    <input type="email" id="authAccountEmail" name="email">
+                </div>
+                <div class="form-group">
+                    <label for="authAccountPassword">New Password:</label>
+                    <input type="password" id="authAccountPassword" name="password" minlength="6">
+                </div>
+                <div class="form-group">
+                    <label for="authAccountPasswordConfirm">Confirm New Password:</label>
+                    <input type="password" id="authAccountPasswordConfirm" name="confirmPassword" minlength="6">
+                </div>
+                <button type="submit" class="submit-btn">Save Changes</button>
+            </form>${this.options.businessAccounts ? `
+            <div id="authBusinessSection" class="auth-business-section">
+                <h3>Business Account</h3>
+                <p id="authBusinessStatus" class="modal-hint"></p>
+                <form id="authBusinessForm">
+                    <div class="form-group">
+                        <label for="authApplyBusinessName">Business Name:</label>
+                        <input type="text" id="authApplyBusinessName" name="businessName" required>
+                    </div>
+                    <button type="submit" class="submit-btn">Apply</button>
+                </form>
+            </div>` : ''}
+        </div>
+    </div>`;
+    }
+
+    /**
+     * Wire up close buttons, outside clicks, links and form submissions
+     */
+    bindModals() {
+        document.querySelectorAll('[data-auth-close]').forEach(button => {
+            button.addEventListener('click', () => this.close(button.dataset.authClose));
+        });
+
+        document.querySelectorAll('[data-auth-email-link]').forEach(link => {
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                this.openEmailLink(link.dataset.authEmailLink);
+            });
+        });
+
+        // Close modal when clicking outside of it
+        window.addEventListener('click', event => {
+            Object.entries(this.modals).forEach(([name, modal]) => {
+                if (event.target === modal) {
+                    this.close(name);
+                }
+            });
+        });
+
+        const accountType = document.getElementById('authAccountType');
+        if (accountType) {
+            accountType.addEventListener('change', () => this.toggleBusinessFields());
+        }
+
+        document.getElementById('authRegisterForm').addEventListener('submit', event => this.handleRegister(event));
+        document.getElementById('authLoginForm').addEventListener('submit', event => this.handleLogin(event));
+        document.getElementById('authEmailLinkForm').addEventListener('submit', event => this.handleEmailLink(event));
+        document.getElementById('authAccountForm').addEventListener('submit', event => this.handleAccountUpdate(event));
+
+        const businessForm = document.getElementById('authBusinessForm');
+        if (businessForm) {
+            businessForm.addEventListener('submit', event => this.handleBusinessApplication(event));
+        }
+    }
+
+    /**
+     * Require the business name only for business accounts
+     */
+    toggleBusinessFields() {
+        const accountType = document.getElementById('authAccountType');
+        if (!accountType) {
+            return;
+        }
+        const isBusiness = accountType.value === 'business';
+        document.getElementById('authBusinessFields').style.display = isBusiness ? 'block' : 'none';
+        document.getElementById('authBusinessName').required = isBusiness;
+    }
+
+    /**
+     * Register from the modal; signs in straight away unless the email must be confirmed
+     * @param {Event} event - Form submit event
+     */
+    async handleRegister(event) {
+        event.preventDefault();
+        const form = event.target;
+        const accountType = document.getElementById('authAccountType');
+        const role = accountType ? accountType.value : 'user';
+
+        try {
+            const result = await this.accounts.register({
+                nickname: form.nickname.value,
+                email: form.email.value,
+                password: form.password.value,
+                role: role,
+                businessName: role === 'business' ? form.businessName.value : null
+            });
+
+            this.close('register');
+            const review = role === 'business' ? ' An admin will review your business account before its features unlock.' : '';
+            if (result.needsConfirmation) {
+                this.options.notify('Registration successful! Please check your email to confirm your account, then login.' + review);
+                return;
+            }
+
+            this.profile = result.profile;
+            this.renderHeader();
+            this.options.notify('Registration successful!' + review);
+            if (this.options.onLogin) {
+                this.options.onLogin(result.profile);
+            }
+        } catch (error) {
+            console.error('Registration error:', error);
+            this.options.notify('Registration failed: ' + AuthComponent.describeError(error));
+        }
+    }
+
+    /**
+     * Log in from the modal with a nickname or email
+     * @param {Event} event - Form submit event
+     */
+    async handleLogin(event) {
+        event.preventDefault();
+        const form = event.target;
+
+        try {
+            const profile = await this.accounts.login(form.login.value, form.password.value);
+            this.profile = profile;
+            this.close('login');
+            this.renderHeader();
+            this.options.notify('Login successful!');
+            if (this.options.onLogin) {
+                this.options.onLogin(profile);
+            }
+        } catch (error) {
+            console.error('Login error:', error);
+            this.options.notify('Login failed: ' + AuthComponent.describeError(error));
+        }
+    }
+
+    /**
+     * Log out and reset the header
+     */
+    async handleLogout() {
+        try {
+            await this.accounts.logout();
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        this.profile = null;
+        this.renderHeader();
+        this.options.notify('Logged out successfully.');
+        if (this.options.onLogout) {
+            this.options.onLogout();
+        }
+    }
+
+    /**
+     * Send the password reset, magic link or verification email
+     * @param {Event} event - Form submit event
+     */
+    async handleEmailLink(event) {
+        event.preventDefault();
+        const mode = this.modals.emailLink.dataset.mode;
+        const email = event.target.email.value;
+
+        try {
+            if (mode === 'reset') {
+                await this.accounts.sendPasswordReset(email);
+            } else if (mode === 'magic') {
+                await this.accounts.sendMagicLink(email);
+            } else {
+                await this.accounts.resendVerification(email);
+            }
+            this.close('emailLink');
+            this.options.notify(AuthComponent.EMAIL_LINK_MODES[mode].success);
+        } catch (error) {
+            console.error('Email link error:', error);
+            this.options.notify('Could not send the email: ' + AuthComponent.describeError(error));
+        }
+    }
+
+    /**
+     * Change the email and/or password of the signed-in user
+     * @param {Event} event - Form submit event
+     */
+    async handleAccountUpdate(event) {
+        event.preventDefault();
+        const form = event.target;
+        const email = form.email.value;
+        const password = form.password.value;
+
+        if (!email && !password) {
+            this.options.notify('Enter a new email or a new password.');
+            return;
+        }
+        if (password !== form.confirmPassword.value) {
+            this.options.notify('The passwords do not match.');
+            return;
+        }
+
+        try {
+            const messages = [];
+            if (password) {
+                await this.accounts.updatePassword(password);
+                messages.push('Your password has been changed.');
+            }
+            if (email) {
+                await this.accounts.updateEmail(email);
+                messages.push(`Check ${email} for a link to confirm your new email.`);
+            }
+            this.close('account');
+            this.options.notify(messages.join(' '));
+        } catch (error) {
+            console.error('Account update error:', error);
+            this.options.notify('Could not update your account: ' + AuthComponent.describeError(error));
+        }
+    }
+
+    /**
+     * Apply for a business account from the account modal
+     * @param {Event} event - Form submit event
+     */
+    async handleBusinessApplication(event) {
+        event.preventDefault();
+
+        try {
+            this.profile = await this.accounts.requestBusinessVerification(event.target.businessName.value);
+            event.target.reset();
+            this.renderHeader();
+            this.renderBusinessStatus();
+            this.options.notify('Thanks! An admin will review your business account.');
+            if (this.options.onChange) {
+                this.options.onChange(this.profile, 'USER_UPDATED');
+            }
+        } catch (error) {
+            console.error('Business application error:', error);
+            this.options.notify('Could not apply for a business account: ' + AuthComponent.describeError(error));
+        }
+    }
+
+    /**
+     * Finish an emailed link that returned to this page
+     */
+    async handleAuthRedirect() {
+        try {
+            const type = await this.accounts.handleAuthRedirect();
+            if (type === 'signup') {
+                this.options.notify('Your email is confirmed. Welcome!');
+            } else if (type === 'email_change') {
+                this.options.notify('Your new email is confirmed.');
+            }
+        } catch (error) {
+            console.error('Auth redirect error:', error);
+            this.options.notify('This link could not be used: ' + AuthComponent.describeError(error) + '. Please request a new one.');
+        }
+    }
+
+    /**
+     * Turn a failed request into a message the user can act on
+     * @param {Error} error - Any error, usually a SupabaseError
+     * @returns {string}
+     */
+    static describeError(error) {
+        if (!(error instanceof SupabaseError)) {
+            return error.message;
+        }
+        if (error.isUniqueViolation()) {
+            const source = `${error.constraint || ''} ${error.details || ''}`;
+            if (source.includes('nickname')) return 'Nickname already taken';
+            if (source.includes('email')) return 'Email already registered';
+            return 'That entry already exists';
+        }
+        if (error.code === 'invalid_credentials' || error.code === 'invalid_grant') {
+            return 'Invalid nickname or password';
+        }
+        if (error.code === 'user_already_exists' || /already registered/i.test(error.message)) {
+            return 'Email already registered';
+        }
+        if (error.code === 'otp_expired') {
+            return 'The link has expired';
+        }
+        if (error.code === 'same_password') {
+            return 'The new password must be different from the old one';
+        }
+        if (error.code === 'email_not_confirmed') {
+            return error.message.replace(/^Supabase Auth Error: /, '');
+        }
+        if (error.isNetworkError()) {
+            return 'Could not reach the server. Please check your connection and try again.';
+        }
+        if (error.isAuthError()) {
+            return 'Your session has expired. Please login again.';
+        }
+        if (error.isPermissionDenied()) {
+            return 'You do not have permission to do that.';
+        }
+        return error.message;
+    }
+
+    /**
+     * Badge shown next to the nickname for admins and business accounts
+     * @param {Object} profile - Signed-in profile
+     * @returns {string}
+     */
+    static roleBadge(profile) {
+        if (profile.role === 'admin') {
+            return '<span class="business-badge">Admin</span>';
+        }
+        if (profile.role !== 'business') {
+            return '';
+        }
+        if (profile.business_status === 'approved') {
+            return '<span class="business-badge">Verified Business</span>';
+        }
+        if (profile.business_status === 'pending') {
+            return '<span class="business-badge pending">Pending Approval</span>';
+        }
+        return '';
+    }
+
+    /**
+     * Escape text for use in innerHTML
+     * @param {string} text - Untrusted text
+     * @returns {string}
+     */
+    static escapeHtml(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthComponent;
+}
@@ -5,239 +5,533 @@
 const supabaseUrl = 'https://smlmbqzperdkazkmuroy.supabase.co';
 const supabaseAnonKey = 'sb_publishable__QYASfvhAe8dre9r9Hccfw_ocyG6eKA'; // TODO: Replace with your actual Anon Key
 const supabase = new SupabaseClient(supabaseUrl, supabaseAnonKey);
-supabase.signIn('test@test.com', 'test');
+
+const accounts = new AccountService(supabase);
 
 // State
 let currentUser = null;
+let authUI = null;
+let commentsLive = false;
+
+// Rendered comment cards by id, kept in sync by the realtime feed
+const commentCards = new Map();
+
+// Cancels in-flight reads and leaves the realtime channel when the user leaves the page
+let pageAbortController = new AbortController();
+window.addEventListener('pagehide', () => {
+    pageAbortController.abort();
+    supabase.removeAllChannels();
+});
+
+// Coming back through the back/forward cache: the old controller is aborted, the
+// realtime channel is gone, and loads it cancelled may have left the lists half-filled
+window.addEventListener('pageshow', event => {
+    if (!event.persisted) {
+        return;
+    }
+    pageAbortController = new AbortController();
+    subscribeToComments();
+    loadComments();
+    loadVenues();
+    loadBusinessApplications();
+});
 
 // Initialization
 document.addEventListener('DOMContentLoaded', () => {
-    checkSession();
-    loadComments();
+    authUI = new AuthComponent(accounts, {
+        // Fires with the restored session straight away, then on every sign in/out (also from other tabs)
+        onChange: profile => {
+            currentUser = profile;
+            updateCommentInput();
+            // Reply and moderation buttons depend on the role
+            loadComments();
+            loadVenues();
+            loadBusinessApplications();
+        }
+    }).mount();
+    subscribeToComments();
 });
 
-// Auth Functions
-function checkSession() {
-    const userJson = localStorage.getItem('tripPlannerUser');
-    if (userJson) {
-        currentUser = JSON.parse(userJson);
-        updateUIForLoggedInUser();
-    } else {
-        updateUIForLoggedOutUser();
-    }
-}
+// Only logged in users get the comment box; the other panels follow the role
+function updateCommentInput() {
+    document.getElementById('commentInputSection').style.display = accounts.can('comment:create') ? 'block' : 'none';
+    document.getElementById('loginPrompt').style.display = currentUser ? 'none' : 'block';
+    document.getElementById('venueForm').style.display = accounts.can('venue:promote') ? 'block' : 'none';
+    document.getElementById('businessReviewSection').style.display = accounts.can('business:review') ? 'block' : 'none';
 
-function updateUIForLoggedInUser() {
-    document.getElementById('authButtons').style.display = 'none';
-    document.getElementById('userControls').style.display = 'block';
-    document.getElementById('userGreeting').textContent = `Welcome, ${currentUser.nickname}`;
-    
-    document.getElementById('commentInputSection').style.display = 'block';
-    document.getElementById('loginPrompt').style.display = 'none';
+    const pending = currentUser && currentUser.role === 'business' && currentUser.business_status === 'pending';
+    document.getElementById('businessPendingNotice').style.display = pending ? 'block' : 'none';
 }
 
-function updateUIForLoggedOutUser() {
-    document.getElementById('authButtons').style.display = 'block';
-    document.getElementById('userControls').style.display = 'none';
-    
-    document.getElementById('commentInputSection').style.display = 'none';
-    document.getElementById('loginPrompt').style.display = 'block';
-}
+// Comment Functions
+async function loadComments() {
+    const commentsList = document.getElementById('commentsList');
+    commentsList.innerHTML = '<p>Loading comments...</p>';
+
+    try {
+        // Fetch the latest comments ordered by date (descending), then their replies
+        const comments = await supabase.from('comments')
+            .select('*')
+            .is('parent_id', null)
+            .order('created_at', { ascending: false })
+            .limit(50)
+            .abortSignal(pageAbortController.signal);
+
+        commentsList.innerHTML = '';
+        commentCards.clear();
+
+        if (!comments || comments.length === 0) {
+            commentsList.innerHTML = '<p>No comments yet. Be the first to share!</p>';
+            return;
+        }
+
+        const replies = await supabase.from('comments')
+            .select('*')
+            .in('parent_id', comments.map(comment => comment.id))
+            .order('created_at', { ascending: true })
+            .abortSignal(pageAbortController.signal);
+
+        comments.forEach(comment => {
+            const card = renderComment(comment);
+            const thread = card.querySelector('.comment-replies');
+            commentCards.set(String(comment.id), card);
+            replies
+                .filter(reply => reply.parent_id === comment.id)
+                .forEach(reply => {
+                    const replyCard = renderComment(reply);
+                    commentCards.set(String(reply.id), replyCard);
+                    thread.appendChild(replyCard);
+                });
+            commentsList.appendChild(card);
+        });
 
-function logout() {
-    localStorage.removeItem('tripPlannerUser');
-    currentUser = null;
-    updateUIForLoggedOutUser();
-    alert('Logged out successfully');
+    } catch (error) {
+        if (error instanceof SupabaseError && error.isAborted()) {
+            return;
+        }
+        console.error('Error loading comments:', error);
+        commentsList.innerHTML = `<p>Error loading comments. ${escapeHtml(AuthComponent.describeError(error))}</p>`;
+    }
 }
 
-// Modal Functions
-function openRegisterForm() {
-    document.getElementById('registerModal').style.display = 'block';
+function renderComment(comment) {
+    const date = new Date(comment.created_at).toLocaleDateString();
+    const isReply = comment.parent_id !== null && comment.parent_id !== undefined;
+    const canReply = !isReply && accounts.can('comment:reply-official');
+    const canModerate = accounts.can('comment:moderate');
+
+    const card = document.createElement('div');
+    card.className = 'comment-card'
+        + (isReply ? ' comment-reply' : '')
+        + (comment.is_official ? ' official-reply' : '')
+        + (comment.hidden ? ' comment-hidden' : '');
+    card.innerHTML = `
+        <div class="comment-header">
+            <div class="comment-author">
+                ${escapeHtml(comment.user_nickname)}
+                ${roleBadge(comment.user_role)}
+                ${comment.is_official ? '<span class="official-badge">Official Reply</span>' : ''}
+                ${comment.hidden ? '<span class="hidden-badge">Hidden</span>' : ''}
+            </div>
+            <div class="comment-date">${date}</div>
+        </div>
+        <div class="comment-body">
+            ${escapeHtml(comment.content)}
+        </div>
+        <div class="comment-actions">
+            ${canReply ? '<button class="comment-action-btn" data-action="reply">Reply as Business</button>' : ''}
+            ${canModerate ? `<button class="comment-action-btn" data-action="hide">${comment.hidden ? 'Unhide' : 'Hide'}</button>` : ''}
+            ${canModerate ? '<button class="comment-action-btn danger" data-action="delete">Delete</button>' : ''}
+        </div>
+        ${canReply ? `
+        <div class="reply-form" style="display: none;">
+            <textarea placeholder="Write an official reply..."></textarea>
+            <button class="submit-comment-btn">Post Reply</button>
+        </div>` : ''}
+        <div class="comment-replies"></div>
+    `;
+
+    const actions = card.querySelector('.comment-actions');
+    actions.addEventListener('click', event => {
+        const action = event.target.dataset.action;
+        if (action === 'reply') {
+            const form = card.querySelector('.reply-form');
+            form.style.display = form.style.display === 'none' ? 'block' : 'none';
+        } else if (action === 'hide') {
+            setCommentHidden(comment, !comment.hidden);
+        } else if (action === 'delete') {
+            deleteComment(comment);
+        }
+    });
+
+    if (canReply) {
+        const form = card.querySelector('.reply-form');
+        form.querySelector('button').addEventListener('click', () => {
+            submitReply(comment, form.querySelector('textarea'));
+        });
+    }
+
+    return card;
 }
 
-function closeRegisterForm() {
-    document.getElementById('registerModal').style.display = 'none';
+// Live updates
+function subscribeToComments() {
+    let missedChanges = false;
+    supabase.channel('comments-feed')
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, handleCommentChange)
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'comment_moderation' },
+            change => recheckComment(change.new.comment_id))
+        .subscribe(status => {
+            commentsLive = status === 'SUBSCRIBED';
+            updateLiveStatus(status);
+            if (commentsLive && missedChanges) {
+                // Catch up on anything that changed while the connection was down
+                loadComments();
+            }
+            missedChanges = !commentsLive;
+        });
 }
 
-function openLoginForm() {
-    document.getElementById('loginModal').style.display = 'block';
+function handleCommentChange(change) {
+    if (change.eventType === 'INSERT') {
+        addCommentCard(change.new);
+    } else if (change.eventType === 'UPDATE') {
+        replaceCommentCard(change.new);
+    } else if (change.eventType === 'DELETE') {
+        removeCommentCard(change.old.id);
+    }
 }
 
-function closeLoginForm() {
-    document.getElementById('loginModal').style.display = 'none';
+// A comment was hidden or unhidden. Realtime only sends that UPDATE to people who can
+// see the new row, so ask again and show whatever the select policy allows now.
+async function recheckComment(commentId) {
+    if (!commentCards.has(String(commentId))) {
+        return; // Unhidden comments arrive as an UPDATE
+    }
+
+    try {
+        const rows = await supabase.from('comments')
+            .select('*')
+            .eq('id', commentId)
+            .abortSignal(pageAbortController.signal);
+        if (rows && rows.length > 0) {
+            replaceCommentCard(rows[0]);
+        } else {
+            removeCommentCard(commentId);
+        }
+    } catch (error) {
+        if (!(error instanceof SupabaseError && error.isAborted())) {
+            console.error('Error checking comment:', error);
+        }
+    }
 }
 
-function toggleBusinessFields() {
-    const type = document.getElementById('accountType').value;
-    const businessFields = document.getElementById('businessFields');
-    if (type === 'business') {
-        businessFields.style.display = 'block';
-        document.getElementById('businessName').required = true;
+function addCommentCard(comment) {
+    const id = String(comment.id);
+    if (commentCards.has(id)) {
+        return;
+    }
+
+    const card = renderComment(comment);
+    if (comment.parent_id === null || comment.parent_id === undefined) {
+        const commentsList = document.getElementById('commentsList');
+        commentsList.querySelectorAll(':scope > p').forEach(placeholder => placeholder.remove());
+        commentsList.prepend(card);
     } else {
-        businessFields.style.display = 'none';
-        document.getElementById('businessName').required = false;
+        const parent = commentCards.get(String(comment.parent_id));
+        if (!parent) {
+            return; // Reply to a comment that isn't on the page
+        }
+        parent.querySelector('.comment-replies').appendChild(card);
     }
+    card.classList.add('comment-new');
+    commentCards.set(id, card);
 }
 
-// Window click to close modals
-window.onclick = function(event) {
-    const registerModal = document.getElementById('registerModal');
-    const loginModal = document.getElementById('loginModal');
-    if (event.target == registerModal) {
-        closeRegisterForm();
+function replaceCommentCard(comment) {
+    const id = String(comment.id);
+    const oldCard = commentCards.get(id);
+    if (!oldCard) {
+        addCommentCard(comment); // e.g. unhidden by an admin
+        return;
+    }
+
+    const card = renderComment(comment);
+    card.querySelector('.comment-replies').replaceWith(oldCard.querySelector(':scope > .comment-replies'));
+    oldCard.replaceWith(card);
+    commentCards.set(id, card);
+}
+
+function removeCommentCard(commentId) {
+    const id = String(commentId);
+    const card = commentCards.get(id);
+    if (!card) {
+        return;
+    }
+
+    card.querySelectorAll('.comment-card').forEach(reply => {
+        commentCards.forEach((value, key) => {
+            if (value === reply) commentCards.delete(key);
+        });
+    });
+    commentCards.delete(id);
+    card.remove();
+
+    const commentsList = document.getElementById('commentsList');
+    if (!commentsList.querySelector('.comment-card')) {
+        commentsList.innerHTML = '<p>No comments yet. Be the first to share!</p>';
     }
-    if (event.target == loginModal) {
-        closeLoginForm();
+}
+
+function updateLiveStatus(status) {
+    const labels = {
+        SUBSCRIBED: 'Live',
+        CHANNEL_ERROR: 'Reconnecting...',
+        TIMED_OUT: 'Reconnecting...',
+        CLOSED: 'Offline'
+    };
+    const indicator = document.getElementById('liveStatus');
+    indicator.textContent = labels[status] || '';
+    indicator.className = 'live-status' + (status === 'SUBSCRIBED' ? ' live' : '');
+}
+
+// Without live updates, reload to show your own changes
+function refreshIfNotLive() {
+    if (!commentsLive) {
+        loadComments();
     }
 }
 
-// Auth Handlers
-async function handleRegister(event) {
-    event.preventDefault();
-    const nickname = document.getElementById('nickname').value;
-    const email = document.getElementById('email').value;
-    const password = document.getElementById('password').value;
-    const type = document.getElementById('accountType').value;
-    const businessName = document.getElementById('businessName').value;
+// Badge shown next to an author; roles are set by the server, not the poster
+function roleBadge(role) {
+    if (role === 'business') return '<span class="business-badge">Verified Business</span>';
+    if (role === 'admin') return '<span class="admin-badge">Admin</span>';
+    return '';
+}
 
-    try {
-        // Check if user already exists
-        const existingUsers = await supabase.query('users', { nickname: nickname });
-        if (existingUsers && existingUsers.length > 0) {
-            alert('Nickname already taken');
-            return;
-        }
+async function submitComment() {
+    if (!accounts.can('comment:create')) {
+        alert('Please login to post a comment');
+        return;
+    }
+
+    const textarea = document.getElementById('commentText');
+    const content = textarea.value.trim();
+
+    if (!content) {
+        alert('Please write something!');
+        return;
+    }
 
-        const newUser = {
-            nickname: nickname,
-            email: email,
-            password: password, // In a real app, hash this!
-            role: type,
-            business_name: type === 'business' ? businessName : null,
+    try {
+        // author_id, user_nickname and user_role are filled in from the profile on the server
+        const newComment = {
+            content: content,
             created_at: new Date().toISOString()
         };
 
-        const result = await supabase.insert('users', newUser);
+        await supabase.insert('comments', newComment);
         
-        // Supabase REST insert returns array of inserted records
-        if (result && result.length > 0) {
-            alert('Registration successful! Please login.');
-            closeRegisterForm();
-        } else {
-            // Fallback for mock environment or if return=representation not set
-             alert('Registration request sent. Please try logging in.');
-             closeRegisterForm();
-        }
+        textarea.value = '';
+        refreshIfNotLive(); // The realtime feed adds the new comment
+        alert('Comment posted!');
 
     } catch (error) {
-        console.error('Registration error:', error);
-        alert('Registration failed: ' + error.message);
+        console.error('Error posting comment:', error);
+        alert('Failed to post comment: ' + AuthComponent.describeError(error));
     }
 }
 
-async function handleLogin(event) {
-    event.preventDefault();
-    const nickname = document.getElementById('loginNickname').value;
-    const password = document.getElementById('loginPassword').value;
+async function submitReply(parent, textarea) {
+    if (!accounts.can('comment:reply-official')) {
+        alert('Only verified business accounts can post official replies.');
+        return;
+    }
+
+    const content = textarea.value.trim();
+    if (!content) {
+        alert('Please write something!');
+        return;
+    }
 
     try {
-        const users = await supabase.query('users', { nickname: nickname, password: password });
-        
-        if (users && users.length > 0) {
-            currentUser = users[0];
-            localStorage.setItem('tripPlannerUser', JSON.stringify(currentUser));
-            updateUIForLoggedInUser();
-            closeLoginForm();
-            alert('Login successful!');
-        } else {
-            alert('Invalid nickname or password');
-        }
+        await supabase.insert('comments', {
+            content: content,
+            parent_id: parent.id,
+            is_official: true,
+            created_at: new Date().toISOString()
+        });
+        refreshIfNotLive();
     } catch (error) {
-        console.error('Login error:', error);
-        alert('Login failed: ' + error.message);
+        console.error('Error posting reply:', error);
+        alert('Failed to post reply: ' + AuthComponent.describeError(error));
     }
 }
 
-// Comment Functions
-async function loadComments() {
-    const commentsList = document.getElementById('commentsList');
-    commentsList.innerHTML = '<p>Loading comments...</p>';
+// Moderation (admins)
+async function setCommentHidden(comment, hidden) {
+    try {
+        await supabase.update('comments', { id: comment.id }, { hidden: hidden });
+        refreshIfNotLive();
+    } catch (error) {
+        console.error('Error moderating comment:', error);
+        alert('Failed to update comment: ' + AuthComponent.describeError(error));
+    }
+}
+
+async function deleteComment(comment) {
+    if (!confirm('Delete this comment and its replies?')) {
+        return;
+    }
 
     try {
-        // Fetch comments ordered by date (descending)
-        // Note: Our supabase client might need update to support order properly if not working
-        const comments = await supabase.read('comments', { 
-            order: { column: 'created_at', direction: 'desc' },
-            limit: 50
-        });
+        await supabase.delete('comments', { id: comment.id });
+        refreshIfNotLive();
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        alert('Failed to delete comment: ' + AuthComponent.describeError(error));
+    }
+}
 
-        commentsList.innerHTML = '';
+// Venue promotions (verified businesses)
+async function loadVenues() {
+    const venueList = document.getElementById('venueList');
 
-        if (!comments || comments.length === 0) {
-            commentsList.innerHTML = '<p>No comments yet. Be the first to share!</p>';
+    try {
+        const venues = await supabase.from('venue_promotions')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(10)
+            .abortSignal(pageAbortController.signal);
+
+        const canModerate = accounts.can('comment:moderate');
+        venueList.innerHTML = '';
+        if (!venues || venues.length === 0) {
+            venueList.innerHTML = '<p>No featured venues yet.</p>';
             return;
         }
 
-        comments.forEach(comment => {
-            const date = new Date(comment.created_at).toLocaleDateString();
-            const isBusiness = comment.user_role === 'business';
-            
+        venues.forEach(venue => {
+            const isOwner = currentUser && venue.business_id === currentUser.id;
             const card = document.createElement('div');
-            card.className = 'comment-card';
+            card.className = 'venue-card' + (venue.hidden ? ' comment-hidden' : '');
             card.innerHTML = `
-                <div class="comment-header">
-                    <div class="comment-author">
-                        ${escapeHtml(comment.user_nickname)}
-                        ${isBusiness ? '<span class="business-badge">Shop Owner</span>' : ''}
-                    </div>
-                    <div class="comment-date">${date}</div>
-                </div>
-                <div class="comment-body">
-                    ${escapeHtml(comment.content)}
+                <div class="venue-name">
+                    ${escapeHtml(venue.venue_name)}
+                    ${venue.tour_type ? `<span class="venue-tag">${escapeHtml(venue.tour_type)} tour</span>` : ''}
+                    ${venue.hidden ? '<span class="hidden-badge">Hidden</span>' : ''}
                 </div>
+                <p>${escapeHtml(venue.description)}</p>
+                ${/^https?:\/\//.test(venue.url || '') ? `<a href="${escapeHtml(venue.url)}" target="_blank" rel="noopener">Visit website</a>` : ''}
+                ${canModerate ? `<button class="comment-action-btn" data-action="hide">${venue.hidden ? 'Unhide' : 'Hide'}</button>` : ''}
+                ${canModerate || isOwner ? '<button class="comment-action-btn danger" data-action="delete">Remove</button>' : ''}
             `;
-            commentsList.appendChild(card);
+            card.addEventListener('click', event => {
+                if (event.target.dataset.action === 'hide') {
+                    moderateVenue(venue, { hidden: !venue.hidden });
+                } else if (event.target.dataset.action === 'delete') {
+                    moderateVenue(venue, null);
+                }
+            });
+            venueList.appendChild(card);
         });
+    } catch (error) {
+        if (error instanceof SupabaseError && error.isAborted()) {
+            return;
+        }
+        console.error('Error loading venues:', error);
+        venueList.innerHTML = `<p>Error loading venues. ${escapeHtml(AuthComponent.describeError(error))}</p>`;
+    }
+}
+
+async function submitVenue(event) {
+    event.preventDefault();
+    if (!accounts.can('venue:promote')) {
+        alert('Only verified business accounts can promote a venue.');
+        return;
+    }
 
+    const form = event.target;
+    try {
+        await supabase.insert('venue_promotions', {
+            venue_name: form.venueName.value.trim(),
+            description: form.venueDescription.value.trim(),
+            url: form.venueUrl.value.trim() || null,
+            tour_type: form.venueTourType.value || null
+        });
+        form.reset();
+        loadVenues();
+        alert('Your venue is now featured!');
     } catch (error) {
-        console.error('Error loading comments:', error);
-        commentsList.innerHTML = '<p>Error loading comments. Please try again later.</p>';
+        console.error('Error promoting venue:', error);
+        alert('Failed to promote venue: ' + AuthComponent.describeError(error));
     }
 }
 
-async function submitComment() {
-    if (!currentUser) {
-        alert('Please login to post a comment');
+// Updates the promotion, or deletes it when changes is null
+async function moderateVenue(venue, changes) {
+    if (!changes && !confirm(`Remove ${venue.venue_name}?`)) {
         return;
     }
 
-    const textarea = document.getElementById('commentText');
-    const content = textarea.value.trim();
+    try {
+        if (changes) {
+            await supabase.update('venue_promotions', { id: venue.id }, changes);
+        } else {
+            await supabase.delete('venue_promotions', { id: venue.id });
+        }
+        loadVenues();
+    } catch (error) {
+        console.error('Error updating venue:', error);
+        alert('Failed to update venue: ' + AuthComponent.describeError(error));
+    }
+}
 
-    if (!content) {
-        alert('Please write something!');
+// Business account review (admins)
+async function loadBusinessApplications() {
+    if (!accounts.can('business:review')) {
         return;
     }
 
+    const list = document.getElementById('businessApplications');
     try {
-        const newComment = {
-            user_id: currentUser.id,
-            user_nickname: currentUser.nickname,
-            user_role: currentUser.role,
-            content: content,
-            created_at: new Date().toISOString()
-        };
+        const applications = await accounts.listBusinessApplications();
+        list.innerHTML = '';
+        if (applications.length === 0) {
+            list.innerHTML = '<p>No business accounts waiting for approval.</p>';
+            return;
+        }
 
-        await supabase.insert('comments', newComment);
-        
-        textarea.value = '';
-        loadComments(); // Reload comments to show the new one
-        alert('Comment posted!');
+        applications.forEach(application => {
+            const row = document.createElement('div');
+            row.className = 'application-row';
+            row.innerHTML = `
+                <span><strong>${escapeHtml(application.business_name)}</strong> (${escapeHtml(application.nickname)})</span>
+                <span>
+                    <button class="comment-action-btn" data-status="approved">Approve</button>
+                    <button class="comment-action-btn danger" data-status="rejected">Reject</button>
+                </span>
+            `;
+            row.addEventListener('click', event => {
+                if (event.target.dataset.status) {
+                    reviewBusiness(application, event.target.dataset.status);
+                }
+            });
+            list.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Error loading business applications:', error);
+        list.innerHTML = `<p>Error loading applications. ${escapeHtml(AuthComponent.describeError(error))}</p>`;
+    }
+}
 
+async function reviewBusiness(application, status) {
+    try {
+        await accounts.setBusinessStatus(application.id, status);
+        loadBusinessApplications();
     } catch (error) {
-        console.error('Error posting comment:', error);
-        alert('Failed to post comment: ' + error.message);
+        console.error('Error reviewing business:', error);
+        alert('Failed to review business: ' + AuthComponent.describeError(error));
     }
 }
 
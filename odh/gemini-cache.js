@@ -0,0 +1,380 @@
+/**
+ * Response cache for Gemini requests
+ *
+ * Stores answers under a hash of the normalized request, in tiers that are read in
+ * order: memory (this page) and localStorage (this browser). A hit in a slower tier is
+ * copied into the faster ones. Identical requests made while one is still running share
+ * its answer instead of calling Gemini again. Answers shared between visitors are kept
+ * by the Gemini proxy instead (see gemini-proxy.js), since only the server may write them.
+ *
+ * Usage:
+ *   const cache = new GeminiCache([
+ *       new MemoryCacheStore(),
+ *       new LocalStorageCacheStore()
+ *   ], { ttl: 6 * 60 * 60 * 1000 });
+ *
+ *   const agent = new TripPlannerAgent(transport, 'gemini-2.5-flash', { cache });
+ *   const itinerary = await agent.generateItinerary(details, {
+ *       onCacheHit: ({ store }) => console.log(`Plan from the ${store} cache`)
+ *   });
+ *   const fresh = await agent.generateItinerary(details, { refresh: true });   // "Regenerate"
+ *
+ *   // Anything else
+ *   const key = await cache.keyFor({ model, prompt });
+ *   const text = await cache.wrap(key, () => gemini.generateContent(prompt));
+ *
+ *   await cache.clear();   // On sign out, so the next person on this browser starts fresh
+ */
+
+class GeminiCache {
+    static DEFAULTS = {
+        ttl: 6 * 60 * 60 * 1000   // How long answers are kept, in ms
+    };
+
+    /**
+     * @param {Array<Object>} stores - Tiers, fastest first: objects with name, get(key) => { value, expiresAt } | null,
+     *   set(key, entry), delete(key) and clear(), each of which may return a promise
+     * @param {Object} options - See GeminiCache.DEFAULTS
+     */
+    constructor(stores = [new MemoryCacheStore()], options = {}) {
+        this.stores = stores;
+        this.options = { ...GeminiCache.DEFAULTS, ...options };
+        this.now = options.now || (() => Date.now());
+        this.pending = new Map();   // key => promise of the request running for it
+        this.generation = 0;        // Bumped by clear(), so answers asked for before it aren't kept
+    }
+
+    /**
+     * Look a key up in each tier in turn. Failing tiers are skipped.
+     * @param {string} key - Cache key (see hashKey)
+     * @returns {Promise<Object|null>} - { value, store: name of the tier it came from }, or null
+     */
+    async get(key) {
+        for (let i = 0; i < this.stores.length; i++) {
+            const store = this.stores[i];
+            let entry;
+            try {
+                entry = await store.get(key);
+            } catch (error) {
+                console.error(`Error reading the ${store.name} cache:`, error);
+                continue;
+            }
+            if (!entry) {
+                continue;
+            }
+            if (entry.expiresAt <= this.now()) {
+                await this.deleteFrom([store], key);
+                continue;
+            }
+            // Keep it closer for next time, until the same expiry
+            await this.writeTo(this.stores.slice(0, i), key, entry);
+            return { value: entry.value, store: store.name };
+        }
+        return null;
+    }
+
+    /**
+     * Store a value in every tier. Failing tiers are logged and skipped.
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {Object} options - { ttl } to override the default
+     */
+    async set(key, value, { ttl = this.options.ttl } = {}) {
+        await this.writeTo(this.stores, key, { value, expiresAt: this.now() + ttl });
+    }
+
+    /**
+     * Remove a key from every tier
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        await this.deleteFrom(this.stores, key);
+    }
+
+    /**
+     * Remove everything from every tier. Requests still running are not cached.
+     */
+    async clear() {
+        this.generation++;
+        this.pending.clear();
+        for (const store of this.stores) {
+            try {
+                await store.clear();
+            } catch (error) {
+                console.error(`Error clearing the ${store.name} cache:`, error);
+            }
+        }
+    }
+
+    /**
+     * Cache key for a request
+     * @param {*} request - JSON-serializable description of everything that shapes the answer
+     * @returns {Promise<string>} - See hashKey
+     */
+    keyFor(request) {
+        return GeminiCache.hashKey(request);
+    }
+
+    /**
+     * Answer from the cache, or run the request and cache what it returns. Calls with
+     * the same key while a request runs wait for it instead of starting their own.
+     * @param {string} key - Cache key
+     * @param {Function} request - () => Promise of the value
+     * @param {Object} options - refresh (skip reading the cache, still store the answer),
+     *   signal (stop waiting for someone else's request), onHit (({ key, store }) => void;
+     *   store is the tier, or 'pending' for a shared request), ttl
+     * @returns {Promise<*>} - The value
+     */
+    async wrap(key, request, options = {}) {
+        const { refresh = false, signal, onHit, ttl } = options;
+
+        if (!refresh && this.pending.has(key)) {
+            const shared = this.pending.get(key);
+            if (onHit) onHit({ key, store: 'pending' });
+            try {
+                return await GeminiCache.untilAborted(shared, signal);
+            } catch (error) {
+                // The request we were waiting for was stopped by its caller, not by us
+                if (error.name === 'AbortError' && !(signal && signal.aborted)) {
+                    if (this.pending.get(key) === shared) {
+                        this.pending.delete(key);
+                    }
+                    return this.wrap(key, request, options);
+                }
+                throw error;
+            }
+        }
+
+        const running = (async () => {
+            if (!refresh) {
+                const hit = await this.get(key);
+                if (hit) {
+                    if (onHit) onHit({ key, store: hit.store });
+                    return hit.value;
+                }
+            }
+            const generation = this.generation;
+            const value = await request();
+            if (generation === this.generation) {
+                await this.set(key, value, { ttl });
+            }
+            return value;
+        })();
+
+        this.pending.set(key, running);
+        try {
+            return await running;
+        } finally {
+            if (this.pending.get(key) === running) {
+                this.pending.delete(key);
+            }
+        }
+    }
+
+    /**
+     * @param {Array<Object>} stores - Tiers to write
+     * @param {string} key - Cache key
+     * @param {Object} entry - { value, expiresAt }
+     */
+    async writeTo(stores, key, entry) {
+        for (const store of stores) {
+            try {
+                await store.set(key, entry);
+            } catch (error) {
+                console.error(`Error writing the ${store.name} cache:`, error);
+            }
+        }
+    }
+
+    /**
+     * @param {Array<Object>} stores - Tiers to delete from
+     * @param {string} key - Cache key
+     */
+    async deleteFrom(stores, key) {
+        for (const store of stores) {
+            try {
+                await store.delete(key);
+            } catch (error) {
+                console.error(`Error deleting from the ${store.name} cache:`, error);
+            }
+        }
+    }
+
+    /**
+     * SHA-256 of a value, the same for objects whose keys are in a different order
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<string>} - Hex digest
+     */
+    static async hashKey(value) {
+        const bytes = new TextEncoder().encode(GeminiCache.stableStringify(value));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * JSON.stringify with object keys sorted
+     * @param {*} value - JSON-serializable value
+     * @returns {string}
+     */
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => GeminiCache.stableStringify(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${GeminiCache.stableStringify(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Wait for a promise, giving up with an AbortError when the signal fires
+     * @param {Promise} promise - What to wait for
+     * @param {AbortSignal} signal - Optional signal
+     * @returns {Promise<*>}
+     */
+    static untilAborted(promise, signal) {
+        if (!signal) {
+            return promise;
+        }
+        if (signal.aborted) {
+            return Promise.reject(GeminiCache.abortError());
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(GeminiCache.abortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    static abortError() {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+/**
+ * Tier kept in memory for the life of the page, dropping the least recently used entries
+ */
+class MemoryCacheStore {
+    /**
+     * @param {Object} options - { maxEntries (default 50) }
+     */
+    constructor({ maxEntries = 50 } = {}) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        // Map keeps insertion order, so re-inserting marks it as recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Tier kept in localStorage, so answers survive a reload. When the storage is full
+ * the entries that expire soonest make room.
+ */
+class LocalStorageCacheStore {
+    /**
+     * @param {Object} options - storage (default localStorage), prefix (of the storage keys,
+     *   default 'gemini-cache:'), maxEntries (default 20)
+     */
+    constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null, prefix = 'gemini-cache:', maxEntries = 20 } = {}) {
+        if (!storage) {
+            throw new Error('LocalStorageCacheStore needs a storage such as localStorage');
+        }
+        this.name = 'localStorage';
+        this.storage = storage;
+        this.prefix = prefix;
+        this.maxEntries = maxEntries;
+    }
+
+    get(key) {
+        const stored = this.storage.getItem(this.prefix + key);
+        if (!stored) {
+            return null;
+        }
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            this.delete(key);
+            return null;
+        }
+    }
+
+    set(key, entry) {
+        const json = JSON.stringify(entry);
+        this.evict(this.maxEntries - 1, key);
+        try {
+            this.storage.setItem(this.prefix + key, json);
+        } catch (error) {
+            // Full: make room and try once more
+            this.evict(0, key);
+            this.storage.setItem(this.prefix + key, json);
+        }
+    }
+
+    delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    clear() {
+        this.evict(0);
+    }
+
+    /**
+     * Drop the entries that expire soonest until at most `keep` others are left
+     * @param {number} keep - Entries to keep
+     * @param {string} except - Key being written (optional)
+     */
+    evict(keep, except) {
+        const entries = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const storageKey = this.storage.key(i);
+            if (storageKey && storageKey.startsWith(this.prefix) && (except === undefined || storageKey !== this.prefix + except)) {
+                let expiresAt = 0;
+                try {
+                    expiresAt = JSON.parse(this.storage.getItem(storageKey)).expiresAt || 0;
+                } catch (error) {
+                    // Unreadable entries go first
+                }
+                entries.push({ storageKey, expiresAt });
+            }
+        }
+        entries.sort((a, b) => a.expiresAt - b.expiresAt)
+            .slice(0, Math.max(0, entries.length - keep))
+            .forEach(({ storageKey }) => this.storage.removeItem(storageKey));
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GeminiCache, MemoryCacheStore, LocalStorageCacheStore };
+}
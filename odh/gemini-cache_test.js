@@ -0,0 +1,192 @@
+/**
+ * Test file for GeminiCache and its stores
+ *
+ * Run with: node gemini-cache_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var { GeminiCache, MemoryCacheStore, LocalStorageCacheStore } = require('./gemini-cache.js');
+    var { TripPlannerAgent } = require('./gemini.js');
+    var { TestRunner, assert, assertEqual, createMemoryStorage } = require('./supabase_test.js');
+}
+
+// Plans with a fixed itinerary, counting Gemini calls
+function mockPlans(itinerary) {
+    const calls = [];
+    global.fetch = async (url, options) => {
+        calls.push(JSON.parse(options.body));
+        // Let concurrent requests start before this one answers
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return Response.json({ candidates: [{ content: { role: 'model', parts: [{ text: JSON.stringify(itinerary) }] }, finishReason: 'STOP' }] });
+    };
+    return calls;
+}
+
+const itinerary = {
+    title: 'Pandas',
+    summary: 'A day with the pandas',
+    currency: 'HKD',
+    days: [{
+        date: '2026-11-01',
+        title: 'Ocean Park',
+        events: [{
+            startTime: '09:00',
+            endTime: '11:00',
+            title: 'Giant pandas',
+            category: 'wildlife',
+            tourType: 'panda',
+            description: 'Visit the pandas',
+            place: { name: 'Ocean Park' },
+            cost: { amount: 498, per: 'person' },
+            transport: null
+        }]
+    }],
+    tips: []
+};
+
+const details = { arriveDate: '2026-11-01', departureDate: '2026-11-01', numPeople: '2', selectedTours: ['panda', 'eco'], preferences: 'Vegetarian  food ' };
+
+const runner = new TestRunner('GeminiCache');
+const originalFetch = global.fetch;
+
+runner.test('get should read the tiers in order and copy hits into the faster ones', async () => {
+    let now = 1000;
+    const memory = new MemoryCacheStore();
+    const storage = createMemoryStorage();
+    const local = new LocalStorageCacheStore({ storage });
+    const cache = new GeminiCache([memory, local], { ttl: 100, now: () => now });
+
+    await new GeminiCache([local], { ttl: 100, now: () => now }).set('plan', { title: 'Pandas' });
+    assertEqual(memory.get('plan'), null);
+    assertEqual(await cache.get('plan'), { value: { title: 'Pandas' }, store: 'localStorage' });
+    assertEqual(memory.get('plan'), { value: { title: 'Pandas' }, expiresAt: 1100 }, 'Should keep the same expiry');
+    assertEqual((await cache.get('plan')).store, 'memory');
+
+    now = 1100;
+    assertEqual(await cache.get('plan'), null, 'Should ignore expired entries');
+    assertEqual(storage.length, 0, 'Should drop them');
+});
+
+runner.test('wrap should share one request between identical concurrent calls', async () => {
+    const cache = new GeminiCache();
+    let calls = 0;
+    const request = async () => {
+        calls++;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return 'plan ' + calls;
+    };
+    const hits = [];
+    const results = await Promise.all([
+        cache.wrap('key', request),
+        cache.wrap('key', request, { onHit: hit => hits.push(hit.store) })
+    ]);
+    assertEqual([results, calls, hits], [['plan 1', 'plan 1'], 1, ['pending']]);
+
+    assertEqual(await cache.wrap('key', request), 'plan 1', 'Should answer from the cache');
+    assertEqual(await cache.wrap('key', request, { refresh: true }), 'plan 2', 'Should skip the cache when refreshing');
+    assertEqual(await cache.wrap('key', request), 'plan 2', 'Should keep the new answer');
+    assertEqual(calls, 2);
+});
+
+runner.test('wrap should not let one caller cancel the request for another', async () => {
+    const cache = new GeminiCache();
+    let calls = 0;
+    const request = signal => () => new Promise((resolve, reject) => {
+        calls++;
+        if (signal.aborted) {
+            return reject(GeminiCache.abortError());
+        }
+        const timer = setTimeout(() => resolve('plan ' + calls), 20);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(GeminiCache.abortError());
+        });
+    });
+
+    const first = new AbortController();
+    const second = new AbortController();
+    const leader = cache.wrap('key', request(first.signal), { signal: first.signal });
+    const follower = cache.wrap('key', request(second.signal), { signal: second.signal });
+    first.abort();
+
+    const [leaderResult, followerResult] = await Promise.allSettled([leader, follower]);
+    assertEqual(leaderResult.reason.name, 'AbortError');
+    assertEqual(followerResult.value, 'plan 2', 'Should run its own request instead');
+
+    // A follower that gives up stops waiting without stopping the leader
+    const third = new AbortController();
+    const running = cache.wrap('other', request(new AbortController().signal));
+    const waiting = cache.wrap('other', request(third.signal), { signal: third.signal });
+    third.abort();
+    const [runningResult, waitingResult] = await Promise.allSettled([running, waiting]);
+    assertEqual([runningResult.value, waitingResult.reason.name], ['plan 3', 'AbortError']);
+});
+
+runner.test('LocalStorageCacheStore should keep to maxEntries and make room when full', async () => {
+    const storage = createMemoryStorage();
+    const store = new LocalStorageCacheStore({ storage, maxEntries: 2 });
+    store.set('a', { value: 1, expiresAt: 300 });
+    store.set('b', { value: 2, expiresAt: 100 });
+    store.set('c', { value: 3, expiresAt: 200 });
+    assertEqual(Object.keys(storage.items).sort(), ['gemini-cache:a', 'gemini-cache:c'], 'Should drop what expires soonest');
+
+    const small = createMemoryStorage({}, { quota: 80 });
+    const full = new LocalStorageCacheStore({ storage: small });
+    full.set('a', { value: 'x'.repeat(20), expiresAt: 100 });
+    full.set('b', { value: 'y'.repeat(20), expiresAt: 200 });
+    assertEqual(Object.keys(small.items), ['gemini-cache:b']);
+
+    storage.setItem('gemini-cache:broken', '{');
+    assertEqual(store.get('broken'), null);
+    assertEqual(storage.getItem('gemini-cache:broken'), null, 'Should drop unreadable entries');
+});
+
+runner.test('clear should empty every tier and not keep answers still on their way', async () => {
+    const storage = createMemoryStorage({ 'trip-planner-draft': '{}' });
+    const memory = new MemoryCacheStore();
+    const cache = new GeminiCache([memory, new LocalStorageCacheStore({ storage })]);
+    await cache.set('a', 'plan a');
+    await cache.set('b', 'plan b');
+
+    let answer;
+    const running = cache.wrap('c', () => new Promise(resolve => { answer = resolve; }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await cache.clear();
+    answer('plan c');
+    assertEqual(await running, 'plan c', 'Should still answer the caller');
+
+    assertEqual([memory.entries.size, Object.keys(storage.items)], [0, ['trip-planner-draft']], 'Should leave other keys alone');
+    assertEqual(await cache.get('c'), null);
+});
+
+runner.test('generateItinerary should reuse plans for the same normalized request', async () => {
+    const calls = mockPlans(itinerary);
+    const agent = new TripPlannerAgent('key', 'gemini-2.5-flash', { cache: new GeminiCache() });
+
+    const [first, doubleClick] = await Promise.all([
+        agent.generateItinerary(details),
+        agent.generateItinerary(details)
+    ]);
+    assertEqual([first, doubleClick], [itinerary, itinerary]);
+    assertEqual(calls.length, 1, 'Should not call Gemini twice for a double click');
+
+    const hits = [];
+    const same = { ...details, numPeople: 2, selectedTours: ['eco', 'Panda'], preferences: 'vegetarian food' };
+    assertEqual(await agent.generateItinerary(same, { onCacheHit: hit => hits.push(hit.store) }), itinerary);
+    assertEqual([calls.length, hits], [1, ['memory']]);
+
+    await agent.generateItinerary({ ...details, numPeople: 3 });
+    await agent.generateItinerary(details, { temperature: 0.2 });
+    await agent.generateItinerary(details, { refresh: true });
+    await agent.generateItinerary(details, { cache: false });
+    assertEqual(calls.length, 5, 'Other trips, other settings, regenerate and cache: false all call Gemini');
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        global.fetch = originalFetch;
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,531 @@
+/**
+ * Gemini proxy
+ *
+ * Keeps the Gemini API key off the browser. Pages send their Gemini requests here
+ * (GeminiProxyTransport in gemini.js) with the signed-in user's Supabase access
+ * token; the proxy checks the token with Supabase Auth, applies a per-user rate
+ * limit and forwards the request to the Gemini API with the key. Responses, including
+ * streamed server-sent events, are passed back unchanged. Errors use Gemini's error
+ * format ({ error: { code, message, status } }), so GeminiClient reports them the same way.
+ *
+ * Once an answer has been sent, the proxy stores its token counts and estimated cost in
+ * gemini_usage with the service role, from the usageMetadata Gemini returned, so users
+ * can't skip or change them. The X-Plan-Id and X-Usage-Operation request headers
+ * (GeminiProxyTransport sends the request's usageContext) label the row.
+ *
+ * Finished answers are also kept in plan_cache for cacheTtl, under a SHA-256 of the model,
+ * method and request body the proxy sent, and identical requests from anyone are answered
+ * from there without calling Gemini. Only the proxy reads and writes plan_cache, so an
+ * entry is always what Gemini said to exactly that request. Requests sent with
+ * Cache-Control: no-cache ("Regenerate") skip the lookup.
+ *
+ * Routes, relative to basePath (same paths and bodies as the Gemini API):
+ *   POST /models/<model>:generateContent
+ *   POST /models/<model>:streamGenerateContent
+ *   POST /models/<model>:countTokens
+ *
+ * Run:
+ *   GEMINI_API_KEY=... SUPABASE_URL=https://<project>.supabase.co SUPABASE_ANON_KEY=... \
+ *       SUPABASE_SERVICE_ROLE_KEY=... node gemini-proxy.js [port]
+ *
+ * In tests or inside another server:
+ *   const proxy = new GeminiProxy({ apiKey, supabaseUrl, supabaseKey, serviceRoleKey, basePath: '/api/gemini' });
+ *   http.createServer((req, res) => proxy.handle(req, res)).listen(8787);
+ *
+ * Rate limits are kept in memory (rate-limit.js), so they are per proxy process.
+ */
+
+const http = require('http');
+const RateLimiter = require('./rate-limit.js');
+const GeminiUsageTracker = require('./gemini-usage.js');
+const { SseParser } = require('./gemini.js');
+const { GeminiCache } = require('./gemini-cache.js');
+
+class GeminiProxy {
+    static DEFAULTS = {
+        apiKey: null,          // Gemini API key
+        supabaseUrl: null,     // Project URL, to check access tokens
+        supabaseKey: null,     // Anon key, sent with the token check
+        serviceRoleKey: null,  // Writes gemini_usage and plan_cache; never sent to the browser
+        usageTable: 'gemini_usage',
+        cacheTtl: 6 * 60 * 60 * 1000,  // How long answers are kept in plan_cache, in ms; 0 to turn it off
+        geminiUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        basePath: '',          // Prefix in front of the routes, e.g. '/api/gemini'
+        models: ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'],
+        methods: ['generateContent', 'streamGenerateContent', 'countTokens'],
+        rateLimit: { requests: 60, windowMs: 60 * 60 * 1000 },  // Per user
+        maxBodyBytes: 1024 * 1024,
+        maxOutputTokens: 8192, // Cap on generationConfig.maxOutputTokens
+        allowOrigin: '*',      // CORS; requests carry a bearer token, not cookies
+        fetch: null,           // fetch used for Supabase and Gemini (default global fetch)
+        now: () => Date.now()
+    };
+
+    // Gemini's status names for the errors the proxy returns itself
+    static STATUS_NAMES = {
+        400: 'INVALID_ARGUMENT',
+        401: 'UNAUTHENTICATED',
+        404: 'NOT_FOUND',
+        405: 'INVALID_ARGUMENT',
+        413: 'INVALID_ARGUMENT',
+        429: 'RESOURCE_EXHAUSTED',
+        502: 'UNAVAILABLE'
+    };
+
+    /**
+     * @param {Object} options - See GeminiProxy.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...GeminiProxy.DEFAULTS, ...options };
+        if (!this.options.apiKey || !this.options.supabaseUrl || !this.options.supabaseKey || !this.options.serviceRoleKey) {
+            throw new Error('GeminiProxy needs apiKey, supabaseUrl, supabaseKey and serviceRoleKey');
+        }
+        this.fetch = this.options.fetch || ((...args) => fetch(...args));
+        this.limiter = new RateLimiter({ ...this.options.rateLimit, now: () => this.options.now() });
+        this.pendingWrites = new Set();  // Usage rows and cached answers still being stored
+        this.server = null;
+    }
+
+    /**
+     * Handle one HTTP request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @returns {Promise<void>}
+     */
+    async handle(req, res) {
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, {
+                    ...this.corsHeaders(),
+                    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Authorization, Cache-Control, Content-Type, X-Plan-Id, X-Usage-Operation',
+                    'Access-Control-Max-Age': '86400'
+                });
+                res.end();
+                return;
+            }
+            if (req.method !== 'POST') {
+                this.sendError(res, 405, 'Only POST is supported');
+                return;
+            }
+
+            const route = this.parseRoute(req.url);
+            if (!route) {
+                this.sendError(res, 404, 'Unknown model or method');
+                return;
+            }
+
+            const user = await this.authenticate(req.headers['authorization']);
+            if (!user) {
+                this.sendError(res, 401, 'Please log in to use the AI trip planner');
+                return;
+            }
+
+            const limit = this.limiter.check(user.id);
+            res.setHeader('X-RateLimit-Limit', String(this.options.rateLimit.requests));
+            res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+            if (!limit.allowed) {
+                this.sendError(res, 429, `Too many trip planner requests. Try again in ${RateLimiter.formatWait(limit.retryAfter)}.`, {
+                    'Retry-After': String(limit.retryAfter)
+                });
+                return;
+            }
+
+            const body = this.limitOutput(JSON.parse(await this.readBody(req)));
+            const cacheKey = this.options.cacheTtl > 0 && route.method !== 'countTokens'
+                ? await GeminiCache.hashKey({ model: route.model, method: route.method, body })
+                : null;
+            if (cacheKey && !/no-cache/i.test(req.headers['cache-control'] || '')) {
+                const cached = await this.readCache(cacheKey);
+                if (cached) {
+                    res.writeHead(200, {
+                        ...this.corsHeaders(),
+                        'Content-Type': cached.contentType,
+                        'Cache-Control': 'no-store',
+                        'X-Cache': 'HIT'
+                    });
+                    res.end(cached.body);
+                    return;
+                }
+            }
+
+            await this.forward(route, body, res, {
+                userId: user.id,
+                planId: GeminiProxy.label(req.headers['x-plan-id']),
+                operation: GeminiProxy.label(req.headers['x-usage-operation'])
+            }, cacheKey);
+        } catch (error) {
+            if (error.status) {
+                this.sendError(res, error.status, error.message);
+            } else if (error instanceof SyntaxError) {
+                this.sendError(res, 400, 'Request body must be JSON');
+            } else {
+                console.error('Error in Gemini proxy:', error);
+                this.sendError(res, 502, 'Could not reach the Gemini API');
+            }
+        }
+    }
+
+    /**
+     * Match /models/<model>:<method> under basePath against the allowed models and methods
+     * @param {string} url - Request URL (path and query)
+     * @returns {Object|null} - { model, method }
+     */
+    parseRoute(url) {
+        const path = url.split('?')[0];
+        const { basePath, models, methods } = this.options;
+        if (!path.startsWith(`${basePath}/models/`)) {
+            return null;
+        }
+        let decoded;
+        try {
+            decoded = decodeURIComponent(path.slice(basePath.length));
+        } catch (error) {
+            // Malformed escapes such as %E0 can't name a model
+            return null;
+        }
+        const match = decoded.match(/^\/models\/([\w.-]+):(\w+)$/);
+        if (!match || !models.includes(match[1]) || !methods.includes(match[2])) {
+            return null;
+        }
+        return { model: match[1], method: match[2] };
+    }
+
+    /**
+     * Check a bearer token with Supabase Auth
+     * @param {string} authorization - Authorization header
+     * @returns {Promise<Object|null>} - The user, or null when the token is missing or invalid
+     */
+    async authenticate(authorization) {
+        const match = /^Bearer (\S+)$/.exec(authorization || '');
+        if (!match) {
+            return null;
+        }
+        const response = await this.fetch(`${this.options.supabaseUrl.replace(/\/+$/, '')}/auth/v1/user`, {
+            headers: {
+                'apikey': this.options.supabaseKey,
+                'Authorization': `Bearer ${match[1]}`
+            }
+        });
+        if (response.status === 401 || response.status === 403) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Supabase Auth returned ${response.status}`);
+        }
+        const user = await response.json();
+        return user && user.id ? user : null;
+    }
+
+    /**
+     * Keep generationConfig.maxOutputTokens under the configured cap
+     * @param {Object} body - Request body
+     * @returns {Object}
+     */
+    limitOutput(body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw Object.assign(new Error('Request body must be a JSON object'), { status: 400 });
+        }
+        const cap = this.options.maxOutputTokens;
+        const config = body.generationConfig || {};
+        if (!(config.maxOutputTokens <= cap)) {
+            body.generationConfig = { ...config, maxOutputTokens: cap };
+        }
+        return body;
+    }
+
+    /**
+     * Send the request to Gemini with the key and copy the response back, streaming it
+     * as it arrives, then record its usage and cache it. Stops the Gemini request when
+     * the browser goes away.
+     * @param {Object} route - { model, method }
+     * @param {Object} body - Request body
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} usage - { userId, planId, operation } the usage row is stored with
+     * @param {string|null} cacheKey - Where to keep a finished answer in plan_cache
+     * @returns {Promise<void>}
+     */
+    async forward(route, body, res, usage, cacheKey = null) {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+
+        const query = route.method === 'streamGenerateContent' ? '?alt=sse' : '';
+        const upstream = await this.fetch(`${this.options.geminiUrl}/models/${route.model}:${route.method}${query}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': this.options.apiKey
+            },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+
+        const contentType = upstream.headers.get('content-type') || 'application/json';
+        res.writeHead(upstream.status, {
+            ...this.corsHeaders(),
+            'Content-Type': contentType,
+            'Cache-Control': 'no-store'
+        });
+        // countTokens is free, and failed requests aren't billed
+        const reader = upstream.ok && route.method !== 'countTokens' ? GeminiProxy.answerReader(route) : null;
+        let complete = false;
+        try {
+            for await (const chunk of upstream.body) {
+                res.write(chunk);
+                if (reader) {
+                    reader.push(chunk);
+                }
+            }
+            complete = true;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error streaming Gemini response:', error);
+            }
+        }
+        res.end();
+
+        const details = reader ? reader.end() : null;
+        const writes = [];
+        if (details && details.usageMetadata) {
+            writes.push(this.track(this.recordUsage({ ...details, method: route.method, ...usage }), 'Error recording Gemini usage:'));
+        }
+        // Blocked or cut-off answers would only be asked for again
+        if (details && cacheKey && complete && ['STOP', 'MAX_TOKENS'].includes(details.finishReason)) {
+            writes.push(this.track(this.writeCache(cacheKey, { contentType, body: details.text }, usage.userId), 'Error caching Gemini answer:'));
+        }
+        await Promise.all(writes);
+    }
+
+    /**
+     * Store one answer's usage in gemini_usage with the service role
+     * @param {Object} usage - { model, method, usageMetadata, finishReason, userId, planId, operation }
+     * @returns {Promise<void>}
+     */
+    async recordUsage({ userId, planId, operation, ...answer }) {
+        const row = { ...GeminiUsageTracker.toRow({ ...answer, context: { planId, operation } }), user_id: userId };
+        await this.serviceRequest(`/rest/v1/${this.options.usageTable}`, row, { 'Prefer': 'return=minimal' });
+    }
+
+    /**
+     * Look an answer up in plan_cache. Lookups that fail are logged and count as misses.
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - { contentType, body }, or null
+     */
+    async readCache(key) {
+        try {
+            const rows = await this.serviceRequest('/rest/v1/rpc/get_plan_cache', { p_key: key });
+            const row = Array.isArray(rows) ? rows[0] : rows;
+            return row ? row.value : null;
+        } catch (error) {
+            console.error('Error reading the plan cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Keep an answer in plan_cache; an answer already kept for the key stays
+     * @param {string} key - Cache key
+     * @param {Object} answer - { contentType, body } as Gemini sent it
+     * @param {string} userId - User whose request it answered
+     * @returns {Promise<void>}
+     */
+    async writeCache(key, answer, userId) {
+        await this.serviceRequest('/rest/v1/rpc/put_plan_cache', {
+            p_key: key,
+            p_value: answer,
+            p_expires_at: new Date(this.options.now() + this.options.cacheTtl).toISOString(),
+            p_created_by: userId
+        });
+    }
+
+    /**
+     * POST to the REST API with the service role
+     * @param {string} path - Path under the project URL
+     * @param {Object} body - Request body
+     * @param {Object} headers - Extra headers
+     * @returns {Promise<*>} - Parsed body
+     */
+    async serviceRequest(path, body, headers = {}) {
+        const response = await this.fetch(`${this.options.supabaseUrl.replace(/\/+$/, '')}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': this.options.serviceRoleKey,
+                'Authorization': `Bearer ${this.options.serviceRoleKey}`,
+                ...headers
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`Supabase returned ${response.status} for ${path}`);
+        }
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Keep track of a write until it settles, so stop() can wait for it
+     * @param {Promise} promise - The write
+     * @param {string} message - Logged with the error when it fails
+     * @returns {Promise<void>}
+     */
+    track(promise, message) {
+        const write = promise
+            .catch(error => console.error(message, error))
+            .finally(() => this.pendingWrites.delete(write));
+        this.pendingWrites.add(write);
+        return write;
+    }
+
+    /**
+     * Read the request body, up to maxBodyBytes
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<string>}
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.options.maxBodyBytes) {
+                    reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Reply with an error in Gemini's format
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @param {Object} headers - Extra headers
+     */
+    sendError(res, status, message, headers = {}) {
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.writeHead(status, { ...this.corsHeaders(), 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify({ error: { code: status, message, status: GeminiProxy.STATUS_NAMES[status] || 'UNKNOWN' } }));
+    }
+
+    /**
+     * CORS headers for every response
+     * @returns {Object}
+     */
+    corsHeaders() {
+        return {
+            'Access-Control-Allow-Origin': this.options.allowOrigin,
+            'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining'
+        };
+    }
+
+    /**
+     * Start an HTTP server for the proxy
+     * @param {number} port - Port, 0 for any free port
+     * @param {string} host - Interface to listen on
+     * @returns {Promise<string>} - Proxy URL (pass as GeminiProxyTransport's url)
+     */
+    start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                resolve(`http://${host}:${this.server.address().port}${this.options.basePath}`);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        await new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+        await Promise.all(this.pendingWrites);
+    }
+
+    /**
+     * Collects an answer and what it says about its usage while it is copied to the browser
+     * @param {Object} route - { model, method }
+     * @returns {Object} - { push(chunk), end() => { model, usageMetadata, finishReason, text } }
+     */
+    static answerReader(route) {
+        const details = { model: route.model, usageMetadata: null, finishReason: null };
+        const note = text => {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                return;
+            }
+            const candidate = data && data.candidates && data.candidates[0];
+            // Streamed chunks carry the counts so far; the last ones are the totals
+            details.usageMetadata = (data && data.usageMetadata) || details.usageMetadata;
+            details.finishReason = (candidate && candidate.finishReason) || details.finishReason;
+            details.model = (data && data.modelVersion) || details.model;
+        };
+
+        const decoder = new TextDecoder();
+        const parser = route.method === 'streamGenerateContent' ? new SseParser(event => note(event.data)) : null;
+        let text = '';
+        return {
+            push: chunk => {
+                const piece = decoder.decode(chunk, { stream: true });
+                text += piece;
+                if (parser) {
+                    parser.push(piece);
+                }
+            },
+            end: () => {
+                text += decoder.decode();
+                if (parser) {
+                    parser.end();
+                } else {
+                    note(text);
+                }
+                return { ...details, text };
+            }
+        };
+    }
+
+    /**
+     * @param {string} header - Usage label sent by the browser
+     * @returns {string|null} - The label, trimmed and shortened, or null
+     */
+    static label(header) {
+        const value = String(header || '').trim().slice(0, 100);
+        return value || null;
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeminiProxy;
+}
+
+// Run the proxy
+if (typeof require !== 'undefined' && require.main === module) {
+    const proxy = new GeminiProxy({
+        apiKey: process.env.GEMINI_API_KEY,
+        supabaseUrl: process.env.SUPABASE_URL,
+        supabaseKey: process.env.SUPABASE_ANON_KEY,
+        serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        basePath: process.env.GEMINI_PROXY_BASE_PATH || '',
+        allowOrigin: process.env.GEMINI_PROXY_ALLOW_ORIGIN || '*'
+    });
+    proxy.start(Number(process.argv[2]) || 8787, process.env.HOST || '0.0.0.0').then(url => {
+        console.log(`Gemini proxy listening on ${url}`);
+    });
+}
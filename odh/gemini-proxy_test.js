@@ -0,0 +1,273 @@
+/**
+ * Test file for GeminiProxy and GeminiProxyTransport
+ *
+ * Run with: node gemini-proxy_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var GeminiProxy = require('./gemini-proxy.js');
+    var { GeminiClient, GeminiProxyTransport } = require('./gemini.js');
+    var { TestRunner, assert, assertEqual, expectError } = require('./supabase_test.js');
+}
+
+const users = { 'token-kim': 'user-kim', 'token-lee': 'user-lee' };
+
+// Stands in for Supabase Auth, the REST API and the Gemini API behind the proxy; records
+// every call. Answers carry usageMetadata when it is given.
+function mockUpstream(answer = 'Hello from Gemini', usageMetadata = null) {
+    const calls = [];
+    const planCache = new Map();
+    const upstreamFetch = async (url, options) => {
+        calls.push({ url, options, body: options.body ? JSON.parse(options.body) : undefined });
+        const { body } = calls[calls.length - 1];
+        if (url.endsWith('/rest/v1/gemini_usage')) {
+            return new Response(null, { status: 201 });
+        }
+        if (url.endsWith('/rest/v1/rpc/get_plan_cache')) {
+            const value = planCache.get(body.p_key);
+            return Response.json(value ? [{ value, expires_at: body.p_expires_at }] : []);
+        }
+        if (url.endsWith('/rest/v1/rpc/put_plan_cache')) {
+            if (!planCache.has(body.p_key)) {
+                planCache.set(body.p_key, body.p_value);
+            }
+            return new Response(null, { status: 204 });
+        }
+        if (url.endsWith('/auth/v1/user')) {
+            const userId = users[options.headers['Authorization'].replace('Bearer ', '')];
+            return userId
+                ? Response.json({ id: userId, email: `${userId}@example.com` })
+                : Response.json({ msg: 'invalid JWT' }, { status: 401 });
+        }
+        if (url.includes(':streamGenerateContent')) {
+            const events = answer.split(' ').map((word, i, words) => {
+                const candidate = { content: { role: 'model', parts: [{ text: (i > 0 ? ' ' : '') + word }] } };
+                const chunk = { candidates: [candidate] };
+                if (i === words.length - 1) {
+                    candidate.finishReason = 'STOP';
+                    if (usageMetadata) {
+                        chunk.usageMetadata = usageMetadata;
+                    }
+                }
+                return `data: ${JSON.stringify(chunk)}\r\n\r\n`;
+            });
+            return new Response(events.join(''), { headers: { 'Content-Type': 'text/event-stream' } });
+        }
+        const data = { candidates: [{ content: { role: 'model', parts: [{ text: answer }] }, finishReason: 'STOP' }] };
+        return Response.json(usageMetadata ? { ...data, usageMetadata } : data);
+    };
+    return { calls, upstreamFetch };
+}
+
+// Starts a proxy on a free port; returns { proxy, url, calls }. The plan cache is off
+// unless options.cacheTtl is given, so each request reaches the mock Gemini.
+async function startProxy(options = {}, answer, usageMetadata) {
+    const { calls, upstreamFetch } = mockUpstream(answer, usageMetadata);
+    const proxy = new GeminiProxy({
+        apiKey: 'secret-gemini-key',
+        supabaseUrl: 'https://test.supabase.co',
+        supabaseKey: 'anon-key',
+        serviceRoleKey: 'service-key',
+        basePath: '/api/gemini',
+        cacheTtl: 0,
+        fetch: upstreamFetch,
+        ...options
+    });
+    const url = await proxy.start();
+    return { proxy, url, calls };
+}
+
+function createClient(url, token) {
+    return new GeminiClient(new GeminiProxyTransport({ url, getAccessToken: async () => token }));
+}
+
+const runner = new TestRunner('GeminiProxy');
+
+runner.test('should forward requests with the key and return the answer', async () => {
+    const { proxy, url, calls } = await startProxy();
+    try {
+        const text = await createClient(url, 'token-kim').generateContent('Hi', { maxOutputTokens: 100000 });
+        assertEqual(text, 'Hello from Gemini');
+
+        assertEqual(calls.length, 2, 'Should check the token, then call Gemini');
+        assertEqual(calls[0].options.headers['apikey'], 'anon-key');
+        const gemini = calls[1];
+        assertEqual(gemini.url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent');
+        assertEqual(gemini.options.headers['x-goog-api-key'], 'secret-gemini-key');
+        assertEqual(gemini.body.contents[0].parts[0].text, 'Hi');
+        assertEqual(gemini.body.generationConfig.maxOutputTokens, 8192, 'Should cap the output tokens');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should pass streamed answers through', async () => {
+    const { proxy, url, calls } = await startProxy({}, 'Pandas are in Ocean Park');
+    try {
+        const chunks = [];
+        const text = await createClient(url, 'token-kim').generateContentStream('Pandas?', chunk => chunks.push(chunk));
+        assertEqual(text, 'Pandas are in Ocean Park');
+        assertEqual(chunks.length, 5);
+        assert(calls[1].url.endsWith(':streamGenerateContent?alt=sse'), 'Should ask Gemini for server-sent events');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should turn away requests without a valid session', async () => {
+    const { proxy, url, calls } = await startProxy();
+    try {
+        const signedOut = await expectError(createClient(url, null).generateContent('Hi'));
+        assertEqual(signedOut.message, 'Gemini API Error: Please log in to use the AI trip planner');
+        assertEqual(calls.length, 0, 'Should not call anything without a token');
+
+        await expectError(createClient(url, 'token-forged').generateContent('Hi'));
+        assertEqual(calls.map(call => call.url), ['https://test.supabase.co/auth/v1/user'], 'Should not call Gemini');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should rate limit each user separately', async () => {
+    let now = 1000000;
+    const { proxy, url } = await startProxy({ rateLimit: { requests: 2, windowMs: 60000 }, now: () => now });
+    try {
+        const kim = createClient(url, 'token-kim');
+        await kim.generateContent('1');
+        now += 10000;
+        await kim.generateContent('2');
+
+        const limited = await expectError(kim.generateContent('3'));
+        assertEqual(limited.message, 'Gemini API Error: Too many trip planner requests. Try again in 50 seconds.');
+        assertEqual(await createClient(url, 'token-lee').generateContent('1'), 'Hello from Gemini', 'Should not limit other users');
+
+        const response = await fetch(`${url}/models/gemini-2.5-flash:generateContent`, {
+            method: 'POST',
+            headers: { 'Authorization': 'Bearer token-kim', 'Content-Type': 'application/json' },
+            body: '{}'
+        });
+        assertEqual(response.status, 429);
+        assertEqual(response.headers.get('Retry-After'), '50');
+        assertEqual((await response.json()).error.status, 'RESOURCE_EXHAUSTED');
+
+        now += 50000;
+        assertEqual(await kim.generateContent('4'), 'Hello from Gemini', 'Should allow requests once the window moves on');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should only serve the allowed models and methods', async () => {
+    const { proxy, url, calls } = await startProxy();
+    const post = (path, body = '{}') => fetch(`${url}${path}`, {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer token-kim', 'Content-Type': 'application/json' },
+        body
+    });
+    try {
+        assertEqual((await post('/models/gemini-ultra:generateContent')).status, 404);
+        assertEqual((await post('/models/gemini-2.5-flash:embedContent')).status, 404);
+        assertEqual((await post('/../models/gemini-2.5-flash:generateContent')).status, 404);
+        assertEqual((await post('/models/%E0:generateContent')).status, 404, 'Should treat malformed escapes as unknown routes');
+        assertEqual((await post('/models/gemini-2.5-flash:generateContent', 'not json')).status, 400);
+        assertEqual((await fetch(`${url}/models/gemini-2.5-flash:generateContent`)).status, 405);
+
+        const preflight = await fetch(`${url}/models/gemini-2.5-flash:generateContent`, { method: 'OPTIONS' });
+        assertEqual(preflight.status, 204);
+        assert(preflight.headers.get('Access-Control-Allow-Headers').includes('Authorization'), 'Should allow the token header');
+        assert(!calls.some(call => call.url.includes('googleapis')), 'Should not call Gemini');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+runner.test('should record the usage of each answer with the service role', async () => {
+    const usageMetadata = { promptTokenCount: 1000, candidatesTokenCount: 100, totalTokenCount: 1100 };
+    const { proxy, url, calls } = await startProxy({}, 'Pandas are in Ocean Park', usageMetadata);
+    const usageContext = { planId: 'plan-1', operation: 'plan' };
+    try {
+        const client = createClient(url, 'token-kim');
+        await client.generateContent('Pandas?', { usageContext });
+        await client.generateContentStream('Pandas?', null, { usageContext: { ...usageContext, operation: 'refine' } });
+        await client.countTokens('Pandas?');
+    } finally {
+        await proxy.stop();
+    }
+
+    const rows = calls.filter(call => call.url.endsWith('/rest/v1/gemini_usage'));
+    assertEqual(rows.length, 2, 'Should record answers but not token counts');
+    assertEqual(rows[0].options.headers['Authorization'], 'Bearer service-key');
+    assertEqual(rows[0].body, {
+        model: 'gemini-2.5-flash',
+        method: 'generateContent',
+        operation: 'plan',
+        plan_id: 'plan-1',
+        prompt_tokens: 1000,
+        output_tokens: 100,
+        thoughts_tokens: 0,
+        cached_tokens: 0,
+        total_tokens: 1100,
+        finish_reason: 'STOP',
+        cost_usd: 0.00055,
+        user_id: 'user-kim'
+    });
+    assertEqual([rows[1].body.method, rows[1].body.operation, rows[1].body.total_tokens], ['streamGenerateContent', 'refine', 1100],
+        'Should take the totals from the last streamed chunk');
+});
+
+runner.test('should answer identical requests from the plan cache', async () => {
+    const { proxy, url, calls } = await startProxy({ cacheTtl: 60000 }, 'Pandas are in Ocean Park');
+    const geminiCalls = () => calls.filter(call => call.url.includes('googleapis')).length;
+    try {
+        const kim = createClient(url, 'token-kim');
+        const lee = createClient(url, 'token-lee');
+        assertEqual(await kim.generateContent('Pandas?'), 'Pandas are in Ocean Park');
+        assertEqual(await kim.generateContentStream('Pandas?'), 'Pandas are in Ocean Park');
+        assertEqual(geminiCalls(), 2);
+
+        const chunks = [];
+        assertEqual(await lee.generateContent('Pandas?'), 'Pandas are in Ocean Park');
+        assertEqual(await lee.generateContentStream('Pandas?', chunk => chunks.push(chunk)), 'Pandas are in Ocean Park');
+        assertEqual([geminiCalls(), chunks.length], [2, 5], 'Should replay both answers without calling Gemini');
+
+        await lee.generateContent('Pandas?', { noCache: true });
+        await lee.generateContent('Pandas and koalas?');
+        assertEqual(geminiCalls(), 4, 'Should ask Gemini again for Regenerate and for other requests');
+
+        const preflight = await fetch(`${url}/models/gemini-2.5-flash:generateContent`, { method: 'OPTIONS' });
+        assert(preflight.headers.get('Access-Control-Allow-Headers').includes('Cache-Control'), 'Should let pages send no-cache');
+    } finally {
+        await proxy.stop();
+    }
+
+    const puts = calls.filter(call => call.url.endsWith('/rest/v1/rpc/put_plan_cache'));
+    assertEqual(puts[0].options.headers['Authorization'], 'Bearer service-key', 'Should write the cache with the service role');
+    assert(/^[0-9a-f]{64}$/.test(puts[0].body.p_key), 'Should key answers by a SHA-256 of the request');
+    assertEqual(puts[0].body.p_created_by, 'user-kim');
+    assertEqual(puts[0].body.p_value.body, JSON.stringify({
+        candidates: [{ content: { role: 'model', parts: [{ text: 'Pandas are in Ocean Park' }] }, finishReason: 'STOP' }]
+    }), 'Should keep the answer as Gemini sent it');
+    assertEqual(puts[1].body.p_value.contentType, 'text/event-stream');
+});
+
+runner.test('GeminiClient should keep direct keys out of the URL', async () => {
+    const originalFetch = global.fetch;
+    let request = null;
+    global.fetch = async (url, options) => {
+        request = { url, options };
+        return Response.json({ candidates: [{ content: { parts: [{ text: 'ok' }] } }] });
+    };
+    try {
+        await new GeminiClient('dev-key').generateContent('Hi');
+        assertEqual(request.url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent');
+        assertEqual(request.options.headers['x-goog-api-key'], 'dev-key');
+    } finally {
+        global.fetch = originalFetch;
+    }
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => process.exit(success ? 0 : 1));
+}
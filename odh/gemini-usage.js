@@ -0,0 +1,155 @@
+/**
+ * Gemini usage tracking
+ *
+ * The tokens and estimated cost of every Gemini call are stored in the gemini_usage
+ * table (see supabase/migrations/20261023000000_gemini_usage.sql), one row per call,
+ * tagged with the plan it was made for. The Gemini proxy (gemini-proxy.js) writes the
+ * rows with toRow, from the usageMetadata in Gemini's answer; pages only label their
+ * requests with a usageContext. Users see their own rows; admins see everyone's, and
+ * the gemini_usage_by_plan view adds them up per trip.
+ *
+ * Usage:
+ *   await agent.generateItinerary(details, { usageContext: { planId, operation: 'plan' } });
+ *
+ *   const usage = new GeminiUsageTracker(supabase);
+ *   const rows = await usage.listUsage({ planId });
+ *   const [plan] = GeminiUsageTracker.summarizeByPlan(rows);
+ *   console.log(`$${plan.cost_usd.toFixed(4)} for ${plan.total_tokens} tokens`);
+ */
+
+class GeminiUsageTracker {
+    static DEFAULTS = {
+        table: 'gemini_usage'
+    };
+
+    // USD per million tokens (paid tier, prompts up to 200k tokens). Matched by the
+    // longest model name prefix, so dated versions like gemini-2.5-flash-001 count too.
+    static PRICES = {
+        'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+        'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+        'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 }
+    };
+
+    /**
+     * @param {SupabaseClient} supabase - Client the rows are read with
+     * @param {Object} options - See GeminiUsageTracker.DEFAULTS
+     */
+    constructor(supabase, options = {}) {
+        if (!supabase) {
+            throw new Error('GeminiUsageTracker needs a Supabase client');
+        }
+        this.supabase = supabase;
+        this.options = { ...GeminiUsageTracker.DEFAULTS, ...options };
+    }
+
+    /**
+     * The signed-in user's usage, newest first (admins get everyone's)
+     * @param {Object} options - { planId, limit }
+     * @returns {Promise<Array<Object>>}
+     */
+    async listUsage({ planId, limit = 500 } = {}) {
+        let query = this.supabase.from(this.options.table).select('*');
+        if (planId) {
+            query = query.eq('plan_id', planId);
+        }
+        return query.order('created_at', { ascending: false }).limit(limit);
+    }
+
+    /**
+     * Table row for one call (user_id is added by the proxy)
+     * @param {Object} usage - { model, method, usageMetadata, finishReason, context: { planId, operation } },
+     *   as passed to GeminiClient's onUsage
+     * @returns {Object}
+     */
+    static toRow({ model, method, usageMetadata = {}, finishReason = null, context = {} }) {
+        const tokens = GeminiUsageTracker.tokenCounts(usageMetadata);
+        return {
+            model,
+            method,
+            operation: context.operation || null,
+            plan_id: context.planId || null,
+            prompt_tokens: tokens.prompt,
+            output_tokens: tokens.output,
+            thoughts_tokens: tokens.thoughts,
+            cached_tokens: tokens.cached,
+            total_tokens: tokens.total,
+            finish_reason: finishReason,
+            cost_usd: GeminiUsageTracker.estimateCost(model, usageMetadata)
+        };
+    }
+
+    /**
+     * @param {Object} usageMetadata - Gemini usageMetadata
+     * @returns {Object} - { prompt, output, thoughts, cached, total }
+     */
+    static tokenCounts(usageMetadata = {}) {
+        const prompt = usageMetadata.promptTokenCount || 0;
+        const output = usageMetadata.candidatesTokenCount || 0;
+        const thoughts = usageMetadata.thoughtsTokenCount || 0;
+        return {
+            prompt,
+            output,
+            thoughts,
+            cached: usageMetadata.cachedContentTokenCount || 0,
+            total: usageMetadata.totalTokenCount || prompt + output + thoughts
+        };
+    }
+
+    /**
+     * Price list entry for a model
+     * @param {string} model - e.g. gemini-2.5-flash or models/gemini-2.5-flash-001
+     * @returns {Object|null} - { input, output } in USD per million tokens
+     */
+    static priceFor(model) {
+        const name = String(model || '').replace(/^models\//, '');
+        const match = Object.keys(GeminiUsageTracker.PRICES)
+            .filter(prefix => name.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? GeminiUsageTracker.PRICES[match] : null;
+    }
+
+    /**
+     * Estimated cost of a call. Thinking tokens are billed as output.
+     * @param {string} model - Model that answered
+     * @param {Object} usageMetadata - Gemini usageMetadata
+     * @returns {number|null} - USD, or null for models without a price
+     */
+    static estimateCost(model, usageMetadata = {}) {
+        const price = GeminiUsageTracker.priceFor(model);
+        if (!price) {
+            return null;
+        }
+        const tokens = GeminiUsageTracker.tokenCounts(usageMetadata);
+        const cost = (tokens.prompt * price.input + (tokens.output + tokens.thoughts) * price.output) / 1e6;
+        return Math.round(cost * 1e6) / 1e6;
+    }
+
+    /**
+     * Add up usage rows per plan, costliest first
+     * @param {Array<Object>} rows - Rows from listUsage
+     * @returns {Array<Object>} - [{ plan_id, calls, prompt_tokens, output_tokens, total_tokens, cost_usd }]
+     */
+    static summarizeByPlan(rows) {
+        const plans = new Map();
+        for (const row of rows) {
+            const key = row.plan_id || null;
+            if (!plans.has(key)) {
+                plans.set(key, { plan_id: key, calls: 0, prompt_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: 0 });
+            }
+            const plan = plans.get(key);
+            plan.calls++;
+            plan.prompt_tokens += row.prompt_tokens || 0;
+            plan.output_tokens += (row.output_tokens || 0) + (row.thoughts_tokens || 0);
+            plan.total_tokens += row.total_tokens || 0;
+            plan.cost_usd += Number(row.cost_usd) || 0;
+        }
+        return Array.from(plans.values())
+            .map(plan => ({ ...plan, cost_usd: Math.round(plan.cost_usd * 1e6) / 1e6 }))
+            .sort((a, b) => b.cost_usd - a.cost_usd);
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeminiUsageTracker;
+}
@@ -0,0 +1,73 @@
+/**
+ * Test file for GeminiUsageTracker
+ *
+ * Run with: node gemini-usage_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var GeminiUsageTracker = require('./gemini-usage.js');
+    var { TestRunner, assert, assertEqual, testSession, createTestClient, mockRows } = require('./supabase_test.js');
+}
+
+const usage = {
+    model: 'gemini-2.5-flash-001',
+    method: 'generateContent',
+    usageMetadata: { promptTokenCount: 2000, candidatesTokenCount: 800, thoughtsTokenCount: 200, totalTokenCount: 3000 },
+    finishReason: 'STOP',
+    context: { planId: 'plan-1', operation: 'plan' }
+};
+
+const runner = new TestRunner('GeminiUsageTracker');
+const originalFetch = global.fetch;
+
+runner.test('estimateCost should price each model and bill thinking as output', async () => {
+    // 2000 * 0.30 + (800 + 200) * 2.50 per million
+    assertEqual(GeminiUsageTracker.estimateCost('gemini-2.5-flash-001', usage.usageMetadata), 0.0031);
+    // The longest prefix wins: flash-lite is not priced as flash
+    assertEqual(GeminiUsageTracker.estimateCost('models/gemini-2.5-flash-lite', usage.usageMetadata), 0.0006);
+    assertEqual(GeminiUsageTracker.estimateCost('gemini-2.5-pro', { promptTokenCount: 1000000 }), 1.25);
+    assertEqual(GeminiUsageTracker.estimateCost('gemini-9-ultra', usage.usageMetadata), null);
+});
+
+runner.test('toRow should turn one call\'s usage into a gemini_usage row', async () => {
+    assertEqual(GeminiUsageTracker.toRow(usage), {
+        model: 'gemini-2.5-flash-001',
+        method: 'generateContent',
+        operation: 'plan',
+        plan_id: 'plan-1',
+        prompt_tokens: 2000,
+        output_tokens: 800,
+        thoughts_tokens: 200,
+        cached_tokens: 0,
+        total_tokens: 3000,
+        finish_reason: 'STOP',
+        cost_usd: 0.0031
+    });
+});
+
+runner.test('listUsage and summarizeByPlan should add up the spend per trip', async () => {
+    const requests = mockRows([]);
+    await new GeminiUsageTracker(createTestClient(testSession)).listUsage({ planId: 'plan-1' });
+    assert(requests[0].url.includes('/rest/v1/gemini_usage?'), 'Should read gemini_usage');
+    assert(requests[0].url.includes('plan_id=eq.plan-1'), 'Should filter by plan');
+    assert(requests[0].url.includes('order=created_at.desc'), 'Should put the newest first');
+
+    const rows = [
+        GeminiUsageTracker.toRow(usage),
+        GeminiUsageTracker.toRow({ ...usage, context: { planId: 'plan-1', operation: 'refine' } }),
+        GeminiUsageTracker.toRow({ ...usage, model: 'gemini-2.5-flash-lite', context: { planId: 'plan-2' } })
+    ];
+    assertEqual(GeminiUsageTracker.summarizeByPlan(rows), [
+        { plan_id: 'plan-1', calls: 2, prompt_tokens: 4000, output_tokens: 2000, total_tokens: 6000, cost_usd: 0.0062 },
+        { plan_id: 'plan-2', calls: 1, prompt_tokens: 2000, output_tokens: 1000, total_tokens: 3000, cost_usd: 0.0006 }
+    ]);
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        global.fetch = originalFetch;
+        process.exit(success ? 0 : 1);
+    });
+}
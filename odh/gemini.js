@@ -2,95 +2,678 @@
  * Google Gemini API Client
  * 
  * Usage:
+ *   // Direct API key: local development only, the key is visible to anyone with the page
  *   const gemini = new GeminiClient('YOUR_API_KEY');
  *   gemini.generateContent('Hello, how are you?')
  *     .then(response => console.log(response))
  *     .catch(error => console.error(error));
+ *
+ *   // Deployed pages go through our proxy, which holds the key (see gemini-proxy.js)
+ *   const gemini = new GeminiClient(new GeminiProxyTransport({
+ *       url: '/api/gemini',
+ *       getAccessToken: async () => (await supabase.getSession())?.access_token
+ *   }));
+ *
+ *   // Transient failures (429, 5xx, network, timeouts) are retried with backoff, then the
+ *   // fallback models are tried in order; what finally fails is a GeminiError with a type
+ *   const gemini = new GeminiClient(transport, 'gemini-2.5-flash', {
+ *       fallbackModels: ['gemini-2.5-flash-lite'],
+ *       timeout: 60000
+ *   });
+ *
+ *   // Token counts and cost: onUsage gets every call's usageMetadata (the proxy stores it,
+ *   // see gemini-usage.js), fullResponse returns it along with the text, countTokens prices
+ *   // a prompt up front
+ *   const gemini = new GeminiClient(transport, 'gemini-2.5-flash', { onUsage: usage => showCost(usage) });
+ *   const { text, finishReason, usageMetadata } = await gemini.generateContent('Hi', { fullResponse: true });
+ *   const { totalTokens } = await gemini.countTokens('A long prompt...');
+ *
+ *   // JSON output checked against a response schema (re-asks once if it doesn't match)
+ *   const city = await gemini.generateJson('Describe Hong Kong', {
+ *       schema: { type: 'OBJECT', properties: { name: { type: 'STRING' } }, required: ['name'] }
+ *   });
+ *
+ *   // Conversation that keeps its history (trimmed to a token budget)
+ *   const chat = gemini.startChat({ systemInstruction: 'You are a Hong Kong travel guide.' });
+ *   await chat.sendMessage('Where can I see pandas?');
+ *   await chat.sendMessage('How do I get there by MTR?');
+ *
+ *   // Trip itinerary as an Itinerary object (see the typedefs below)
+ *   const agent = new TripPlannerAgent('YOUR_API_KEY');
+ *   const itinerary = await agent.generateItinerary({ arriveDate, departureDate, numPeople, selectedTours });
+ *
+ *   // Cached: the same request is answered from memory, localStorage or Supabase (see gemini-cache.js)
+ *   const agent = new TripPlannerAgent(transport, 'gemini-2.5-flash', { cache: new GeminiCache() });
+ *   const again = await agent.generateItinerary(details, { refresh: true });   // skip the cached plan
+ *
+ *   // Same, streamed: events and days are reported as soon as they are complete
+ *   const controller = new AbortController();
+ *   const itinerary = await agent.streamItinerary(details, {
+ *       signal: controller.signal,   // controller.abort() stops the request
+ *       onUpdate: partial => view.render(partial),
+ *       onEvent: (event, dayIndex) => console.log(dayIndex, event.title)
+ *   });
+ *
+ *   // Function calling: handlers run locally and their results go back to the model
+ *   gemini.registerTool({
+ *       name: 'getWeather',
+ *       description: 'Weather forecast for a date',
+ *       parameters: { type: 'OBJECT', properties: { date: { type: 'STRING' } }, required: ['date'] },
+ *       handler: async ({ date }) => ({ date, summary: 'Sunny', highC: 27 })
+ *   });
+ *   const { text, calls } = await gemini.generateWithTools('Should I pack an umbrella for 2026-11-01?');
+ *
+ *   // The trip agent looks up events, weather and hotels before planning (see trip-tools.js)
+ *   agent.registerTools(new TripDataTools({ supabase }).tools());
+ *
+ *   // Refine it in a chat that remembers the plan
+ *   const refineChat = agent.startItineraryChat(details, itinerary);
+ *   const updated = await agent.refineItinerary(refineChat, details, "Swap day 2's hike for something indoor");
+ */
+
+/**
+ * @typedef {Object} Itinerary
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} currency - ISO code of every cost, e.g. HKD
+ * @property {ItineraryDay[]} days
+ * @property {string[]} tips
+ */
+
+/**
+ * @typedef {Object} ItineraryDay
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} title
+ * @property {ItineraryEvent[]} events - In time order
+ */
+
+/**
+ * @typedef {Object} ItineraryEvent
+ * @property {string} startTime - HH:MM, 24-hour
+ * @property {string} endTime - HH:MM, 24-hour
+ * @property {string} title
+ * @property {string} category - One of TripPlannerAgent.EVENT_CATEGORIES
+ * @property {?string} tourType - Selected tour type the event belongs to (TripPlannerAgent.TOUR_TYPES)
+ * @property {string} description - May use simple markdown
+ * @property {{ name: string, address: ?string, district: ?string, latitude: ?number, longitude: ?number }} place
+ * @property {{ amount: number, per: string, notes: ?string }} cost - per is 'person' or 'group'
+ * @property {?TransportLeg} transport - How to get here from the previous event (null for the first)
+ */
+
+/**
+ * @typedef {Object} TransportLeg
+ * @property {string} mode - One of TripPlannerAgent.TRANSPORT_MODES
+ * @property {string} from
+ * @property {string} to
+ * @property {number} durationMinutes
+ * @property {?number} cost - Per person
+ * @property {?string} notes
+ */
+
+/**
+ * @typedef {Object} GeminiResponse - Returned with the fullResponse option
+ * @property {string} text - Text of the answer (thoughts left out)
+ * @property {?string} finishReason - STOP, MAX_TOKENS (cut off at maxOutputTokens), SAFETY...
+ * @property {?Object} usageMetadata - { promptTokenCount, candidatesTokenCount, thoughtsTokenCount, totalTokenCount, ... }
+ * @property {Array} safetyRatings
+ * @property {string} modelVersion - Model that answered (a fallback model, when it came to that)
+ * @property {?Object} response - The raw response (null for streams)
  */
 
 class GeminiClient {
-    constructor(apiKey, modelName = 'gemini-2.5-flash') {
-        this.apiKey = apiKey;
+    // Finish reasons that mean the answer was cut off by a content filter
+    static BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+    /**
+     * Default retry policy for transient failures (see GeminiError.retryable).
+     * maxDelay also caps the retry delay the server may ask for.
+     */
+    static DEFAULT_RETRY = {
+        maxAttempts: 3,
+        baseDelay: 1000,
+        maxDelay: 20000
+    };
+
+    // Per-attempt timeout in ms; for streams, the longest wait for the next chunk
+    static DEFAULT_TIMEOUT = 90000;
+
+    // Options that control how a request is sent rather than what is generated
+    static REQUEST_OPTIONS = ['signal', 'timeout', 'retry', 'models', 'onRequestRetry', 'usageContext', 'noCache'];
+
+    // Asks for the rest of an answer that hit maxOutputTokens (see generateJson maxContinuations)
+    static CONTINUE_PROMPT = 'Your answer was cut off. Continue exactly where it stopped, without repeating anything ' +
+        'and without code fences or any other text.';
+
+    /**
+     * @param {string|Object} apiKeyOrTransport - API key (GeminiDirectTransport, for local development)
+     *   or a transport such as GeminiProxyTransport
+     * @param {string} modelName - Model to use
+     * @param {Object} options - Client options
+     * @param {Array<string>} options.fallbackModels - Models to try in order when the model keeps failing
+     *   with transient errors, e.g. ['gemini-2.5-flash-lite']
+     * @param {Object|false} options.retry - Overrides for DEFAULT_RETRY, or false to never retry
+     * @param {number} options.timeout - Per-attempt timeout in ms, 0 for none (default DEFAULT_TIMEOUT)
+     * @param {Function} options.onUsage - Called after every answer with { model, method, usageMetadata,
+     *   finishReason, context (the request's usageContext option) }
+     */
+    constructor(apiKeyOrTransport, modelName = 'gemini-2.5-flash', options = {}) {
+        this.transport = typeof apiKeyOrTransport === 'string'
+            ? new GeminiDirectTransport(apiKeyOrTransport)
+            : apiKeyOrTransport;
+        if (!this.transport || typeof this.transport.request !== 'function') {
+            throw new Error('GeminiClient needs an API key or a transport');
+        }
         this.modelName = modelName;
-        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+        this.fallbackModels = options.fallbackModels || [];
+        this.retry = options.retry !== undefined ? options.retry : {};
+        this.timeout = options.timeout !== undefined ? options.timeout : GeminiClient.DEFAULT_TIMEOUT;
+        this.onUsage = options.onUsage || null;
+        this.tools = new Map();  // Functions the model can call, see registerTool
     }
 
     /**
      * Generate content using Gemini API
-     * @param {string} prompt - The prompt to send to Gemini
-     * @param {Object} options - Additional options (temperature, maxTokens, etc.)
-     * @returns {Promise<string>} - The generated text response
+     * @param {string|Array} prompt - The prompt to send to Gemini, or a list of contents ({ role, parts })
+     * @param {Object} options - Additional options (temperature, maxOutputTokens, topP, topK,
+     *   systemInstruction, responseMimeType, responseSchema), and how to send the request:
+     *   signal (AbortSignal to cancel it), timeout (ms per attempt), retry (see DEFAULT_RETRY),
+     *   models (models to try in order, default the model then the fallback models),
+     *   onRequestRetry (({ model, attempt, delay, error }) => void, before each retry or fallback),
+     *   usageContext (passed to onUsage and sent to the proxy, e.g. { planId, operation }),
+     *   noCache (ask the proxy for a new answer instead of one it kept for the same request),
+     *   fullResponse (resolve to a GeminiResponse instead of the text)
+     * @returns {Promise<string|GeminiResponse>} - The generated text response
+     * @throws {GeminiError} - Typed by cause (quota, invalid key, safety, network...)
      */
     async generateContent(prompt, options = {}) {
-        const {
-            temperature = 0.7,
-            maxOutputTokens = 1024,
-            topP = 0.8,
-            topK = 40
-        } = options;
+        const data = await this.requestContent(prompt, options);
 
-        const url = `${this.baseUrl}/models/${this.modelName}:generateContent?key=${this.apiKey}`;
-        
-        const requestBody = {
-            contents: [{
-                parts: [{
-                    text: prompt
-                }]
-            }],
-            generationConfig: {
-                temperature: temperature,
-                maxOutputTokens: maxOutputTokens,
-                topP: topP,
-                topK: topK
+        if (options.fullResponse) {
+            return GeminiClient.responseDetails(data);
+        }
+        if (data.candidates && data.candidates[0] && data.candidates[0].content) {
+            return data.candidates[0].content.parts[0].text;
+        } else {
+            throw new Error('Unexpected response format from Gemini API');
+        }
+    }
+
+    /**
+     * Send a generateContent request
+     * @param {string|Array} prompt - The prompt to send to Gemini, or a list of contents
+     * @param {Object} options - Additional options (see generateContent, plus tools and toolConfig)
+     * @returns {Promise<Object>} - The parsed response ({ candidates, promptFeedback, usageMetadata })
+     * @throws {GeminiError} - Once retries and fallback models are used up
+     */
+    async requestContent(prompt, options = {}) {
+        const requestBody = this.buildRequestBody(prompt, options);
+
+        return this.withRetries(options, async (model, attempt) => {
+            const response = await this.send(model, 'generateContent', requestBody, attempt);
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                throw GeminiError.fromNetworkError(error, model);
             }
+            GeminiClient.checkBlocked(data, model);
+            if (!data.modelVersion) {
+                data.modelVersion = model;
+            }
+            return data;
+        }).then(data => {
+            this.reportUsage('generateContent', GeminiClient.responseDetails(data), options);
+            return data;
+        });
+    }
+
+    /**
+     * Count the tokens a request would use as input
+     * @param {string|Array} prompt - The prompt, or a list of contents
+     * @param {Object} options - generateContent options; systemInstruction and tools are counted too
+     * @returns {Promise<Object>} - { totalTokens, promptTokensDetails, ... }
+     */
+    async countTokens(prompt, options = {}) {
+        const { contents, systemInstruction, tools } = this.buildRequestBody(prompt, options);
+
+        return this.withRetries(options, async (model, attempt) => {
+            const requestBody = {
+                generateContentRequest: { model: `models/${model}`, contents, systemInstruction, tools }
+            };
+            const response = await this.send(model, 'countTokens', requestBody, attempt);
+            try {
+                return await response.json();
+            } catch (error) {
+                throw GeminiError.fromNetworkError(error, model);
+            }
+        });
+    }
+
+    /**
+     * Pass usage to the onUsage hook. Failures there are logged, never thrown.
+     * @param {string} method - generateContent or streamGenerateContent
+     * @param {GeminiResponse} details - The answer
+     * @param {Object} options - Request options (usageContext)
+     */
+    reportUsage(method, details, options = {}) {
+        if (!this.onUsage || !details.usageMetadata) {
+            return;
+        }
+        try {
+            Promise.resolve(this.onUsage({
+                model: details.modelVersion,
+                method,
+                usageMetadata: details.usageMetadata,
+                finishReason: details.finishReason,
+                context: options.usageContext || {}
+            })).catch(error => console.error('Error recording Gemini usage:', error));
+        } catch (error) {
+            console.error('Error recording Gemini usage:', error);
+        }
+    }
+
+    /**
+     * The parts of a generateContent response callers usually need
+     * @param {Object} data - generateContent response
+     * @returns {GeminiResponse}
+     */
+    static responseDetails(data) {
+        const candidate = (data.candidates && data.candidates[0]) || {};
+        const parts = (candidate.content && candidate.content.parts) || [];
+        return {
+            text: parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join(''),
+            finishReason: candidate.finishReason || null,
+            usageMetadata: data.usageMetadata || null,
+            safetyRatings: candidate.safetyRatings || [],
+            modelVersion: data.modelVersion || null,
+            response: data
         };
+    }
+
+    /**
+     * Throw when a (non-streamed) response was blocked
+     * @param {Object} data - generateContent response
+     * @param {string} model - Model that answered
+     * @throws {GeminiBlockedError}
+     */
+    static checkBlocked(data, model) {
+        const feedback = data.promptFeedback;
+        if (feedback && feedback.blockReason) {
+            throw new GeminiBlockedError(`Gemini blocked the prompt (${feedback.blockReason})`, {
+                reason: feedback.blockReason,
+                safetyRatings: feedback.safetyRatings,
+                model
+            });
+        }
+        const candidate = data.candidates && data.candidates[0];
+        if (candidate && GeminiClient.BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+            const parts = (candidate.content && candidate.content.parts) || [];
+            throw new GeminiBlockedError(`Gemini stopped the response (${candidate.finishReason})`, {
+                reason: candidate.finishReason,
+                safetyRatings: candidate.safetyRatings,
+                text: parts.map(part => part.text || '').join(''),
+                model
+            });
+        }
+    }
+
+    /**
+     * Generate content with streaming support (server-sent events). A failed request
+     * is retried like generateContent until the first text arrives; after that the
+     * error is thrown, since the text has already been handed to onChunk.
+     * @param {string|Array} prompt - The prompt to send to Gemini, or a list of contents
+     * @param {Function} onChunk - Called with each piece of text, and the response chunk it came in
+     * @param {Object} options - Additional options (see generateContent), plus
+     *   onFinish ((GeminiResponse) => void, once the stream is complete)
+     * @returns {Promise<string|GeminiResponse>} - The complete generated text (a GeminiResponse with fullResponse)
+     * @throws {GeminiBlockedError} - When the prompt or the response is blocked
+     */
+    async generateContentStream(prompt, onChunk, options = {}) {
+        const requestBody = this.buildRequestBody(prompt, options);
+
+        const state = await this.withRetries(options, async (model, attempt) => {
+            const response = await this.send(model, 'streamGenerateContent', requestBody, attempt);
+            const state = { text: '', finishReason: null, usageMetadata: null, safetyRatings: [], modelVersion: model };
+            const parser = new SseParser(event => this.handleStreamEvent(event, state, (text, data) => {
+                attempt.retryable = false;
+                if (onChunk) {
+                    onChunk(text, data);
+                }
+            }, model));
+            let reader = response.body.getReader();
+            const decoder = new TextDecoder();
+
+            try {
+                while (true) {
+                    let chunk;
+                    try {
+                        chunk = await reader.read();
+                    } catch (error) {
+                        throw GeminiError.fromNetworkError(error, model);
+                    }
+                    if (chunk.done) break;
+                    attempt.touch();
+                    // stream: true keeps multi-byte characters that are split across chunks
+                    parser.push(decoder.decode(chunk.value, { stream: true }));
+                }
+                parser.push(decoder.decode());
+                parser.end();
+                reader = null;
+            } finally {
+                if (reader) {
+                    reader.cancel().catch(() => {});
+                }
+            }
+
+            if (!state.finishReason) {
+                throw new GeminiError('Gemini stream ended before the response was finished', { type: 'network', model });
+            }
+            return state;
+        });
+
+        const details = { ...state, response: null };
+        this.reportUsage('streamGenerateContent', details, options);
+        if (options.onFinish) {
+            options.onFinish(details);
+        }
+        return options.fullResponse ? details : state.text;
+    }
 
+    /**
+     * Send one request through the transport
+     * @param {string} model - Model name
+     * @param {string} method - generateContent or streamGenerateContent
+     * @param {Object} requestBody - Request body
+     * @param {Object} attempt - From runAttempt ({ signal, usageContext, noCache })
+     * @returns {Promise<Response>} - A successful response
+     * @throws {GeminiError} - For network failures and error responses
+     */
+    async send(model, method, requestBody, attempt) {
+        let response;
         try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
+            response = await this.transport.request(model, method, requestBody, {
+                signal: attempt.signal,
+                usageContext: attempt.usageContext,
+                noCache: attempt.noCache
             });
+        } catch (error) {
+            throw GeminiError.fromNetworkError(error, model);
+        }
+        if (!response.ok) {
+            throw await GeminiError.fromResponse(response, model);
+        }
+        return response;
+    }
+
+    /**
+     * Run a request against each model in turn (the model, then the fallback models),
+     * retrying transient failures (quota, 5xx, network, timeouts) with backoff.
+     * Retry delays sent by the server are honoured; a model whose delay is longer
+     * than retry.maxDelay is skipped for the next one.
+     * @param {Object} options - Request options: signal, timeout, retry, models, onRequestRetry
+     * @param {Function} request - (model, attempt) => Promise, see runAttempt
+     * @returns {Promise<*>} - What request resolved to
+     */
+    async withRetries(options, request) {
+        const policy = GeminiClient.resolveRetryPolicy(options.retry !== undefined ? options.retry : this.retry);
+        const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+        const models = options.models || [this.modelName, ...this.fallbackModels];
+        let lastError = null;
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`Gemini API Error: ${errorData.error?.message || response.statusText}`);
+        for (let m = 0; m < models.length; m++) {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return await this.runAttempt(models[m], {
+                        signal: options.signal,
+                        timeout,
+                        usageContext: options.usageContext,
+                        noCache: options.noCache
+                    }, request);
+                } catch (error) {
+                    if (!(error instanceof GeminiError) || !error.retryable) {
+                        if (error.name !== 'AbortError') {
+                            console.error('Error calling Gemini API:', error);
+                        }
+                        throw error;
+                    }
+                    lastError = error;
+                    const delay = attempt < policy.maxAttempts ? this.getRetryDelay(attempt, error, policy) : null;
+                    if (delay === null) {
+                        break;
+                    }
+                    if (options.onRequestRetry) {
+                        options.onRequestRetry({ model: models[m], attempt: attempt + 1, delay, error });
+                    }
+                    await this.sleep(delay, options.signal);
+                }
             }
 
-            const data = await response.json();
-            
-            if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-                return data.candidates[0].content.parts[0].text;
-            } else {
-                throw new Error('Unexpected response format from Gemini API');
+            if (m + 1 < models.length) {
+                console.warn(`Gemini model ${models[m]} failed (${lastError.type}), falling back to ${models[m + 1]}`);
+                if (options.onRequestRetry) {
+                    options.onRequestRetry({ model: models[m + 1], attempt: 1, delay: 0, error: lastError });
+                }
             }
+        }
+
+        console.error('Error calling Gemini API:', lastError);
+        throw lastError;
+    }
+
+    /**
+     * Run one attempt with a timeout and the caller's AbortSignal. The timeout is
+     * restarted by attempt.touch(), so a stream only times out when it stalls.
+     * @param {string} model - Model name
+     * @param {Object} options - { signal, timeout (ms, 0 for none) }
+     * @param {Function} request - (model, attempt) => Promise; attempt is { signal, touch, retryable }
+     *   and request sets retryable = false once it has passed output on
+     * @returns {Promise<*>}
+     */
+    async runAttempt(model, { signal, timeout, usageContext, noCache }, request) {
+        if (signal && signal.aborted) {
+            throw GeminiClient.abortError('Gemini request aborted');
+        }
+
+        const controller = new AbortController();
+        let timer = null;
+        let timedOut = false;
+        const attempt = {
+            signal: controller.signal,
+            usageContext,
+            noCache,
+            retryable: true,
+            touch: () => {
+                clearTimeout(timer);
+                timer = timeout ? setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, timeout) : null;
+            }
+        };
+        const onAbort = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        attempt.touch();
+
+        try {
+            return await request(model, attempt);
         } catch (error) {
-            console.error('Error calling Gemini API:', error);
-            throw error;
+            const failure = timedOut
+                ? new GeminiError(`Gemini API Error: no response from ${model} within ${timeout}ms`, { type: 'network', code: 'TIMEOUT', model })
+                : error;
+            if (failure instanceof GeminiError && !attempt.retryable) {
+                failure.retryable = false;
+            }
+            throw failure;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
         }
     }
 
     /**
-     * Generate content with streaming support
-     * @param {string} prompt - The prompt to send to Gemini
-     * @param {Function} onChunk - Callback function called with each chunk of text
-     * @param {Object} options - Additional options
-     * @returns {Promise<string>} - The complete generated text
+     * How long to wait before retrying: the delay the server asked for, otherwise
+     * exponential backoff with jitter
+     * @param {number} attempt - The attempt that just failed (1 based)
+     * @param {GeminiError} error - Its error
+     * @param {Object} policy - Retry policy
+     * @returns {number|null} - Delay in ms, or null when the server's delay exceeds maxDelay
      */
-    async generateContentStream(prompt, onChunk, options = {}) {
+    getRetryDelay(attempt, error, policy) {
+        if (error.retryDelay !== null) {
+            return error.retryDelay > policy.maxDelay ? null : error.retryDelay;
+        }
+        const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+        return backoff / 2 + Math.random() * backoff / 2;
+    }
+
+    /**
+     * Wait between attempts; resolves early when the signal aborts so the next
+     * attempt fails as aborted instead of being sent
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} signal - Optional caller signal
+     * @returns {Promise<void>}
+     */
+    sleep(ms, signal) {
+        return new Promise(resolve => {
+            const timer = setTimeout(done, ms);
+            function done() {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', done);
+                }
+                resolve();
+            }
+            if (signal) {
+                signal.addEventListener('abort', done, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Merge retry overrides with DEFAULT_RETRY
+     * @param {Object|false} retry - Overrides, or false to never retry
+     * @returns {Object} - Retry policy
+     */
+    static resolveRetryPolicy(retry) {
+        if (retry === false) {
+            return { ...GeminiClient.DEFAULT_RETRY, maxAttempts: 1 };
+        }
+        return { ...GeminiClient.DEFAULT_RETRY, ...(retry || {}) };
+    }
+
+    /**
+     * Create an error shaped like the one fetch throws when aborted
+     * @param {string} message - Error message
+     * @returns {Error}
+     */
+    static abortError(message) {
+        const error = new Error(message);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * The request options of an options object (signal, timeout, retry, models,
+     * onRequestRetry), to pass on to another request
+     * @param {Object} options - Options
+     * @returns {Object}
+     */
+    static requestOptions(options) {
+        const picked = {};
+        GeminiClient.REQUEST_OPTIONS.forEach(name => {
+            if (options[name] !== undefined) {
+                picked[name] = options[name];
+            }
+        });
+        return picked;
+    }
+
+    /**
+     * Handle one server-sent event of a streamGenerateContent response
+     * @param {Object} event - { event, data } from SseParser
+     * @param {Object} state - Stream state ({ text, finishReason, usageMetadata, safetyRatings, modelVersion }), updated in place
+     * @param {Function} onChunk - Called with each piece of text
+     * @param {string} model - Model that is answering, for errors
+     */
+    handleStreamEvent(event, state, onChunk, model = this.modelName) {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            throw new Error(`Invalid JSON in Gemini stream: ${error.message}`);
+        }
+
+        if (data.error) {
+            throw GeminiError.fromPayload(data.error, { model });
+        }
+        if (data.promptFeedback && data.promptFeedback.blockReason) {
+            throw new GeminiBlockedError(`Gemini blocked the prompt (${data.promptFeedback.blockReason})`, {
+                reason: data.promptFeedback.blockReason,
+                safetyRatings: data.promptFeedback.safetyRatings,
+                model
+            });
+        }
+        if (data.usageMetadata) {
+            state.usageMetadata = data.usageMetadata;
+        }
+        if (data.modelVersion) {
+            state.modelVersion = data.modelVersion;
+        }
+
+        const candidate = data.candidates && data.candidates[0];
+        if (!candidate) {
+            return;
+        }
+        const parts = (candidate.content && candidate.content.parts) || [];
+        const text = parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join('');
+        if (text) {
+            state.text += text;
+            if (onChunk) {
+                onChunk(text, data);
+            }
+        }
+        if (candidate.safetyRatings) {
+            state.safetyRatings = candidate.safetyRatings;
+        }
+        if (candidate.finishReason) {
+            state.finishReason = candidate.finishReason;
+            if (GeminiClient.BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+                throw new GeminiBlockedError(`Gemini stopped the response (${candidate.finishReason})`, {
+                    reason: candidate.finishReason,
+                    safetyRatings: state.safetyRatings,
+                    text: state.text,
+                    model
+                });
+            }
+        }
+    }
+
+    /**
+     * Build the generateContent request body
+     * @param {string|Array} prompt - Prompt text, or a list of contents ({ role, parts })
+     * @param {Object} options - Generation options (see generateContent)
+     * @returns {Object}
+     */
+    buildRequestBody(prompt, options = {}) {
         const {
             temperature = 0.7,
             maxOutputTokens = 1024,
             topP = 0.8,
-            topK = 40
+            topK = 40,
+            systemInstruction,
+            responseMimeType,
+            responseSchema,
+            tools,
+            toolConfig
         } = options;
 
-        const url = `${this.baseUrl}/models/${this.modelName}:streamGenerateContent?key=${this.apiKey}`;
-        
         const requestBody = {
-            contents: [{
+            contents: Array.isArray(prompt) ? prompt : [{
+                role: 'user',
                 parts: [{
                     text: prompt
                 }]
@@ -103,117 +686,1502 @@ class GeminiClient {
             }
         };
 
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
+        if (systemInstruction) {
+            requestBody.systemInstruction = { parts: [{ text: systemInstruction }] };
+        }
+        if (responseMimeType) {
+            requestBody.generationConfig.responseMimeType = responseMimeType;
+        }
+        if (responseSchema) {
+            requestBody.generationConfig.responseSchema = responseSchema;
+        }
+        if (tools && tools.length > 0) {
+            requestBody.tools = [{ functionDeclarations: tools.map(GeminiClient.functionDeclaration) }];
+        }
+        if (toolConfig) {
+            requestBody.toolConfig = toolConfig;
+        }
+        return requestBody;
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`Gemini API Error: ${errorData.error?.message || response.statusText}`);
-            }
+    /**
+     * Generate content with function calling. Whenever the model asks for function
+     * calls, their handlers run and the results are sent back, until it answers in text.
+     * @param {string|Array} prompt - The prompt to send to Gemini, or a list of contents
+     * @param {Object} options - generateContent options, plus:
+     *   tools (tool definitions to offer, default the registered tools, see registerTool),
+     *   maxToolRounds (model turns that may call functions, default 5; after that it must answer),
+     *   onToolCall (({ name, args, response }) => void, after each handler has run)
+     * @returns {Promise<Object>} - { text, calls: [{ name, args, response }], contents: the whole conversation }
+     */
+    async generateWithTools(prompt, options = {}) {
+        const { tools = Array.from(this.tools.values()), maxToolRounds = 5, onToolCall, ...generationOptions } = options;
+        const contents = Array.isArray(prompt) ? prompt.slice() : [{ role: 'user', parts: [{ text: prompt }] }];
+        const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+        const calls = [];
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let fullText = '';
+        for (let round = 0; ; round++) {
+            const data = await this.requestContent(contents, {
+                ...generationOptions,
+                tools,
+                toolConfig: round >= maxToolRounds ? { functionCallingConfig: { mode: 'NONE' } } : generationOptions.toolConfig
+            });
+            const content = data.candidates && data.candidates[0] && data.candidates[0].content;
+            if (!content) {
+                throw new Error('Unexpected response format from Gemini API');
+            }
 
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
+            // The model turn goes back as it came, thought signatures included
+            const parts = content.parts || [];
+            contents.push({ role: 'model', parts });
 
-                const chunk = decoder.decode(value);
-                const lines = chunk.split('\n').filter(line => line.trim());
+            const functionCalls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+            if (functionCalls.length === 0) {
+                const text = parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join('');
+                return { text, calls, contents };
+            }
 
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        try {
-                            const data = JSON.parse(line.slice(6));
-                            if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-                                const text = data.candidates[0].content.parts[0].text;
-                                fullText += text;
-                                if (onChunk) {
-                                    onChunk(text);
-                                }
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON lines
-                        }
-                    }
+            const responses = await Promise.all(functionCalls.map(call =>
+                this.runTool(toolsByName.get(call.name), call, { signal: generationOptions.signal })));
+            contents.push({
+                role: 'user',
+                parts: functionCalls.map((call, i) => ({
+                    functionResponse: { ...(call.id ? { id: call.id } : {}), name: call.name, response: responses[i] }
+                }))
+            });
+            functionCalls.forEach((call, i) => {
+                const record = { name: call.name, args: call.args || {}, response: responses[i] };
+                calls.push(record);
+                if (onToolCall) {
+                    onToolCall(record);
                 }
-            }
+            });
+        }
+    }
 
-            return fullText;
+    /**
+     * Run the handler for one function call. Failures are reported to the model
+     * as { error } rather than thrown, so it can try something else.
+     * @param {Object|undefined} tool - Tool definition (see registerTool)
+     * @param {Object} call - functionCall from the model ({ name, args })
+     * @param {Object} context - Passed to the handler ({ signal })
+     * @returns {Promise<Object>} - functionResponse.response: the handler's object, or { result } for other values
+     */
+    async runTool(tool, call, context = {}) {
+        if (!tool) {
+            return { error: `Unknown function: ${call.name}` };
+        }
+        try {
+            const result = await tool.handler(call.args || {}, context);
+            return result !== null && typeof result === 'object' && !Array.isArray(result) ? result : { result };
         } catch (error) {
-            console.error('Error calling Gemini API (streaming):', error);
-            throw error;
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.error(`Error in Gemini tool ${call.name}:`, error);
+            return { error: error.message };
         }
     }
 
     /**
-     * Set a new API key
-     * @param {string} apiKey - The new API key
+     * Register a function the model can call from generateWithTools
+     * @param {Object} tool - { name, description, parameters (Gemini schema of the arguments object),
+     *   handler ((args, { signal }) => result or Promise; objects are sent back as they are) }
+     * @returns {GeminiClient} - this, for chaining
      */
-    setApiKey(apiKey) {
-        this.apiKey = apiKey;
+    registerTool(tool) {
+        if (!tool || !/^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/.test(tool.name || '')) {
+            throw new Error(`Invalid tool name: ${tool && tool.name}`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Tool ${tool.name} needs a handler function`);
+        }
+        this.tools.set(tool.name, tool);
+        return this;
     }
 
     /**
-     * Set the model name
-     * @param {string} modelName - The model name (e.g., 'gemini-pro', 'gemini-pro-vision')
+     * Register several tools (see registerTool)
+     * @param {Array<Object>} tools - Tool definitions
+     * @returns {GeminiClient} - this, for chaining
      */
-    setModel(modelName) {
-        this.modelName = modelName;
+    registerTools(tools) {
+        tools.forEach(tool => this.registerTool(tool));
+        return this;
     }
-}
 
-class TripPlannerAgent extends GeminiClient {
-    constructor(apiKey) {
-        super(apiKey);
+    /**
+     * Remove a registered tool
+     * @param {string} name - Tool name
+     * @returns {boolean} - Whether it was registered
+     */
+    unregisterTool(name) {
+        return this.tools.delete(name);
     }
 
     /**
-     * Generate a trip plan based on details
-     * @param {Object} details - Trip details
-     * @returns {Promise<string>} - The generated itinerary
+     * Function declaration sent to Gemini for a tool (the handler stays local)
+     * @param {Object} tool - Tool definition (see registerTool)
+     * @returns {Object} - { name, description, parameters }
      */
-    async generateItinerary(details) {
-        const { arriveDate, departureDate, numPeople, selectedTours, preferences } = details;
-        const tourTypesText = selectedTours.map(tour => tour.charAt(0).toUpperCase() + tour.slice(1) + ' Tour').join(', ');
-        
-        const systemInstruction = `You are a trip planner agent. You are given 3 things, data of event and weather, hotel preference, people of visit and a website to return data, use these data to plan a trip with a time table and routes.You are reminded to return a json file with each event with one line in the file.Return the file to the website after you planned`;
+    static functionDeclaration(tool) {
+        const declaration = { name: tool.name, description: tool.description || '' };
+        if (tool.parameters) {
+            declaration.parameters = tool.parameters;
+        }
+        return declaration;
+    }
 
-        const prompt = `${systemInstruction}
+    /**
+     * Generate JSON that matches a response schema. Answers that aren't valid JSON
+     * or don't match are repaired locally when possible (code fences, surrounding
+     * text), otherwise the model is shown the problems and asked again.
+     * @param {string|Array} prompt - The prompt to send to Gemini, or a list of contents ({ role, parts })
+     * @param {Object} options - generateContent options, plus:
+     *   schema (Gemini responseSchema), validate (value => array of extra error messages),
+     *   maxRepairs (re-asks after the first answer, default 1),
+     *   maxContinuations (times to ask for the rest of an answer cut off at maxOutputTokens, default 0),
+     *   onPartial ((partial, { closed, attempt }) => void; streams the answer and is called
+     *   with the value parsed so far after every chunk, see parsePartialJson)
+     * @returns {Promise<Object>} - The parsed, validated value
+     */
+    async generateJson(prompt, options = {}) {
+        const { schema, validate, maxRepairs = 1, maxContinuations = 0, onPartial, ...generationOptions } = options;
+        const contents = Array.isArray(prompt) ? prompt.slice() : [{ role: 'user', parts: [{ text: prompt }] }];
 
-Create a detailed trip plan for Hong Kong with the following details:
-- Arrival Date: ${arriveDate}
-- Departure Date: ${departureDate}
-- Number of People: ${numPeople}
-- Tour Types: ${tourTypesText}
-${preferences ? `- Additional Preferences: ${preferences}` : ''}
+        for (let attempt = 0; ; attempt++) {
+            let text = '';
+            let streamed = '';
+            for (let continuation = 0; ; continuation++) {
+                // The schema would make the model start a new object, so continuations are plain text
+                const requestContents = continuation === 0 ? contents : [
+                    ...contents,
+                    { role: 'model', parts: [{ text }] },
+                    { role: 'user', parts: [{ text: GeminiClient.CONTINUE_PROMPT }] }
+                ];
+                const requestOptions = continuation === 0
+                    ? { ...generationOptions, fullResponse: true, responseMimeType: 'application/json', responseSchema: schema }
+                    : { ...generationOptions, fullResponse: true };
 
-Please provide a comprehensive day-by-day itinerary with:
-1. Daily schedule with times
-2. Recommended activities and attractions
-3. Restaurant suggestions
-4. Transportation tips
-5. Budget considerations
-6. Any special notes or tips
+                let answer;
+                if (onPartial) {
+                    answer = await this.generateContentStream(requestContents, chunk => {
+                        streamed += chunk;
+                        let partial;
+                        try {
+                            partial = GeminiClient.parsePartialJson(streamed);
+                        } catch (error) {
+                            // Not JSON after all; the full answer is checked (and repaired) below
+                            return;
+                        }
+                        if (partial.value !== undefined) {
+                            onPartial(partial.value, { closed: partial.closed, attempt });
+                        }
+                    }, requestOptions);
+                } else {
+                    answer = await this.generateContent(requestContents, requestOptions);
+                }
+                text += continuation === 0 ? answer.text : GeminiClient.stripContinuation(answer.text);
+                streamed = text;
 
-Format the response in a clear, organized manner with headings and bullet points.`;
+                if (answer.finishReason !== 'MAX_TOKENS' || continuation >= maxContinuations) {
+                    break;
+                }
+                console.warn(`Gemini answer hit the token limit, asking it to continue (${continuation + 1}/${maxContinuations})`);
+            }
 
-        return this.generateContent(prompt, {
-            temperature: 0.7,
-            maxOutputTokens: 2048
-        });
+            const { value, errors } = GeminiClient.parseJson(text, schema, validate);
+            if (errors.length === 0) {
+                return value;
+            }
+            if (attempt >= maxRepairs) {
+                throw new GeminiSchemaError('Gemini response did not match the schema', { errors, text });
+            }
+
+            console.warn(`Gemini response did not match the schema, asking again (${errors.length} problems)`);
+            contents.push(
+                { role: 'model', parts: [{ text }] },
+                { role: 'user', parts: [{ text: GeminiClient.repairPrompt(errors) }] }
+            );
+        }
+    }
+
+    /**
+     * Tidy the text of a continuation: the model sometimes wraps it in a code fence
+     * @param {string} text - Continuation text
+     * @returns {string}
+     */
+    static stripContinuation(text) {
+        return text.replace(/^\s*```(?:json)?[ \t]*\n?/, '').replace(/\n?```\s*$/, '');
+    }
+
+    /**
+     * Parse a JSON answer and check it against a schema
+     * @param {string} text - Model output
+     * @param {Object} schema - Gemini response schema
+     * @param {Function} validate - Extra checks, value => array of error messages (optional)
+     * @returns {Object} - { value, errors }
+     */
+    static parseJson(text, schema, validate) {
+        let value;
+        try {
+            value = JSON.parse(GeminiClient.extractJson(text));
+        } catch (error) {
+            return { value: null, errors: [`Response is not valid JSON: ${error.message}`] };
+        }
+
+        const errors = schema ? GeminiClient.validateSchema(value, schema) : [];
+        if (errors.length === 0 && validate) {
+            errors.push(...validate(value));
+        }
+        return { value, errors };
+    }
+
+    /**
+     * Cut the JSON out of an answer wrapped in a code fence or in prose
+     * @param {string} text - Model output
+     * @returns {string}
+     */
+    static extractJson(text) {
+        const trimmed = String(text || '').trim();
+        const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+        if (fenced) {
+            return fenced[1];
+        }
+        if (/^[\[{]/.test(trimmed)) {
+            return trimmed;
+        }
+        const start = trimmed.search(/[\[{]/);
+        const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+        return start !== -1 && end > start ? trimmed.slice(start, end + 1) : trimmed;
+    }
+
+    /**
+     * Parse the start of a JSON document that is still streaming in. Values that
+     * may still change (unterminated strings, numbers and literals at the end of
+     * the text) are left out; objects and arrays are returned as far as they go.
+     * @param {string} text - JSON received so far (leading code fences or prose are skipped)
+     * @returns {{ value: *, closed: WeakSet }} - value is undefined when nothing is
+     *   parsed yet; closed holds the objects and arrays whose closing bracket has arrived
+     */
+    static parsePartialJson(text) {
+        const closed = new WeakSet();
+        const source = String(text || '');
+        const start = source.search(/[\[{]/);
+        const MISSING = {};
+        let i = start === -1 ? source.length : start;
+
+        const skipWhitespace = () => {
+            while (i < source.length && /\s/.test(source[i])) i++;
+        };
+        const parseString = () => {
+            let j = i + 1;
+            while (j < source.length && source[j] !== '"') {
+                j += source[j] === '\\' ? 2 : 1;
+            }
+            if (j >= source.length) {
+                return MISSING;
+            }
+            const value = JSON.parse(source.slice(i, j + 1));
+            i = j + 1;
+            return value;
+        };
+        const parseValue = () => {
+            skipWhitespace();
+            if (i >= source.length) {
+                return MISSING;
+            }
+            const char = source[i];
+            if (char === '{' || char === '[') {
+                return parseContainer(char === '{');
+            }
+            if (char === '"') {
+                return parseString();
+            }
+            // Numbers and literals are only final once something follows them
+            const match = source.slice(i).match(/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)(?=[\s,\]}])/);
+            if (!match) {
+                if (/^[-\dtfn]/.test(char) && /^[-+.\deEtruefalsn]*$/.test(source.slice(i))) {
+                    i = source.length;
+                    return MISSING;
+                }
+                throw new SyntaxError(`Unexpected "${char}" at position ${i}`);
+            }
+            i += match[0].length;
+            return JSON.parse(match[0]);
+        };
+        const parseContainer = isObject => {
+            const container = isObject ? {} : [];
+            i++;
+            for (;;) {
+                skipWhitespace();
+                if (i >= source.length) {
+                    return container;
+                }
+                if (source[i] === (isObject ? '}' : ']')) {
+                    i++;
+                    closed.add(container);
+                    return container;
+                }
+                if (source[i] === ',') {
+                    i++;
+                    skipWhitespace();
+                }
+                let key;
+                if (isObject) {
+                    if (i >= source.length) {
+                        return container;
+                    }
+                    if (source[i] !== '"') {
+                        throw new SyntaxError(`Expected a key at position ${i}`);
+                    }
+                    key = parseString();
+                    skipWhitespace();
+                    if (key === MISSING || i >= source.length) {
+                        return container;
+                    }
+                    if (source[i] !== ':') {
+                        throw new SyntaxError(`Expected ":" at position ${i}`);
+                    }
+                    i++;
+                }
+                const value = parseValue();
+                if (value === MISSING) {
+                    return container;
+                }
+                if (isObject) {
+                    container[key] = value;
+                } else {
+                    container.push(value);
+                }
+            }
+        };
+
+        const value = parseValue();
+        return { value: value === MISSING ? undefined : value, closed };
+    }
+
+    /**
+     * Check a value against a Gemini response schema (OpenAPI subset: type,
+     * properties, required, items, enum, nullable, minItems, maxItems)
+     * @param {*} value - Parsed JSON
+     * @param {Object} schema - Schema node
+     * @param {string} path - Path of the value, for error messages
+     * @returns {Array<string>} - Error messages, empty when the value matches
+     */
+    static validateSchema(value, schema, path = '$') {
+        if (value === null || value === undefined) {
+            return schema.nullable ? [] : [`${path} is required`];
+        }
+
+        const type = String(schema.type || '').toUpperCase();
+        const errors = [];
+        switch (type) {
+            case 'OBJECT': {
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    return [`${path} should be an object`];
+                }
+                const properties = schema.properties || {};
+                (schema.required || []).forEach(key => {
+                    if (value[key] === undefined) {
+                        errors.push(`${path}.${key} is required`);
+                    }
+                });
+                Object.keys(properties).forEach(key => {
+                    if (value[key] !== undefined) {
+                        errors.push(...GeminiClient.validateSchema(value[key], properties[key], `${path}.${key}`));
+                    }
+                });
+                break;
+            }
+            case 'ARRAY':
+                if (!Array.isArray(value)) {
+                    return [`${path} should be an array`];
+                }
+                if (schema.minItems !== undefined && value.length < schema.minItems) {
+                    errors.push(`${path} should have at least ${schema.minItems} items`);
+                }
+                if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                    errors.push(`${path} should have at most ${schema.maxItems} items`);
+                }
+                if (schema.items) {
+                    value.forEach((item, i) => {
+                        errors.push(...GeminiClient.validateSchema(item, schema.items, `${path}[${i}]`));
+                    });
+                }
+                break;
+            case 'STRING':
+                if (typeof value !== 'string') {
+                    return [`${path} should be a string`];
+                }
+                break;
+            case 'NUMBER':
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    return [`${path} should be a number`];
+                }
+                break;
+            case 'INTEGER':
+                if (!Number.isInteger(value)) {
+                    return [`${path} should be an integer`];
+                }
+                break;
+            case 'BOOLEAN':
+                if (typeof value !== 'boolean') {
+                    return [`${path} should be a boolean`];
+                }
+                break;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Follow-up prompt asking the model to fix its previous answer
+     * @param {Array<string>} errors - Validation errors
+     * @returns {string}
+     */
+    static repairPrompt(errors) {
+        const listed = errors.slice(0, 20).map(error => `- ${error}`).join('\n');
+        const more = errors.length > 20 ? `\n- ...and ${errors.length - 20} more` : '';
+        return `Your previous answer does not match the required JSON schema:\n${listed}${more}\n\n` +
+            'Return the complete corrected JSON only, with no other text.';
+    }
+
+    /**
+     * Set a new API key (switches to calling the Gemini API directly)
+     * @param {string} apiKey - The new API key
+     */
+    setApiKey(apiKey) {
+        this.transport = new GeminiDirectTransport(apiKey);
+    }
+
+    /**
+     * Send requests another way, e.g. through GeminiProxyTransport
+     * @param {Object} transport - Object with request(model, method, body, { signal }) => Promise<Response>
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Set the model name
+     * @param {string} modelName - The model name (e.g., 'gemini-pro', 'gemini-pro-vision')
+     */
+    setModel(modelName) {
+        this.modelName = modelName;
+    }
+
+    /**
+     * Start a multi-turn conversation
+     * @param {Object} options - ChatSession options (history, maxHistoryTokens, systemInstruction
+     *   and other generateContent options used for every message)
+     * @returns {ChatSession}
+     */
+    startChat(options = {}) {
+        return new ChatSession(this, options);
+    }
+}
+
+class TripPlannerAgent extends GeminiClient {
+    static EVENT_CATEGORIES = ['sightseeing', 'food', 'shopping', 'nature', 'culture', 'sports', 'concert', 'wildlife', 'nightlife', 'hotel', 'other'];
+    static TOUR_TYPES = ['panda', 'eco', 'sports', 'concert'];
+    static TRANSPORT_MODES = ['walk', 'mtr', 'bus', 'minibus', 'tram', 'ferry', 'taxi', 'train', 'cable_car', 'other'];
+
+    /**
+     * Gemini response schema for an Itinerary
+     */
+    static ITINERARY_SCHEMA = {
+        type: 'OBJECT',
+        properties: {
+            title: { type: 'STRING' },
+            summary: { type: 'STRING' },
+            currency: { type: 'STRING', description: 'ISO 4217 code used for every cost, e.g. HKD' },
+            days: {
+                type: 'ARRAY',
+                minItems: 1,
+                items: {
+                    type: 'OBJECT',
+                    properties: {
+                        date: { type: 'STRING', description: 'YYYY-MM-DD' },
+                        title: { type: 'STRING' },
+                        events: {
+                            type: 'ARRAY',
+                            minItems: 1,
+                            items: {
+                                type: 'OBJECT',
+                                properties: {
+                                    startTime: { type: 'STRING', description: 'HH:MM, 24-hour' },
+                                    endTime: { type: 'STRING', description: 'HH:MM, 24-hour' },
+                                    title: { type: 'STRING' },
+                                    category: { type: 'STRING', enum: TripPlannerAgent.EVENT_CATEGORIES },
+                                    tourType: {
+                                        type: 'STRING',
+                                        nullable: true,
+                                        enum: TripPlannerAgent.TOUR_TYPES,
+                                        description: 'Which selected tour type this event is for, null if none'
+                                    },
+                                    description: { type: 'STRING', description: 'One or two sentences, simple markdown allowed' },
+                                    place: {
+                                        type: 'OBJECT',
+                                        properties: {
+                                            name: { type: 'STRING' },
+                                            address: { type: 'STRING', nullable: true },
+                                            district: { type: 'STRING', nullable: true },
+                                            latitude: { type: 'NUMBER', nullable: true },
+                                            longitude: { type: 'NUMBER', nullable: true }
+                                        },
+                                        required: ['name'],
+                                        propertyOrdering: ['name', 'address', 'district', 'latitude', 'longitude']
+                                    },
+                                    cost: {
+                                        type: 'OBJECT',
+                                        properties: {
+                                            amount: { type: 'NUMBER', description: 'Estimate, 0 when free' },
+                                            per: { type: 'STRING', enum: ['person', 'group'] },
+                                            notes: { type: 'STRING', nullable: true }
+                                        },
+                                        required: ['amount', 'per'],
+                                        propertyOrdering: ['amount', 'per', 'notes']
+                                    },
+                                    transport: {
+                                        type: 'OBJECT',
+                                        nullable: true,
+                                        description: 'How to get here from the previous event; null for the first event of the day',
+                                        properties: {
+                                            mode: { type: 'STRING', enum: TripPlannerAgent.TRANSPORT_MODES },
+                                            from: { type: 'STRING' },
+                                            to: { type: 'STRING' },
+                                            durationMinutes: { type: 'INTEGER' },
+                                            cost: { type: 'NUMBER', nullable: true, description: 'Per person' },
+                                            notes: { type: 'STRING', nullable: true }
+                                        },
+                                        required: ['mode', 'from', 'to', 'durationMinutes'],
+                                        propertyOrdering: ['mode', 'from', 'to', 'durationMinutes', 'cost', 'notes']
+                                    }
+                                },
+                                required: ['startTime', 'endTime', 'title', 'category', 'tourType', 'description', 'place', 'cost', 'transport'],
+                                propertyOrdering: ['startTime', 'endTime', 'title', 'category', 'tourType', 'description', 'place', 'cost', 'transport']
+                            }
+                        }
+                    },
+                    required: ['date', 'title', 'events'],
+                    propertyOrdering: ['date', 'title', 'events']
+                }
+            },
+            tips: { type: 'ARRAY', items: { type: 'STRING' } }
+        },
+        required: ['title', 'summary', 'currency', 'days', 'tips'],
+        propertyOrdering: ['title', 'summary', 'currency', 'days', 'tips']
+    };
+
+    static SYSTEM_INSTRUCTION = `You are a trip planner for Hong Kong. Plan realistic day-by-day itineraries from the traveller's dates, group size, tour types and preferences.
+Every day from the arrival date to the departure date gets an entry, with events in time order that don't overlap.
+For each event give the place, a cost estimate in HKD (0 when free) and the transport leg from the previous event (null for the first event of a day).
+Use MTR, buses, trams, ferries and walking where sensible, and leave time for travel between places.`;
+
+    static REFINE_INSTRUCTION = `The user will ask for changes to the itinerary you planned. Apply only the changes they ask for (and any knock-on changes to times and transport), keep everything else the same, and answer with the complete updated itinerary.`;
+
+    static RESEARCH_INSTRUCTION = `You are researching a Hong Kong trip before it is planned. Use the tools to look up events on the trip's dates that suit the tour types, the weather forecast for each day, and hotels that fit the group's budget (assume mid-range if no budget is given).
+Then summarise what you found that matters for the plan in a few short notes. Don't write the itinerary itself.`;
+
+    // Longest tool response quoted in the itinerary prompt, in characters
+    static MAX_RESEARCH_RESPONSE = 4000;
+
+    // Generation settings that change the plan, so they are part of its cache key
+    static CACHE_KEY_OPTIONS = ['temperature', 'topP', 'topK', 'maxOutputTokens', 'useTools'];
+
+    /**
+     * @param {string|Object} apiKeyOrTransport - See GeminiClient
+     * @param {string} modelName - Model to use
+     * @param {Object} options - See GeminiClient, plus:
+     * @param {GeminiCache} options.cache - Where finished plans are kept (see gemini-cache.js)
+     */
+    constructor(apiKeyOrTransport, modelName, options = {}) {
+        super(apiKeyOrTransport, modelName, options);
+        this.cache = options.cache || null;
+    }
+
+    /**
+     * Generate a trip plan based on details. With tools registered (see
+     * registerTools and TripDataTools), they are used to look up events, weather
+     * and hotels first, since Gemini can't call functions and answer to a
+     * response schema in the same request. With a cache, the same request is
+     * answered from it, and identical requests made at the same time share one call.
+     * @param {Object} details - Trip details { arriveDate, departureDate, numPeople, selectedTours, preferences }
+     * @param {Object} options - generateJson options (e.g. maxRepairs), plus:
+     *   useTools (default: when tools are registered), onToolCall (see generateWithTools),
+     *   cache (false to leave the cache alone), refresh (plan again and replace the cached plan,
+     *   skipping the answers the proxy keeps too),
+     *   onCacheHit (({ key, store }) => void, when the plan comes from the cache)
+     * @returns {Promise<Itinerary>} - The validated itinerary
+     */
+    async generateItinerary(details, options = {}) {
+        const { cache = true, refresh = false, onCacheHit, ...planOptions } = options;
+        if (refresh) {
+            planOptions.noCache = true;
+        }
+        if (!this.cache || !cache) {
+            return this.planItinerary(details, planOptions);
+        }
+
+        const key = await this.itineraryCacheKey(details, planOptions);
+        return this.cache.wrap(key, () => this.planItinerary(details, planOptions), {
+            refresh,
+            signal: options.signal,
+            onHit: onCacheHit
+        });
+    }
+
+    /**
+     * Cache key of a plan request: the normalized details, the model and everything
+     * else that shapes the answer (prompt, schema, generation settings)
+     * @param {Object} details - Trip details (see generateItinerary)
+     * @param {Object} options - generateItinerary options
+     * @returns {Promise<string>} - SHA-256 hex digest
+     */
+    async itineraryCacheKey(details, options = {}) {
+        const settings = { useTools: this.tools.size > 0 };
+        for (const name of TripPlannerAgent.CACHE_KEY_OPTIONS) {
+            if (options[name] !== undefined) {
+                settings[name] = options[name];
+            }
+        }
+        return this.cache.keyFor({
+            details: TripPlannerAgent.normalizeDetails(details),
+            model: this.modelName,
+            tools: settings.useTools ? Array.from(this.tools.keys()).sort() : [],
+            settings,
+            instruction: TripPlannerAgent.SYSTEM_INSTRUCTION,
+            schema: TripPlannerAgent.ITINERARY_SCHEMA
+        });
+    }
+
+    /**
+     * Trip details in one canonical form, so requests that only differ in case,
+     * spacing or tour order count as the same
+     * @param {Object} details - Trip details (see generateItinerary)
+     * @returns {Object}
+     */
+    static normalizeDetails({ arriveDate, departureDate, numPeople, selectedTours = [], preferences = '' }) {
+        return {
+            arriveDate,
+            departureDate,
+            numPeople: Number(numPeople),
+            selectedTours: Array.from(new Set(selectedTours.map(tour => String(tour).trim().toLowerCase()))).sort(),
+            preferences: String(preferences || '').trim().replace(/\s+/g, ' ').toLowerCase()
+        };
+    }
+
+    /**
+     * Generate a trip plan without the cache (see generateItinerary)
+     * @param {Object} details - Trip details
+     * @param {Object} options - generateItinerary options
+     * @returns {Promise<Itinerary>} - The validated itinerary
+     */
+    async planItinerary(details, options = {}) {
+        const { useTools = this.tools.size > 0, onToolCall, ...jsonOptions } = options;
+        const research = useTools
+            ? await this.researchTrip(details, { ...GeminiClient.requestOptions(options), onToolCall })
+            : null;
+
+        return this.generateJson(this.buildItineraryPrompt(details, research), {
+            temperature: 0.7,
+            maxOutputTokens: 8192,
+            maxContinuations: 2,
+            systemInstruction: TripPlannerAgent.SYSTEM_INSTRUCTION,
+            schema: TripPlannerAgent.ITINERARY_SCHEMA,
+            validate: itinerary => TripPlannerAgent.validateItinerary(itinerary, details),
+            ...jsonOptions
+        });
+    }
+
+    /**
+     * Look up what the trip needs with the registered tools
+     * @param {Object} details - Trip details (see generateItinerary)
+     * @param {Object} options - generateWithTools options (e.g. onToolCall, signal)
+     * @returns {Promise<Object>} - { notes: the model's summary, calls: [{ name, args, response }] }
+     */
+    async researchTrip(details, options = {}) {
+        const { text, calls } = await this.generateWithTools(this.buildItineraryPrompt(details), {
+            temperature: 0.2,
+            maxOutputTokens: 2048,
+            systemInstruction: TripPlannerAgent.RESEARCH_INSTRUCTION,
+            ...options,
+            usageContext: { ...options.usageContext, operation: 'research' }
+        });
+        return { notes: text, calls };
+    }
+
+    /**
+     * Generate a trip plan, reporting events and days as soon as they are complete
+     * @param {Object} details - Trip details (see generateItinerary)
+     * @param {Object} options - generateItinerary options, plus:
+     *   onUpdate (partial itinerary with the complete events so far; called for every new event and day),
+     *   onEvent ((event, dayIndex, eventIndex) => void), onDay ((day, dayIndex) => void),
+     *   onRetry ((attempt) => void; the answer didn't match the schema and is being asked for again),
+     *   signal (AbortSignal to stop the request)
+     * @returns {Promise<Itinerary>} - The validated itinerary
+     */
+    async streamItinerary(details, options = {}) {
+        const { onUpdate, onEvent, onDay, onRetry, ...generateOptions } = options;
+        let reported = { events: new Set(), days: new Set(), attempt: 0 };
+
+        return this.generateItinerary(details, {
+            ...generateOptions,
+            onPartial: (partial, { closed, attempt }) => {
+                if (attempt !== reported.attempt) {
+                    reported = { events: new Set(), days: new Set(), attempt };
+                    if (onRetry) onRetry(attempt);
+                }
+                const snapshot = TripPlannerAgent.completedItinerary(partial, closed);
+                if (this.reportProgress(snapshot, reported, { onEvent, onDay }) && onUpdate) {
+                    onUpdate(snapshot);
+                }
+            }
+        });
+    }
+
+    /**
+     * Start a chat for refining an itinerary. The trip details go in the system
+     * instruction, so they survive history trimming.
+     * @param {Object} details - Trip details (see generateItinerary)
+     * @param {Itinerary} itinerary - The plan to refine
+     * @param {Object} options - ChatSession options
+     * @returns {ChatSession}
+     */
+    startItineraryChat(details, itinerary, options = {}) {
+        return this.startChat({
+            temperature: 0.7,
+            maxOutputTokens: 8192,
+            systemInstruction: [
+                TripPlannerAgent.SYSTEM_INSTRUCTION,
+                TripPlannerAgent.REFINE_INSTRUCTION,
+                this.buildItineraryPrompt(details)
+            ].join('\n\n'),
+            history: [
+                { role: 'user', parts: [{ text: 'Plan this trip.' }] },
+                { role: 'model', parts: [{ text: JSON.stringify(itinerary) }] }
+            ],
+            ...options
+        });
+    }
+
+    /**
+     * Ask for a change to the itinerary in a chat from startItineraryChat
+     * @param {ChatSession} chat - Refine chat
+     * @param {Object} details - Trip details, to validate the dates
+     * @param {string} request - e.g. "Swap day 2's hike for something indoor"
+     * @param {Object} options - generateJson options (e.g. onPartial, signal)
+     * @returns {Promise<Itinerary>} - The complete updated itinerary
+     */
+    async refineItinerary(chat, details, request, options = {}) {
+        return chat.sendJson(request, {
+            maxContinuations: 2,
+            schema: TripPlannerAgent.ITINERARY_SCHEMA,
+            validate: itinerary => TripPlannerAgent.validateItinerary(itinerary, details),
+            ...options
+        });
+    }
+
+    /**
+     * Call onEvent/onDay for the events and days not reported yet
+     * @param {Object} snapshot - From completedItinerary
+     * @param {Object} reported - { events: Set, days: Set } of keys already reported
+     * @param {Object} callbacks - { onEvent, onDay }
+     * @returns {boolean} - Whether anything new was reported
+     */
+    reportProgress(snapshot, reported, callbacks) {
+        let changed = false;
+        snapshot.days.forEach((day, d) => {
+            day.events.forEach((event, e) => {
+                if (!reported.events.has(`${d}:${e}`)) {
+                    reported.events.add(`${d}:${e}`);
+                    changed = true;
+                    if (callbacks.onEvent) callbacks.onEvent(event, d, e);
+                }
+            });
+            if (day.complete && !reported.days.has(d)) {
+                reported.days.add(d);
+                changed = true;
+                if (callbacks.onDay) callbacks.onDay(day, d);
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * The part of a streaming itinerary that won't change any more: complete events
+     * only, and days once their first event is complete. Days carry complete: true
+     * once their events list has closed.
+     * @param {Object} partial - From GeminiClient.parsePartialJson
+     * @param {WeakSet} closed - Closed objects and arrays
+     * @returns {Object} - Itinerary-shaped object
+     */
+    static completedItinerary(partial, closed) {
+        const days = Array.isArray(partial && partial.days) ? partial.days : [];
+        return {
+            title: partial.title,
+            summary: partial.summary,
+            currency: partial.currency,
+            days: days
+                .map(day => {
+                    const events = day && Array.isArray(day.events) ? day.events.filter(event => closed.has(event)) : [];
+                    return { date: day && day.date, title: day && day.title, events, complete: closed.has(day) };
+                })
+                .filter(day => day.events.length > 0),
+            tips: Array.isArray(partial.tips) ? partial.tips : []
+        };
+    }
+
+    /**
+     * Prompt describing the trip
+     * @param {Object} details - Trip details
+     * @param {?Object} research - From researchTrip, to plan with what was looked up
+     * @returns {string}
+     */
+    buildItineraryPrompt(details, research = null) {
+        const { arriveDate, departureDate, numPeople, selectedTours, preferences } = details;
+        const tourTypesText = selectedTours.map(tour => tour.charAt(0).toUpperCase() + tour.slice(1) + ' Tour').join(', ');
+
+        return `Create a detailed trip plan for Hong Kong with the following details:
+- Arrival Date: ${arriveDate}
+- Departure Date: ${departureDate}
+- Number of People: ${numPeople}
+- Tour Types: ${tourTypesText}
+${preferences ? `- Additional Preferences: ${preferences}` : ''}
+
+Include restaurant suggestions as food events, and put transportation tips and budget considerations in the tips.${research ? TripPlannerAgent.formatResearch(research) : ''}`;
+    }
+
+    /**
+     * Tool results and notes from researchTrip, as a section of the itinerary prompt
+     * @param {Object} research - { notes, calls }
+     * @returns {string}
+     */
+    static formatResearch(research) {
+        const limit = TripPlannerAgent.MAX_RESEARCH_RESPONSE;
+        const results = (research.calls || []).map(call => {
+            let response = JSON.stringify(call.response);
+            if (response.length > limit) {
+                response = response.slice(0, limit) + '...';
+            }
+            return `- ${call.name}(${JSON.stringify(call.args)}): ${response}`;
+        });
+        if (results.length === 0 && !research.notes) {
+            return '';
+        }
+
+        let section = '\n\nWhat was looked up for this trip. Prefer these events and hotels, and plan around the weather:';
+        if (results.length > 0) {
+            section += '\n' + results.join('\n');
+        }
+        if (research.notes) {
+            section += `\n\nResearch notes:\n${research.notes}`;
+        }
+        return section;
+    }
+
+    /**
+     * Checks the schema can't express: dates inside the trip, HH:MM times in order
+     * and non-negative costs
+     * @param {Itinerary} itinerary - Schema-valid itinerary
+     * @param {Object} details - Trip details ({ arriveDate, departureDate })
+     * @returns {Array<string>} - Error messages
+     */
+    static validateItinerary(itinerary, details = {}) {
+        const errors = [];
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+        itinerary.days.forEach((day, d) => {
+            const dayPath = `$.days[${d}]`;
+            if (!datePattern.test(day.date)) {
+                errors.push(`${dayPath}.date should be YYYY-MM-DD`);
+            } else if ((details.arriveDate && day.date < details.arriveDate) ||
+                (details.departureDate && day.date > details.departureDate)) {
+                errors.push(`${dayPath}.date ${day.date} is outside the trip (${details.arriveDate} to ${details.departureDate})`);
+            }
+            if (d > 0 && day.date <= itinerary.days[d - 1].date) {
+                errors.push(`${dayPath}.date should come after the previous day`);
+            }
+
+            day.events.forEach((event, e) => {
+                const eventPath = `${dayPath}.events[${e}]`;
+                const validTimes = timePattern.test(event.startTime) && timePattern.test(event.endTime);
+                if (!timePattern.test(event.startTime)) {
+                    errors.push(`${eventPath}.startTime should be HH:MM`);
+                }
+                if (!timePattern.test(event.endTime)) {
+                    errors.push(`${eventPath}.endTime should be HH:MM`);
+                }
+                if (validTimes && event.endTime < event.startTime) {
+                    errors.push(`${eventPath} ends before it starts`);
+                }
+                if (validTimes && e > 0 && event.startTime < day.events[e - 1].startTime) {
+                    errors.push(`${eventPath} should not start before the previous event`);
+                }
+                if (event.cost.amount < 0) {
+                    errors.push(`${eventPath}.cost.amount should not be negative`);
+                }
+                if (event.transport && event.transport.durationMinutes < 0) {
+                    errors.push(`${eventPath}.transport.durationMinutes should not be negative`);
+                }
+            });
+        });
+        return errors;
+    }
+}
+
+/**
+ * Multi-turn conversation with Gemini
+ *
+ * Keeps the user and model turns and sends them with every message. When the
+ * history grows past maxHistoryTokens, the oldest exchanges are dropped (the
+ * system instruction and the latest exchange are always kept). A turn is only
+ * added once the model has answered, so a failed message can simply be retried.
+ *
+ * Usage:
+ *   const chat = gemini.startChat({ systemInstruction: 'Answer briefly.', maxHistoryTokens: 8000 });
+ *   const answer = await chat.sendMessage('Is the Peak Tram open at night?');
+ *   const place = await chat.sendJson('Give me its address', { schema });
+ */
+class ChatSession {
+    static DEFAULTS = {
+        maxHistoryTokens: 32000
+    };
+
+    /**
+     * @param {GeminiClient} client - Client used to send messages
+     * @param {Object} options - { history: earlier contents, maxHistoryTokens, ...generateContent
+     *   options such as systemInstruction and temperature, used for every message }
+     */
+    constructor(client, options = {}) {
+        const { history = [], maxHistoryTokens = ChatSession.DEFAULTS.maxHistoryTokens, ...generationOptions } = options;
+        this.client = client;
+        this.maxHistoryTokens = maxHistoryTokens;
+        this.generationOptions = generationOptions;
+        this.history = history.map(turn => ChatSession.copyTurn(turn));
+        this.trimHistory();
+    }
+
+    /**
+     * Send a message and get the text answer
+     * @param {string} text - User message
+     * @param {Object} options - generateContent options for this message only
+     * @returns {Promise<string>}
+     */
+    async sendMessage(text, options = {}) {
+        const turn = ChatSession.userTurn(text);
+        const answer = await this.client.generateContent([...this.history, turn], { ...this.generationOptions, ...options });
+        this.addExchange(turn, answer);
+        return answer;
+    }
+
+    /**
+     * Send a message and stream the answer
+     * @param {string} text - User message
+     * @param {Function} onChunk - Called with each piece of text
+     * @param {Object} options - generateContentStream options for this message only
+     * @returns {Promise<string>} - The complete answer
+     */
+    async sendMessageStream(text, onChunk, options = {}) {
+        const turn = ChatSession.userTurn(text);
+        const answer = await this.client.generateContentStream([...this.history, turn], onChunk, { ...this.generationOptions, ...options });
+        this.addExchange(turn, answer);
+        return answer;
+    }
+
+    /**
+     * Send a message and get a JSON answer checked against a schema (see GeminiClient.generateJson).
+     * Only the final, valid answer is kept in the history, not the repair turns.
+     * @param {string} text - User message
+     * @param {Object} options - generateJson options (schema, validate, maxRepairs, onPartial, ...)
+     * @returns {Promise<Object>}
+     */
+    async sendJson(text, options = {}) {
+        const turn = ChatSession.userTurn(text);
+        const value = await this.client.generateJson([...this.history, turn], { ...this.generationOptions, ...options });
+        this.addExchange(turn, JSON.stringify(value));
+        return value;
+    }
+
+    /**
+     * @returns {Array} - Copy of the history ({ role, parts })
+     */
+    getHistory() {
+        return this.history.map(turn => ChatSession.copyTurn(turn));
+    }
+
+    /**
+     * Forget the conversation (the system instruction is kept)
+     */
+    clearHistory() {
+        this.history = [];
+    }
+
+    /**
+     * Add a user turn and the model's answer, then trim
+     * @param {Object} userTurn - { role: 'user', parts }
+     * @param {string} answer - Model text
+     */
+    addExchange(userTurn, answer) {
+        this.history.push(userTurn, { role: 'model', parts: [{ text: answer }] });
+        this.trimHistory();
+    }
+
+    /**
+     * Drop the oldest exchanges until the history fits maxHistoryTokens
+     */
+    trimHistory() {
+        while (this.history.length > 2 && ChatSession.estimateTokens(this.history) > this.maxHistoryTokens) {
+            // Remove a whole exchange so the history still starts with a user turn
+            this.history.splice(0, this.history[1] && this.history[1].role === 'model' ? 2 : 1);
+        }
+    }
+
+    /**
+     * Rough token count of some contents (about 4 characters per token)
+     * @param {Array} contents - { role, parts } list
+     * @returns {number}
+     */
+    static estimateTokens(contents) {
+        const characters = contents.reduce((total, turn) => total + (turn.parts || [])
+            .reduce((sum, part) => sum + (typeof part.text === 'string' ? part.text.length : JSON.stringify(part).length), 0), 0);
+        return Math.ceil(characters / 4);
+    }
+
+    /**
+     * @param {string} text - Message
+     * @returns {Object} - { role: 'user', parts }
+     */
+    static userTurn(text) {
+        return { role: 'user', parts: [{ text }] };
+    }
+
+    /**
+     * @param {Object} turn - { role, parts }
+     * @returns {Object} - Copy that later changes to the original don't affect
+     */
+    static copyTurn(turn) {
+        return { role: turn.role, parts: (turn.parts || []).map(part => ({ ...part })) };
+    }
+}
+
+/**
+ * Calls the Gemini API directly with an API key. Anyone who can read the page can
+ * read the key, so this is for local development; deployed pages use GeminiProxyTransport.
+ */
+class GeminiDirectTransport {
+    static BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+    /**
+     * @param {string} apiKey - Gemini API key
+     * @param {string} baseUrl - API base URL
+     */
+    constructor(apiKey, baseUrl = GeminiDirectTransport.BASE_URL) {
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Send a request to a model method
+     * @param {string} model - Model name, e.g. gemini-2.5-flash
+     * @param {string} method - generateContent or streamGenerateContent (answered as server-sent events)
+     * @param {Object} body - Request body
+     * @param {Object} options - { signal }
+     * @returns {Promise<Response>}
+     */
+    request(model, method, body, options = {}) {
+        return fetch(GeminiDirectTransport.methodUrl(this.baseUrl, model, method), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // A header rather than ?key=, so the key stays out of URLs and logs
+                'x-goog-api-key': this.apiKey
+            },
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+    }
+
+    /**
+     * URL of a model method under a base URL
+     * @param {string} baseUrl - Gemini API or proxy URL
+     * @param {string} model - Model name
+     * @param {string} method - Method name
+     * @returns {string}
+     */
+    static methodUrl(baseUrl, model, method) {
+        const query = method === 'streamGenerateContent' ? '?alt=sse' : '';
+        return `${baseUrl.replace(/\/+$/, '')}/models/${encodeURIComponent(model)}:${method}${query}`;
+    }
+}
+
+/**
+ * Sends Gemini requests to our proxy (gemini-proxy.js), which holds the API key,
+ * rate limits each user and records their token usage. The proxy takes the same paths
+ * and bodies as the Gemini API and needs the user's Supabase access token; the
+ * request's usageContext goes along as headers, so usage is stored against the plan, and
+ * noCache asks the proxy not to answer from its shared cache.
+ *
+ * Usage:
+ *   const transport = new GeminiProxyTransport({
+ *       url: '/api/gemini',
+ *       getAccessToken: async () => (await supabase.getSession())?.access_token
+ *   });
+ *   const agent = new TripPlannerAgent(transport);
+ */
+class GeminiProxyTransport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {string} options.url - Proxy URL
+     * @param {Function} options.getAccessToken - () => token or Promise of one (null when signed out)
+     */
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('GeminiProxyTransport needs the proxy url');
+        }
+        this.url = options.url;
+        this.getAccessToken = options.getAccessToken || (() => null);
+    }
+
+    /**
+     * Send a request to a model method through the proxy (see GeminiDirectTransport.request)
+     * @param {string} model - Model name
+     * @param {string} method - generateContent or streamGenerateContent
+     * @param {Object} body - Request body
+     * @param {Object} options - { signal, usageContext: { planId, operation }, noCache }
+     * @returns {Promise<Response>}
+     */
+    async request(model, method, body, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = await this.getAccessToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        const context = options.usageContext || {};
+        if (context.planId) {
+            headers['X-Plan-Id'] = String(context.planId);
+        }
+        if (context.operation) {
+            headers['X-Usage-Operation'] = String(context.operation);
+        }
+        if (options.noCache) {
+            headers['Cache-Control'] = 'no-cache';
+        }
+        return fetch(GeminiDirectTransport.methodUrl(this.url, model, method), {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+    }
+}
+
+/**
+ * Incremental parser for server-sent events (text/event-stream)
+ *
+ * Text can be pushed in chunks of any size; lines and events split across chunks
+ * are buffered until they are complete. Handles \n, \r\n and \r line endings,
+ * multi-line data and comments.
+ *
+ * Usage:
+ *   const parser = new SseParser(event => console.log(event.event, event.data));
+ *   parser.push('data: {"a"');
+ *   parser.push(': 1}\n\n');   // logs: message {"a": 1}
+ *   parser.end();
+ */
+class SseParser {
+    /**
+     * @param {Function} onEvent - Called with { event, data, id } for every complete event
+     */
+    constructor(onEvent) {
+        this.onEvent = onEvent;
+        this.buffer = '';
+        this.reset();
+    }
+
+    /**
+     * Parse the next piece of the stream
+     * @param {string} text - Decoded text
+     */
+    push(text) {
+        this.buffer += text;
+        const lines = this.buffer.split(/\r\n|\r(?!$)|\n/);
+        // The last line is incomplete (a trailing \r may be the start of \r\n)
+        this.buffer = lines.pop();
+        lines.forEach(line => this.processLine(line));
+    }
+
+    /**
+     * Finish the stream, dispatching an event that wasn't followed by a blank line
+     */
+    end() {
+        const rest = this.buffer.replace(/\r$/, '');
+        this.buffer = '';
+        if (rest) {
+            this.processLine(rest);
+        }
+        this.dispatch();
+    }
+
+    /**
+     * @param {string} line - One line, without its line ending
+     */
+    processLine(line) {
+        if (line === '') {
+            this.dispatch();
+            return;
+        }
+        if (line.startsWith(':')) {
+            return;
+        }
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        if (field === 'data') {
+            this.data.push(value);
+        } else if (field === 'event') {
+            this.event = value;
+        } else if (field === 'id') {
+            this.id = value;
+        }
+    }
+
+    /**
+     * Send the event collected so far, if it has data
+     */
+    dispatch() {
+        if (this.data.length > 0) {
+            const event = { event: this.event || 'message', data: this.data.join('\n'), id: this.id };
+            this.reset();
+            this.onEvent(event);
+            return;
+        }
+        this.reset();
+    }
+
+    /**
+     * Start a new event
+     */
+    reset() {
+        this.data = [];
+        this.event = '';
+        this.id = null;
+    }
+}
+
+/**
+ * Error from a Gemini request, typed by cause so the UI can say what to do about it:
+ *   quota           - 429: rate limit or quota used up (retryDelay says how long to wait, when known)
+ *   invalid_key     - the API key is missing, invalid or not allowed to use the model
+ *   unauthenticated - 401: the proxy needs a signed-in user
+ *   safety          - the prompt or response was blocked (GeminiBlockedError)
+ *   network         - no response, a timeout (code 'TIMEOUT') or a broken stream
+ *   server          - 5xx from Gemini or the proxy
+ *   invalid_request - any other 4xx
+ *
+ * Usage:
+ *   try {
+ *       await gemini.generateContent(prompt);
+ *   } catch (error) {
+ *       if (error instanceof GeminiError && error.type === 'quota') showTryLater(error.retryDelay);
+ *   }
+ */
+class GeminiError extends Error {
+    // Worth retrying, possibly with another model
+    static TRANSIENT_TYPES = ['quota', 'network', 'server'];
+
+    /**
+     * @param {string} message - Error message
+     * @param {Object} fields - { type, status, code (e.g. RESOURCE_EXHAUSTED), model, retryDelay (ms), details }
+     */
+    constructor(message, fields = {}) {
+        super(message);
+        this.name = 'GeminiError';
+        this.type = fields.type || 'server';
+        this.status = fields.status || 0;
+        this.code = fields.code || null;
+        this.model = fields.model || null;
+        this.retryDelay = fields.retryDelay !== undefined ? fields.retryDelay : null;
+        this.details = fields.details || [];
+        this.retryable = GeminiError.TRANSIENT_TYPES.includes(this.type);
+    }
+
+    /**
+     * Build an error from a failed response ({ error: { code, message, status, details } })
+     * @param {Response} response - Fetch response with ok === false
+     * @param {string} model - Model the request was for
+     * @returns {Promise<GeminiError>}
+     */
+    static async fromResponse(response, model) {
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (e) {
+            // HTML error pages and empty bodies
+        }
+        const payload = (body && body.error) || {};
+        const error = GeminiError.fromPayload({
+            code: response.status,
+            message: response.statusText || `HTTP ${response.status}`,
+            ...(typeof payload === 'object' ? payload : { message: String(payload) })
+        }, { model });
+
+        const retryAfter = response.headers && response.headers.get('Retry-After');
+        if (error.retryDelay === null && retryAfter && !Number.isNaN(Number(retryAfter))) {
+            error.retryDelay = Number(retryAfter) * 1000;
+        }
+        return error;
+    }
+
+    /**
+     * Build an error from a Google API error object, in a response or in a stream
+     * @param {Object} payload - { code, message, status, details }
+     * @param {Object} fields - { model }
+     * @returns {GeminiError}
+     */
+    static fromPayload(payload, fields = {}) {
+        const status = Number(payload.code) || 0;
+        const details = Array.isArray(payload.details) ? payload.details : [];
+        const message = payload.message || payload.status || 'request failed';
+        return new GeminiError(`Gemini API Error: ${message}`, {
+            ...fields,
+            type: GeminiError.typeFor(status, payload.status, message, details),
+            status,
+            code: payload.status || null,
+            retryDelay: GeminiError.retryDelayFrom(details),
+            details
+        });
+    }
+
+    /**
+     * Wrap an error thrown by fetch or a stream read. Aborts are passed through unchanged.
+     * @param {Error} error - The error
+     * @param {string} model - Model the request was for
+     * @returns {Error}
+     */
+    static fromNetworkError(error, model) {
+        if (error.name === 'AbortError' || error instanceof GeminiError) {
+            return error;
+        }
+        const wrapped = new GeminiError(`Gemini API Error: ${error.message || 'Network request failed'}`, { type: 'network', model });
+        wrapped.cause = error;
+        return wrapped;
+    }
+
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} code - Google status name, e.g. PERMISSION_DENIED
+     * @param {string} message - Error message
+     * @param {Array} details - Error details
+     * @returns {string} - Error type (see the class comment)
+     */
+    static typeFor(status, code, message, details) {
+        if (details.some(detail => detail.reason === 'API_KEY_INVALID') || (status === 400 && /API key/i.test(message))) {
+            return 'invalid_key';
+        }
+        if (status === 401) {
+            return 'unauthenticated';
+        }
+        if (status === 403) {
+            return 'invalid_key';
+        }
+        if (status === 429 || code === 'RESOURCE_EXHAUSTED') {
+            return 'quota';
+        }
+        if (status === 408) {
+            return 'network';
+        }
+        if (status >= 500 || status === 0) {
+            return 'server';
+        }
+        return 'invalid_request';
+    }
+
+    /**
+     * Delay from RetryInfo ({ retryDelay: '37s' }). A daily quota can't be waited out,
+     * so it counts as an infinite delay.
+     * @param {Array} details - Error details
+     * @returns {number|null} - ms, or null when the server didn't say
+     */
+    static retryDelayFrom(details) {
+        const quota = details.find(detail => Array.isArray(detail.violations));
+        if (quota && quota.violations.some(violation => /PerDay/i.test(violation.quotaId || ''))) {
+            return Infinity;
+        }
+        const info = details.find(detail => typeof detail.retryDelay === 'string');
+        const match = info && /^([\d.]+)s$/.exec(info.retryDelay);
+        return match ? Math.round(Number(match[1]) * 1000) : null;
+    }
+}
+
+/**
+ * Error thrown when Gemini blocks the prompt or stops the response for safety reasons
+ *
+ * Usage:
+ *   try {
+ *       await gemini.generateContentStream(prompt, onChunk);
+ *   } catch (error) {
+ *       if (error instanceof GeminiBlockedError) console.log(error.reason, error.safetyRatings);
+ *   }
+ */
+class GeminiBlockedError extends GeminiError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} fields - { reason: blockReason or finishReason, safetyRatings, text: output before the block, model }
+     */
+    constructor(message, fields = {}) {
+        super(message, { type: 'safety', model: fields.model });
+        this.name = 'GeminiBlockedError';
+        this.reason = fields.reason || null;
+        this.safetyRatings = fields.safetyRatings || [];
+        this.text = fields.text || '';
+    }
+}
+
+/**
+ * Error thrown when Gemini's JSON still doesn't match the schema after re-asking
+ *
+ * Usage:
+ *   try {
+ *       await agent.generateItinerary(details);
+ *   } catch (error) {
+ *       if (error instanceof GeminiSchemaError) console.log(error.errors, error.text);
+ *   }
+ */
+class GeminiSchemaError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} fields - { errors: validation messages, text: last model output }
+     */
+    constructor(message, fields = {}) {
+        super(message);
+        this.name = 'GeminiSchemaError';
+        this.errors = fields.errors || [];
+        this.text = fields.text || '';
     }
 }
 
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GeminiClient, TripPlannerAgent };
+    module.exports = {
+        GeminiClient,
+        TripPlannerAgent,
+        ChatSession,
+        GeminiDirectTransport,
+        GeminiProxyTransport,
+        GeminiError,
+        GeminiSchemaError,
+        GeminiBlockedError,
+        SseParser
+    };
 }
 
@@ -0,0 +1,892 @@
+/**
+ * Test file for GeminiClient and TripPlannerAgent
+ *
+ * Run with: node gemini_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var { GeminiClient, TripPlannerAgent, ChatSession, GeminiError, GeminiSchemaError, GeminiBlockedError, SseParser } = require('./gemini.js');
+    var { TestRunner, assert, assertEqual } = require('./supabase_test.js');
+    var fs = require('fs');
+    var path = require('path');
+}
+
+// Answers each generateContent call with the next text and records the request bodies
+function mockGemini(texts) {
+    const requests = [];
+    global.fetch = async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        const text = texts[Math.min(requests.length - 1, texts.length - 1)];
+        return {
+            ok: true,
+            status: 200,
+            json: async () => ({ candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }] })
+        };
+    };
+    return requests;
+}
+
+// Answers each generateContent call with the next list of parts (text or functionCall)
+function mockGeminiParts(responses) {
+    const requests = [];
+    global.fetch = async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        const parts = responses[Math.min(requests.length - 1, responses.length - 1)];
+        return {
+            ok: true,
+            status: 200,
+            json: async () => ({ candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }] })
+        };
+    };
+    return requests;
+}
+
+// Answers each call with the next response from `replies` (functions of the request URL);
+// records the URLs
+function mockGeminiReplies(replies) {
+    const urls = [];
+    global.fetch = async (url, options) => {
+        urls.push(url);
+        return replies[Math.min(urls.length - 1, replies.length - 1)](url, options);
+    };
+    return urls;
+}
+
+// Gemini error response
+function errorReply(status, statusName, message, details = []) {
+    return () => Response.json({ error: { code: status, message, status: statusName, details } }, { status });
+}
+
+function textReply(text) {
+    return url => Response.json({ candidates: [{ content: { role: 'model', parts: [{ text: `${text} (${url.split('/models/')[1].split(':')[0]})` }] }, finishReason: 'STOP' }] });
+}
+
+// Runs a request with console.error and console.warn silenced; returns the error it throws
+async function expectGeminiError(promise) {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    } finally {
+        console.error = originalError;
+    }
+    throw new Error('Expected the request to fail');
+}
+
+// Streams each text in pieces of `size` characters as SSE events, one response per call
+function mockGeminiStream(texts, size = 40) {
+    const requests = [];
+    global.fetch = async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body), signal: options.signal });
+        const text = texts[Math.min(requests.length - 1, texts.length - 1)];
+        const events = [];
+        for (let i = 0; i < text.length; i += size) {
+            const candidate = { content: { role: 'model', parts: [{ text: text.slice(i, i + size) }] } };
+            if (i + size >= text.length) {
+                candidate.finishReason = 'STOP';
+            }
+            events.push(new TextEncoder().encode(`data: ${JSON.stringify({ candidates: [candidate] })}\r\n\r\n`));
+        }
+        return streamResponse(events, options.signal);
+    };
+    return requests;
+}
+
+// A streaming fetch response that yields the given byte chunks
+function streamResponse(chunks, signal) {
+    const queue = chunks.slice();
+    return {
+        ok: true,
+        status: 200,
+        body: {
+            getReader: () => ({
+                read: async () => {
+                    // Let the test abort between chunks
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (signal && signal.aborted) {
+                        const error = new Error('The operation was aborted');
+                        error.name = 'AbortError';
+                        throw error;
+                    }
+                    return queue.length > 0 ? { done: false, value: queue.shift() } : { done: true };
+                },
+                cancel: async () => {
+                    queue.length = 0;
+                }
+            })
+        }
+    };
+}
+
+// Replays a recorded stream from fixtures/gemini, cut into chunks of `size` bytes
+// (small sizes split events, \r\n pairs and multi-byte characters)
+function mockGeminiFixture(name, size = Infinity) {
+    const bytes = fs.readFileSync(path.join(__dirname, 'fixtures', 'gemini', name));
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += Math.min(size, bytes.length)) {
+        chunks.push(new Uint8Array(bytes.subarray(i, i + size)));
+    }
+    global.fetch = async (url, options) => streamResponse(chunks, options.signal);
+}
+
+// Runs generateContentStream with console.error silenced; returns { text, chunks, finish } or { error }
+async function streamFixture(name, size) {
+    mockGeminiFixture(name, size);
+    const chunks = [];
+    let finish = null;
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const text = await new GeminiClient('key').generateContentStream('Plan', chunk => chunks.push(chunk), {
+            onFinish: info => (finish = info)
+        });
+        return { text, chunks, finish };
+    } catch (error) {
+        return { error, chunks };
+    } finally {
+        console.error = originalError;
+    }
+}
+
+const details = {
+    arriveDate: '2026-11-01',
+    departureDate: '2026-11-02',
+    numPeople: 2,
+    selectedTours: ['panda', 'eco'],
+    preferences: 'Vegetarian food'
+};
+
+function createEvent(overrides = {}) {
+    return {
+        startTime: '09:00',
+        endTime: '11:00',
+        title: 'Giant pandas',
+        category: 'wildlife',
+        tourType: 'panda',
+        description: 'Visit the pandas at Ocean Park',
+        place: { name: 'Ocean Park', address: null, district: 'Southern', latitude: 22.2467, longitude: 114.1757 },
+        cost: { amount: 498, per: 'person', notes: null },
+        transport: null,
+        ...overrides
+    };
+}
+
+function createItinerary() {
+    return {
+        title: 'Pandas and Peaks',
+        summary: 'Two days of wildlife and hiking',
+        currency: 'HKD',
+        days: [
+            { date: '2026-11-01', title: 'Ocean Park', events: [createEvent()] },
+            {
+                date: '2026-11-02',
+                title: 'Dragon\'s Back',
+                events: [
+                    createEvent({ title: 'Hike', category: 'nature', tourType: 'eco', place: { name: 'Dragon\'s Back' }, cost: { amount: 0, per: 'person' } }),
+                    createEvent({
+                        startTime: '12:00',
+                        endTime: '13:00',
+                        title: 'Lunch',
+                        category: 'food',
+                        tourType: null,
+                        place: { name: 'Shek O' },
+                        cost: { amount: 120, per: 'person' },
+                        transport: { mode: 'bus', from: 'Dragon\'s Back', to: 'Shek O', durationMinutes: 15, cost: 6.5, notes: null }
+                    })
+                ]
+            }
+        ],
+        tips: ['Get an Octopus card']
+    };
+}
+
+const runner = new TestRunner('GeminiClient');
+const originalFetch = global.fetch;
+const originalWarn = console.warn;
+
+runner.test('buildRequestBody should add system instruction and JSON response settings', async () => {
+    const gemini = new GeminiClient('key');
+    const schema = { type: 'OBJECT', properties: { name: { type: 'STRING' } } };
+    const body = gemini.buildRequestBody('Hi', {
+        systemInstruction: 'Be brief',
+        responseMimeType: 'application/json',
+        responseSchema: schema
+    });
+
+    assertEqual(body.contents, [{ role: 'user', parts: [{ text: 'Hi' }] }]);
+    assertEqual(body.systemInstruction, { parts: [{ text: 'Be brief' }] });
+    assertEqual(body.generationConfig.responseMimeType, 'application/json');
+    assertEqual(body.generationConfig.responseSchema, schema);
+
+    const plain = gemini.buildRequestBody('Hi');
+    assert(!('systemInstruction' in plain), 'Should leave out an empty system instruction');
+    assert(!('responseSchema' in plain.generationConfig), 'Should leave out an empty schema');
+});
+
+runner.test('validateSchema should report types, required fields, enums and nullables', async () => {
+    const schema = {
+        type: 'OBJECT',
+        properties: {
+            name: { type: 'STRING' },
+            count: { type: 'INTEGER' },
+            kind: { type: 'STRING', enum: ['a', 'b'] },
+            note: { type: 'STRING', nullable: true },
+            items: { type: 'ARRAY', minItems: 1, items: { type: 'NUMBER' } }
+        },
+        required: ['name', 'count', 'note', 'items']
+    };
+
+    assertEqual(GeminiClient.validateSchema({ name: 'x', count: 1, kind: 'a', note: null, items: [1.5] }, schema), []);
+    assertEqual(GeminiClient.validateSchema({ name: 1, count: 1.5, kind: 'c', items: [] }, schema), [
+        '$.note is required',
+        '$.name should be a string',
+        '$.count should be an integer',
+        '$.kind should be one of a, b',
+        '$.items should have at least 1 items'
+    ]);
+    assertEqual(GeminiClient.validateSchema({ name: 'x', count: 1, note: 'n', items: ['1'] }, schema), ['$.items[0] should be a number']);
+    assertEqual(GeminiClient.validateSchema([], schema), ['$ should be an object']);
+});
+
+runner.test('extractJson should strip code fences and surrounding prose', async () => {
+    assertEqual(GeminiClient.extractJson('```json\n{"a": 1}\n```'), '{"a": 1}');
+    assertEqual(GeminiClient.extractJson('Here you go: {"a": 1} Enjoy!'), '{"a": 1}');
+    assertEqual(GeminiClient.extractJson(' [1, 2] '), '[1, 2]');
+});
+
+runner.test('generateItinerary should request JSON with the itinerary schema and return an object', async () => {
+    const requests = mockGemini([JSON.stringify(createItinerary())]);
+    const agent = new TripPlannerAgent('key');
+
+    const itinerary = await agent.generateItinerary(details);
+
+    assertEqual(requests.length, 1);
+    const body = requests[0].body;
+    assertEqual(body.generationConfig.responseMimeType, 'application/json');
+    assertEqual(body.generationConfig.responseSchema, TripPlannerAgent.ITINERARY_SCHEMA);
+    assert(body.systemInstruction.parts[0].text.includes('Hong Kong'), 'Should send the system instruction');
+    assert(body.contents[0].parts[0].text.includes('Panda Tour, Eco Tour'), 'Should describe the trip');
+    assert(!body.contents[0].parts[0].text.includes('bullet points'), 'Should not ask for free text');
+
+    assertEqual(itinerary.days.length, 2);
+    assertEqual(itinerary.days[1].events[1].transport.mode, 'bus');
+    assertEqual(itinerary.days[0].events[0].cost, { amount: 498, per: 'person', notes: null });
+});
+
+runner.test('generateItinerary should re-ask with the problems when the schema does not match', async () => {
+    const broken = createItinerary();
+    delete broken.days[0].events[0].place;
+    broken.days[1].events[0].category = 'adventure';
+    const requests = mockGemini([JSON.stringify(broken), JSON.stringify(createItinerary())]);
+    const agent = new TripPlannerAgent('key');
+
+    const itinerary = await agent.generateItinerary(details);
+
+    assertEqual(requests.length, 2, 'Should ask twice');
+    const contents = requests[1].body.contents;
+    assertEqual(contents.map(c => c.role), ['user', 'model', 'user']);
+    assertEqual(contents[1].parts[0].text, JSON.stringify(broken), 'Should show the model its answer');
+    const repair = contents[2].parts[0].text;
+    assert(repair.includes('$.days[0].events[0].place is required'), 'Should list the missing field');
+    assert(repair.includes('$.days[1].events[0].category should be one of'), 'Should list the bad enum');
+    assertEqual(itinerary.title, 'Pandas and Peaks');
+});
+
+runner.test('generateItinerary should re-ask when dates or times are wrong', async () => {
+    const broken = createItinerary();
+    broken.days[0].date = '2026-10-31';
+    broken.days[1].events[1].startTime = '8am';
+    broken.days[1].events[0].endTime = '08:00';
+    const requests = mockGemini([JSON.stringify(broken), JSON.stringify(createItinerary())]);
+
+    await new TripPlannerAgent('key').generateItinerary(details);
+
+    const repair = requests[1].body.contents[2].parts[0].text;
+    assert(repair.includes('2026-10-31 is outside the trip'), 'Should report the date');
+    assert(repair.includes('$.days[1].events[1].startTime should be HH:MM'), 'Should report the time format');
+    assert(repair.includes('$.days[1].events[0] ends before it starts'), 'Should report the time order');
+});
+
+runner.test('generateJson should repair fenced JSON locally without re-asking', async () => {
+    const requests = mockGemini(['```json\n' + JSON.stringify(createItinerary()) + '\n```']);
+    const itinerary = await new TripPlannerAgent('key').generateItinerary(details);
+    assertEqual(requests.length, 1);
+    assertEqual(itinerary.currency, 'HKD');
+});
+
+runner.test('generateJson should throw GeminiSchemaError when the repair also fails', async () => {
+    const requests = mockGemini(['not json', '{"title": 1}']);
+    try {
+        await new TripPlannerAgent('key').generateItinerary(details);
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error instanceof GeminiSchemaError, 'Should be a GeminiSchemaError');
+        assert(error.errors.includes('$.title should be a string'), 'Should keep the last errors');
+        assertEqual(error.text, '{"title": 1}', 'Should keep the last answer');
+    }
+    assertEqual(requests.length, 2, 'Should re-ask once by default');
+    assert(requests[1].body.contents[2].parts[0].text.includes('not valid JSON'), 'Should report the parse error');
+});
+
+runner.test('parsePartialJson should parse what has arrived and track closed containers', async () => {
+    const parse = text => GeminiClient.parsePartialJson(text).value;
+
+    assertEqual(parse(''), undefined);
+    assertEqual(parse('```json\n{"title": "Pan'), {}, 'Should skip the fence and leave out unfinished strings');
+    assertEqual(parse('{"title": "Panda \\"Trip\\"", "count": 12'), { title: 'Panda "Trip"' }, 'Numbers may still grow');
+    assertEqual(parse('{"count": 12, "ok": tr'), { count: 12 });
+    assertEqual(parse('{"days": [{"events": [{"a": 1}, {"a": 2}], "x": nu'), { days: [{ events: [{ a: 1 }, { a: 2 }] }] });
+    assertEqual(parse('{"tips": ["a", "b"'), { tips: ['a', 'b'] });
+
+    const { value, closed } = GeminiClient.parsePartialJson('{"days": [{"events": [{"a": 1}, {"a": 2');
+    assert(closed.has(value.days[0].events[0]), 'First event is closed');
+    assert(!closed.has(value.days[0].events[1]), 'Second event is still open');
+    assert(!closed.has(value.days[0]) && !closed.has(value), 'Parents are still open');
+
+    try {
+        GeminiClient.parsePartialJson('{"a": nope}');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error instanceof SyntaxError, 'Should throw a SyntaxError for invalid JSON');
+    }
+});
+
+runner.test('streamItinerary should report events and days as they complete', async () => {
+    const requests = mockGeminiStream([JSON.stringify(createItinerary())]);
+    const order = [];
+    const updates = [];
+
+    const itinerary = await new TripPlannerAgent('key').streamItinerary(details, {
+        onEvent: (event, d, e) => order.push(`event ${d}.${e} ${event.title}`),
+        onDay: (day, d) => order.push(`day ${d} ${day.title}`),
+        onUpdate: partial => updates.push(JSON.parse(JSON.stringify(partial)))
+    });
+
+    assert(requests[0].url.endsWith(':streamGenerateContent?alt=sse'), 'Should stream server-sent events');
+    assertEqual(requests[0].body.generationConfig.responseSchema, TripPlannerAgent.ITINERARY_SCHEMA);
+    assertEqual(order, [
+        'event 0.0 Giant pandas',
+        'day 0 Ocean Park',
+        'event 1.0 Hike',
+        'event 1.1 Lunch',
+        'day 1 Dragon\'s Back'
+    ]);
+    assertEqual(updates[0].days.length, 1, 'First update has the first day');
+    assertEqual(updates[0].days[0].events.length, 1);
+    const midDay = updates.find(update => update.days.length === 2 && update.days[1].events.length === 1);
+    assertEqual(midDay.days[1].complete, false, 'Day 2 is still open after its first event');
+    assertEqual(updates[updates.length - 1].days[1].complete, true);
+    assert(updates.every(update => update.days.every(day => day.events.every(event => event.place))), 'Events are never partial');
+    assertEqual(itinerary, createItinerary(), 'Should return the validated itinerary');
+});
+
+runner.test('streamItinerary should start over when the streamed answer needs repairing', async () => {
+    const broken = createItinerary();
+    broken.days[0].events[0].category = 'adventure';
+    mockGeminiStream([JSON.stringify(broken), JSON.stringify(createItinerary())]);
+    const retries = [];
+    const events = [];
+
+    const itinerary = await new TripPlannerAgent('key').streamItinerary(details, {
+        onRetry: attempt => retries.push(attempt),
+        onEvent: (event, d, e) => events.push(`${d}.${e}`)
+    });
+
+    assertEqual(retries, [1]);
+    assertEqual(events, ['0.0', '1.0', '1.1', '0.0', '1.0', '1.1'], 'Should report the repaired events again');
+    assertEqual(itinerary.days[0].events[0].category, 'wildlife');
+});
+
+runner.test('streamItinerary should stop when its signal is aborted', async () => {
+    const requests = mockGeminiStream([JSON.stringify(createItinerary())], 20);
+    const controller = new AbortController();
+    const events = [];
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+        await new TripPlannerAgent('key').streamItinerary(details, {
+            signal: controller.signal,
+            onEvent: event => {
+                events.push(event.title);
+                controller.abort();
+            }
+        });
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assertEqual(error.name, 'AbortError');
+    } finally {
+        console.error = originalError;
+    }
+    assertEqual(requests[0].signal, controller.signal, 'Should pass the signal to fetch');
+    assertEqual(events, ['Giant pandas'], 'Should stop after the abort');
+});
+
+runner.test('SseParser should handle events split anywhere and every line ending', async () => {
+    const events = [];
+    const parser = new SseParser(event => events.push(event));
+    const stream = ': keep-alive\r\ndata: {"a":\r\ndata: 1}\r\n\r\nevent: done\rdata: x\r\rdata: last';
+    for (const char of stream) {
+        parser.push(char);
+    }
+    assertEqual(events.length, 2, 'Should wait for the blank line');
+    parser.end();
+
+    assertEqual(events, [
+        { event: 'message', data: '{"a":\n1}', id: null },
+        { event: 'done', data: 'x', id: null },
+        { event: 'message', data: 'last', id: null }
+    ]);
+});
+
+runner.test('generateContentStream should replay a recorded stream split at any byte', async () => {
+    const expected = 'Day 1: 維多利亞港 (Victoria Harbour), then dim sum at 蓮香樓 in 上環.\nDay 2: 大澳 fishing village 🐟';
+    for (const size of [1, 2, 5, 64, Infinity]) {
+        const { text, chunks, finish, error } = await streamFixture('stream-cantonese.sse', size);
+        assert(!error, `Should not fail with ${size}-byte chunks: ${error && error.message}`);
+        assertEqual(text, expected, `Should keep every character with ${size}-byte chunks`);
+        assertEqual(chunks.length, 3, 'Should call onChunk once per event');
+        assertEqual(finish.finishReason, 'STOP');
+        assertEqual(finish.usageMetadata, { promptTokenCount: 58, candidatesTokenCount: 41, totalTokenCount: 99 });
+        assertEqual(finish.safetyRatings.length, 2);
+    }
+});
+
+runner.test('generateContentStream should report MAX_TOKENS without failing', async () => {
+    const { text, finish } = await streamFixture('stream-max-tokens.sse', 7);
+    assertEqual(text, '{"title": "Pandas and Pe');
+    assertEqual(finish.finishReason, 'MAX_TOKENS');
+    assertEqual(finish.usageMetadata.candidatesTokenCount, 8192);
+});
+
+runner.test('generateContentStream should raise GeminiBlockedError for safety blocks', async () => {
+    const stopped = await streamFixture('stream-safety.sse', 3);
+    assert(stopped.error instanceof GeminiBlockedError, 'Should be a GeminiBlockedError');
+    assertEqual(stopped.error.reason, 'SAFETY');
+    assertEqual(stopped.error.text, 'Here is your plan', 'Should keep the text before the block');
+    assertEqual(stopped.error.safetyRatings[0].blocked, true);
+
+    const blocked = await streamFixture('stream-prompt-blocked.sse');
+    assert(blocked.error instanceof GeminiBlockedError, 'Should be a GeminiBlockedError');
+    assert(blocked.error.message.includes('blocked the prompt'), 'Should say the prompt was blocked');
+    assertEqual(blocked.chunks, []);
+});
+
+runner.test('generateContentStream should surface errors in the middle of the stream', async () => {
+    const failed = await streamFixture('stream-error.sse', 10);
+    assertEqual(failed.chunks, ['Day 1: '], 'Should deliver the text before the error');
+    assertEqual(failed.error.message, 'Gemini API Error: The model is overloaded. Please try again later.');
+
+    const truncated = await streamFixture('stream-truncated.sse');
+    assert(truncated.error.message.includes('Invalid JSON in Gemini stream'), 'Should report the cut-off event');
+
+    // A stream that ends cleanly between events but never finishes
+    global.fetch = async () => streamResponse([new TextEncoder().encode('data: {"candidates": []}\n\n')]);
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await new GeminiClient('key').generateContentStream('Plan');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.message.includes('ended before the response was finished'), 'Should report the unfinished stream');
+    } finally {
+        console.error = originalError;
+    }
+});
+
+runner.test('generateContentStream should not swallow errors thrown by onChunk', async () => {
+    mockGeminiFixture('stream-cantonese.sse');
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await new GeminiClient('key').generateContentStream('Plan', () => {
+            throw new Error('render failed');
+        });
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assertEqual(error.message, 'render failed');
+    } finally {
+        console.error = originalError;
+    }
+});
+
+runner.test('ChatSession should send the history and system instruction with every message', async () => {
+    const requests = mockGemini(['Ocean Park has pandas.', 'Take the South Island line to Ocean Park station.']);
+    const chat = new GeminiClient('key').startChat({ systemInstruction: 'Answer briefly.', temperature: 0.2 });
+
+    assertEqual(await chat.sendMessage('Where can I see pandas?'), 'Ocean Park has pandas.');
+    await chat.sendMessage('How do I get there?');
+
+    const second = requests[1].body;
+    assertEqual(second.contents.map(turn => turn.role), ['user', 'model', 'user']);
+    assertEqual(second.contents[1].parts[0].text, 'Ocean Park has pandas.');
+    assertEqual(second.systemInstruction, { parts: [{ text: 'Answer briefly.' }] });
+    assertEqual(second.generationConfig.temperature, 0.2);
+    assertEqual(chat.getHistory().length, 4);
+});
+
+runner.test('ChatSession should not keep a message that failed', async () => {
+    global.fetch = async () => ({ ok: false, status: 500, statusText: 'Server Error', json: async () => ({ error: { message: 'Internal' } }) });
+    const chat = new GeminiClient('key').startChat();
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await chat.sendMessage('Hello?');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.message.includes('Internal'), 'Should pass the error on');
+    } finally {
+        console.error = originalError;
+    }
+    assertEqual(chat.getHistory(), [], 'Should leave the history unchanged');
+});
+
+runner.test('ChatSession should drop the oldest exchanges past the token budget', async () => {
+    mockGemini(['a'.repeat(200)]);
+    const chat = new GeminiClient('key').startChat({ maxHistoryTokens: 150 });
+
+    await chat.sendMessage('first');
+    await chat.sendMessage('second');
+    await chat.sendMessage('third');
+
+    const history = chat.getHistory();
+    assertEqual(history.map(turn => turn.role), ['user', 'model', 'user', 'model']);
+    assertEqual(history[0].parts[0].text, 'second', 'Should drop the first exchange');
+    assert(ChatSession.estimateTokens(history) <= 150, 'Should fit the budget');
+
+    // The latest exchange is kept even when it is over budget on its own
+    const small = new GeminiClient('key').startChat({ maxHistoryTokens: 10 });
+    await small.sendMessage('hi');
+    assertEqual(small.getHistory().length, 2);
+});
+
+runner.test('refineItinerary should continue the plan chat and keep only the valid answer', async () => {
+    const updated = createItinerary();
+    updated.days[1].events[0] = { ...updated.days[1].events[0], title: 'Hong Kong Museum of History', category: 'culture', tourType: null };
+    const broken = { ...updated, currency: 7 };
+    const requests = mockGemini([JSON.stringify(broken), JSON.stringify(updated)]);
+    const agent = new TripPlannerAgent('key');
+    const chat = agent.startItineraryChat(details, createItinerary());
+
+    const result = await agent.refineItinerary(chat, details, 'Swap day 2\'s hike for something indoor');
+
+    assertEqual(result.days[1].events[0].title, 'Hong Kong Museum of History');
+    const first = requests[0].body;
+    assert(first.systemInstruction.parts[0].text.includes('- Arrival Date: 2026-11-01'), 'Should put the trip in the system instruction');
+    assertEqual(first.contents.map(turn => turn.role), ['user', 'model', 'user']);
+    assertEqual(JSON.parse(first.contents[1].parts[0].text), createItinerary(), 'Should start from the current plan');
+    assertEqual(first.generationConfig.responseSchema, TripPlannerAgent.ITINERARY_SCHEMA);
+    assertEqual(requests[1].body.contents.length, 5, 'Should repair within the message');
+
+    const history = chat.getHistory();
+    assertEqual(history.length, 4, 'Should not keep the repair turns');
+    assertEqual(history[2].parts[0].text, 'Swap day 2\'s hike for something indoor');
+    assertEqual(JSON.parse(history[3].parts[0].text), updated);
+});
+
+runner.test('generateWithTools should run the handlers and send the results back', async () => {
+    const requests = mockGeminiParts([
+        [
+            { functionCall: { name: 'getWeather', args: { date: '2026-11-01' } }, thoughtSignature: 'sig' },
+            { functionCall: { id: 'call-2', name: 'findHotels', args: { budget: 1000 } } }
+        ],
+        [{ text: 'Sunny, and ' }, { text: 'two hotels fit.' }]
+    ]);
+    const gemini = new GeminiClient('key');
+    const seen = [];
+    gemini.registerTools([
+        {
+            name: 'getWeather',
+            description: 'Forecast',
+            parameters: { type: 'OBJECT', properties: { date: { type: 'STRING' } }, required: ['date'] },
+            handler: async ({ date }) => ({ date, summary: 'Sunny' })
+        },
+        { name: 'findHotels', description: 'Hotels', handler: () => ['Mini Hotel', 'YHA Mei Ho House'] }
+    ]);
+
+    const result = await gemini.generateWithTools('Weather and hotels?', { onToolCall: call => seen.push(call.name) });
+
+    assertEqual(result.text, 'Sunny, and two hotels fit.');
+    assertEqual(result.calls, [
+        { name: 'getWeather', args: { date: '2026-11-01' }, response: { date: '2026-11-01', summary: 'Sunny' } },
+        { name: 'findHotels', args: { budget: 1000 }, response: { result: ['Mini Hotel', 'YHA Mei Ho House'] } }
+    ]);
+    assertEqual(seen, ['getWeather', 'findHotels']);
+    assertEqual(requests[0].body.tools, [{ functionDeclarations: [
+        { name: 'getWeather', description: 'Forecast', parameters: { type: 'OBJECT', properties: { date: { type: 'STRING' } }, required: ['date'] } },
+        { name: 'findHotels', description: 'Hotels' }
+    ] }], 'Should declare the tools without their handlers');
+
+    const second = requests[1].body.contents;
+    assertEqual(second.map(turn => turn.role), ['user', 'model', 'user']);
+    assertEqual(second[1].parts[0].thoughtSignature, 'sig', 'Should send the model turn back unchanged');
+    assertEqual(second[2].parts, [
+        { functionResponse: { name: 'getWeather', response: { date: '2026-11-01', summary: 'Sunny' } } },
+        { functionResponse: { id: 'call-2', name: 'findHotels', response: { result: ['Mini Hotel', 'YHA Mei Ho House'] } } }
+    ]);
+});
+
+runner.test('generateWithTools should report failing and unknown tools to the model', async () => {
+    mockGeminiParts([
+        [{ functionCall: { name: 'searchEvents', args: { date: 'soon' } } }, { functionCall: { name: 'bookTable', args: {} } }],
+        [{ text: 'No events found.' }]
+    ]);
+    const gemini = new GeminiClient('key');
+    gemini.registerTool({ name: 'searchEvents', handler: () => { throw new Error('date must be a YYYY-MM-DD string'); } });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const { calls } = await gemini.generateWithTools('Events?');
+        assertEqual(calls.map(call => call.response), [
+            { error: 'date must be a YYYY-MM-DD string' },
+            { error: 'Unknown function: bookTable' }
+        ]);
+    } finally {
+        console.error = originalError;
+    }
+
+    let error = null;
+    try {
+        gemini.registerTool({ name: 'no handler' });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('Invalid tool name'), 'Should reject invalid tools');
+});
+
+runner.test('generateWithTools should make the model answer after maxToolRounds', async () => {
+    const requests = mockGeminiParts([
+        [{ functionCall: { name: 'getWeather', args: { date: '2026-11-01' } } }],
+        [{ text: 'Probably sunny.' }]
+    ]);
+    const gemini = new GeminiClient('key');
+    gemini.registerTool({ name: 'getWeather', handler: () => ({ summary: 'Sunny' }) });
+
+    const { text } = await gemini.generateWithTools('Weather?', { maxToolRounds: 1 });
+    assertEqual(text, 'Probably sunny.');
+    assertEqual(requests[0].body.toolConfig, undefined);
+    assertEqual(requests[1].body.toolConfig, { functionCallingConfig: { mode: 'NONE' } });
+});
+
+runner.test('generateItinerary should look things up with the tools before planning', async () => {
+    const requests = mockGeminiParts([
+        [{ functionCall: { name: 'getWeather', args: { date: '2026-11-02' } } }],
+        [{ text: 'Day 2 is dry: good for the hike.' }],
+        [{ text: JSON.stringify(createItinerary()) }]
+    ]);
+    const agent = new TripPlannerAgent('key');
+    agent.registerTool({ name: 'getWeather', handler: ({ date }) => ({ date, summary: 'Fine and dry' }) });
+    const calls = [];
+
+    const itinerary = await agent.generateItinerary(details, { onToolCall: call => calls.push(call) });
+
+    assertEqual(itinerary, createItinerary());
+    assertEqual(calls.length, 1);
+    assertEqual(requests[0].body.systemInstruction.parts[0].text, TripPlannerAgent.RESEARCH_INSTRUCTION);
+    assert(requests[0].body.tools, 'Should offer the tools while researching');
+
+    const planning = requests[2].body;
+    assert(!planning.tools, 'Should not send tools with the response schema');
+    assertEqual(planning.generationConfig.responseSchema, TripPlannerAgent.ITINERARY_SCHEMA);
+    const prompt = planning.contents[0].parts[0].text;
+    assert(prompt.includes('- getWeather({"date":"2026-11-02"}): {"date":"2026-11-02","summary":"Fine and dry"}'), 'Should pass on the tool results');
+    assert(prompt.includes('Research notes:\nDay 2 is dry: good for the hike.'), 'Should pass on the notes');
+
+    const plain = mockGemini([JSON.stringify(createItinerary())]);
+    await agent.generateItinerary(details, { useTools: false });
+    assertEqual(plain.length, 1, 'Should skip the research when asked');
+    assert(!plain[0].body.contents[0].parts[0].text.includes('looked up'));
+});
+
+runner.test('generateContent should retry transient errors, waiting as long as Gemini asks', async () => {
+    const urls = mockGeminiReplies([
+        errorReply(503, 'UNAVAILABLE', 'The model is overloaded.'),
+        errorReply(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded', [
+            { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '0.02s' }
+        ]),
+        textReply('Sunny')
+    ]);
+    const retries = [];
+    const gemini = new GeminiClient('key', 'gemini-2.5-flash', { retry: { baseDelay: 1 } });
+
+    const text = await gemini.generateContent('Weather?', { onRequestRetry: retry => retries.push(retry) });
+
+    assertEqual(text, 'Sunny (gemini-2.5-flash)');
+    assertEqual(urls.length, 3);
+    assertEqual(retries.map(retry => [retry.model, retry.attempt, retry.error.type]), [
+        ['gemini-2.5-flash', 2, 'server'],
+        ['gemini-2.5-flash', 3, 'quota']
+    ]);
+    assertEqual(retries[1].delay, 20, 'Should honour the RetryInfo delay');
+});
+
+runner.test('generateContent should fall back to the next model when one keeps failing', async () => {
+    const urls = mockGeminiReplies([
+        // Longer than retry.maxDelay: no point waiting, try the next model
+        errorReply(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded', [
+            { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '45s' }
+        ]),
+        textReply('Sunny')
+    ]);
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+        const gemini = new GeminiClient('key', 'gemini-2.5-flash', { fallbackModels: ['gemini-2.5-flash-lite'] });
+        assertEqual(await gemini.generateContent('Weather?'), 'Sunny (gemini-2.5-flash-lite)');
+    } finally {
+        console.warn = originalWarn;
+    }
+    assertEqual(urls.map(url => url.split('/models/')[1]), ['gemini-2.5-flash:generateContent', 'gemini-2.5-flash-lite:generateContent']);
+    assertEqual(warnings, ['Gemini model gemini-2.5-flash failed (quota), falling back to gemini-2.5-flash-lite']);
+
+    // A daily quota can't be waited out either
+    mockGeminiReplies([errorReply(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded', [
+        { '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaId: 'GenerateRequestsPerDayPerProjectPerModel-FreeTier' }] }
+    ])]);
+    const error = await expectGeminiError(new GeminiClient('key').generateContent('Weather?'));
+    assertEqual([error.type, error.retryDelay, error.model], ['quota', Infinity, 'gemini-2.5-flash']);
+});
+
+runner.test('generateContent should raise typed errors without retrying permanent failures', async () => {
+    const cases = [
+        [errorReply(400, 'INVALID_ARGUMENT', 'API key not valid. Please pass a valid API key.', [
+            { '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_INVALID' }
+        ]), 'invalid_key'],
+        [errorReply(403, 'PERMISSION_DENIED', 'Method doesn\'t allow unregistered callers.'), 'invalid_key'],
+        [errorReply(401, 'UNAUTHENTICATED', 'Please log in to use the AI trip planner'), 'unauthenticated'],
+        [errorReply(400, 'INVALID_ARGUMENT', 'Invalid JSON payload received.'), 'invalid_request'],
+        [() => Response.json({ promptFeedback: { blockReason: 'SAFETY' } }), 'safety']
+    ];
+    for (const [reply, type] of cases) {
+        const urls = mockGeminiReplies([reply]);
+        const error = await expectGeminiError(new GeminiClient('key', 'gemini-2.5-flash', { fallbackModels: ['gemini-2.5-flash-lite'] }).generateContent('Hi'));
+        assert(error instanceof GeminiError, `${type} should be a GeminiError`);
+        assertEqual(error.type, type);
+        assertEqual(urls.length, 1, `Should not retry ${type} errors`);
+    }
+
+    const urls = mockGeminiReplies([() => { throw new TypeError('fetch failed'); }]);
+    const error = await expectGeminiError(new GeminiClient('key', 'gemini-2.5-flash', { retry: { baseDelay: 1 } }).generateContent('Hi'));
+    assertEqual([error.type, error.message, error.cause.message], ['network', 'Gemini API Error: fetch failed', 'fetch failed']);
+    assertEqual(urls.length, 3, 'Should retry network failures');
+});
+
+runner.test('requests should time out and stop when cancelled', async () => {
+    // Never answers until aborted
+    const hang = (url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(GeminiClient.abortError('The operation was aborted')));
+    });
+    let urls = mockGeminiReplies([hang, textReply('Sunny')]);
+    const gemini = new GeminiClient('key', 'gemini-2.5-flash', { timeout: 20, retry: { baseDelay: 1 } });
+    assertEqual(await gemini.generateContent('Weather?'), 'Sunny (gemini-2.5-flash)', 'Should retry after a timeout');
+    assertEqual(urls.length, 2);
+
+    mockGeminiReplies([hang]);
+    const timedOut = await expectGeminiError(gemini.generateContent('Weather?', { retry: false }));
+    assertEqual([timedOut.type, timedOut.code], ['network', 'TIMEOUT']);
+
+    // Cancelled while waiting to retry
+    urls = mockGeminiReplies([errorReply(503, 'UNAVAILABLE', 'Overloaded')]);
+    const controller = new AbortController();
+    const request = gemini.generateContent('Weather?', {
+        signal: controller.signal,
+        retry: { baseDelay: 10000, maxDelay: 10000 },
+        onRequestRetry: () => setTimeout(() => controller.abort(), 5)
+    });
+    const aborted = await expectGeminiError(request);
+    assertEqual(aborted.name, 'AbortError');
+    assertEqual(urls.length, 1, 'Should not send the retry');
+});
+
+runner.test('generateContentStream should retry until the first text arrives', async () => {
+    const stream = mockGeminiStream(['Pandas!']);
+    const streamFetch = global.fetch;
+    const urls = mockGeminiReplies([
+        errorReply(503, 'UNAVAILABLE', 'Overloaded'),
+        (url, options) => streamFetch(url, options)
+    ]);
+    const chunks = [];
+    const text = await new GeminiClient('key', 'gemini-2.5-flash', { retry: { baseDelay: 1 } })
+        .generateContentStream('Pandas?', chunk => chunks.push(chunk));
+    assertEqual([text, chunks, urls.length, stream.length], ['Pandas!', ['Pandas!'], 2, 1]);
+});
+
+// Answer with the given text, finish reason and token counts
+function usageReply(text, finishReason = 'STOP', usageMetadata = { promptTokenCount: 120, candidatesTokenCount: 30, totalTokenCount: 150 }) {
+    return () => Response.json({
+        candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason }],
+        usageMetadata,
+        modelVersion: 'gemini-2.5-flash-001'
+    });
+}
+
+runner.test('generateContent should return usage details and report every call to onUsage', async () => {
+    const urls = mockGeminiReplies([usageReply('Sunny'), () => Response.json({ totalTokens: 42 })]);
+    const usage = [];
+    const gemini = new GeminiClient('key', 'gemini-2.5-flash', { onUsage: entry => usage.push(entry) });
+
+    const answer = await gemini.generateContent('Weather?', { fullResponse: true, usageContext: { planId: 'plan-1' } });
+    assertEqual([answer.text, answer.finishReason, answer.modelVersion], ['Sunny', 'STOP', 'gemini-2.5-flash-001']);
+    assertEqual(answer.usageMetadata.totalTokenCount, 150);
+    assertEqual(usage, [{
+        model: 'gemini-2.5-flash-001',
+        method: 'generateContent',
+        usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 30, totalTokenCount: 150 },
+        finishReason: 'STOP',
+        context: { planId: 'plan-1' }
+    }]);
+
+    assertEqual(await gemini.countTokens('Weather?'), { totalTokens: 42 });
+    assert(urls[1].endsWith('/models/gemini-2.5-flash:countTokens'), 'Should call countTokens');
+    assertEqual(usage.length, 1, 'Counting tokens is free, so it is not reported');
+
+    // A failing hook doesn't fail the request
+    mockGeminiReplies([usageReply('Sunny')]);
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const failing = new GeminiClient('key', 'gemini-2.5-flash', { onUsage: () => { throw new Error('offline'); } });
+        assertEqual(await failing.generateContent('Weather?'), 'Sunny');
+    } finally {
+        console.error = originalError;
+    }
+});
+
+runner.test('generateItinerary should ask for the rest of a plan cut off at the token limit', async () => {
+    const json = JSON.stringify(createItinerary());
+    const cut = json.indexOf('"Dragon');
+    const bodies = [];
+    mockGeminiReplies([
+        usageReply(json.slice(0, cut), 'MAX_TOKENS'),
+        usageReply('```json\n' + json.slice(cut) + '\n```')
+    ].map(reply => (url, options) => {
+        bodies.push(JSON.parse(options.body));
+        return reply();
+    }));
+    const usage = [];
+    const agent = new TripPlannerAgent('key', 'gemini-2.5-flash', { onUsage: entry => usage.push(entry) });
+
+    const itinerary = await agent.generateItinerary(details, { useTools: false, usageContext: { planId: 'plan-1' } });
+    assertEqual(itinerary, createItinerary());
+    assertEqual(bodies.length, 2);
+    assertEqual(bodies[1].contents.slice(-2).map(turn => turn.role), ['model', 'user']);
+    assertEqual(bodies[1].contents[1].parts[0].text, json.slice(0, cut), 'Should send back what was written so far');
+    assertEqual(bodies[1].generationConfig.responseSchema, undefined, 'Should continue as plain text');
+    assertEqual(usage.map(entry => entry.finishReason), ['MAX_TOKENS', 'STOP']);
+    assertEqual(usage.map(entry => entry.context.planId), ['plan-1', 'plan-1']);
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    console.warn = () => {};
+    runner.run().then(success => {
+        global.fetch = originalFetch;
+        console.warn = originalWarn;
+        process.exit(success ? 0 : 1);
+    });
+}
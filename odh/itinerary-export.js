@@ -0,0 +1,316 @@
+/**
+ * Itinerary exports for the trip planner
+ *
+ * Turns an Itinerary from TripPlannerAgent into files to take away:
+ * - iCalendar (RFC 5545): one VEVENT per event, in Hong Kong time, with the place
+ *   as its location and the description, cost and transport as its description.
+ *   Event UIDs are stable for a plan, so importing it again updates the events.
+ * - JSON: the planner form and the itinerary, which the planner can import again.
+ * The printable (PDF) layout is itinerary-print.css.
+ *
+ * Usage:
+ *   const ics = ItineraryExporter.toIcs(itinerary, { uid: planId });
+ *   ItineraryExporter.download(ics, ItineraryExporter.fileName(itinerary, 'ics'), 'text/calendar');
+ *
+ *   const json = ItineraryExporter.toJson({ details, itinerary });
+ *   const { details, itinerary } = ItineraryExporter.parseJson(await file.text());
+ */
+
+class ItineraryExporter {
+    static TIME_ZONE = 'Asia/Hong_Kong';
+
+    static PRODUCT_ID = '-//Embrace Hong Kong//Trip Planner//EN';
+
+    // Identifies exported JSON files; bump VERSION when the layout changes
+    static FORMAT = 'embrace-hong-kong-trip';
+    static VERSION = 1;
+
+    /**
+     * iCalendar file for an itinerary
+     * @param {Itinerary} itinerary - Itinerary
+     * @param {Object} options - { uid: id of the plan, used in every event's UID;
+     *   now: () => ms, for DTSTAMP }
+     * @returns {string} - Lines joined with CRLF, folded at 75 octets
+     */
+    static toIcs(itinerary, { uid = null, now = () => Date.now() } = {}) {
+        const stamp = ItineraryExporter.formatUtc(new Date(now()));
+        const prefix = ItineraryExporter.slug(uid || itinerary.title || 'trip');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ItineraryExporter.PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${ItineraryExporter.escapeText(itinerary.title || 'Hong Kong trip')}`,
+            `X-WR-TIMEZONE:${ItineraryExporter.TIME_ZONE}`,
+            // Hong Kong has had no daylight saving time since 1979
+            'BEGIN:VTIMEZONE',
+            `TZID:${ItineraryExporter.TIME_ZONE}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0800',
+            'TZOFFSETTO:+0800',
+            'TZNAME:HKT',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+
+        itinerary.days.forEach(day => {
+            day.events.forEach((event, i) => {
+                lines.push(...ItineraryExporter.toVevent(event, day, {
+                    uid: `${prefix}-${day.date}-${i}@embrace-hong-kong`,
+                    stamp,
+                    currency: itinerary.currency
+                }));
+            });
+        });
+        lines.push('END:VCALENDAR');
+
+        return lines.map(ItineraryExporter.foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Lines of one VEVENT
+     * @param {ItineraryEvent} event - Event
+     * @param {ItineraryDay} day - Its day
+     * @param {Object} options - { uid, stamp (UTC DATE-TIME), currency }
+     * @returns {Array<string>}
+     */
+    static toVevent(event, day, { uid, stamp, currency }) {
+        const escape = ItineraryExporter.escapeText;
+        const zone = `TZID=${ItineraryExporter.TIME_ZONE}`;
+        const place = event.place || {};
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;${zone}:${ItineraryExporter.formatLocal(day.date, event.startTime)}`
+        ];
+        // Without DTEND the event takes no time, which is what an equal end time means
+        if (event.endTime && event.endTime !== event.startTime) {
+            lines.push(`DTEND;${zone}:${ItineraryExporter.formatLocal(day.date, event.endTime)}`);
+        }
+        lines.push(`SUMMARY:${escape(event.title)}`);
+
+        const location = [place.name, place.address, place.district].filter(Boolean);
+        if (location.length > 0) {
+            lines.push(`LOCATION:${escape(Array.from(new Set(location)).join(', '))}`);
+        }
+        if (typeof place.latitude === 'number' && typeof place.longitude === 'number') {
+            lines.push(`GEO:${place.latitude};${place.longitude}`);
+        }
+        lines.push(`DESCRIPTION:${escape(ItineraryExporter.describeEvent(event, currency))}`);
+
+        const categories = [event.category, event.tourType].filter(Boolean);
+        if (categories.length > 0) {
+            lines.push(`CATEGORIES:${categories.map(escape).join(',')}`);
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Plain-text description of an event: what it is, the cost and how to get there
+     * @param {ItineraryEvent} event - Event
+     * @param {string} currency - Itinerary currency
+     * @returns {string}
+     */
+    static describeEvent(event, currency = 'HKD') {
+        const parts = [];
+        if (event.description) {
+            parts.push(ItineraryExporter.plainText(event.description));
+        }
+
+        const cost = event.cost;
+        if (cost) {
+            const amount = cost.amount === 0
+                ? 'Free'
+                : `${currency} ${cost.amount} ${cost.per === 'group' ? 'for the group' : 'per person'}`;
+            parts.push(`Cost: ${amount}${cost.notes ? ` (${ItineraryExporter.plainText(cost.notes)})` : ''}`);
+        }
+
+        const leg = event.transport;
+        if (leg) {
+            const fare = leg.cost ? `, ${currency} ${leg.cost} per person` : '';
+            const notes = leg.notes ? `. ${ItineraryExporter.plainText(leg.notes)}` : '';
+            parts.push(`Getting there: ${leg.mode} from ${leg.from} to ${leg.to}, ${leg.durationMinutes} min${fare}${notes}`);
+        }
+        return parts.join('\n\n');
+    }
+
+    /**
+     * Model markdown as plain text: links keep their address, emphasis and code marks go
+     * @param {string} text - Markdown
+     * @returns {string}
+     */
+    static plainText(text) {
+        return String(text || '')
+            .replace(/\[([^\]]*)\]\(([^)\s]+)\)/g, '$1 ($2)')
+            .replace(/(\*\*|__|`)(.+?)\1/g, '$2')
+            .replace(/(^|[^\w*])\*([^*\s][^*]*?)\*(?!\w)/g, '$1$2')
+            .trim();
+    }
+
+    /**
+     * Escape a TEXT value (RFC 5545 3.3.11)
+     * @param {string} text - Value
+     * @returns {string}
+     */
+    static escapeText(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n?|\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line into lines of at most 75 octets (RFC 5545 3.1), never
+     * splitting a character
+     * @param {string} line - Unfolded line
+     * @returns {string}
+     */
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts
+            const limit = parts.length === 0 ? 75 : 74;
+            if (size + bytes > limit) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @returns {string} - Local DATE-TIME, e.g. 20261101T090000
+     */
+    static formatLocal(date, time) {
+        return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+    }
+
+    /**
+     * @param {Date} date - Moment
+     * @returns {string} - UTC DATE-TIME, e.g. 20261019T083000Z
+     */
+    static formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * JSON file with the planner form and the itinerary, for importing later
+     * @param {Object} plan - { details (planner form), itinerary }
+     * @param {Object} options - { now: () => ms, for exportedAt }
+     * @returns {string}
+     */
+    static toJson({ details, itinerary }, { now = () => Date.now() } = {}) {
+        return JSON.stringify({
+            format: ItineraryExporter.FORMAT,
+            version: ItineraryExporter.VERSION,
+            exportedAt: new Date(now()).toISOString(),
+            details,
+            itinerary
+        }, null, 2);
+    }
+
+    /**
+     * Read a file made by toJson
+     * @param {string} text - File contents
+     * @returns {{ details: Object, itinerary: Itinerary }}
+     * @throws {Error} - When it isn't an exported plan, or is from a newer version
+     */
+    static parseJson(text) {
+        const invalid = 'This file is not a trip plan exported from the planner.';
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(invalid);
+        }
+        if (!data || data.format !== ItineraryExporter.FORMAT) {
+            throw new Error(invalid);
+        }
+        if (!(data.version <= ItineraryExporter.VERSION)) {
+            throw new Error('This trip plan was exported by a newer version of the planner. Please reload the page and try again.');
+        }
+
+        const itinerary = data.itinerary;
+        const validEvent = event => event && typeof event.title === 'string' &&
+            /^\d{2}:\d{2}$/.test(event.startTime) && /^\d{2}:\d{2}$/.test(event.endTime);
+        const validDay = day => day && /^\d{4}-\d{2}-\d{2}$/.test(day.date) &&
+            Array.isArray(day.events) && day.events.every(validEvent);
+        if (!itinerary || typeof itinerary !== 'object' || !Array.isArray(itinerary.days) ||
+            itinerary.days.length === 0 || !itinerary.days.every(validDay)) {
+            throw new Error('The trip plan in this file is incomplete or damaged.');
+        }
+
+        // The form can be rebuilt from the itinerary when it is missing
+        const details = data.details || {};
+        return {
+            details: {
+                arriveDate: details.arriveDate || itinerary.days[0].date,
+                departureDate: details.departureDate || itinerary.days[itinerary.days.length - 1].date,
+                numPeople: details.numPeople || 1,
+                selectedTours: Array.isArray(details.selectedTours) ? details.selectedTours : [],
+                preferences: typeof details.preferences === 'string' ? details.preferences : ''
+            },
+            itinerary
+        };
+    }
+
+    /**
+     * File name for an itinerary, from its title
+     * @param {Itinerary} itinerary - Itinerary
+     * @param {string} extension - e.g. 'ics'
+     * @returns {string} - e.g. "pandas-and-peaks.ics"
+     */
+    static fileName(itinerary, extension) {
+        return `${ItineraryExporter.slug(itinerary.title) || 'hong-kong-trip'}.${extension}`;
+    }
+
+    /**
+     * @param {string} text - Any text
+     * @returns {string} - Lower case letters, digits and dashes
+     */
+    static slug(text) {
+        return String(text || '').toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60);
+    }
+
+    /**
+     * Let the browser save a file
+     * @param {string} content - File contents
+     * @param {string} fileName - Suggested name
+     * @param {string} type - MIME type
+     */
+    static download(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Some browsers start the download after click returns
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItineraryExporter;
+}
@@ -0,0 +1,124 @@
+/**
+ * Test file for ItineraryExporter
+ *
+ * Run with: node itinerary-export_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var ItineraryExporter = require('./itinerary-export.js');
+    var { TestRunner, assert, assertEqual } = require('./supabase_test.js');
+}
+
+function createItinerary() {
+    return {
+        title: 'Pandas & Peaks',
+        summary: 'Two days of wildlife',
+        currency: 'HKD',
+        days: [{
+            date: '2026-11-01',
+            title: 'Ocean Park',
+            events: [{
+                startTime: '09:00',
+                endTime: '13:00',
+                title: 'Giant pandas',
+                category: 'wildlife',
+                tourType: 'panda',
+                description: 'See **An An** and [Ke Ke](https://www.oceanpark.com.hk); book ahead, it\'s busy',
+                place: { name: 'Ocean Park', address: null, district: 'Southern', latitude: 22.2467, longitude: 114.1757 },
+                cost: { amount: 498, per: 'person', notes: null },
+                transport: null
+            }, {
+                startTime: '13:30',
+                endTime: '13:30',
+                title: 'Lunch',
+                category: 'food',
+                tourType: null,
+                description: 'Dim sum',
+                place: { name: 'Aberdeen' },
+                cost: { amount: 300, per: 'group', notes: 'Shared dishes' },
+                transport: { mode: 'bus', from: 'Ocean Park', to: 'Aberdeen', durationMinutes: 15, cost: 6.5, notes: null }
+            }]
+        }],
+        tips: []
+    };
+}
+
+const details = { arriveDate: '2026-11-01', departureDate: '2026-11-01', numPeople: '2', selectedTours: ['panda'], preferences: '' };
+const now = () => Date.UTC(2026, 9, 19, 8, 30);
+
+const runner = new TestRunner('ItineraryExporter');
+
+runner.test('toIcs should write one event per itinerary event in Hong Kong time', () => {
+    const ics = ItineraryExporter.toIcs(createItinerary(), { uid: 'plan-1', now });
+    const lines = ics.split('\r\n');
+
+    assertEqual([lines[0], lines[lines.length - 2], lines[lines.length - 1]], ['BEGIN:VCALENDAR', 'END:VCALENDAR', '']);
+    assert(!/[^\r]\n/.test(ics), 'Should end every line with CRLF');
+    assert(lines.every(line => Buffer.byteLength(line) <= 75), 'Should fold long lines');
+    assert(ics.includes('BEGIN:VTIMEZONE\r\nTZID:Asia/Hong_Kong\r\n'), 'Should define the time zone');
+    assertEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+
+    const unfolded = ics.replace(/\r\n /g, '');
+    [
+        'UID:plan-1-2026-11-01-0@embrace-hong-kong',
+        'DTSTAMP:20261019T083000Z',
+        'DTSTART;TZID=Asia/Hong_Kong:20261101T090000',
+        'DTEND;TZID=Asia/Hong_Kong:20261101T130000',
+        'SUMMARY:Giant pandas',
+        'LOCATION:Ocean Park\\, Southern',
+        'GEO:22.2467;114.1757',
+        'DESCRIPTION:See An An and Ke Ke (https://www.oceanpark.com.hk)\\; book ahead\\, it\'s busy\\n\\nCost: HKD 498 per person',
+        'CATEGORIES:wildlife,panda',
+        'DESCRIPTION:Dim sum\\n\\nCost: HKD 300 for the group (Shared dishes)\\n\\nGetting there: bus from Ocean Park to Aberdeen\\, 15 min\\, HKD 6.5 per person'
+    ].forEach(line => assert(unfolded.split('\r\n').includes(line), `Should include ${line}`));
+    assert(!unfolded.includes('DTEND;TZID=Asia/Hong_Kong:20261101T133000'), 'Should leave DTEND out of events without a duration');
+});
+
+runner.test('foldLine should not split characters', () => {
+    const line = `SUMMARY:${'點心'.repeat(30)}`;
+    const folded = ItineraryExporter.foldLine(line);
+    assert(folded.split('\r\n ').every(part => Buffer.byteLength(part) <= 75), 'Should stay within 75 octets');
+    assertEqual(folded.replace(/\r\n /g, ''), line, 'Should unfold to the same text');
+    assertEqual(ItineraryExporter.foldLine('VERSION:2.0'), 'VERSION:2.0');
+});
+
+runner.test('JSON exports should import again', () => {
+    const itinerary = createItinerary();
+    const json = ItineraryExporter.toJson({ details, itinerary }, { now });
+    assertEqual(JSON.parse(json).exportedAt, '2026-10-19T08:30:00.000Z');
+    assertEqual(ItineraryExporter.parseJson(json), { details, itinerary });
+
+    // Without the form, the dates come from the itinerary
+    const bare = JSON.stringify({ format: ItineraryExporter.FORMAT, version: 1, itinerary });
+    assertEqual(ItineraryExporter.parseJson(bare).details,
+        { arriveDate: '2026-11-01', departureDate: '2026-11-01', numPeople: 1, selectedTours: [], preferences: '' });
+    assertEqual(ItineraryExporter.fileName(itinerary, 'json'), 'pandas-and-peaks.json');
+});
+
+runner.test('parseJson should reject other files', () => {
+    const expectError = (text, message) => {
+        try {
+            ItineraryExporter.parseJson(text);
+        } catch (error) {
+            assert(error.message.includes(message), `Unexpected error: ${error.message}`);
+            return;
+        }
+        throw new Error('Expected parseJson to fail');
+    };
+    const wrap = data => JSON.stringify({ format: ItineraryExporter.FORMAT, version: 1, details, ...data });
+
+    expectError('{not json', 'not a trip plan');
+    expectError(JSON.stringify({ days: [] }), 'not a trip plan');
+    expectError(wrap({ version: 2, itinerary: createItinerary() }), 'newer version');
+    expectError(wrap({ itinerary: { days: [] } }), 'incomplete or damaged');
+    expectError(wrap({ itinerary: { days: [{ date: '2026-11-01', events: [{ title: 'Lunch', startTime: 'noon', endTime: '13:00' }] }] } }),
+        'incomplete or damaged');
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,674 @@
+/**
+ * Map of an itinerary for the trip planner
+ *
+ * Plots each day's events as numbered markers coloured by tour type, joined by the
+ * route between them (styled by transport mode), on map tiles. Days can be shown
+ * one at a time or all together; the map can be dragged and zoomed. Clicking a
+ * marker reports the event through onSelect, and select() highlights the event
+ * picked in the itinerary list, so the two stay in step.
+ *
+ * Tiles and geocoding are pluggable: tiles is a { url, attribution, subdomains }
+ * template (or null for a blank background), and geocoder is any object with
+ * geocode(place) => { latitude, longitude, approximate } | null, used for events
+ * without usable coordinates. FixtureGeocoder looks places up in a local list of
+ * Hong Kong coordinates (data/hk-places.json), so the map also works offline and
+ * in tests; NominatimGeocoder asks OpenStreetMap for anything else.
+ *
+ * Needs MarkdownRenderer and ItineraryView as globals.
+ *
+ * Usage:
+ *   const map = new ItineraryMap(document.getElementById('tripMap'), {
+ *       tiles: ItineraryMap.TILES.osm,
+ *       geocoder: new FixtureGeocoder({ url: 'data/hk-places.json', fallback: new NominatimGeocoder() }),
+ *       onSelect: ({ date, index }) => view.select(date, index)
+ *   });
+ *   await map.render(itinerary);
+ *   map.showDay('2026-11-01');     // or null for every day
+ *   map.select('2026-11-01', 2);   // Highlight the third event of that day
+ */
+
+class ItineraryMap {
+    static TILES = {
+        osm: {
+            url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: '© OpenStreetMap contributors'
+        }
+    };
+
+    static DEFAULTS = {
+        tiles: ItineraryMap.TILES.osm,   // null: no tiles, e.g. offline
+        geocoder: null,                  // For events without coordinates
+        height: 360,                     // px; the width follows the container
+        minZoom: 9,
+        maxZoom: 16,
+        padding: 40,                     // px kept clear around the markers
+        onSelect: null                   // ({ date, index }) when a marker is clicked
+    };
+
+    // Same colours as the tour tags in itinerary-view.css
+    static TOUR_COLORS = {
+        panda: '#333333',
+        eco: '#4CAF50',
+        sports: '#3498db',
+        concert: '#9c27b0'
+    };
+
+    static OTHER_COLOR = '#FF5252';
+
+    static TILE_SIZE = 256;
+
+    // Coordinates outside Hong Kong are a mistake in the plan
+    static BOUNDS = { south: 22.13, north: 22.57, west: 113.82, east: 114.45 };
+
+    /**
+     * @param {HTMLElement} container - Element the map is rendered into
+     * @param {Object} options - See ItineraryMap.DEFAULTS
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...ItineraryMap.DEFAULTS, ...options };
+        this.itinerary = null;
+        this.points = [];        // Located events, see locate
+        this.missing = [];       // Events that couldn't be placed
+        this.day = null;         // Date shown, or null for every day
+        this.selected = null;    // { date, index }
+        this.view = null;        // { zoom, x, y }: centre in world pixels at zoom
+        this.renders = 0;
+        this.drag = null;
+
+        this.container.addEventListener('click', event => this.handleClick(event));
+        this.container.addEventListener('pointerdown', event => this.startDrag(event));
+    }
+
+    /**
+     * Locate the itinerary's events and draw them, every day at once
+     * @param {Itinerary} itinerary - Itinerary
+     * @returns {Promise<ItineraryMap>}
+     */
+    async render(itinerary) {
+        const render = ++this.renders;
+        this.itinerary = itinerary;
+        this.day = null;
+        this.selected = null;
+        this.container.innerHTML = '<p class="itinerary-map-loading">Finding the places on the map…</p>';
+
+        const { points, missing } = await ItineraryMap.locate(itinerary, this.options.geocoder);
+        if (render !== this.renders) {
+            return this;
+        }
+        this.points = points;
+        this.missing = missing;
+        this.fit();
+        this.draw();
+        return this;
+    }
+
+    /**
+     * Show one day, or every day, zoomed to fit
+     * @param {?string} date - YYYY-MM-DD, or null for every day
+     */
+    showDay(date) {
+        this.day = date || null;
+        this.fit();
+        this.draw();
+    }
+
+    /**
+     * Highlight an event, switching to its day when another day is shown
+     * @param {string} date - Day of the event
+     * @param {number} index - Position of the event in its day
+     */
+    select(date, index) {
+        this.selected = { date, index };
+        if (this.day && this.day !== date) {
+            this.showDay(date);
+            return;
+        }
+        this.draw();
+    }
+
+    /**
+     * @param {number} steps - Zoom levels in (positive) or out (negative)
+     */
+    zoomBy(steps) {
+        if (!this.view) {
+            return;
+        }
+        const zoom = Math.min(this.options.maxZoom, Math.max(this.options.minZoom, this.view.zoom + steps));
+        const scale = Math.pow(2, zoom - this.view.zoom);
+        this.view = { zoom, x: this.view.x * scale, y: this.view.y * scale };
+        this.draw();
+    }
+
+    /**
+     * Remove the map, e.g. when the plan on screen goes
+     */
+    clear() {
+        this.renders++;
+        this.itinerary = null;
+        this.points = [];
+        this.missing = [];
+        this.view = null;
+        this.container.innerHTML = '';
+    }
+
+    /**
+     * Zoom and centre on the points shown
+     */
+    fit() {
+        const { minZoom, maxZoom, padding } = this.options;
+        this.view = ItineraryMap.fitView(this.visiblePoints(), this.width(), this.options.height, { minZoom, maxZoom, padding });
+    }
+
+    /**
+     * Redraw the current view
+     */
+    draw() {
+        if (this.itinerary && this.view) {
+            this.container.innerHTML = this.toHtml();
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} - Points of the day shown
+     */
+    visiblePoints() {
+        return this.day ? this.points.filter(point => point.date === this.day) : this.points;
+    }
+
+    /**
+     * @returns {number} - Map width in px
+     */
+    width() {
+        return this.container.clientWidth || 640;
+    }
+
+    /**
+     * HTML for the map: day buttons, tiles, routes and markers, legend
+     * @returns {string}
+     */
+    toHtml() {
+        const escape = MarkdownRenderer.escapeHtml;
+        const { tiles, height } = this.options;
+        const width = this.width();
+        const view = this.view;
+        const toScreen = point => {
+            const world = ItineraryMap.project(point.latitude, point.longitude, view.zoom);
+            return { x: Math.round(world.x - view.x + width / 2), y: Math.round(world.y - view.y + height / 2) };
+        };
+
+        const days = this.itinerary.days.map(day => `
+            <button type="button" data-map-day="${escape(day.date)}"${this.day === day.date ? ' class="active"' : ''}>${escape(ItineraryView.formatDate(day.date))}</button>`).join('');
+
+        const images = tiles
+            ? ItineraryMap.tilesFor(view, width, height, tiles).map(tile =>
+                `<img src="${escape(tile.url)}" alt="" draggable="false" style="left: ${tile.left}px; top: ${tile.top}px;">`).join('')
+            : '';
+
+        const points = this.visiblePoints();
+        const routes = ItineraryMap.routes(points, this.itinerary).map(leg => {
+            const from = toScreen(leg.from);
+            const to = toScreen(leg.to);
+            return `<line class="itinerary-map-route transport-${escape(leg.mode)}" x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}"><title>${escape(leg.label)}</title></line>`;
+        }).join('');
+
+        const selected = this.selected;
+        const isSelected = point => !!selected && point.date === selected.date && point.index === selected.index;
+        // The selected marker goes last, so it is drawn on top
+        const markers = points.slice().sort((a, b) => isSelected(a) - isSelected(b)).map(point => {
+            const { x, y } = toScreen(point);
+            const classes = ['itinerary-map-marker'];
+            if (isSelected(point)) classes.push('selected');
+            if (point.approximate) classes.push('approximate');
+            return `
+                <g class="${classes.join(' ')}" data-map-event="${escape(point.date)}|${point.index}" transform="translate(${x} ${y})">
+                    <title>${escape(ItineraryView.formatDate(point.date))} ${escape(point.time)}: ${escape(point.title)}${point.approximate ? ' (approximate)' : ''}</title>
+                    <circle r="${isSelected(point) ? 16 : 12}" fill="${ItineraryMap.colorFor(point.tourType)}"></circle>
+                    <text text-anchor="middle" dy="4">${point.number}</text>
+                </g>`;
+        }).join('');
+
+        const tours = Array.from(new Set(points.map(point => point.tourType || null)));
+        const legend = tours.map(tour => `
+            <span><i style="background-color: ${ItineraryMap.colorFor(tour)}"></i>${escape(tour ? (ItineraryView.TOUR_LABELS[tour] || tour) : 'Other')}</span>`).join('');
+
+        const missing = this.missing.length === 0 ? '' : `
+            <p class="itinerary-map-missing">Not on the map: ${this.missing.map(event => escape(event.title)).join(', ')}</p>`;
+        const empty = points.length === 0 ? '<p class="itinerary-map-empty">No places to show for this day.</p>' : '';
+
+        return `
+            <div class="itinerary-map">
+                <div class="itinerary-map-toolbar">
+                    <button type="button" data-map-day=""${this.day ? '' : ' class="active"'}>All days</button>${days}
+                </div>
+                <div class="itinerary-map-canvas" style="height: ${height}px;">
+                    <div class="itinerary-map-layers">
+                        <div class="itinerary-map-tiles">${images}</div>
+                        <svg class="itinerary-map-overlay" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${routes}${markers}</svg>
+                    </div>
+                    <div class="itinerary-map-zoom">
+                        <button type="button" data-map-zoom="1" aria-label="Zoom in">+</button>
+                        <button type="button" data-map-zoom="-1" aria-label="Zoom out">−</button>
+                    </div>
+                    ${empty}
+                    ${tiles && tiles.attribution ? `<div class="itinerary-map-attribution">${escape(tiles.attribution)}</div>` : ''}
+                </div>
+                <div class="itinerary-map-legend">${legend}</div>
+                ${missing}
+            </div>`;
+    }
+
+    /**
+     * @param {Event} event - Click inside the map
+     */
+    handleClick(event) {
+        if (this.drag && this.drag.moved) {
+            return;
+        }
+        const day = event.target.closest('[data-map-day]');
+        const zoom = event.target.closest('[data-map-zoom]');
+        const marker = event.target.closest('[data-map-event]');
+        if (day) {
+            this.showDay(day.dataset.mapDay);
+        } else if (zoom) {
+            this.zoomBy(Number(zoom.dataset.mapZoom));
+        } else if (marker) {
+            const [date, index] = marker.dataset.mapEvent.split('|');
+            this.select(date, Number(index));
+            if (this.options.onSelect) {
+                this.options.onSelect({ date, index: Number(index) });
+            }
+        }
+    }
+
+    /**
+     * Pan the map by dragging it; the tiles are redrawn when the pointer is released
+     * @param {PointerEvent} event - Pointer pressed on the map
+     */
+    startDrag(event) {
+        const canvas = event.target.closest('.itinerary-map-canvas');
+        if (!canvas || !this.view || event.target.closest('button')) {
+            return;
+        }
+        const layers = canvas.querySelector('.itinerary-map-layers');
+        const drag = { startX: event.clientX, startY: event.clientY, dx: 0, dy: 0, moved: false };
+        this.drag = drag;
+
+        const move = moveEvent => {
+            drag.dx = moveEvent.clientX - drag.startX;
+            drag.dy = moveEvent.clientY - drag.startY;
+            drag.moved = drag.moved || Math.abs(drag.dx) + Math.abs(drag.dy) > 3;
+            layers.style.transform = `translate(${drag.dx}px, ${drag.dy}px)`;
+        };
+        const end = () => {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', end);
+            window.removeEventListener('pointercancel', end);
+            if (drag.moved) {
+                this.view = { ...this.view, x: this.view.x - drag.dx, y: this.view.y - drag.dy };
+                this.draw();
+            }
+            // Let the click that ends the drag see it, then forget it
+            setTimeout(() => {
+                if (this.drag === drag) {
+                    this.drag = null;
+                }
+            }, 0);
+        };
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', end);
+        window.addEventListener('pointercancel', end);
+    }
+
+    /**
+     * Coordinates for each event: its own when they are in Hong Kong, else the geocoder's
+     * @param {Itinerary} itinerary - Itinerary
+     * @param {?Object} geocoder - { geocode(place) }
+     * @returns {Promise<{ points: Array<Object>, missing: Array<Object> }>} - points: { date, index,
+     *   number (1-based in its day), time, title, tourType, latitude, longitude, approximate };
+     *   missing: { date, index, title }
+     */
+    static async locate(itinerary, geocoder = null) {
+        const points = [];
+        const missing = [];
+        for (const day of itinerary.days) {
+            for (const [index, event] of day.events.entries()) {
+                const place = event.place || {};
+                let location = ItineraryMap.inBounds(place.latitude, place.longitude)
+                    ? { latitude: place.latitude, longitude: place.longitude, approximate: false }
+                    : null;
+                if (!location && geocoder && place.name) {
+                    try {
+                        location = await geocoder.geocode(place);
+                    } catch (error) {
+                        console.error(`Error finding ${place.name} on the map:`, error);
+                    }
+                }
+                const entry = { date: day.date, index, title: event.title };
+                if (location && ItineraryMap.inBounds(location.latitude, location.longitude)) {
+                    points.push({
+                        ...entry,
+                        number: index + 1,
+                        time: event.startTime,
+                        tourType: event.tourType || null,
+                        latitude: location.latitude,
+                        longitude: location.longitude,
+                        approximate: !!location.approximate
+                    });
+                } else {
+                    missing.push(entry);
+                }
+            }
+        }
+        return { points, missing };
+    }
+
+    /**
+     * Route legs between consecutive located events of each day; events that couldn't
+     * be located are skipped over
+     * @param {Array<Object>} points - From locate, in itinerary order
+     * @param {Itinerary} itinerary - For the transport of each leg
+     * @returns {Array<{ from: Object, to: Object, mode: string, label: string }>}
+     */
+    static routes(points, itinerary) {
+        const days = new Map(itinerary.days.map(day => [day.date, day]));
+        const legs = [];
+        points.forEach((point, i) => {
+            const previous = points[i - 1];
+            if (!previous || previous.date !== point.date) {
+                return;
+            }
+            const transport = days.get(point.date).events[point.index].transport;
+            const mode = transport ? transport.mode : 'other';
+            const label = transport
+                ? `${ItineraryView.TRANSPORT_LABELS[mode] || mode}, ${transport.durationMinutes} min`
+                : `${previous.title} to ${point.title}`;
+            legs.push({ from: previous, to: point, mode, label });
+        });
+        return legs;
+    }
+
+    /**
+     * Web Mercator position of a coordinate
+     * @param {number} latitude - Degrees
+     * @param {number} longitude - Degrees
+     * @param {number} zoom - Zoom level
+     * @returns {{ x: number, y: number }} - World pixels at that zoom
+     */
+    static project(latitude, longitude, zoom) {
+        const size = ItineraryMap.TILE_SIZE * Math.pow(2, zoom);
+        const sin = Math.sin(latitude * Math.PI / 180);
+        return {
+            x: (longitude + 180) / 360 * size,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+        };
+    }
+
+    /**
+     * Deepest zoom at which every point fits, and the centre
+     * @param {Array<Object>} points - With latitude and longitude
+     * @param {number} width - Map width in px
+     * @param {number} height - Map height in px
+     * @param {Object} options - { minZoom, maxZoom, padding }
+     * @returns {{ zoom: number, x: number, y: number }}
+     */
+    static fitView(points, width, height, { minZoom = 9, maxZoom = 16, padding = 40 } = {}) {
+        const { BOUNDS } = ItineraryMap;
+        const located = points.length > 0 ? points : [
+            // Nothing to show: all of Hong Kong
+            { latitude: BOUNDS.south, longitude: BOUNDS.west },
+            { latitude: BOUNDS.north, longitude: BOUNDS.east }
+        ];
+        for (let zoom = maxZoom; zoom >= minZoom; zoom--) {
+            const world = located.map(point => ItineraryMap.project(point.latitude, point.longitude, zoom));
+            const xs = world.map(point => point.x);
+            const ys = world.map(point => point.y);
+            const fits = Math.max(...xs) - Math.min(...xs) <= width - 2 * padding &&
+                Math.max(...ys) - Math.min(...ys) <= height - 2 * padding;
+            if (fits || zoom === minZoom) {
+                return {
+                    zoom,
+                    x: (Math.max(...xs) + Math.min(...xs)) / 2,
+                    y: (Math.max(...ys) + Math.min(...ys)) / 2
+                };
+            }
+        }
+    }
+
+    /**
+     * Tiles covering the view
+     * @param {Object} view - { zoom, x, y }
+     * @param {number} width - Map width in px
+     * @param {number} height - Map height in px
+     * @param {Object} tiles - { url: template with {z}, {x}, {y} (and optional {s}), subdomains }
+     * @returns {Array<{ url: string, left: number, top: number }>} - left/top in px within the map
+     */
+    static tilesFor(view, width, height, tiles) {
+        const size = ItineraryMap.TILE_SIZE;
+        const count = Math.pow(2, view.zoom);
+        const left = view.x - width / 2;
+        const top = view.y - height / 2;
+        const result = [];
+        for (let ty = Math.floor(top / size); ty <= Math.floor((top + height) / size); ty++) {
+            if (ty < 0 || ty >= count) {
+                continue;
+            }
+            for (let tx = Math.floor(left / size); tx <= Math.floor((left + width) / size); tx++) {
+                const wrapped = ((tx % count) + count) % count;
+                result.push({
+                    url: ItineraryMap.tileUrl(tiles, view.zoom, wrapped, ty),
+                    left: Math.round(tx * size - left),
+                    top: Math.round(ty * size - top)
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param {Object} tiles - { url, subdomains }
+     * @param {number} z - Zoom
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {string}
+     */
+    static tileUrl(tiles, z, x, y) {
+        const subdomains = tiles.subdomains || 'abc';
+        return tiles.url
+            .replace('{s}', subdomains[(x + y) % subdomains.length])
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+
+    /**
+     * @param {?string} tourType - Event tour type
+     * @returns {string} - CSS colour
+     */
+    static colorFor(tourType) {
+        return ItineraryMap.TOUR_COLORS[tourType] || ItineraryMap.OTHER_COLOR;
+    }
+
+    /**
+     * @param {*} latitude - Degrees
+     * @param {*} longitude - Degrees
+     * @returns {boolean} - Whether it is a coordinate in Hong Kong
+     */
+    static inBounds(latitude, longitude) {
+        const { BOUNDS } = ItineraryMap;
+        return typeof latitude === 'number' && typeof longitude === 'number' &&
+            latitude >= BOUNDS.south && latitude <= BOUNDS.north &&
+            longitude >= BOUNDS.west && longitude <= BOUNDS.east;
+    }
+}
+
+/**
+ * Geocoder backed by a local list of Hong Kong places (data/hk-places.json)
+ *
+ * Matches a place by name or alias, then asks the fallback geocoder if there is one,
+ * and finally puts it in the middle of its district, marked approximate.
+ */
+class FixtureGeocoder {
+    static DEFAULTS = {
+        places: null,     // { places: [{ name, aliases, district, latitude, longitude }], districts: [...] }
+        url: 'data/hk-places.json',   // Loaded on first use when places isn't given
+        fallback: null    // Geocoder for places not in the list
+    };
+
+    /**
+     * @param {Object} options - See FixtureGeocoder.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...FixtureGeocoder.DEFAULTS, ...options };
+        this.loading = null;     // Promise of { places, districts }
+    }
+
+    /**
+     * @param {Object} place - { name, address, district }
+     * @returns {Promise<Object|null>} - { latitude, longitude, approximate }
+     */
+    async geocode(place) {
+        const { places, districts } = await this.load();
+        const found = places.get(FixtureGeocoder.normalize(place.name)) || FixtureGeocoder.search(places, place.name);
+        if (found) {
+            return { latitude: found.latitude, longitude: found.longitude, approximate: false };
+        }
+        if (this.options.fallback) {
+            const location = await this.options.fallback.geocode(place);
+            if (location) {
+                return location;
+            }
+        }
+        const district = districts.get(FixtureGeocoder.normalize(place.district));
+        return district ? { latitude: district.latitude, longitude: district.longitude, approximate: true } : null;
+    }
+
+    /**
+     * @returns {Promise<{ places: Map, districts: Map }>} - By normalized name and alias
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.fetchPlaces().then(data => {
+                const places = new Map();
+                data.places.forEach(place => {
+                    [place.name, ...(place.aliases || [])].forEach(name => places.set(FixtureGeocoder.normalize(name), place));
+                });
+                const districts = new Map((data.districts || []).map(district => [FixtureGeocoder.normalize(district.name), district]));
+                return { places, districts };
+            });
+            // Try again next time if loading failed
+            this.loading.catch(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * @returns {Promise<Object>} - The places option, or the file at url
+     */
+    async fetchPlaces() {
+        if (this.options.places) {
+            return this.options.places;
+        }
+        const response = await fetch(this.options.url);
+        if (!response.ok) {
+            throw new Error(`Could not load places from ${this.options.url} (${response.status})`);
+        }
+        return response.json();
+    }
+
+    /**
+     * A listed name contained in the place's name, e.g. "Ocean Park" in "Ocean Park Summit";
+     * the longest wins
+     * @param {Map} places - Listed places by normalized name
+     * @param {string} name - Place name
+     * @returns {Object|null} - Listed place
+     */
+    static search(places, name) {
+        const text = ` ${FixtureGeocoder.normalize(name)} `;
+        let best = null;
+        places.forEach((place, key) => {
+            if (key.length > 3 && text.includes(` ${key} `) && (!best || key.length > best.key.length)) {
+                best = { key, place };
+            }
+        });
+        return best ? best.place : null;
+    }
+
+    /**
+     * @param {string} name - Place name
+     * @returns {string} - Lower case words, without punctuation
+     */
+    static normalize(name) {
+        return String(name || '').toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9+]+/g, ' ')
+            .trim();
+    }
+}
+
+/**
+ * Geocoder using OpenStreetMap's Nominatim search
+ *
+ * Follows the public server's usage policy: at most one request a second, and every
+ * answer cached for the page.
+ */
+class NominatimGeocoder {
+    static DEFAULTS = {
+        url: 'https://nominatim.openstreetmap.org/search',
+        minInterval: 1100   // ms between requests
+    };
+
+    /**
+     * @param {Object} options - See NominatimGeocoder.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...NominatimGeocoder.DEFAULTS, ...options };
+        this.cache = new Map();          // query => promise of the location
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * @param {Object} place - { name, address, district }
+     * @returns {Promise<Object|null>} - { latitude, longitude, approximate: false }
+     */
+    geocode(place) {
+        const query = [place.name, place.address, place.district, 'Hong Kong'].filter(Boolean).join(', ');
+        if (!this.cache.has(query)) {
+            const request = this.queue.then(() => this.search(query));
+            this.queue = request.then(
+                () => new Promise(resolve => setTimeout(resolve, this.options.minInterval)),
+                () => new Promise(resolve => setTimeout(resolve, this.options.minInterval))
+            );
+            this.cache.set(query, request.catch(error => {
+                console.error(`Error looking up ${query}:`, error);
+                this.cache.delete(query);
+                return null;
+            }));
+        }
+        return this.cache.get(query);
+    }
+
+    /**
+     * @param {string} query - Free-form address
+     * @returns {Promise<Object|null>}
+     */
+    async search(query) {
+        const params = new URLSearchParams({ q: query, format: 'jsonv2', limit: '1', countrycodes: 'hk' });
+        const response = await fetch(`${this.options.url}?${params}`, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Nominatim answered ${response.status}`);
+        }
+        const [result] = await response.json();
+        return result
+            ? { latitude: Number(result.lat), longitude: Number(result.lon), approximate: false }
+            : null;
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItineraryMap, FixtureGeocoder, NominatimGeocoder };
+}
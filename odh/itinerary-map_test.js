@@ -0,0 +1,168 @@
+/**
+ * Test file for ItineraryMap and its geocoders
+ *
+ * Run with: node itinerary-map_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var { ItineraryMap, FixtureGeocoder, NominatimGeocoder } = require('./itinerary-map.js');
+    var { TestRunner, assert, assertEqual } = require('./supabase_test.js');
+    var places = require('./data/hk-places.json');
+    // itinerary-map.js expects these as globals, like in the browser
+    global.MarkdownRenderer = require('./markdown.js');
+    global.ItineraryView = require('./itinerary-view.js');
+}
+
+// Stands in for the map's element
+function createContainer() {
+    return { clientWidth: 600, innerHTML: '', addEventListener: () => {} };
+}
+
+function event(title, placeName, extra = {}) {
+    return {
+        startTime: '09:00',
+        endTime: '10:00',
+        title,
+        category: 'sightseeing',
+        tourType: null,
+        description: '',
+        place: { name: placeName, address: null, district: null, latitude: null, longitude: null },
+        cost: { amount: 0, per: 'person', notes: null },
+        transport: null,
+        ...extra
+    };
+}
+
+function createItinerary() {
+    return {
+        title: 'Pandas & Peaks',
+        summary: '',
+        currency: 'HKD',
+        days: [{
+            date: '2026-11-01',
+            title: 'South side',
+            events: [
+                event('Giant pandas', 'Ocean Park', { tourType: 'panda' }),
+                event('Lunch', 'Aberdeen', { transport: { mode: 'bus', from: 'Ocean Park', to: 'Aberdeen', durationMinutes: 15, cost: 6.5, notes: null } }),
+                event('Hike', 'Dragon\'s Back trailhead, To Tei Wan', {
+                    tourType: 'eco',
+                    transport: { mode: 'taxi', from: 'Aberdeen', to: 'To Tei Wan', durationMinutes: 20, cost: 40, notes: null }
+                })
+            ]
+        }, {
+            date: '2026-11-02',
+            title: 'Kowloon',
+            events: [
+                // Model coordinates are used as they are...
+                event('Museum', 'Hong Kong Museum of History', { place: { name: 'Museum', latitude: 22.3017, longitude: 114.1772 } }),
+                // ...unless they are outside Hong Kong
+                event('Noodles', 'Somewhere Unknown', { place: { name: 'Somewhere Unknown', district: 'Sham Shui Po', latitude: 48.85, longitude: 2.35 } }),
+                event('Secret bar', 'Nowhere at all')
+            ]
+        }],
+        tips: []
+    };
+}
+
+const runner = new TestRunner('ItineraryMap');
+const originalFetch = global.fetch;
+
+runner.test('FixtureGeocoder should find places by name, alias and district', async () => {
+    const geocoder = new FixtureGeocoder({ places });
+    assertEqual(await geocoder.geocode({ name: 'Ocean Park' }), { latitude: 22.2467, longitude: 114.1757, approximate: false });
+    assertEqual((await geocoder.geocode({ name: 'the big buddha' })).latitude, 22.254, 'Should match aliases in any case');
+    assertEqual((await geocoder.geocode({ name: 'Ocean Park Summit Entrance' })).longitude, 114.1757, 'Should find listed names inside longer ones');
+    assertEqual(await geocoder.geocode({ name: 'Tiny cafe', district: 'Sham Shui Po' }), { latitude: 22.33, longitude: 114.162, approximate: true });
+    assertEqual(await geocoder.geocode({ name: 'Tiny cafe' }), null);
+
+    const fallback = new FixtureGeocoder({ places, fallback: { geocode: async () => ({ latitude: 22.3, longitude: 114.2 }) } });
+    assertEqual(await fallback.geocode({ name: 'Tiny cafe', district: 'Sham Shui Po' }), { latitude: 22.3, longitude: 114.2 }, 'Should ask the fallback before the district');
+});
+
+runner.test('render should plot numbered, coloured markers and each day\'s route offline', async () => {
+    const container = createContainer();
+    const map = new ItineraryMap(container, {
+        tiles: { url: 'tiles/{z}/{x}/{y}.png', attribution: 'Test tiles' },
+        geocoder: new FixtureGeocoder({ places })
+    });
+    await map.render(createItinerary());
+
+    assertEqual(map.points.map(point => [point.date, point.number, point.approximate]), [
+        ['2026-11-01', 1, false], ['2026-11-01', 2, false], ['2026-11-01', 3, false],
+        ['2026-11-02', 1, false], ['2026-11-02', 2, true]
+    ]);
+    assertEqual(map.missing, [{ date: '2026-11-02', index: 2, title: 'Secret bar' }]);
+
+    const html = container.innerHTML;
+    assertEqual((html.match(/class="itinerary-map-marker/g) || []).length, 5);
+    assert(html.includes('data-map-event="2026-11-01|0"') && html.includes('fill="#333333"'), 'Should colour panda events');
+    assert(html.includes('fill="#4CAF50"'), 'Should colour eco events');
+    assertEqual((html.match(/class="itinerary-map-route/g) || []).length, 3, 'Should join events within a day, not across days');
+    assert(html.includes('transport-bus') && html.includes('transport-taxi'), 'Should style routes by transport');
+    assert(html.includes('itinerary-map-marker approximate'), 'Should mark district guesses');
+    assert(html.includes('Not on the map: Secret bar'), 'Should list what it couldn\'t place');
+    assert(/<img src="tiles\/\d+\/\d+\/\d+\.png"/.test(html) && html.includes('Test tiles'), 'Should use the given tiles');
+    assert(!html.includes('openstreetmap'), 'Should not touch the network');
+});
+
+runner.test('showDay and select should zoom to a day and highlight an event', async () => {
+    const container = createContainer();
+    const map = new ItineraryMap(container, { tiles: null, geocoder: new FixtureGeocoder({ places }) });
+    await map.render(createItinerary());
+    const allDays = map.view.zoom;
+    assert(!container.innerHTML.includes('<img'), 'Should draw no tiles without a tile source');
+
+    map.showDay('2026-11-01');
+    assert(map.view.zoom > allDays, 'Should zoom in on one day');
+    assertEqual((container.innerHTML.match(/class="itinerary-map-marker/g) || []).length, 3);
+    assert(container.innerHTML.includes('data-map-day="2026-11-01" class="active"'));
+
+    map.select('2026-11-02', 1);
+    assertEqual(map.day, '2026-11-02', 'Should switch to the selected event\'s day');
+    assert(container.innerHTML.includes('class="itinerary-map-marker selected approximate" data-map-event="2026-11-02|1"'));
+});
+
+runner.test('fitView and project should keep every marker on screen', () => {
+    const points = [{ latitude: 22.2467, longitude: 114.1757 }, { latitude: 22.254, longitude: 113.905 }];
+    const view = ItineraryMap.fitView(points, 600, 360, { minZoom: 9, maxZoom: 16, padding: 40 });
+    points.forEach(point => {
+        const { x, y } = ItineraryMap.project(point.latitude, point.longitude, view.zoom);
+        assert(Math.abs(x - view.x) <= 260 && Math.abs(y - view.y) <= 140, 'Should fit inside the padding');
+    });
+    assertEqual(ItineraryMap.fitView([points[0]], 600, 360).zoom, 16, 'Should zoom right in on one place');
+
+    const origin = ItineraryMap.project(0, 0, 0);
+    assertEqual([origin.x, origin.y], [128, 128]);
+    assertEqual(ItineraryMap.tileUrl({ url: 'https://{s}.tiles/{z}/{x}/{y}.png' }, 12, 3346, 1786), 'https://c.tiles/12/3346/1786.png');
+});
+
+runner.test('NominatimGeocoder should cache answers and space out requests', async () => {
+    const urls = [];
+    global.fetch = async url => {
+        urls.push(url);
+        return { ok: true, status: 200, json: async () => [{ lat: '22.28', lon: '114.15' }] };
+    };
+    const geocoder = new NominatimGeocoder({ url: 'https://geocode.test/search', minInterval: 20 });
+    const started = Date.now();
+    const [first, second, again] = await Promise.all([
+        geocoder.geocode({ name: 'Tai Kwun', district: 'Central and Western' }),
+        geocoder.geocode({ name: 'PMQ' }),
+        geocoder.geocode({ name: 'Tai Kwun', district: 'Central and Western' })
+    ]);
+
+    assertEqual(first, { latitude: 22.28, longitude: 114.15, approximate: false });
+    assertEqual(again, first);
+    assertEqual(second, first);
+    assertEqual(urls.length, 2, 'Should ask once per place');
+    assert(urls[0].includes('q=Tai+Kwun%2C+Central+and+Western%2C+Hong+Kong') && urls[0].includes('countrycodes=hk'));
+    assert(Date.now() - started >= 20, 'Should wait between requests');
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        global.fetch = originalFetch;
+        process.exit(success ? 0 : 1);
+    });
+}
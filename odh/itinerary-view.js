@@ -0,0 +1,495 @@
+/**
+ * Itinerary view for the trip planner
+ *
+ * Renders an Itinerary from TripPlannerAgent as a day-by-day timeline: collapsible
+ * days, event cards with time, place, cost and tour-type tags, the transport leg
+ * between events, and per-day and total budgets. Model text (summary, descriptions,
+ * tips) goes through MarkdownRenderer, so it is sanitised. Anything that isn't an
+ * itinerary object, such as plain text, is rendered as markdown instead.
+ *
+ * Usage:
+ *   const view = new ItineraryView(document.getElementById('tripPlanContent'), { numPeople: 2 });
+ *   view.render(itinerary);
+ *   view.render('Plain text plan');   // Fallback
+ *
+ *   // While streaming, render the partial plan with a "still planning" note
+ *   view.render(partial, { pending: true });
+ *
+ *   // After a refinement, list and highlight what changed
+ *   view.render(updated, { previous: itinerary });
+ *
+ *   // Highlight an event picked elsewhere (e.g. on the map)
+ *   view.select('2026-11-01', 2);
+ */
+
+class ItineraryView {
+    static DEFAULTS = {
+        numPeople: 1,   // Used to turn per-person costs into budgets
+        openDays: 1,    // Days expanded at first (Infinity for all)
+        onSelect: null  // ({ date, index }) when an event is clicked, e.g. to show it on the map
+    };
+
+    static TOUR_LABELS = {
+        panda: 'Panda Tour',
+        eco: 'Eco Tour',
+        sports: 'Sports Tour',
+        concert: 'Concert Tour'
+    };
+
+    static TRANSPORT_LABELS = {
+        walk: 'Walk',
+        mtr: 'MTR',
+        bus: 'Bus',
+        minibus: 'Minibus',
+        tram: 'Tram',
+        ferry: 'Ferry',
+        taxi: 'Taxi',
+        train: 'Train',
+        cable_car: 'Cable car',
+        other: 'Other'
+    };
+
+    /**
+     * @param {HTMLElement} container - Element the itinerary is rendered into
+     * @param {Object} options - See ItineraryView.DEFAULTS
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...ItineraryView.DEFAULTS, ...options };
+    }
+
+    /**
+     * Render an itinerary (or text) into the container
+     * @param {Itinerary|string} itinerary - Itinerary object, or markdown/plain text
+     * @param {Object} state - { pending: true while more of the plan is on its way,
+     *   previous: earlier version of the itinerary, to show what changed }
+     * @returns {ItineraryView}
+     */
+    render(itinerary, state = {}) {
+        this.container.innerHTML = this.toHtml(itinerary, state);
+        this.container.querySelectorAll('[data-itinerary-action]').forEach(button => {
+            button.addEventListener('click', () => this.setAllDaysOpen(button.dataset.itineraryAction === 'expand'));
+        });
+        this.container.querySelectorAll('.itinerary-event').forEach(item => {
+            item.addEventListener('click', event => {
+                if (event.target.closest('a')) {
+                    return;
+                }
+                const selection = { date: item.dataset.date, index: Number(item.dataset.index) };
+                this.select(selection.date, selection.index, { scroll: false });
+                if (this.options.onSelect) {
+                    this.options.onSelect(selection);
+                }
+            });
+        });
+        return this;
+    }
+
+    /**
+     * Highlight one event, opening its day
+     * @param {string} date - Day of the event
+     * @param {number} index - Position of the event in its day
+     * @param {Object} options - { scroll: bring it into view (default true) }
+     */
+    select(date, index, { scroll = true } = {}) {
+        let selected = null;
+        this.container.querySelectorAll('.itinerary-event').forEach(item => {
+            const match = item.dataset.date === date && Number(item.dataset.index) === index;
+            item.classList.toggle('itinerary-selected', match);
+            selected = match ? item : selected;
+        });
+        if (selected) {
+            selected.closest('.itinerary-day').open = true;
+            if (scroll) {
+                selected.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        }
+    }
+
+    /**
+     * Expand or collapse every day
+     * @param {boolean} open - true to expand
+     */
+    setAllDaysOpen(open) {
+        this.container.querySelectorAll('.itinerary-day').forEach(day => {
+            day.open = open;
+        });
+    }
+
+    /**
+     * HTML for an itinerary, or for text when it isn't one
+     * @param {Itinerary|string} itinerary - Itinerary object, or markdown/plain text
+     * @param {Object} state - See render
+     * @returns {string}
+     */
+    toHtml(itinerary, state = {}) {
+        const pending = state.pending ? '<p class="itinerary-pending">Planning your trip…</p>' : '';
+        if (!ItineraryView.isItinerary(itinerary)) {
+            return pending || this.renderText(typeof itinerary === 'string' ? itinerary : '');
+        }
+        if (!ItineraryView.isItinerary(state.previous)) {
+            return this.renderItinerary(itinerary) + pending;
+        }
+        const changes = ItineraryView.diff(state.previous, itinerary);
+        return this.renderChanges(changes, state.previous, itinerary) + this.renderItinerary(itinerary, changes) + pending;
+    }
+
+    /**
+     * Markdown or plain text fallback
+     * @param {string} text - Model output
+     * @returns {string}
+     */
+    renderText(text) {
+        if (!text.trim()) {
+            return '<p class="itinerary-empty">No trip plan to show.</p>';
+        }
+        return `<div class="itinerary-text">${MarkdownRenderer.render(text)}</div>`;
+    }
+
+    /**
+     * @param {Itinerary} itinerary - Validated itinerary
+     * @param {Array} changes - From diff, to highlight added and changed events
+     * @returns {string}
+     */
+    renderItinerary(itinerary, changes = []) {
+        const { numPeople, openDays } = this.options;
+        const currency = itinerary.currency;
+        const marks = new Map(changes.filter(change => change.key).map(change => [`${change.date}|${change.key}`, change.type]));
+        const days = itinerary.days.map((day, i) => this.renderDay(day, currency, i < openDays, marks)).join('');
+        const tips = (itinerary.tips || []).length === 0 ? '' : `
+            <div class="itinerary-tips">
+                <h4>Tips</h4>
+                <ul>${itinerary.tips.map(tip => `<li>${MarkdownRenderer.renderInline(tip)}</li>`).join('')}</ul>
+            </div>`;
+
+        return `
+            <div class="itinerary">
+                <div class="itinerary-header">
+                    <h4 class="itinerary-title">${MarkdownRenderer.escapeHtml(itinerary.title)}</h4>
+                    <div class="itinerary-summary">${MarkdownRenderer.render(itinerary.summary)}</div>
+                </div>
+                ${this.renderBudget(ItineraryView.tripBudget(itinerary, numPeople), currency, 'Trip budget')}
+                <div class="itinerary-toolbar">
+                    <button type="button" data-itinerary-action="expand">Expand all</button>
+                    <button type="button" data-itinerary-action="collapse">Collapse all</button>
+                </div>
+                ${days}
+                ${tips}
+            </div>`;
+    }
+
+    /**
+     * One collapsible day
+     * @param {ItineraryDay} day - Day
+     * @param {string} currency - Itinerary currency
+     * @param {boolean} open - Start expanded
+     * @param {Map} marks - 'date|event key' => change type, for highlighting
+     * @returns {string}
+     */
+    renderDay(day, currency, open, marks = new Map()) {
+        const budget = ItineraryView.dayBudget(day, this.options.numPeople);
+        const keys = ItineraryView.eventKeys(day.events);
+        const events = day.events.map((event, i) =>
+            this.renderEvent(event, currency, marks.get(`${day.date}|${keys[i]}`), { date: day.date, index: i })).join('');
+
+        return `
+            <details class="itinerary-day"${open ? ' open' : ''}>
+                <summary>
+                    <span class="itinerary-day-date">${MarkdownRenderer.escapeHtml(ItineraryView.formatDate(day.date))}</span>
+                    <span class="itinerary-day-title">${MarkdownRenderer.escapeHtml(day.title)}</span>
+                    <span class="itinerary-day-total">${ItineraryView.formatMoney(budget.total, currency)}</span>
+                </summary>
+                <ol class="itinerary-timeline">${events}</ol>
+                ${this.renderBudget(budget, currency, 'Day budget')}
+            </details>`;
+    }
+
+    /**
+     * Transport leg (if any) followed by the event card
+     * @param {ItineraryEvent} event - Event
+     * @param {string} currency - Itinerary currency
+     * @param {string} change - 'added' or 'changed' to highlight the card
+     * @param {Object} position - { date, index } of the event, for select
+     * @returns {string}
+     */
+    renderEvent(event, currency, change, position = {}) {
+        const escape = MarkdownRenderer.escapeHtml;
+        const tags = [`<span class="itinerary-tag category-${escape(event.category)}">${escape(event.category)}</span>`];
+        if (event.tourType && ItineraryView.TOUR_LABELS[event.tourType]) {
+            tags.unshift(`<span class="itinerary-tag tour-${escape(event.tourType)}">${ItineraryView.TOUR_LABELS[event.tourType]}</span>`);
+        }
+
+        const place = event.place || {};
+        const where = [place.district, place.address].filter(Boolean).map(escape).join(' · ');
+        const mapLink = typeof place.latitude === 'number' && typeof place.longitude === 'number'
+            ? ` <a class="itinerary-map-link" href="https://www.google.com/maps/search/?api=1&amp;query=${place.latitude},${place.longitude}" target="_blank" rel="noopener noreferrer">Map</a>`
+            : '';
+
+        return `
+            ${event.transport ? this.renderTransport(event.transport, currency) : ''}
+            <li class="itinerary-event${change ? ` itinerary-${change}` : ''}" data-date="${escape(position.date)}" data-index="${escape(position.index)}">
+                <div class="itinerary-time">${escape(event.startTime)}<span>${escape(event.endTime)}</span></div>
+                <div class="itinerary-card">
+                    <div class="itinerary-card-header">
+                        <h5>${escape(event.title)}</h5>
+                        <div class="itinerary-tags">${tags.join('')}</div>
+                    </div>
+                    <div class="itinerary-place">${escape(place.name)}${where ? ` <span>${where}</span>` : ''}${mapLink}</div>
+                    <div class="itinerary-description">${MarkdownRenderer.renderInline(event.description)}</div>
+                    <div class="itinerary-cost">${ItineraryView.formatCost(event.cost, currency)}</div>
+                </div>
+            </li>`;
+    }
+
+    /**
+     * Transport leg between two events
+     * @param {TransportLeg} leg - Leg
+     * @param {string} currency - Itinerary currency
+     * @returns {string}
+     */
+    renderTransport(leg, currency) {
+        const escape = MarkdownRenderer.escapeHtml;
+        const mode = ItineraryView.TRANSPORT_LABELS[leg.mode] || leg.mode;
+        const cost = leg.cost ? `, ${ItineraryView.formatMoney(leg.cost, currency)} per person` : '';
+        const notes = leg.notes ? ` — ${MarkdownRenderer.renderInline(leg.notes)}` : '';
+
+        return `
+            <li class="itinerary-leg transport-${escape(leg.mode)}">
+                ${escape(mode)} from ${escape(leg.from)} to ${escape(leg.to)}, ${escape(leg.durationMinutes)} min${cost}${notes}
+            </li>`;
+    }
+
+    /**
+     * Budget summary
+     * @param {Object} budget - From dayBudget or tripBudget
+     * @param {string} currency - Itinerary currency
+     * @param {string} label - e.g. 'Day budget'
+     * @returns {string}
+     */
+    renderBudget(budget, currency, label) {
+        const people = this.options.numPeople > 1
+            ? ` <span>(${ItineraryView.formatMoney(budget.perPerson, currency)} per person)</span>`
+            : '';
+        return `
+            <div class="itinerary-budget">
+                <strong>${label}:</strong> ${ItineraryView.formatMoney(budget.total, currency)}${people}
+                <span class="itinerary-budget-split">Activities ${ItineraryView.formatMoney(budget.activities, currency)} · Transport ${ItineraryView.formatMoney(budget.transport, currency)}</span>
+            </div>`;
+    }
+
+    /**
+     * "What changed" list for a refined itinerary
+     * @param {Array} changes - From diff
+     * @param {Itinerary} before - Previous version
+     * @param {Itinerary} after - New version
+     * @returns {string}
+     */
+    renderChanges(changes, before, after) {
+        const escape = MarkdownRenderer.escapeHtml;
+        const items = changes.map(change => {
+            const date = escape(ItineraryView.formatDate(change.date));
+            const title = `<strong>${escape(change.title)}</strong>`;
+            if (!change.key) {
+                return `<li class="itinerary-change-${change.type}">${change.type === 'added' ? 'Added' : 'Removed'} day ${date}: ${title}</li>`;
+            }
+            if (change.type === 'changed') {
+                return `<li class="itinerary-change-changed">Changed ${title} on ${date} (${change.fields.join(', ')})</li>`;
+            }
+            return `<li class="itinerary-change-${change.type}">${change.type === 'added' ? 'Added' : 'Removed'} ${title} on ${date}</li>`;
+        });
+
+        const { numPeople } = this.options;
+        const oldTotal = ItineraryView.tripBudget(before, numPeople).total;
+        const newTotal = ItineraryView.tripBudget(after, numPeople).total;
+        const budget = oldTotal === newTotal ? '' :
+            `<p>Trip budget: ${ItineraryView.formatMoney(oldTotal, before.currency)} → ${ItineraryView.formatMoney(newTotal, after.currency)}</p>`;
+
+        return `
+            <div class="itinerary-changes">
+                <h4>What changed</h4>
+                ${items.length > 0 ? `<ul>${items.join('')}</ul>` : '<p>No changes to the plan.</p>'}
+                ${budget}
+            </div>`;
+    }
+
+    /**
+     * Differences between two itineraries. Days are matched by date and events by
+     * title within their day.
+     * @param {Itinerary} before - Previous version
+     * @param {Itinerary} after - New version
+     * @returns {Array<Object>} - { type: 'added'|'removed'|'changed', date, title, key, fields };
+     *   key is missing for whole days, fields lists what changed ('time', 'place', ...)
+     */
+    static diff(before, after) {
+        const beforeDays = new Map(before.days.map(day => [day.date, day]));
+        const afterDays = new Map(after.days.map(day => [day.date, day]));
+        const dates = Array.from(new Set([...beforeDays.keys(), ...afterDays.keys()])).sort();
+        const changes = [];
+
+        dates.forEach(date => {
+            const oldDay = beforeDays.get(date);
+            const newDay = afterDays.get(date);
+            if (!oldDay || !newDay) {
+                changes.push({ type: oldDay ? 'removed' : 'added', date, title: (oldDay || newDay).title });
+                return;
+            }
+
+            const oldEvents = ItineraryView.eventsByKey(oldDay.events);
+            const newEvents = ItineraryView.eventsByKey(newDay.events);
+            newEvents.forEach((event, key) => {
+                const previous = oldEvents.get(key);
+                if (!previous) {
+                    changes.push({ type: 'added', date, key, title: event.title });
+                    return;
+                }
+                const fields = ItineraryView.changedFields(previous, event);
+                if (fields.length > 0) {
+                    changes.push({ type: 'changed', date, key, title: event.title, fields });
+                }
+            });
+            oldEvents.forEach((event, key) => {
+                if (!newEvents.has(key)) {
+                    changes.push({ type: 'removed', date, key, title: event.title });
+                }
+            });
+        });
+        return changes;
+    }
+
+    /**
+     * Which parts of an event differ
+     * @param {ItineraryEvent} before - Previous version
+     * @param {ItineraryEvent} after - New version
+     * @returns {Array<string>}
+     */
+    static changedFields(before, after) {
+        const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+        const fields = [];
+        if (before.startTime !== after.startTime || before.endTime !== after.endTime) fields.push('time');
+        if (!same(before.place, after.place)) fields.push('place');
+        if (!same(before.cost, after.cost)) fields.push('cost');
+        if (!same(before.transport, after.transport)) fields.push('transport');
+        if (before.category !== after.category || before.tourType !== after.tourType) fields.push('type');
+        if (before.description !== after.description) fields.push('description');
+        return fields;
+    }
+
+    /**
+     * Keys that identify events within a day: the lower-case title, with #2, #3...
+     * for repeats
+     * @param {Array<ItineraryEvent>} events - Events of one day
+     * @returns {Array<string>}
+     */
+    static eventKeys(events) {
+        const seen = {};
+        return events.map(event => {
+            const title = String(event.title || '').trim().toLowerCase();
+            seen[title] = (seen[title] || 0) + 1;
+            return seen[title] > 1 ? `${title}#${seen[title]}` : title;
+        });
+    }
+
+    /**
+     * @param {Array<ItineraryEvent>} events - Events of one day
+     * @returns {Map<string, ItineraryEvent>} - By eventKeys key
+     */
+    static eventsByKey(events) {
+        const keys = ItineraryView.eventKeys(events);
+        return new Map(events.map((event, i) => [keys[i], event]));
+    }
+
+    /**
+     * Estimated cost of a day for the whole group
+     * @param {ItineraryDay} day - Day
+     * @param {number} numPeople - Group size
+     * @returns {{ activities: number, transport: number, total: number, perPerson: number }}
+     */
+    static dayBudget(day, numPeople = 1) {
+        const people = Math.max(1, Number(numPeople) || 1);
+        let activities = 0;
+        let transport = 0;
+        day.events.forEach(event => {
+            if (event.cost) {
+                activities += event.cost.per === 'group' ? event.cost.amount : event.cost.amount * people;
+            }
+            if (event.transport && event.transport.cost) {
+                transport += event.transport.cost * people;
+            }
+        });
+        const total = activities + transport;
+        return { activities, transport, total, perPerson: total / people };
+    }
+
+    /**
+     * Estimated cost of the whole trip for the group
+     * @param {Itinerary} itinerary - Itinerary
+     * @param {number} numPeople - Group size
+     * @returns {{ activities: number, transport: number, total: number, perPerson: number }}
+     */
+    static tripBudget(itinerary, numPeople = 1) {
+        const people = Math.max(1, Number(numPeople) || 1);
+        const budget = { activities: 0, transport: 0, total: 0 };
+        itinerary.days.forEach(day => {
+            const dayBudget = ItineraryView.dayBudget(day, people);
+            budget.activities += dayBudget.activities;
+            budget.transport += dayBudget.transport;
+            budget.total += dayBudget.total;
+        });
+        return { ...budget, perPerson: budget.total / people };
+    }
+
+    /**
+     * @param {{ amount: number, per: string, notes: ?string }} cost - Event cost
+     * @param {string} currency - Itinerary currency
+     * @returns {string} - HTML
+     */
+    static formatCost(cost, currency) {
+        const notes = cost && cost.notes ? ` — ${MarkdownRenderer.renderInline(cost.notes)}` : '';
+        if (!cost || cost.amount === 0) {
+            return `Free${notes}`;
+        }
+        const per = cost.per === 'group' ? 'for the group' : 'per person';
+        return `${ItineraryView.formatMoney(cost.amount, currency)} ${per}${notes}`;
+    }
+
+    /**
+     * @param {number} amount - Amount
+     * @param {string} currency - ISO code, e.g. HKD
+     * @returns {string} - e.g. "HKD 1,250"
+     */
+    static formatMoney(amount, currency = 'HKD') {
+        const rounded = Math.round(amount * 100) / 100;
+        const text = rounded.toLocaleString('en-US', { maximumFractionDigits: 2 });
+        return `${MarkdownRenderer.escapeHtml(currency)} ${text}`;
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} - e.g. "Sun 1 Nov", or the input when it isn't a date
+     */
+    static formatDate(date) {
+        if (!date) {
+            return '';
+        }
+        const parsed = new Date(`${date}T00:00:00Z`);
+        if (isNaN(parsed.getTime())) {
+            return String(date);
+        }
+        return parsed.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+    }
+
+    /**
+     * Whether a value looks like an itinerary object
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    static isItinerary(value) {
+        return !!value && typeof value === 'object' && Array.isArray(value.days) &&
+            value.days.every(day => day && Array.isArray(day.events));
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItineraryView;
+}
@@ -0,0 +1,163 @@
+/**
+ * Test file for ItineraryView
+ *
+ * Run with: node itinerary-view_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var ItineraryView = require('./itinerary-view.js');
+    var { TestRunner, assert, assertEqual } = require('./supabase_test.js');
+    // itinerary-view.js expects MarkdownRenderer as a global, like in the browser
+    global.MarkdownRenderer = require('./markdown.js');
+}
+
+function createItinerary() {
+    return {
+        title: 'Pandas & Peaks',
+        summary: 'Two days of **wildlife** and hiking',
+        currency: 'HKD',
+        days: [
+            {
+                date: '2026-11-01',
+                title: 'Ocean Park',
+                events: [{
+                    startTime: '09:00',
+                    endTime: '13:00',
+                    title: 'Giant pandas',
+                    category: 'wildlife',
+                    tourType: 'panda',
+                    description: 'See An An and Ke Ke <img src=x onerror=alert(1)>',
+                    place: { name: 'Ocean Park', address: null, district: 'Southern', latitude: 22.2467, longitude: 114.1757 },
+                    cost: { amount: 498, per: 'person', notes: null },
+                    transport: null
+                }, {
+                    startTime: '13:30',
+                    endTime: '15:00',
+                    title: 'Lunch',
+                    category: 'food',
+                    tourType: null,
+                    description: 'Dim sum',
+                    place: { name: 'Aberdeen' },
+                    cost: { amount: 300, per: 'group', notes: 'Shared dishes' },
+                    transport: { mode: 'bus', from: 'Ocean Park', to: 'Aberdeen', durationMinutes: 15, cost: 6.5, notes: null }
+                }]
+            },
+            {
+                date: '2026-11-02',
+                title: 'Dragon\'s Back',
+                events: [{
+                    startTime: '08:00',
+                    endTime: '12:00',
+                    title: 'Hike',
+                    category: 'nature',
+                    tourType: 'eco',
+                    description: 'Ridge walk',
+                    place: { name: 'Dragon\'s Back' },
+                    cost: { amount: 0, per: 'person', notes: null },
+                    transport: null
+                }]
+            }
+        ],
+        tips: ['Get an *Octopus* card']
+    };
+}
+
+const runner = new TestRunner('ItineraryView');
+
+runner.test('dayBudget and tripBudget should scale per-person costs by the group size', async () => {
+    const itinerary = createItinerary();
+    assertEqual(ItineraryView.dayBudget(itinerary.days[0], 2), { activities: 1296, transport: 13, total: 1309, perPerson: 654.5 });
+    assertEqual(ItineraryView.dayBudget(itinerary.days[1], 2), { activities: 0, transport: 0, total: 0, perPerson: 0 });
+    assertEqual(ItineraryView.tripBudget(itinerary, 2), { activities: 1296, transport: 13, total: 1309, perPerson: 654.5 });
+    assertEqual(ItineraryView.tripBudget(itinerary, 0).total, 804.5, 'Should count at least one traveller');
+});
+
+runner.test('toHtml should render collapsible days with event cards and budgets', async () => {
+    const view = new ItineraryView(null, { numPeople: 2 });
+    const html = view.toHtml(createItinerary());
+
+    assertEqual((html.match(/<details class="itinerary-day"/g) || []).length, 2, 'Should render each day');
+    assertEqual((html.match(/<details class="itinerary-day" open>/g) || []).length, 1, 'Should only open the first day');
+    assertEqual((html.match(/class="itinerary-event"/g) || []).length, 3, 'Should render each event');
+    assert(html.includes('Sun 1 Nov'), 'Should format the date');
+    assert(html.includes('tour-panda">Panda Tour'), 'Should tag the tour type');
+    assert(html.includes('category-wildlife'), 'Should tag the category');
+    assert(html.includes('Bus from Ocean Park to Aberdeen, 15 min, HKD 6.5 per person'), 'Should render the transport leg');
+    assert(html.includes('HKD 300 for the group — Shared dishes'), 'Should render group costs');
+    assert(html.includes('<strong>Trip budget:</strong> HKD 1,309'), 'Should render the trip budget');
+    assert(html.includes('HKD 654.5 per person'), 'Should split the budget per person');
+    assert(html.includes('Free'), 'Should mark free events');
+    assert(html.includes('query=22.2467,114.1757'), 'Should link the map when coordinates are known');
+    assert(html.includes('<em>Octopus</em>'), 'Should render markdown in tips');
+    assert(html.includes('data-date="2026-11-01" data-index="1"'), 'Should mark each event\'s place in the plan, for select');
+});
+
+runner.test('toHtml should escape model text', async () => {
+    const html = new ItineraryView(null).toHtml(createItinerary());
+    assert(!html.includes('<img'), 'Should not inject HTML from descriptions');
+    assert(html.includes('&lt;img src=x onerror=alert(1)&gt;'), 'Should show it as text');
+    assert(html.includes('Pandas &amp; Peaks'), 'Should escape the title');
+    assert(html.includes('Dragon&#039;s Back'), 'Should escape place names');
+});
+
+runner.test('toHtml should fall back to markdown for text and anything else', async () => {
+    const view = new ItineraryView(null);
+    assertEqual(view.toHtml('# Plan\nDay 1: <b>Ocean Park</b>'),
+        '<div class="itinerary-text"><h4>Plan</h4>\n<p>Day 1: &lt;b&gt;Ocean Park&lt;/b&gt;</p></div>');
+    assert(view.toHtml({ title: 'No days' }).includes('No trip plan to show'), 'Should handle objects without days');
+    assert(view.toHtml(null).includes('No trip plan to show'), 'Should handle nothing');
+});
+
+runner.test('toHtml should mark a partial plan as still planning', async () => {
+    const view = new ItineraryView(null);
+    const partial = { title: undefined, days: [{ date: '2026-11-01', title: 'Ocean Park', events: createItinerary().days[0].events.slice(0, 1) }] };
+    const html = view.toHtml(partial, { pending: true });
+    assert(html.includes('Giant pandas'), 'Should render the events so far');
+    assert(html.endsWith('<p class="itinerary-pending">Planning your trip…</p>'), 'Should show the planning note');
+    assertEqual(view.toHtml(null, { pending: true }), '<p class="itinerary-pending">Planning your trip…</p>');
+    assert(!view.toHtml(partial).includes('itinerary-pending'), 'Should not show the note when done');
+});
+
+runner.test('diff should list added, removed and changed events and days', async () => {
+    const before = createItinerary();
+    const after = createItinerary();
+    after.days[0].events[1] = { ...after.days[0].events[1], startTime: '14:00', place: { name: 'Ap Lei Chau' } };
+    after.days[1].events = [{ ...after.days[1].events[0], title: 'Museum of History', category: 'culture' }];
+    after.days.push({ date: '2026-11-03', title: 'Lantau', events: [{ ...after.days[1].events[0], title: 'Big Buddha' }] });
+
+    assertEqual(ItineraryView.diff(before, after), [
+        { type: 'changed', date: '2026-11-01', key: 'lunch', title: 'Lunch', fields: ['time', 'place'] },
+        { type: 'added', date: '2026-11-02', key: 'museum of history', title: 'Museum of History' },
+        { type: 'removed', date: '2026-11-02', key: 'hike', title: 'Hike' },
+        { type: 'added', date: '2026-11-03', title: 'Lantau' }
+    ]);
+    assertEqual(ItineraryView.diff(before, createItinerary()), [], 'Same plan, no changes');
+});
+
+runner.test('toHtml with a previous plan should show and highlight the changes', async () => {
+    const before = createItinerary();
+    const after = createItinerary();
+    after.days[0].events[1] = { ...after.days[0].events[1], cost: { amount: 500, per: 'group', notes: null } };
+    after.days[1].events.push({ ...after.days[1].events[0], startTime: '13:00', endTime: '14:00', title: 'Shek O beach' });
+
+    const html = new ItineraryView(null).toHtml(after, { previous: before });
+    assert(html.includes('What changed'), 'Should list the changes');
+    assert(html.includes('Changed <strong>Lunch</strong> on Sun 1 Nov (cost)'), 'Should describe the change');
+    assert(html.includes('Added <strong>Shek O beach</strong> on Mon 2 Nov'), 'Should describe the addition');
+    assert(html.includes('Trip budget: HKD 804.5 → HKD 1,004.5'), 'Should show the budget change');
+    assertEqual((html.match(/itinerary-event itinerary-changed/g) || []).length, 1, 'Should highlight the changed event');
+    assertEqual((html.match(/itinerary-event itinerary-added/g) || []).length, 1, 'Should highlight the added event');
+
+    assert(new ItineraryView(null).toHtml(before, { previous: before }).includes('No changes to the plan.'), 'Should say nothing changed');
+});
+
+runner.test('openDays should control how many days start expanded', async () => {
+    const html = new ItineraryView(null, { openDays: Infinity }).toHtml(createItinerary());
+    assertEqual((html.match(/<details class="itinerary-day" open>/g) || []).length, 2);
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => process.exit(success ? 0 : 1));
+}
@@ -0,0 +1,130 @@
+/**
+ * Small sanitising markdown renderer for model output
+ *
+ * Everything is HTML-escaped first and only a fixed set of markdown is turned
+ * back into tags, so the output is safe to assign to innerHTML:
+ * headings, paragraphs, line breaks, bullet and numbered lists, **bold**,
+ * *italic*, `code` and [links](https://...) (http, https and mailto only).
+ * Plain text comes out as paragraphs.
+ *
+ * Usage:
+ *   element.innerHTML = MarkdownRenderer.render(text);
+ *   span.innerHTML = MarkdownRenderer.renderInline('**Free** entry');
+ */
+
+class MarkdownRenderer {
+    static SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+    /**
+     * Render block-level markdown
+     * @param {string} text - Markdown or plain text
+     * @returns {string} - Sanitised HTML
+     */
+    static render(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push(`<p>${paragraph.map(line => MarkdownRenderer.renderInline(line)).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                html.push(`<${list.tag}>${list.items.map(item => `<li>${MarkdownRenderer.renderInline(item)}</li>`).join('')}</${list.tag}>`);
+                list = null;
+            }
+        };
+
+        lines.forEach(line => {
+            const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+            if (line.trim() === '') {
+                flushParagraph();
+                flushList();
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                // Model headings sit under the page's own headings
+                const level = Math.min(heading[1].length + 3, 6);
+                html.push(`<h${level}>${MarkdownRenderer.renderInline(heading[2])}</h${level}>`);
+            } else if (bullet || numbered) {
+                const tag = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                if (list && list.tag !== tag) {
+                    flushList();
+                }
+                list = list || { tag, items: [] };
+                list.items.push((bullet || numbered)[1]);
+            } else if (list && /^\s+/.test(line)) {
+                // Indented continuation of the last list item
+                list.items[list.items.length - 1] += ' ' + line.trim();
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        });
+        flushParagraph();
+        flushList();
+
+        return html.join('\n');
+    }
+
+    /**
+     * Render inline markdown (no block elements)
+     * @param {string} text - Markdown or plain text
+     * @returns {string} - Sanitised HTML
+     */
+    static renderInline(text) {
+        // Code spans and links are set aside first so emphasis can't reach into them
+        const tokens = [];
+        const setAside = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+        const html = MarkdownRenderer.escapeHtml(text)
+            .replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                if (!MarkdownRenderer.SAFE_URL.test(url)) {
+                    return label;
+                }
+                return setAside(`<a href="${url}" target="_blank" rel="noopener noreferrer">${MarkdownRenderer.renderEmphasis(label)}</a>`);
+            });
+
+        return MarkdownRenderer.renderEmphasis(html).replace(/\u0000(\d+)\u0000/g, (match, i) => tokens[Number(i)]);
+    }
+
+    /**
+     * Turn **bold** and *italic* (or __bold__ and _italic_) into tags
+     * @param {string} html - Escaped text
+     * @returns {string}
+     */
+    static renderEmphasis(html) {
+        return html
+            .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)|(^|[^_\w])_(?!\s)(.+?)_(?!\w)/g,
+                (match, lead1, a, lead2, b) => `${lead1 !== undefined ? lead1 : lead2}<em>${a || b}</em>`);
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string}
+     */
+    static escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
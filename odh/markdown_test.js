@@ -0,0 +1,55 @@
+/**
+ * Test file for MarkdownRenderer
+ *
+ * Run with: node markdown_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var MarkdownRenderer = require('./markdown.js');
+    var { TestRunner, assert, assertEqual } = require('./supabase_test.js');
+}
+
+const runner = new TestRunner('MarkdownRenderer');
+
+runner.test('render should escape HTML in model output', async () => {
+    const html = MarkdownRenderer.render('<img src=x onerror="alert(1)"> & <script>alert(1)</script>');
+    assertEqual(html, '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &lt;script&gt;alert(1)&lt;/script&gt;</p>');
+});
+
+runner.test('render should turn plain text into paragraphs with line breaks', async () => {
+    assertEqual(MarkdownRenderer.render('Day 1\nOcean Park\n\nDay 2'), '<p>Day 1<br>Ocean Park</p>\n<p>Day 2</p>');
+    assertEqual(MarkdownRenderer.render(''), '');
+    assertEqual(MarkdownRenderer.render(null), '');
+});
+
+runner.test('render should support headings and lists', async () => {
+    const html = MarkdownRenderer.render('## Day 1\n- Ocean Park\n- Lunch\n  in Aberdeen\n1. MTR\n2. Bus');
+    assertEqual(html, [
+        '<h5>Day 1</h5>',
+        '<ul><li>Ocean Park</li><li>Lunch in Aberdeen</li></ul>',
+        '<ol><li>MTR</li><li>Bus</li></ol>'
+    ].join('\n'));
+});
+
+runner.test('renderInline should format emphasis and code', async () => {
+    assertEqual(MarkdownRenderer.renderInline('**Free** on *Wednesdays*'), '<strong>Free</strong> on <em>Wednesdays</em>');
+    assertEqual(MarkdownRenderer.renderInline('Try `**this**`'), 'Try <code>**this**</code>');
+    assertEqual(MarkdownRenderer.renderInline('snake_case_name and 2 * 3 * 4'), 'snake_case_name and 2 * 3 * 4');
+});
+
+runner.test('renderInline should only link safe URLs', async () => {
+    assertEqual(
+        MarkdownRenderer.renderInline('[Ocean Park](https://www.oceanpark.com.hk/en_us) _tickets_'),
+        '<a href="https://www.oceanpark.com.hk/en_us" target="_blank" rel="noopener noreferrer">Ocean Park</a> <em>tickets</em>'
+    );
+    const unsafe = MarkdownRenderer.renderInline('[click](javascript:alert(1)) [data](data:text/html,x)');
+    assert(!unsafe.includes('<a'), 'Should not link javascript: or data: URLs');
+    const quoted = MarkdownRenderer.renderInline('[x](https://a.com/"onmouseover="alert(1))');
+    assert(!quoted.includes('"onmouseover'), 'Should not break out of the href');
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => process.exit(success ? 0 : 1));
+}
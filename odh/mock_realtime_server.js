@@ -0,0 +1,339 @@
+/**
+ * Mock Supabase Realtime server for offline tests and local development
+ *
+ * Speaks just enough of the websocket protocol (RFC 6455) and of Supabase's Phoenix
+ * channels protocol (vsn 1.0.0) for SupabaseRealtimeClient: joins, leaves,
+ * heartbeats, access_token updates and postgres_changes pushes.
+ *
+ * In tests:
+ *   const server = new MockRealtimeServer();
+ *   const url = await server.start();   // ws://127.0.0.1:<port>/realtime/v1
+ *   const supabase = new SupabaseClient('http://localhost', 'key', { realtime: { url } });
+ *   ...
+ *   server.pushChange('comments', 'INSERT', { id: 1, content: 'Hi' });
+ *   await server.stop();
+ *
+ * Offline development (point options.realtime.url at the printed URL, then type
+ * changes such as: INSERT comments {"id": 1, "content": "Hi"}):
+ *   node mock_realtime_server.js [port]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xA };
+
+class MockRealtimeServer {
+    /**
+     * @param {Object} options - Server behaviour
+     * @param {boolean} options.replyToHeartbeats - Answer heartbeats (default true); turn off to simulate a dead server
+     * @param {Object|null} options.joinError - Reply to joins with { status: 'error', response: joinError } instead
+     */
+    constructor(options = {}) {
+        this.replyToHeartbeats = options.replyToHeartbeats !== false;
+        this.joinError = options.joinError || null;
+        this.server = null;
+        this.connections = new Set();
+        this.subscriptions = [];
+        this.messages = [];
+        this.waiters = [];
+        this.nextBindingId = 1;
+    }
+
+    /**
+     * Start listening on 127.0.0.1
+     * @param {number} port - Port, 0 for any free port
+     * @returns {Promise<string>} - Realtime URL to pass as options.realtime.url
+     */
+    start(port = 0) {
+        this.server = http.createServer((req, res) => {
+            res.writeHead(426, { 'Content-Type': 'text/plain' });
+            res.end('Upgrade Required');
+        });
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                resolve(`ws://127.0.0.1:${this.server.address().port}/realtime/v1`);
+            });
+        });
+    }
+
+    /**
+     * Close every connection and stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        this.connections.forEach(connection => connection.socket.destroy());
+        this.connections.clear();
+        this.waiters.forEach(waiter => clearTimeout(waiter.timer));
+        this.waiters = [];
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    /**
+     * Drop every connection without a close handshake, like a network failure
+     */
+    dropConnections() {
+        this.connections.forEach(connection => connection.socket.destroy());
+        this.connections.clear();
+        this.subscriptions = [];
+    }
+
+    /**
+     * Push a database change to every channel subscribed to it
+     * @param {string} table - Table name
+     * @param {string} type - INSERT, UPDATE or DELETE
+     * @param {Object} record - New row ({} for DELETE)
+     * @param {Object} oldRecord - Old row (primary key only for DELETE, like the real server)
+     * @param {string} schema - Schema name
+     */
+    pushChange(table, type, record = {}, oldRecord = {}, schema = 'public') {
+        this.subscriptions.forEach(subscription => {
+            const ids = subscription.bindings
+                .filter(binding => binding.schema === schema && binding.table === table)
+                .filter(binding => binding.event === '*' || binding.event === type)
+                .map(binding => binding.id);
+            if (ids.length === 0) {
+                return;
+            }
+            this.send(subscription.connection, {
+                topic: subscription.topic,
+                event: 'postgres_changes',
+                payload: {
+                    ids,
+                    data: {
+                        schema,
+                        table,
+                        commit_timestamp: new Date().toISOString(),
+                        type,
+                        record: type === 'DELETE' ? undefined : record,
+                        old_record: type === 'INSERT' ? undefined : oldRecord,
+                        columns: Object.keys(record).map(name => ({ name })),
+                        errors: null
+                    }
+                },
+                ref: null
+            });
+        });
+    }
+
+    /**
+     * Send a Phoenix message to every connection subscribed to a topic
+     * @param {string} topic - e.g. realtime:comments-feed
+     * @param {string} event - e.g. phx_error
+     * @param {Object} payload - Message payload
+     */
+    pushToTopic(topic, event, payload = {}) {
+        this.subscriptions
+            .filter(subscription => subscription.topic === topic)
+            .forEach(subscription => this.send(subscription.connection, {
+                topic, event, payload, ref: null, join_ref: subscription.joinRef
+            }));
+    }
+
+    /**
+     * Wait for a client message matching a predicate (including ones already received)
+     * @param {Function} predicate - (message) => boolean
+     * @param {number} timeout - ms before rejecting
+     * @returns {Promise<Object>} - The message, with the connection URL as message.url
+     */
+    waitForMessage(predicate, timeout = 2000) {
+        const existing = this.messages.find(predicate);
+        if (existing) {
+            return Promise.resolve(existing);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = { predicate, resolve };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error('Timed out waiting for a realtime message'));
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Complete the websocket handshake and start reading frames
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     */
+    handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if (!key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const connection = { socket, url: req.url, buffer: Buffer.alloc(0) };
+        this.connections.add(connection);
+        socket.on('data', chunk => {
+            connection.buffer = Buffer.concat([connection.buffer, chunk]);
+            this.readFrames(connection);
+        });
+        socket.on('close', () => {
+            this.connections.delete(connection);
+            this.subscriptions = this.subscriptions.filter(s => s.connection !== connection);
+        });
+        socket.on('error', () => {});
+    }
+
+    /**
+     * Decode every complete (masked) client frame in the buffer
+     * @param {Object} connection - { socket, buffer }
+     */
+    readFrames(connection) {
+        while (connection.buffer.length >= 2) {
+            const buffer = connection.buffer;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (buffer.length < offset + length) return;
+
+            const payload = Buffer.from(buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= buffer[maskOffset + (i % 4)];
+                }
+            }
+            connection.buffer = buffer.subarray(offset + length);
+
+            if (opcode === OPCODES.text) {
+                this.handleMessage(connection, JSON.parse(payload.toString('utf8')));
+            } else if (opcode === OPCODES.ping) {
+                this.writeFrame(connection.socket, OPCODES.pong, payload);
+            } else if (opcode === OPCODES.close) {
+                this.writeFrame(connection.socket, OPCODES.close, payload.subarray(0, 2));
+                connection.socket.end();
+            }
+        }
+    }
+
+    /**
+     * Answer joins, leaves and heartbeats like the real server
+     * @param {Object} connection - Client connection
+     * @param {Object} message - { topic, event, payload, ref, join_ref }
+     */
+    handleMessage(connection, message) {
+        this.messages.push({ ...message, url: connection.url });
+        this.waiters = this.waiters.filter(waiter => {
+            if (!waiter.predicate(message)) {
+                return true;
+            }
+            clearTimeout(waiter.timer);
+            waiter.resolve({ ...message, url: connection.url });
+            return false;
+        });
+
+        const reply = (status, response = {}) => this.send(connection, {
+            topic: message.topic,
+            event: 'phx_reply',
+            payload: { status, response },
+            ref: message.ref,
+            join_ref: message.join_ref
+        });
+
+        if (message.topic === 'phoenix' && message.event === 'heartbeat') {
+            if (this.replyToHeartbeats) {
+                reply('ok');
+            }
+        } else if (message.event === 'phx_join') {
+            if (this.joinError) {
+                reply('error', this.joinError);
+                return;
+            }
+            const changes = (message.payload.config && message.payload.config.postgres_changes) || [];
+            const bindings = changes.map(change => ({ ...change, id: this.nextBindingId++ }));
+            this.subscriptions = this.subscriptions.filter(s => !(s.connection === connection && s.topic === message.topic));
+            this.subscriptions.push({ connection, topic: message.topic, joinRef: message.join_ref, bindings });
+            reply('ok', { postgres_changes: bindings });
+        } else if (message.event === 'phx_leave') {
+            this.subscriptions = this.subscriptions.filter(s => !(s.connection === connection && s.topic === message.topic));
+            reply('ok');
+        }
+    }
+
+    /**
+     * Send a JSON message to one connection
+     * @param {Object} connection - Client connection
+     * @param {Object} message - Phoenix message
+     */
+    send(connection, message) {
+        this.writeFrame(connection.socket, OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    /**
+     * Write an unmasked server frame
+     * @param {net.Socket} socket - Client socket
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Frame payload
+     */
+    writeFrame(socket, opcode, payload) {
+        if (socket.destroyed) {
+            return;
+        }
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        socket.write(Buffer.concat([header, payload]));
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockRealtimeServer;
+}
+
+// Run a server for offline development
+if (typeof require !== 'undefined' && require.main === module) {
+    const server = new MockRealtimeServer();
+    server.start(Number(process.argv[2]) || 4000).then(url => {
+        console.log(`Mock realtime server listening on ${url}`);
+        console.log('Push changes as: <INSERT|UPDATE|DELETE> <table> <json row>');
+        require('readline').createInterface({ input: process.stdin }).on('line', line => {
+            const match = line.trim().match(/^(INSERT|UPDATE|DELETE)\s+(\w+)\s+(\{.*\})$/i);
+            if (!match) {
+                console.log('Could not parse that line');
+                return;
+            }
+            const row = JSON.parse(match[3]);
+            const type = match[1].toUpperCase();
+            server.pushChange(match[2], type, type === 'DELETE' ? {} : row, type === 'INSERT' ? {} : row);
+        });
+    });
+}
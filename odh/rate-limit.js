@@ -0,0 +1,71 @@
+/**
+ * Sliding-window rate limit for the Node servers (gemini-proxy.js, account-proxy.js)
+ *
+ * Remembers when each key (a user id, a nickname, an IP address) made its recent
+ * requests and refuses a request once the key has used up its window. Kept in
+ * memory, so limits are per server process.
+ *
+ * Usage:
+ *   const limiter = new RateLimiter({ requests: 60, windowMs: 60 * 60 * 1000 });
+ *   const { allowed, remaining, retryAfter } = limiter.check(userId);
+ */
+
+class RateLimiter {
+    /**
+     * @param {Object} options - { requests: allowed per window, windowMs, now: () => ms }
+     */
+    constructor({ requests, windowMs, now = () => Date.now() }) {
+        this.requests = requests;
+        this.windowMs = windowMs;
+        this.now = now;
+        this.log = new Map();  // Key -> times of its recent requests
+    }
+
+    /**
+     * Count a request against a key's limit
+     * @param {string} key - Who is asking
+     * @returns {Object} - { allowed, remaining, retryAfter: seconds until the next request is allowed }
+     */
+    check(key) {
+        const now = this.now();
+        const times = (this.log.get(key) || []).filter(time => time > now - this.windowMs);
+
+        if (times.length >= this.requests) {
+            this.log.set(key, times);
+            return { allowed: false, remaining: 0, retryAfter: Math.ceil((times[0] + this.windowMs - now) / 1000) };
+        }
+        times.push(now);
+        this.log.set(key, times);
+        this.prune(now);
+        return { allowed: true, remaining: this.requests - times.length, retryAfter: 0 };
+    }
+
+    /**
+     * Forget keys with no requests in the current window
+     * @param {number} now - Current time in ms
+     */
+    prune(now) {
+        this.log.forEach((times, key) => {
+            if (times[times.length - 1] <= now - this.windowMs) {
+                this.log.delete(key);
+            }
+        });
+    }
+
+    /**
+     * @param {number} seconds - Wait in seconds
+     * @returns {string} - e.g. "1 minute" or "45 seconds"
+     */
+    static formatWait(seconds) {
+        if (seconds < 60) {
+            return `${seconds} second${seconds === 1 ? '' : 's'}`;
+        }
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RateLimiter;
+}
@@ -0,0 +1,314 @@
+/**
+ * Test file for SupabaseRealtimeClient, against the local mock server
+ *
+ * Run with: node realtime_test.js
+ * Needs a global WebSocket (Node 22+). On older Node versions the file re-runs
+ * itself with --experimental-websocket.
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var SupabaseClient = require('./supabase.js');
+    var { SupabaseRealtimeClient } = SupabaseClient;
+    var MockRealtimeServer = require('./mock_realtime_server.js');
+    var { TestRunner, assert, assertEqual } = require('./supabase_test.js');
+}
+
+// Collects status callbacks and lets a test wait for a given status
+function statusRecorder() {
+    const statuses = [];
+    const waiters = [];
+    const record = (status, error) => {
+        statuses.push(status);
+        waiters.filter(w => w.status === status).forEach(w => w.resolve(error));
+    };
+    record.statuses = statuses;
+    record.waitFor = (status, timeout = 2000) => new Promise((resolve, reject) => {
+        const count = statuses.filter(s => s === status).length;
+        const waiter = {
+            status,
+            resolve: error => {
+                if (statuses.filter(s => s === status).length > count) {
+                    clearTimeout(timer);
+                    resolve(error);
+                }
+            }
+        };
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${status}`)), timeout);
+        waiters.push(waiter);
+    });
+    return record;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves once a callback has been called `count` times
+function collector(count) {
+    const items = [];
+    let done;
+    const finished = new Promise(resolve => (done = resolve));
+    const callback = item => {
+        items.push(item);
+        if (items.length === count) done(items);
+    };
+    callback.items = items;
+    callback.done = (timeout = 2000) => Promise.race([
+        finished,
+        delay(timeout).then(() => { throw new Error(`Expected ${count} callbacks, got ${items.length}`); })
+    ]);
+    return callback;
+}
+
+const runner = new TestRunner('SupabaseRealtimeClient');
+let server;
+let url;
+
+async function withServer(options, fn) {
+    server = new MockRealtimeServer(options);
+    url = await server.start();
+    const clients = [];
+    const createClient = (realtime = {}) => {
+        const client = new SupabaseClient('http://127.0.0.1', 'anon-key', {
+            logErrors: false,
+            auth: { persistSession: false, autoRefreshToken: false },
+            realtime: { url, reconnectAfterMs: () => 20, timeout: 500, ...realtime }
+        });
+        clients.push(client);
+        return client;
+    };
+    try {
+        await fn(createClient);
+    } finally {
+        clients.forEach(client => client.realtime.disconnect());
+        await server.stop();
+    }
+}
+
+runner.test('channel should connect with the api key and join with postgres_changes bindings', async () => {
+    await withServer({}, async createClient => {
+        const supabase = createClient();
+        const status = statusRecorder();
+        supabase.channel('comments-feed')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, () => {})
+            .on('postgres_changes', { event: 'insert', table: 'venue_promotions', filter: 'tour_type=eq.panda' }, () => {})
+            .subscribe(status);
+
+        await status.waitFor('SUBSCRIBED');
+        const join = await server.waitForMessage(m => m.event === 'phx_join');
+        assert(join.url.includes('apikey=anon-key') && join.url.includes('vsn=1.0.0'), 'Should send apikey and vsn');
+        assertEqual(join.topic, 'realtime:comments-feed');
+        assertEqual(join.payload.config.postgres_changes, [
+            { event: '*', schema: 'public', table: 'comments' },
+            { event: 'INSERT', schema: 'public', table: 'venue_promotions', filter: 'tour_type=eq.panda' }
+        ]);
+        assertEqual(join.payload.access_token, 'anon-key', 'Should join as anon when signed out');
+    });
+});
+
+runner.test('changes should reach matching bindings as { eventType, new, old }', async () => {
+    await withServer({}, async createClient => {
+        const supabase = createClient();
+        const status = statusRecorder();
+        const all = collector(3);
+        const inserts = collector(1);
+        const other = collector(1);
+        supabase.channel('comments-feed')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, all)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'comments' }, inserts)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'trips' }, other)
+            .subscribe(status);
+        await status.waitFor('SUBSCRIBED');
+
+        server.pushChange('comments', 'INSERT', { id: 1, content: 'Hi' });
+        server.pushChange('comments', 'UPDATE', { id: 1, content: 'Hello' }, { id: 1 });
+        server.pushChange('comments', 'DELETE', {}, { id: 1 });
+
+        const changes = await all.done();
+        assertEqual(changes.map(c => c.eventType), ['INSERT', 'UPDATE', 'DELETE']);
+        assertEqual(changes[0].new, { id: 1, content: 'Hi' });
+        assertEqual(changes[1].old, { id: 1 });
+        assertEqual(changes[2].new, {}, 'DELETE should have an empty new row');
+        assertEqual(changes[2].old, { id: 1 });
+        assert(changes[0].table === 'comments' && changes[0].schema === 'public', 'Should name the table');
+
+        assertEqual((await inserts.done()).length, 1, 'INSERT binding should only get inserts');
+        await delay(50);
+        assertEqual(inserts.items.length, 1, 'INSERT binding should ignore updates and deletes');
+        assertEqual(other.items.length, 0, 'Other tables should not be called');
+    });
+});
+
+runner.test('heartbeats should be sent, and an unanswered one should reconnect', async () => {
+    await withServer({ replyToHeartbeats: false }, async createClient => {
+        const supabase = createClient({ heartbeatInterval: 40 });
+        const status = statusRecorder();
+        supabase.channel('comments-feed')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, () => {})
+            .subscribe(status);
+        await status.waitFor('SUBSCRIBED');
+
+        const heartbeat = await server.waitForMessage(m => m.topic === 'phoenix' && m.event === 'heartbeat');
+        assertEqual(heartbeat.payload, {});
+
+        // The next heartbeat finds the first one unanswered: drop the connection and rejoin
+        await status.waitFor('CHANNEL_ERROR');
+        await status.waitFor('SUBSCRIBED');
+        const joins = server.messages.filter(m => m.event === 'phx_join');
+        assert(joins.length >= 2, 'Should rejoin after reconnecting');
+    });
+});
+
+runner.test('channels should rejoin after the connection drops', async () => {
+    await withServer({}, async createClient => {
+        const supabase = createClient();
+        const status = statusRecorder();
+        const changes = collector(1);
+        supabase.channel('comments-feed')
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'comments' }, changes)
+            .subscribe(status);
+        await status.waitFor('SUBSCRIBED');
+
+        server.dropConnections();
+        const error = await status.waitFor('CHANNEL_ERROR');
+        assert(error.message.includes('connection lost'), 'Should explain the error');
+        await status.waitFor('SUBSCRIBED');
+
+        server.pushChange('comments', 'INSERT', { id: 2 });
+        const [change] = await changes.done();
+        assertEqual(change.new, { id: 2 }, 'Should receive changes after rejoining');
+        assertEqual(status.statuses, ['SUBSCRIBED', 'CHANNEL_ERROR', 'SUBSCRIBED']);
+    });
+});
+
+runner.test('a rejected join should report CHANNEL_ERROR with the reason', async () => {
+    await withServer({ joinError: { reason: 'Unauthorized' } }, async createClient => {
+        const supabase = createClient();
+        const status = statusRecorder();
+        const channel = supabase.channel('comments-feed')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, () => {})
+            .subscribe(status);
+
+        const error = await status.waitFor('CHANNEL_ERROR');
+        assertEqual(error.message, 'Unauthorized');
+        assertEqual(channel.state, 'errored');
+        await supabase.removeChannel(channel);
+    });
+});
+
+runner.test('a join without a reply should report TIMED_OUT', async () => {
+    // A transport that never opens, so the join stays buffered
+    class SilentSocket {
+        constructor() { this.readyState = 0; }
+        send() {}
+        close() {}
+    }
+    const realtime = new SupabaseRealtimeClient('ws://example.test/realtime/v1', {
+        transport: SilentSocket,
+        timeout: 30,
+        logErrors: false
+    });
+    const status = statusRecorder();
+    realtime.channel('comments-feed')
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, () => {})
+        .subscribe(status);
+
+    await status.waitFor('TIMED_OUT');
+    realtime.disconnect();
+});
+
+runner.test('signing in should send the new access token to joined channels', async () => {
+    await withServer({}, async createClient => {
+        const supabase = createClient();
+        const status = statusRecorder();
+        supabase.channel('comments-feed')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, () => {})
+            .subscribe(status);
+        await status.waitFor('SUBSCRIBED');
+
+        supabase.setSession({ access_token: 'user-token', refresh_token: 'r', expires_in: 3600 });
+        const update = await server.waitForMessage(m => m.event === 'access_token');
+        assertEqual(update.payload, { access_token: 'user-token' });
+
+        supabase.clearSession();
+        const cleared = await server.waitForMessage(m => m.event === 'access_token' && m.payload.access_token === 'anon-key');
+        assert(cleared, 'Should fall back to the api key after signing out');
+    });
+});
+
+runner.test('removeChannel should leave and close the websocket when none are left', async () => {
+    await withServer({}, async createClient => {
+        const supabase = createClient();
+        const status = statusRecorder();
+        const channel = supabase.channel('comments-feed')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, () => {})
+            .subscribe(status);
+        await status.waitFor('SUBSCRIBED');
+
+        const result = await supabase.removeChannel(channel);
+        assertEqual(result, 'ok');
+        assert(server.messages.some(m => m.event === 'phx_leave'), 'Should send phx_leave');
+        assertEqual(status.statuses, ['SUBSCRIBED', 'CLOSED']);
+        assert(!supabase.realtime.isConnected(), 'Should disconnect');
+        assertEqual(supabase.realtime.channels.length, 0);
+    });
+});
+
+runner.test('removeAllChannels should keep channels opened while it was leaving', async () => {
+    await withServer({}, async createClient => {
+        const supabase = createClient();
+        const first = statusRecorder();
+        supabase.channel('comments-feed')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, () => {})
+            .subscribe(first);
+        await first.waitFor('SUBSCRIBED');
+
+        // e.g. a page restored from the back/forward cache subscribing again
+        const leaving = supabase.removeAllChannels();
+        const second = statusRecorder();
+        const joined = second.waitFor('SUBSCRIBED');
+        supabase.channel('comments-feed')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, () => {})
+            .subscribe(second);
+        await Promise.all([leaving, joined]);
+
+        assertEqual(supabase.realtime.channels.length, 1);
+        assert(supabase.realtime.isConnected(), 'Should stay connected');
+    });
+});
+
+runner.test('on should reject unsupported types and late bindings', async () => {
+    const realtime = new SupabaseRealtimeClient('ws://example.test/realtime/v1', {
+        transport: class { send() {} close() {} },
+        logErrors: false
+    });
+    const channel = realtime.channel('comments-feed');
+    try {
+        channel.on('presence', {}, () => {});
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.message.includes('presence'), 'Should name the type');
+    }
+    channel.on('postgres_changes', { event: '*', table: 'comments' }, () => {}).subscribe();
+    try {
+        channel.on('postgres_changes', { event: '*', table: 'trips' }, () => {});
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.message.includes('before subscribing'), 'Should explain the error');
+    }
+    realtime.disconnect();
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    if (typeof WebSocket === 'undefined') {
+        const { status } = require('child_process').spawnSync(
+            process.execPath,
+            ['--experimental-websocket', __filename],
+            { stdio: 'inherit' }
+        );
+        process.exit(status === null ? 1 : status);
+    }
+    runner.run().then(success => process.exit(success ? 0 : 1));
+}
@@ -9,24 +9,135 @@
  *   
  *   // Query with filters
  *   const userTrips = await supabase.query('trips', { user_id: 1 });
+ *
+ *   // Operator filters, negation and or/and groups
+ *   const upcoming = await supabase.query('trips', {
+ *       arrive_date: { gte: '2024-01-01', lt: '2024-02-01' },
+ *       status: { not: { in: ['cancelled', 'draft'] } },
+ *       or: [{ num_people: { gt: 4 } }, { notes: { ilike: '*family*' } }]
+ *   });
  *   
+ *   // Chainable queries (awaitable)
+ *   const recent = await supabase.from('comments')
+ *       .select('id,content')
+ *       .gte('created_at', since)
+ *       .order('created_at', { ascending: false })
+ *       .range(0, 19);
+ *
  *   // Insert data
  *   const newTrip = await supabase.insert('trips', { arrive_date: '2024-01-01', ... });
  *   
  *   // Update data
  *   const updated = await supabase.update('trips', { id: 1 }, { num_people: 3 });
+ *
+ *   // Call a database function
+ *   const available = await supabase.rpc('nickname_available', { p_nickname: 'kim' });
+ *
+ *   // Sessions (persisted in localStorage and refreshed before they expire)
+ *   await supabase.signIn(email, password);
+ *   const session = await supabase.getSession();
+ *   const { unsubscribe } = supabase.onAuthStateChange((event, session) => { ... });
+ *
+ *   // Realtime database changes (websocket, reconnects on its own)
+ *   const channel = supabase.channel('comments-feed')
+ *       .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'comments' }, change => { ... })
+ *       .subscribe();
+ *   supabase.removeChannel(channel);
  */
 
 class SupabaseClient {
-    constructor(supabaseUrl, supabaseKey) {
+    /**
+     * Filter operator names accepted in filter objects, mapped to PostgREST operators
+     */
+    static FILTER_OPERATORS = {
+        eq: 'eq',
+        neq: 'neq',
+        gt: 'gt',
+        gte: 'gte',
+        lt: 'lt',
+        lte: 'lte',
+        like: 'like',
+        ilike: 'ilike',
+        in: 'in',
+        is: 'is',
+        contains: 'cs',
+        containedBy: 'cd',
+        overlaps: 'ov'
+    };
+
+    /**
+     * Default retry policy. Only idempotent reads are retried unless PATCH/DELETE
+     * are added to `methods`.
+     */
+    static DEFAULT_RETRY = {
+        maxAttempts: 3,
+        baseDelay: 300,
+        maxDelay: 5000,
+        retryOn: [408, 429, 500, 502, 503, 504],
+        methods: ['GET', 'HEAD']
+    };
+
+    /**
+     * @param {string} supabaseUrl - Supabase project URL
+     * @param {string} supabaseKey - Supabase anon key
+     * @param {Object} options - Client options
+     * @param {boolean} options.logErrors - Log failed requests with console.error (default true)
+     * @param {Object|false} options.retry - Overrides for DEFAULT_RETRY, or false to never retry
+     * @param {number} options.timeout - Per-attempt timeout in ms, 0 for none (default 15000)
+     * @param {Object} options.auth - Session options:
+     *   persistSession (default true), autoRefreshToken (default true), storage (default
+     *   localStorage), storageKey, refreshMargin (ms before expiry to refresh, default 60000)
+     * @param {Object} options.realtime - SupabaseRealtimeClient options, plus url to point
+     *   at another server (default wss://<project>/realtime/v1)
+     */
+    constructor(supabaseUrl, supabaseKey, options = {}) {
         this.supabaseUrl = supabaseUrl;
         this.supabaseKey = supabaseKey;
+        this.logErrors = options.logErrors !== false;
+        this.retry = this.resolveRetryPolicy(options.retry);
+        this.timeout = options.timeout !== undefined ? options.timeout : 15000;
         this.headers = {
             'apikey': supabaseKey,
             'Authorization': `Bearer ${supabaseKey}`,
             'Content-Type': 'application/json',
             'Prefer': 'return=representation'
         };
+
+        const authOptions = options.auth || {};
+        const defaultStorage = typeof localStorage !== 'undefined' ? localStorage : null;
+        this.auth = {
+            autoRefreshToken: authOptions.autoRefreshToken !== false,
+            storage: authOptions.persistSession === false ? null : (authOptions.storage || defaultStorage),
+            storageKey: authOptions.storageKey || SupabaseClient.defaultStorageKey(supabaseUrl),
+            refreshMargin: authOptions.refreshMargin !== undefined ? authOptions.refreshMargin : 60000
+        };
+        this.session = null;
+        this.authListeners = new Set();
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+
+        this.realtimeOptions = options.realtime || {};
+        this.realtime = this.createRealtime();
+
+        this.restoreSession();
+        if (this.auth.storage && typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('storage', event => this.handleStorageEvent(event));
+        }
+    }
+
+    /**
+     * Storage key for the persisted session, e.g. sb-abcdefgh-auth-token
+     * @param {string} supabaseUrl - Supabase project URL
+     * @returns {string}
+     */
+    static defaultStorageKey(supabaseUrl) {
+        let projectRef = 'local';
+        try {
+            projectRef = new URL(supabaseUrl).hostname.split('.')[0];
+        } catch (e) {
+            // Keep the fallback for relative or invalid URLs
+        }
+        return `sb-${projectRef}-auth-token`;
     }
 
     /**
@@ -38,71 +149,300 @@ class SupabaseClient {
      */
     buildUrl(table, operation = 'select', options = {}) {
         let url = `${this.supabaseUrl}/rest/v1/${table}`;
-        
+        const params = [];
+
+        // Add filters (shared by select, update and delete)
+        if (options.filters && operation !== 'insert') {
+            params.push(...this.buildFilterParams(options.filters));
+        }
+
         if (operation === 'select') {
-            const params = new URLSearchParams();
-            
-            // Add filters
-            if (options.filters) {
-                Object.entries(options.filters).forEach(([key, value]) => {
-                    params.append(key, `eq.${value}`);
-                });
-            }
-            
             // Add select columns
             if (options.select) {
-                params.append('select', options.select);
+                params.push(['select', options.select]);
             }
             
-            // Add ordering
+            // Add ordering (a single { column, direction, nulls } or a list of them)
             if (options.order) {
-                const orderBy = options.order.column || 'id';
-                const orderDir = options.order.direction || 'asc';
-                params.append('order', `${orderBy}.${orderDir}`);
+                const orders = Array.isArray(options.order) ? options.order : [options.order];
+                const orderBy = orders.map(order => {
+                    const column = order.column || 'id';
+                    const direction = order.direction || 'asc';
+                    return `${column}.${direction}${order.nulls ? `.nulls${order.nulls}` : ''}`;
+                });
+                if (orderBy.length > 0) {
+                    params.push(['order', orderBy.join(',')]);
+                }
             }
             
             // Add limit
             if (options.limit) {
-                params.append('limit', options.limit);
+                params.push(['limit', options.limit]);
             }
             
             // Add offset for pagination
             if (options.offset) {
-                params.append('offset', options.offset);
-            }
-            
-            const queryString = params.toString();
-            if (queryString) {
-                url += `?${queryString}`;
+                params.push(['offset', options.offset]);
             }
         }
+
+        const queryString = this.buildQueryString(params);
+        if (queryString) {
+            url += `?${queryString}`;
+        }
         
         return url;
     }
 
+    /**
+     * Convert a filter object into PostgREST query parameters
+     *
+     * Plain values keep the `{ col: value }` equality form (null becomes `is.null`,
+     * arrays become `in.(...)`). An object value maps operator names to values,
+     * e.g. `{ created_at: { gte: from, lt: to } }`, and `not` negates the operators
+     * nested under it. The `or` / `and` keys (and `not: { or: ... }`) build
+     * logical groups from an array or object of nested filters.
+     * @param {Object|Array<Object>} filters - Filter object, or a list of them to combine
+     * @returns {Array<Array<string>>} - List of [key, value] pairs
+     */
+    buildFilterParams(filters = {}) {
+        const filterList = Array.isArray(filters) ? filters : [filters];
+        const conditions = filterList.flatMap(entry => this.parseFilters(entry));
+
+        return conditions.map(condition => {
+            if (condition.group) {
+                const key = `${condition.negate ? 'not.' : ''}${condition.group}`;
+                return [key, `(${condition.conditions.map(c => this.formatGroupCondition(c)).join(',')})`];
+            }
+            return [condition.column, this.formatCondition(condition, false)];
+        });
+    }
+
+    /**
+     * Parse a filter object into a flat list of conditions and groups
+     * @param {Object} filters - Filter object
+     * @returns {Array<Object>} - Parsed conditions
+     */
+    parseFilters(filters) {
+        const conditions = [];
+
+        Object.entries(filters).forEach(([key, value]) => {
+            if (key === 'or' || key === 'and') {
+                conditions.push(this.parseGroup(key, value, false));
+            } else if (key === 'not' && this.isPlainObject(value) && (value.or || value.and)) {
+                Object.entries(value).forEach(([group, groupFilters]) => {
+                    if (group !== 'or' && group !== 'and') {
+                        throw new Error(`Only "or" and "and" groups can be negated at the top level, got "${group}"`);
+                    }
+                    conditions.push(this.parseGroup(group, groupFilters, true));
+                });
+            } else {
+                conditions.push(...this.parseColumnFilter(key, value, false));
+            }
+        });
+
+        return conditions;
+    }
+
+    /**
+     * Parse an or/and group. An array lists alternatives (entries with several
+     * conditions are and-ed together), an object lists one condition per key.
+     * @param {string} group - 'or' or 'and'
+     * @param {Array|Object} value - Nested filters
+     * @param {boolean} negate - Whether the group is negated
+     * @returns {Object} - Parsed group
+     */
+    parseGroup(group, value, negate) {
+        let conditions;
+        if (Array.isArray(value)) {
+            conditions = value.map(entry => {
+                const parsed = this.parseFilters(entry);
+                return parsed.length === 1 ? parsed[0] : { group: 'and', negate: false, conditions: parsed };
+            });
+        } else if (this.isPlainObject(value)) {
+            conditions = this.parseFilters(value);
+        } else {
+            throw new Error(`Filter group "${group}" expects an array or object of filters`);
+        }
+
+        if (conditions.length === 0) {
+            throw new Error(`Filter group "${group}" must contain at least one condition`);
+        }
+
+        return { group, negate, conditions };
+    }
+
+    /**
+     * Parse the filters for a single column
+     * @param {string} column - Column name
+     * @param {*} value - Plain value, array or operator object
+     * @param {boolean} negate - Whether the conditions are negated
+     * @returns {Array<Object>} - Parsed conditions
+     */
+    parseColumnFilter(column, value, negate) {
+        if (!this.isPlainObject(value)) {
+            if (value === null || value === undefined) {
+                return [{ column, operator: 'is', value: null, negate }];
+            }
+            if (Array.isArray(value)) {
+                return [{ column, operator: 'in', value, negate }];
+            }
+            return [{ column, operator: 'eq', value, negate }];
+        }
+
+        const conditions = [];
+        Object.entries(value).forEach(([operator, operand]) => {
+            if (operator === 'not') {
+                conditions.push(...this.parseColumnFilter(column, operand, !negate));
+                return;
+            }
+
+            const code = SupabaseClient.FILTER_OPERATORS[operator];
+            if (!code) {
+                throw new Error(`Unknown filter operator "${operator}" for column "${column}"`);
+            }
+
+            // eq/neq null are not valid PostgREST; use is.null instead
+            if (operand === null && (code === 'eq' || code === 'neq')) {
+                conditions.push({ column, operator: 'is', value: null, negate: code === 'neq' ? !negate : negate });
+            } else {
+                conditions.push({ column, operator: code, value: operand, negate });
+            }
+        });
+
+        return conditions;
+    }
+
+    /**
+     * Format a column condition as `[not.]op.value`
+     * @param {Object} condition - Parsed condition
+     * @param {boolean} inGroup - Whether the value sits inside an or/and group
+     * @returns {string} - Formatted condition
+     */
+    formatCondition(condition, inGroup) {
+        const { operator, value, negate } = condition;
+        let formatted;
+
+        if (operator === 'in') {
+            if (!Array.isArray(value)) {
+                throw new Error(`Filter operator "in" for column "${condition.column}" expects an array`);
+            }
+            formatted = `(${value.map(item => this.formatListItem(item)).join(',')})`;
+        } else if (operator === 'is') {
+            formatted = value === null || value === undefined ? 'null' : String(value);
+        } else if (operator === 'cs' || operator === 'cd' || operator === 'ov') {
+            if (Array.isArray(value)) {
+                formatted = `{${value.map(item => this.formatListItem(item)).join(',')}}`;
+            } else if (this.isPlainObject(value)) {
+                formatted = JSON.stringify(value);
+            } else {
+                formatted = String(value);
+            }
+            if (inGroup && !Array.isArray(value)) {
+                formatted = this.quoteValue(formatted);
+            }
+        } else {
+            formatted = inGroup ? this.formatListItem(value) : this.formatScalar(value);
+        }
+
+        return `${negate ? 'not.' : ''}${operator}.${formatted}`;
+    }
+
+    /**
+     * Format a condition or nested group inside an or/and group
+     * @param {Object} condition - Parsed condition or group
+     * @returns {string} - Formatted condition
+     */
+    formatGroupCondition(condition) {
+        if (condition.group) {
+            const children = condition.conditions.map(c => this.formatGroupCondition(c)).join(',');
+            return `${condition.negate ? 'not.' : ''}${condition.group}(${children})`;
+        }
+        return `${condition.column}.${this.formatCondition(condition, true)}`;
+    }
+
+    /**
+     * Format a scalar filter value
+     * @param {*} value - Value to format
+     * @returns {string} - String form of the value
+     */
+    formatScalar(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        return String(value);
+    }
+
+    /**
+     * Format a value that sits inside a PostgREST list, quoting it when it
+     * contains reserved characters
+     * @param {*} value - Value to format
+     * @returns {string} - Formatted value
+     */
+    formatListItem(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        const formatted = this.formatScalar(value);
+        return /[,.:()"\\\s{}]/.test(formatted) || formatted === '' || formatted === 'null'
+            ? this.quoteValue(formatted)
+            : formatted;
+    }
+
+    /**
+     * Wrap a value in double quotes, escaping backslashes and quotes
+     * @param {string} value - Value to quote
+     * @returns {string} - Quoted value
+     */
+    quoteValue(value) {
+        return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Build a query string from [key, value] pairs. Commas are left readable
+     * since PostgREST uses them as separators in select lists and filters.
+     * @param {Array<Array<string>>} params - List of [key, value] pairs
+     * @returns {string} - Encoded query string
+     */
+    buildQueryString(params) {
+        return params
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&')
+            .replace(/%2C/g, ',');
+    }
+
+    /**
+     * Check whether a value is a plain object (as opposed to an array, Date or primitive)
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+    }
+
+    /**
+     * Start a chainable select query on a table
+     * @param {string} table - Table name
+     * @returns {SupabaseQueryBuilder} - Awaitable query builder
+     */
+    from(table) {
+        return new SupabaseQueryBuilder(this, table);
+    }
+
     /**
      * Read all data from a table
      * @param {string} table - Table name
-     * @param {Object} options - Query options (select, order, limit, offset)
+     * @param {Object} options - Query options (select, order, limit, offset, signal, timeout)
      * @returns {Promise<Array>} - Array of records
      */
     async read(table, options = {}) {
         try {
-            const url = this.buildUrl(table, 'select', options);
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: this.headers
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Supabase Error: ${error.message || response.statusText}`);
-            }
-
-            const data = await response.json();
-            return data;
+            return await new SupabaseQueryBuilder(this, table, options);
         } catch (error) {
-            console.error(`Error reading from ${table}:`, error);
+            this.logError(`Error reading from ${table}:`, error);
             throw error;
         }
     }
@@ -111,31 +451,14 @@ class SupabaseClient {
      * Query data with filters
      * @param {string} table - Table name
      * @param {Object} filters - Filter object (e.g., { user_id: 1, status: 'active' })
-     * @param {Object} options - Additional query options (select, order, limit, offset)
+     * @param {Object} options - Additional query options (select, order, limit, offset, signal, timeout)
      * @returns {Promise<Array>} - Array of matching records
      */
     async query(table, filters = {}, options = {}) {
         try {
-            const queryOptions = {
-                ...options,
-                filters: filters
-            };
-            
-            const url = this.buildUrl(table, 'select', queryOptions);
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: this.headers
-            });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Supabase Error: ${error.message || response.statusText}`);
-            }
-
-            const data = await response.json();
-            return data;
+            return await new SupabaseQueryBuilder(this, table, { ...options, filters: filters });
         } catch (error) {
-            console.error(`Error querying ${table}:`, error);
+            this.logError(`Error querying ${table}:`, error);
             throw error;
         }
     }
@@ -149,11 +472,12 @@ class SupabaseClient {
      */
     async getById(table, id, options = {}) {
         try {
-            const filters = { id: id };
-            const results = await this.query(table, filters, { ...options, limit: 1 });
-            return results.length > 0 ? results[0] : null;
+            return await new SupabaseQueryBuilder(this, table, options)
+                .eq('id', id)
+                .limit(1)
+                .maybeSingle();
         } catch (error) {
-            console.error(`Error getting ${table} by ID:`, error);
+            this.logError(`Error getting ${table} by ID:`, error);
             throw error;
         }
     }
@@ -166,22 +490,14 @@ class SupabaseClient {
      */
     async insert(table, data) {
         try {
-            const url = `${this.supabaseUrl}/rest/v1/${table}`;
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify(data)
+            const url = this.buildUrl(table, 'insert');
+            return await this.request('POST', url, {
+                table,
+                operation: 'insert',
+                body: data
             });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Supabase Error: ${error.message || response.statusText}`);
-            }
-
-            const result = await response.json();
-            return result;
         } catch (error) {
-            console.error(`Error inserting into ${table}:`, error);
+            this.logError(`Error inserting into ${table}:`, error);
             throw error;
         }
     }
@@ -194,22 +510,14 @@ class SupabaseClient {
      */
     async insertMany(table, dataArray) {
         try {
-            const url = `${this.supabaseUrl}/rest/v1/${table}`;
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify(dataArray)
+            const url = this.buildUrl(table, 'insert');
+            return await this.request('POST', url, {
+                table,
+                operation: 'insertMany',
+                body: dataArray
             });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Supabase Error: ${error.message || response.statusText}`);
-            }
-
-            const result = await response.json();
-            return result;
         } catch (error) {
-            console.error(`Error inserting multiple records into ${table}:`, error);
+            this.logError(`Error inserting multiple records into ${table}:`, error);
             throw error;
         }
     }
@@ -223,33 +531,14 @@ class SupabaseClient {
      */
     async update(table, filters, data) {
         try {
-            let url = `${this.supabaseUrl}/rest/v1/${table}`;
-            
-            // Build filter query string
-            const params = new URLSearchParams();
-            Object.entries(filters).forEach(([key, value]) => {
-                params.append(key, `eq.${value}`);
-            });
-            
-            if (params.toString()) {
-                url += `?${params.toString()}`;
-            }
-            
-            const response = await fetch(url, {
-                method: 'PATCH',
-                headers: this.headers,
-                body: JSON.stringify(data)
+            const url = this.buildUrl(table, 'update', { filters });
+            return await this.request('PATCH', url, {
+                table,
+                operation: 'update',
+                body: data
             });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Supabase Error: ${error.message || response.statusText}`);
-            }
-
-            const result = await response.json();
-            return result;
         } catch (error) {
-            console.error(`Error updating ${table}:`, error);
+            this.logError(`Error updating ${table}:`, error);
             throw error;
         }
     }
@@ -273,32 +562,13 @@ class SupabaseClient {
      */
     async delete(table, filters) {
         try {
-            let url = `${this.supabaseUrl}/rest/v1/${table}`;
-            
-            // Build filter query string
-            const params = new URLSearchParams();
-            Object.entries(filters).forEach(([key, value]) => {
-                params.append(key, `eq.${value}`);
-            });
-            
-            if (params.toString()) {
-                url += `?${params.toString()}`;
-            }
-            
-            const response = await fetch(url, {
-                method: 'DELETE',
-                headers: this.headers
+            const url = this.buildUrl(table, 'delete', { filters });
+            return await this.request('DELETE', url, {
+                table,
+                operation: 'delete'
             });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Supabase Error: ${error.message || response.statusText}`);
-            }
-
-            const result = await response.json();
-            return result;
         } catch (error) {
-            console.error(`Error deleting from ${table}:`, error);
+            this.logError(`Error deleting from ${table}:`, error);
             throw error;
         }
     }
@@ -313,35 +583,52 @@ class SupabaseClient {
         return this.delete(table, { id: id });
     }
 
+    /**
+     * Call a Postgres function exposed through PostgREST
+     * @param {string} fn - Function name
+     * @param {Object} params - Named arguments
+     * @returns {Promise<*>} - The function result
+     */
+    async rpc(fn, params = {}) {
+        try {
+            const url = `${this.supabaseUrl}/rest/v1/rpc/${fn}`;
+            return await this.request('POST', url, {
+                table: fn,
+                operation: 'rpc',
+                body: params
+            });
+        } catch (error) {
+            this.logError(`Error calling ${fn}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Sign up a new user
      * @param {string} email - User email
      * @param {string} password - User password
      * @param {Object} data - Additional user metadata
+     * @param {Object} options - { redirectTo } page the confirmation link returns to
      * @returns {Promise<Object>} - The response data (including user and session)
      */
-    async signUp(email, password, data = {}) {
+    async signUp(email, password, data = {}, { redirectTo } = {}) {
         try {
-            const url = `${this.supabaseUrl}/auth/v1/signup`;
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify({
-                    email,
-                    password,
-                    data
-                })
+            const url = this.authUrl('signup', redirectTo);
+            const result = await this.request('POST', url, {
+                operation: 'signUp',
+                service: 'auth',
+                headers: this.anonHeaders(),
+                body: { email, password, data }
             });
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Supabase Auth Error: ${error.msg || error.message || response.statusText}`);
+            // Projects without email confirmation sign the user in straight away
+            if (result && result.access_token) {
+                this.setSession(result, 'SIGNED_IN');
             }
 
-            const result = await response.json();
             return result;
         } catch (error) {
-            console.error('Error signing up:', error);
+            this.logError('Error signing up:', error);
             throw error;
         }
     }
@@ -355,91 +642,1787 @@ class SupabaseClient {
     async signIn(email, password) {
         try {
             const url = `${this.supabaseUrl}/auth/v1/token?grant_type=password`;
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify({
-                    email,
-                    password
-                })
+            const result = await this.request('POST', url, {
+                operation: 'signIn',
+                service: 'auth',
+                headers: this.anonHeaders(),
+                body: { email, password }
             });
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(`Supabase Auth Error: ${error.error_description || error.msg || error.message || response.statusText}`);
-            }
-
-            const result = await response.json();
             
-            // Update Authorization header with the new access token
+            // Store the session and use its access token for later requests
             if (result.access_token) {
-                this.setAuthToken(result.access_token);
+                this.setSession(result, 'SIGNED_IN');
             }
             
             return result;
         } catch (error) {
-            console.error('Error signing in:', error);
+            this.logError('Error signing in:', error);
             throw error;
         }
     }
 
     /**
      * Sign out
-     * @param {string} accessToken - The access token to invalidate (optional if already set in headers)
+     * @param {string} accessToken - The access token to invalidate (defaults to the current session)
      */
     async signOut(accessToken) {
         try {
             const url = `${this.supabaseUrl}/auth/v1/logout`;
             const headers = { ...this.headers };
-            if (accessToken) {
-                headers['Authorization'] = `Bearer ${accessToken}`;
+            const token = accessToken || (this.session && this.session.access_token);
+            if (token) {
+                headers['Authorization'] = `Bearer ${token}`;
+            }
+
+            try {
+                await this.send('POST', url, { operation: 'signOut', service: 'auth', headers });
+            } catch (error) {
+                // An expired or unknown session still counts as signed out
+                if (!(error instanceof SupabaseError) || !error.status) {
+                    throw error;
+                }
+                if (this.logErrors) {
+                    console.warn(error.message);
+                }
+            }
+
+            // Drop the session and reset Authorization header to anon key
+            this.clearSession('SIGNED_OUT');
+        } catch (error) {
+            this.logError('Error signing out:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Email a password reset link. The link returns to `redirectTo` with the
+     * recovery session in the URL fragment (see getSessionFromUrl).
+     * @param {string} email - Account email
+     * @param {Object} options - { redirectTo }
+     */
+    async resetPasswordForEmail(email, { redirectTo } = {}) {
+        try {
+            await this.request('POST', this.authUrl('recover', redirectTo), {
+                operation: 'resetPasswordForEmail',
+                service: 'auth',
+                headers: this.anonHeaders(),
+                body: { email }
+            });
+        } catch (error) {
+            this.logError('Error requesting password reset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send the signup confirmation (or email change) email again
+     * @param {Object} params - { email, type = 'signup', redirectTo }
+     */
+    async resend({ email, type = 'signup', redirectTo } = {}) {
+        try {
+            await this.request('POST', this.authUrl('resend', redirectTo), {
+                operation: 'resend',
+                service: 'auth',
+                headers: this.anonHeaders(),
+                body: { email, type }
+            });
+        } catch (error) {
+            this.logError('Error resending verification email:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Email a one-time code and magic link for passwordless sign in
+     * @param {Object} params - { email, shouldCreateUser = false, redirectTo, data }
+     */
+    async signInWithOtp({ email, shouldCreateUser = false, redirectTo, data } = {}) {
+        try {
+            await this.request('POST', this.authUrl('otp', redirectTo), {
+                operation: 'signInWithOtp',
+                service: 'auth',
+                headers: this.anonHeaders(),
+                body: { email, create_user: shouldCreateUser, data }
+            });
+        } catch (error) {
+            this.logError('Error sending magic link:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exchange an emailed one-time code for a session
+     * @param {Object} params - { email, token, type = 'email' } (type: email, signup, recovery, email_change)
+     * @returns {Promise<Object>} - The new session
+     */
+    async verifyOtp({ email, token, type = 'email' } = {}) {
+        try {
+            const result = await this.request('POST', `${this.supabaseUrl}/auth/v1/verify`, {
+                operation: 'verifyOtp',
+                service: 'auth',
+                headers: this.anonHeaders(),
+                body: { email, token, type }
+            });
+            return this.setSession(result, type === 'recovery' ? 'PASSWORD_RECOVERY' : 'SIGNED_IN');
+        } catch (error) {
+            this.logError('Error verifying code:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change the signed-in user's email, password or metadata. A new email only
+     * takes effect once the confirmation link sent to it is opened.
+     * @param {Object} attributes - { email, password, data }
+     * @param {Object} options - { redirectTo } page the email change link returns to
+     * @returns {Promise<Object>} - The updated user
+     */
+    async updateUser(attributes = {}, { redirectTo } = {}) {
+        const session = await this.getSession();
+        if (!session) {
+            throw new SupabaseError('Supabase Auth Error: not signed in', {
+                status: 401,
+                operation: 'updateUser',
+                service: 'auth'
+            });
+        }
+
+        try {
+            const user = await this.request('PUT', this.authUrl('user', redirectTo), {
+                operation: 'updateUser',
+                service: 'auth',
+                headers: { ...this.anonHeaders(), 'Authorization': `Bearer ${session.access_token}` },
+                body: attributes
+            });
+
+            if (this.session) {
+                this.session = { ...this.session, user };
+                this.saveSession();
+                this.emitAuthEvent('USER_UPDATED');
             }
+            return user;
+        } catch (error) {
+            this.logError('Error updating user:', error);
+            throw error;
+        }
+    }
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: headers
+    /**
+     * Pick up the session from an auth redirect (magic link, email confirmation or
+     * password recovery), which puts the tokens in the URL fragment
+     * @param {string} url - URL to read (defaults to the current page)
+     * @returns {Promise<Object|null>} - { session, type }, or null when the URL has no tokens
+     */
+    async getSessionFromUrl(url = typeof window !== 'undefined' ? window.location.href : '') {
+        const params = new URLSearchParams(url.split('#')[1] || '');
+
+        if (params.get('error') || params.get('error_description')) {
+            throw new SupabaseError(`Supabase Auth Error: ${params.get('error_description') || params.get('error')}`, {
+                code: params.get('error_code') || params.get('error'),
+                operation: 'getSessionFromUrl',
+                service: 'auth'
             });
+        }
+
+        const accessToken = params.get('access_token');
+        if (!accessToken) {
+            return null;
+        }
+
+        // The fragment has no user, so look it up before announcing the session
+        const user = await this.request('GET', `${this.supabaseUrl}/auth/v1/user`, {
+            operation: 'getSessionFromUrl',
+            service: 'auth',
+            headers: { ...this.anonHeaders(), 'Authorization': `Bearer ${accessToken}` }
+        });
+
+        const type = params.get('type') || 'magiclink';
+        const session = this.setSession({
+            access_token: accessToken,
+            refresh_token: params.get('refresh_token'),
+            token_type: params.get('token_type'),
+            expires_in: Number(params.get('expires_in')) || undefined,
+            expires_at: Number(params.get('expires_at')) || undefined,
+            user
+        }, type === 'recovery' ? 'PASSWORD_RECOVERY' : 'SIGNED_IN');
 
-            if (!response.ok) {
-                const error = await response.json();
-                console.warn(`Supabase Logout Warning: ${error.msg || error.message || response.statusText}`);
+        return { session, type };
+    }
+
+    /**
+     * Get the current session, refreshing it first when the access token has expired
+     * @returns {Promise<Object|null>} - { access_token, refresh_token, expires_at, user } or null
+     */
+    async getSession() {
+        if (!this.session) {
+            return null;
+        }
+        if (this.isSessionExpired(this.session) && this.session.refresh_token) {
+            try {
+                await this.refreshSession();
+            } catch (error) {
+                return this.session;
             }
+        }
+        return this.session;
+    }
+
+    /**
+     * Fetch the signed-in user from the auth server, which validates the access token
+     * @returns {Promise<Object|null>} - The user, or null when signed out
+     */
+    async getUser() {
+        const session = await this.getSession();
+        if (!session) {
+            return null;
+        }
+
+        try {
+            const url = `${this.supabaseUrl}/auth/v1/user`;
+            const user = await this.request('GET', url, {
+                operation: 'getUser',
+                service: 'auth',
+                headers: { ...this.anonHeaders(), 'Authorization': `Bearer ${session.access_token}` }
+            });
 
-            // Reset Authorization header to anon key
-            this.headers['Authorization'] = `Bearer ${this.supabaseKey}`;
+            if (this.session && this.session.access_token === session.access_token) {
+                this.session = { ...this.session, user };
+                this.saveSession();
+            }
+            return user;
         } catch (error) {
-            console.error('Error signing out:', error);
+            // The server no longer accepts this token
+            if (error instanceof SupabaseError && error.isAuthError()) {
+                this.clearSession('SIGNED_OUT');
+                return null;
+            }
+            this.logError('Error getting user:', error);
             throw error;
         }
     }
 
     /**
-     * Set the Authorization token for authenticated requests
-     * @param {string} token - The access token
+     * Exchange the refresh token for a new access token
+     * @returns {Promise<Object>} - The new session
      */
-    setAuthToken(token) {
-        this.headers['Authorization'] = `Bearer ${token}`;
+    async refreshSession() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+        if (!this.session || !this.session.refresh_token) {
+            throw new SupabaseError('Supabase Auth Error: no session to refresh', {
+                operation: 'refreshSession',
+                service: 'auth'
+            });
+        }
+
+        const refreshToken = this.session.refresh_token;
+        this.refreshPromise = (async () => {
+            try {
+                const url = `${this.supabaseUrl}/auth/v1/token?grant_type=refresh_token`;
+                const result = await this.request('POST', url, {
+                    operation: 'refreshSession',
+                    service: 'auth',
+                    headers: this.anonHeaders(),
+                    body: { refresh_token: refreshToken }
+                });
+                return this.setSession(result, 'TOKEN_REFRESHED');
+            } catch (error) {
+                if (error instanceof SupabaseError && error.status >= 400 && error.status < 500) {
+                    // Refresh token revoked or already used
+                    this.clearSession('SIGNED_OUT');
+                } else {
+                    // Network trouble: keep the session and try again shortly
+                    this.scheduleRefresh(this.session, 30000);
+                }
+                this.logError('Error refreshing session:', error);
+                throw error;
+            } finally {
+                this.refreshPromise = null;
+            }
+        })();
+        return this.refreshPromise;
     }
 
     /**
-     * Set new Supabase credentials
-     * @param {string} supabaseUrl - New Supabase URL
-     * @param {string} supabaseKey - New Supabase anon key
+     * Subscribe to auth changes. The callback receives (event, session) where event is
+     * INITIAL_SESSION, SIGNED_IN, SIGNED_OUT, TOKEN_REFRESHED, USER_UPDATED or PASSWORD_RECOVERY.
+     * @param {Function} callback - Listener
+     * @returns {Object} - { unsubscribe }
      */
-    setCredentials(supabaseUrl, supabaseKey) {
-        this.supabaseUrl = supabaseUrl;
-        this.supabaseKey = supabaseKey;
+    onAuthStateChange(callback) {
+        this.authListeners.add(callback);
+        Promise.resolve().then(() => {
+            if (this.authListeners.has(callback)) {
+                callback('INITIAL_SESSION', this.session);
+            }
+        });
+        return {
+            unsubscribe: () => this.authListeners.delete(callback)
+        };
+    }
+
+    /**
+     * Store a session returned by the auth server, persist it and schedule its refresh
+     * @param {Object} result - Token response (access_token, refresh_token, expires_in, user)
+     * @param {string} event - Auth event to emit
+     * @returns {Object} - The stored session
+     */
+    setSession(result, event = 'SIGNED_IN') {
+        const expiresAt = result.expires_at || Math.floor(Date.now() / 1000) + (result.expires_in || 3600);
+        this.session = {
+            access_token: result.access_token,
+            refresh_token: result.refresh_token,
+            token_type: result.token_type || 'bearer',
+            expires_in: result.expires_in,
+            expires_at: expiresAt,
+            user: result.user || (this.session && this.session.user) || null
+        };
+        this.setAuthToken(this.session.access_token);
+        this.saveSession();
+        this.scheduleRefresh(this.session);
+        this.emitAuthEvent(event);
+        return this.session;
+    }
+
+    /**
+     * Forget the session locally without calling the server
+     * @param {string|null} event - Auth event to emit, if any
+     */
+    clearSession(event = null) {
+        const hadSession = !!this.session;
+        this.session = null;
+        this.stopAutoRefresh();
+        this.headers['Authorization'] = `Bearer ${this.supabaseKey}`;
+        this.realtime.setAuth(this.supabaseKey);
+        if (this.auth.storage) {
+            this.auth.storage.removeItem(this.auth.storageKey);
+        }
+        if (event && hadSession) {
+            this.emitAuthEvent(event);
+        }
+    }
+
+    /**
+     * Load a persisted session (called from the constructor on page load)
+     */
+    restoreSession() {
+        if (!this.auth.storage) {
+            return;
+        }
+
+        let stored = null;
+        try {
+            stored = JSON.parse(this.auth.storage.getItem(this.auth.storageKey));
+        } catch (e) {
+            stored = null;
+        }
+        if (!stored || !stored.access_token) {
+            return;
+        }
+
+        this.session = stored;
+        if (!this.isSessionExpired(stored)) {
+            this.setAuthToken(stored.access_token);
+            this.scheduleRefresh(stored);
+        } else if (stored.refresh_token && this.auth.autoRefreshToken) {
+            this.refreshSession().catch(() => {});
+        } else {
+            this.clearSession();
+        }
+    }
+
+    /**
+     * Persist the current session
+     */
+    saveSession() {
+        if (this.auth.storage && this.session) {
+            this.auth.storage.setItem(this.auth.storageKey, JSON.stringify(this.session));
+        }
+    }
+
+    /**
+     * Refresh the access token `refreshMargin` ms before it expires
+     * @param {Object} session - Session to refresh
+     * @param {number} delay - Explicit delay in ms (optional)
+     */
+    scheduleRefresh(session, delay) {
+        this.stopAutoRefresh();
+        if (!this.auth.autoRefreshToken || !session || !session.refresh_token) {
+            return;
+        }
+        const wait = delay !== undefined
+            ? delay
+            : Math.max(0, session.expires_at * 1000 - Date.now() - this.auth.refreshMargin);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refreshSession().catch(() => {});
+        }, wait);
+    }
+
+    /**
+     * Cancel the scheduled token refresh
+     */
+    stopAutoRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    /**
+     * Check whether a session's access token has expired (or is about to)
+     * @param {Object} session - Session to check
+     * @returns {boolean}
+     */
+    isSessionExpired(session) {
+        return !session.expires_at || session.expires_at * 1000 - Date.now() < 10000;
+    }
+
+    /**
+     * Notify auth listeners; a failing listener does not stop the others
+     * @param {string} event - Auth event name
+     */
+    emitAuthEvent(event) {
+        this.authListeners.forEach(callback => {
+            try {
+                callback(event, this.session);
+            } catch (error) {
+                this.logError('Error in auth state listener:', error);
+            }
+        });
+    }
+
+    /**
+     * URL of an auth endpoint, with the page to return to after following an emailed link
+     * @param {string} path - Endpoint below /auth/v1/
+     * @param {string} redirectTo - Redirect URL (optional)
+     * @returns {string}
+     */
+    authUrl(path, redirectTo) {
+        const url = `${this.supabaseUrl}/auth/v1/${path}`;
+        return redirectTo ? `${url}?redirect_to=${encodeURIComponent(redirectTo)}` : url;
+    }
+
+    /**
+     * Headers for auth endpoints that must not carry a user token
+     * @returns {Object}
+     */
+    anonHeaders() {
+        return { ...this.headers, 'Authorization': `Bearer ${this.supabaseKey}` };
+    }
+
+    /**
+     * Follow sign-ins and sign-outs made in other tabs of the same site
+     * @param {StorageEvent} event - Browser storage event
+     */
+    handleStorageEvent(event) {
+        if (event.key !== this.auth.storageKey) {
+            return;
+        }
+        if (!event.newValue) {
+            this.clearSession('SIGNED_OUT');
+            return;
+        }
+        try {
+            const stored = JSON.parse(event.newValue);
+            const signedIn = !this.session;
+            this.session = stored;
+            this.setAuthToken(stored.access_token);
+            this.scheduleRefresh(stored);
+            this.emitAuthEvent(signedIn ? 'SIGNED_IN' : 'TOKEN_REFRESHED');
+        } catch (e) {
+            // Ignore malformed values written by other code
+        }
+    }
+
+    /**
+     * Send a request and throw a SupabaseError for network failures and non-2xx responses.
+     * Transient failures are retried with backoff when the method is in the retry policy.
+     * @param {string} method - HTTP method
+     * @param {string} url - Full URL
+     * @param {Object} options - { table, operation, service, headers, body, signal, timeout, retry }
+     * @returns {Promise<Response>} - The successful response
+     */
+    async send(method, url, options = {}) {
+        const { table, operation, service = 'rest', headers = this.headers, body, signal } = options;
+        const context = { table, operation, service };
+        const policy = options.retry === undefined ? this.retry : this.resolveRetryPolicy(options.retry);
+        const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+        const canRetry = policy.methods.includes(method.toUpperCase());
+        const init = { method, headers };
+        if (body !== undefined) {
+            init.body = JSON.stringify(body);
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            const retriesLeft = canRetry && attempt < policy.maxAttempts;
+            let response;
+            try {
+                response = await this.fetchWithTimeout(url, init, { signal, timeout });
+            } catch (error) {
+                const wrapped = SupabaseError.fromNetworkError(error, context);
+                if (retriesLeft && !wrapped.isAborted()) {
+                    await this.sleep(this.getRetryDelay(attempt, null, policy), signal);
+                    continue;
+                }
+                throw wrapped;
+            }
+
+            if (response.ok) {
+                return response;
+            }
+
+            const error = await SupabaseError.fromResponse(response, context);
+            if (retriesLeft && policy.retryOn.includes(response.status)) {
+                const delay = this.getRetryDelay(attempt, response, policy);
+                if (delay !== null) {
+                    await this.sleep(delay, signal);
+                    continue;
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Call fetch with an optional timeout and caller AbortSignal
+     * @param {string} url - Full URL
+     * @param {Object} init - fetch init
+     * @param {Object} options - { signal, timeout }
+     * @returns {Promise<Response>}
+     */
+    async fetchWithTimeout(url, init, { signal, timeout } = {}) {
+        if (signal && signal.aborted) {
+            throw SupabaseClient.abortError('Request aborted');
+        }
+        if (!signal && !timeout) {
+            return fetch(url, init);
+        }
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        let timedOut = false;
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * Work out how long to wait before the next attempt: Retry-After when the
+     * server sent one, otherwise exponential backoff with jitter
+     * @param {number} attempt - The attempt that just failed (1 based)
+     * @param {Response|null} response - The failed response, if any
+     * @param {Object} policy - Retry policy
+     * @returns {number|null} - Delay in ms, or null when Retry-After exceeds maxDelay
+     */
+    getRetryDelay(attempt, response, policy = this.retry) {
+        const retryAfter = response && response.headers && response.headers.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (!Number.isNaN(delay)) {
+                return delay > policy.maxDelay ? null : Math.max(0, delay);
+            }
+        }
+
+        const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+        return backoff / 2 + Math.random() * backoff / 2;
+    }
+
+    /**
+     * Wait between attempts; resolves early when the signal aborts so the next
+     * attempt fails as aborted instead of being sent
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} signal - Optional caller signal
+     * @returns {Promise<void>}
+     */
+    sleep(ms, signal) {
+        return new Promise(resolve => {
+            const timer = setTimeout(done, ms);
+            function done() {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', done);
+                }
+                resolve();
+            }
+            if (signal) {
+                signal.addEventListener('abort', done, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Merge retry overrides with DEFAULT_RETRY
+     * @param {Object|false} retry - Overrides, or false to disable retries
+     * @returns {Object} - Retry policy
+     */
+    resolveRetryPolicy(retry) {
+        if (retry === false) {
+            return { ...SupabaseClient.DEFAULT_RETRY, maxAttempts: 1 };
+        }
+        return { ...SupabaseClient.DEFAULT_RETRY, ...(retry || {}) };
+    }
+
+    /**
+     * Create an error shaped like the one fetch throws when aborted
+     * @param {string} message - Error message
+     * @returns {Error}
+     */
+    static abortError(message) {
+        const error = new Error(message);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Send a request and parse the JSON response body
+     * @param {string} method - HTTP method
+     * @param {string} url - Full URL
+     * @param {Object} options - { table, operation, service, headers, body }
+     * @returns {Promise<*>} - Parsed body, or null when the response is empty
+     */
+    async request(method, url, options = {}) {
+        const response = await this.send(method, url, options);
+        return this.readJson(response);
+    }
+
+    /**
+     * Parse a JSON response body, treating an empty body as null
+     * @param {Response} response - Fetch response
+     * @returns {Promise<*>}
+     */
+    async readJson(response) {
+        if (typeof response.text !== 'function') {
+            return response.json();
+        }
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Log an error unless logging was turned off with { logErrors: false }
+     * @param {string} message - Context message
+     * @param {Error} error - The error
+     */
+    logError(message, error) {
+        if (this.logErrors) {
+            console.error(message, error);
+        }
+    }
+
+    /**
+     * Set the Authorization token for authenticated requests
+     * @param {string} token - The access token
+     */
+    setAuthToken(token) {
+        this.headers['Authorization'] = `Bearer ${token}`;
+        this.realtime.setAuth(token);
+    }
+
+    /**
+     * Realtime client for this project; connects on the first subscribe
+     * @returns {SupabaseRealtimeClient}
+     */
+    createRealtime() {
+        const { url, ...options } = this.realtimeOptions;
+        return new SupabaseRealtimeClient(url || `${this.supabaseUrl.replace(/^http/, 'ws')}/realtime/v1`, {
+            logErrors: this.logErrors,
+            ...options,
+            params: { apikey: this.supabaseKey },
+            accessToken: this.session ? this.session.access_token : this.supabaseKey
+        });
+    }
+
+    /**
+     * Create a Realtime channel
+     * @param {string} name - Channel name
+     * @param {Object} params - Channel options ({ config })
+     * @returns {SupabaseRealtimeChannel}
+     */
+    channel(name, params = {}) {
+        return this.realtime.channel(name, params);
+    }
+
+    /**
+     * Leave a Realtime channel; the websocket closes when no channels are left
+     * @param {SupabaseRealtimeChannel} channel - Channel to remove
+     * @returns {Promise<string>} - 'ok' or 'timed out'
+     */
+    removeChannel(channel) {
+        return this.realtime.removeChannel(channel);
+    }
+
+    /**
+     * Leave all Realtime channels and close the websocket
+     * @returns {Promise<Array<string>>}
+     */
+    removeAllChannels() {
+        return this.realtime.removeAllChannels();
+    }
+
+    /**
+     * Set new Supabase credentials
+     * @param {string} supabaseUrl - New Supabase URL
+     * @param {string} supabaseKey - New Supabase anon key
+     */
+    setCredentials(supabaseUrl, supabaseKey) {
+        this.supabaseUrl = supabaseUrl;
+        this.supabaseKey = supabaseKey;
         this.headers = {
             'apikey': supabaseKey,
             'Authorization': `Bearer ${supabaseKey}`,
             'Content-Type': 'application/json',
             'Prefer': 'return=representation'
         };
+
+        // Sessions and channels belong to a project: switch to the new project's stored session
+        this.stopAutoRefresh();
+        this.session = null;
+        this.realtime.disconnect();
+        this.realtime = this.createRealtime();
+        this.auth.storageKey = SupabaseClient.defaultStorageKey(supabaseUrl);
+        this.restoreSession();
+    }
+}
+
+/**
+ * Chainable select query. Awaiting the builder runs the request and resolves
+ * to the rows (or a single row for single()/maybeSingle(), and { data, count }
+ * when count() was requested).
+ *
+ * Usage:
+ *   const { data, count } = await supabase.from('trips')
+ *       .select('*')
+ *       .eq('user_id', userId)
+ *       .count('exact');
+ */
+class SupabaseQueryBuilder {
+    constructor(client, table, options = {}) {
+        this.client = client;
+        this.table = table;
+        this.options = {
+            ...options,
+            filters: options.filters ? [].concat(options.filters) : [],
+            order: options.order ? [].concat(options.order) : []
+        };
+        this.resultMode = 'many';
+        this.countMode = null;
+    }
+
+    /**
+     * Choose the columns to return
+     * @param {string} columns - Comma separated column list
+     * @returns {SupabaseQueryBuilder}
+     */
+    select(columns = '*') {
+        this.options.select = columns;
+        return this;
+    }
+
+    /**
+     * Add a filter object using the same vocabulary as SupabaseClient.buildFilterParams
+     * @param {Object} filters - Filter object
+     * @returns {SupabaseQueryBuilder}
+     */
+    filter(filters) {
+        this.options.filters.push(filters);
+        return this;
+    }
+
+    /**
+     * Match every column/value pair of an object with equality
+     * @param {Object} values - Column/value pairs
+     * @returns {SupabaseQueryBuilder}
+     */
+    match(values) {
+        Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    // Column operators, see SupabaseClient.FILTER_OPERATORS
+    eq(column, value) { return this.operator(column, 'eq', value); }
+    neq(column, value) { return this.operator(column, 'neq', value); }
+    gt(column, value) { return this.operator(column, 'gt', value); }
+    gte(column, value) { return this.operator(column, 'gte', value); }
+    lt(column, value) { return this.operator(column, 'lt', value); }
+    lte(column, value) { return this.operator(column, 'lte', value); }
+    like(column, pattern) { return this.operator(column, 'like', pattern); }
+    ilike(column, pattern) { return this.operator(column, 'ilike', pattern); }
+    in(column, values) { return this.operator(column, 'in', values); }
+    is(column, value) { return this.operator(column, 'is', value); }
+    contains(column, value) { return this.operator(column, 'contains', value); }
+    containedBy(column, value) { return this.operator(column, 'containedBy', value); }
+    overlaps(column, value) { return this.operator(column, 'overlaps', value); }
+
+    /**
+     * Negate a single operator, e.g. not('status', 'in', ['draft'])
+     * @param {string} column - Column name
+     * @param {string} operator - Operator name
+     * @param {*} value - Operand
+     * @returns {SupabaseQueryBuilder}
+     */
+    not(column, operator, value) {
+        return this.filter({ [column]: { not: { [operator]: value } } });
+    }
+
+    /**
+     * Match any of the given filters
+     * @param {Array|Object} filters - Nested filters
+     * @returns {SupabaseQueryBuilder}
+     */
+    or(filters) {
+        return this.filter({ or: filters });
+    }
+
+    /**
+     * Match all of the given filters as one group
+     * @param {Array|Object} filters - Nested filters
+     * @returns {SupabaseQueryBuilder}
+     */
+    and(filters) {
+        return this.filter({ and: filters });
+    }
+
+    /**
+     * Add an ordering, applied after any earlier ones
+     * @param {string} column - Column name
+     * @param {Object} options - { ascending = true, nullsFirst }
+     * @returns {SupabaseQueryBuilder}
+     */
+    order(column, { ascending = true, nullsFirst } = {}) {
+        const order = { column, direction: ascending ? 'asc' : 'desc' };
+        if (nullsFirst !== undefined) {
+            order.nulls = nullsFirst ? 'first' : 'last';
+        }
+        this.options.order.push(order);
+        return this;
+    }
+
+    /**
+     * Limit the number of rows returned
+     * @param {number} count - Maximum number of rows
+     * @returns {SupabaseQueryBuilder}
+     */
+    limit(count) {
+        this.options.limit = count;
+        return this;
+    }
+
+    /**
+     * Return rows `from` to `to` (inclusive, zero based)
+     * @param {number} from - First row index
+     * @param {number} to - Last row index
+     * @returns {SupabaseQueryBuilder}
+     */
+    range(from, to) {
+        this.options.offset = from;
+        this.options.limit = to - from + 1;
+        return this;
+    }
+
+    /**
+     * Resolve to exactly one row, failing when zero or several rows match
+     * @returns {SupabaseQueryBuilder}
+     */
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    /**
+     * Resolve to one row or null, failing when several rows match
+     * @returns {SupabaseQueryBuilder}
+     */
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    /**
+     * Also return the total number of matching rows
+     * @param {string} mode - 'exact', 'planned' or 'estimated'
+     * @returns {SupabaseQueryBuilder}
+     */
+    count(mode = 'exact') {
+        if (!['exact', 'planned', 'estimated'].includes(mode)) {
+            throw new Error(`Unknown count mode "${mode}"`);
+        }
+        this.countMode = mode;
+        return this;
+    }
+
+    /**
+     * Cancel the request when the signal aborts
+     * @param {AbortSignal} signal - Caller signal
+     * @returns {SupabaseQueryBuilder}
+     */
+    abortSignal(signal) {
+        this.options.signal = signal;
+        return this;
+    }
+
+    /**
+     * Override the client timeout for this query
+     * @param {number} ms - Timeout per attempt in ms
+     * @returns {SupabaseQueryBuilder}
+     */
+    timeout(ms) {
+        this.options.timeout = ms;
+        return this;
+    }
+
+    /**
+     * Add a single operator filter for a column
+     * @param {string} column - Column name
+     * @param {string} operator - Operator name
+     * @param {*} value - Operand
+     * @returns {SupabaseQueryBuilder}
+     */
+    operator(column, operator, value) {
+        return this.filter({ [column]: { [operator]: value } });
+    }
+
+    /**
+     * Build the request URL for this query
+     * @returns {string} - Full URL
+     */
+    toUrl() {
+        return this.client.buildUrl(this.table, 'select', this.options);
+    }
+
+    /**
+     * Run the query
+     * @returns {Promise<Array|Object|null>} - Rows, a single row, or { data, count }
+     */
+    async execute() {
+        const headers = { ...this.client.headers };
+        if (this.countMode) {
+            headers['Prefer'] = `count=${this.countMode}`;
+        }
+
+        const response = await this.client.send('GET', this.toUrl(), {
+            table: this.table,
+            operation: 'select',
+            headers: headers,
+            signal: this.options.signal,
+            timeout: this.options.timeout
+        });
+
+        const rows = await this.client.readJson(response);
+        const data = this.resolveRows(rows || []);
+
+        if (this.countMode) {
+            return { data, count: this.parseCount(response) };
+        }
+        return data;
+    }
+
+    /**
+     * Apply single()/maybeSingle() to the returned rows
+     * @param {Array} rows - Rows returned by the server
+     * @returns {Array|Object|null}
+     */
+    resolveRows(rows) {
+        if (this.resultMode === 'many') {
+            return rows;
+        }
+        if (rows.length === 1) {
+            return rows[0];
+        }
+        if (rows.length === 0 && this.resultMode === 'maybeSingle') {
+            return null;
+        }
+        // Same code and status PostgREST uses when an object response does not match one row
+        throw new SupabaseError(`Supabase Error: expected a single row from ${this.table}, got ${rows.length || 'none'}`, {
+            status: 406,
+            code: 'PGRST116',
+            table: this.table,
+            operation: 'select'
+        });
+    }
+
+    /**
+     * Read the total from a `Content-Range: 0-19/57` response header
+     * @param {Response} response - Fetch response
+     * @returns {number|null} - Total row count, or null when unknown
+     */
+    parseCount(response) {
+        const contentRange = response.headers && response.headers.get('Content-Range');
+        if (!contentRange) {
+            return null;
+        }
+        const total = contentRange.split('/')[1];
+        return total && total !== '*' ? parseInt(total, 10) : null;
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.execute().then(onFulfilled, onRejected);
+    }
+}
+
+/**
+ * Websocket client for Supabase Realtime (Phoenix channels protocol, vsn 1.0.0).
+ * One connection is shared by all channels; it is opened by the first subscribe,
+ * kept alive with heartbeats and reopened with backoff when it drops. Channels
+ * rejoin automatically after a reconnect.
+ *
+ * Usually used through SupabaseClient.channel():
+ *   const channel = supabase.channel('comments-feed')
+ *       .on('postgres_changes', { event: '*', schema: 'public', table: 'comments' }, change => {
+ *           // change.eventType is INSERT, UPDATE or DELETE; change.new / change.old hold the rows
+ *       })
+ *       .subscribe(status => console.log(status)); // SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT, CLOSED
+ *
+ *   supabase.removeChannel(channel);
+ */
+class SupabaseRealtimeClient {
+    static DEFAULT_RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+
+    /**
+     * @param {string} endpoint - Websocket URL, e.g. wss://<project>.supabase.co/realtime/v1
+     * @param {Object} options - Client options
+     * @param {Object} options.params - Query parameters for the connection (apikey)
+     * @param {string} options.accessToken - JWT sent when joining channels
+     * @param {Function} options.transport - WebSocket constructor (default global WebSocket)
+     * @param {number} options.heartbeatInterval - ms between heartbeats (default 25000)
+     * @param {number} options.timeout - ms to wait for a join or leave reply (default 10000)
+     * @param {Function} options.reconnectAfterMs - (tries) => delay before reconnecting / rejoining
+     * @param {boolean} options.logErrors - Log connection errors with console.error (default true)
+     */
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.params = options.params || {};
+        this.accessToken = options.accessToken || null;
+        this.transport = options.transport || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.heartbeatInterval = options.heartbeatInterval || 25000;
+        this.timeout = options.timeout || 10000;
+        this.reconnectAfterMs = options.reconnectAfterMs || (tries =>
+            SupabaseRealtimeClient.DEFAULT_RECONNECT_DELAYS[tries - 1] || 10000);
+        this.logErrors = options.logErrors !== false;
+
+        this.conn = null;
+        this.channels = [];
+        this.sendBuffer = [];
+        this.ref = 0;
+        this.pendingHeartbeatRef = null;
+        this.heartbeatTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectTries = 0;
+        this.closeWasClean = false;
+    }
+
+    /**
+     * URL of the websocket, with the api key and protocol version
+     * @returns {string}
+     */
+    endpointUrl() {
+        const query = new URLSearchParams({ ...this.params, vsn: '1.0.0' });
+        return `${this.endpoint}/websocket?${query.toString()}`;
+    }
+
+    /**
+     * Open the connection (no-op when already open or opening)
+     */
+    connect() {
+        if (this.conn) {
+            return;
+        }
+        if (!this.transport) {
+            throw new Error('Supabase Realtime needs a WebSocket implementation (options.realtime.transport)');
+        }
+
+        this.closeWasClean = false;
+        this.conn = new this.transport(this.endpointUrl());
+        this.conn.onopen = () => this.onConnOpen();
+        this.conn.onmessage = event => this.onConnMessage(event);
+        this.conn.onerror = event => this.onConnError(event);
+        this.conn.onclose = event => this.onConnClose(event);
+    }
+
+    /**
+     * Close the connection for good; channels stay registered until removed
+     */
+    disconnect() {
+        this.closeWasClean = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopHeartbeat();
+        if (this.conn) {
+            const conn = this.conn;
+            this.conn = null;
+            conn.onclose = null;
+            conn.close(1000, 'disconnect');
+        }
+        this.sendBuffer = [];
+        this.channels.forEach(channel => channel.onSocketClose());
+    }
+
+    /**
+     * @returns {boolean} - True when the websocket is open
+     */
+    isConnected() {
+        return !!this.conn && this.conn.readyState === 1;
+    }
+
+    /**
+     * Create a channel; it connects when subscribe() is called
+     * @param {string} name - Channel name (topic without the realtime: prefix)
+     * @param {Object} params - Channel options ({ config })
+     * @returns {SupabaseRealtimeChannel}
+     */
+    channel(name, params = {}) {
+        const channel = new SupabaseRealtimeChannel(`realtime:${name}`, params, this);
+        this.channels.push(channel);
+        return channel;
+    }
+
+    /**
+     * Leave a channel and forget it; disconnects when it was the last one
+     * @param {SupabaseRealtimeChannel} channel - Channel to remove
+     * @returns {Promise<string>} - 'ok' or 'timed out'
+     */
+    async removeChannel(channel) {
+        const status = await channel.unsubscribe();
+        this.channels = this.channels.filter(c => c !== channel);
+        if (this.channels.length === 0) {
+            this.disconnect();
+        }
+        return status;
+    }
+
+    /**
+     * Leave and forget every channel. Channels opened while leaving are kept, along
+     * with the connection.
+     * @returns {Promise<Array<string>>}
+     */
+    async removeAllChannels() {
+        const leaving = this.channels.slice();
+        const statuses = await Promise.all(leaving.map(channel => channel.unsubscribe()));
+        this.channels = this.channels.filter(channel => !leaving.includes(channel));
+        if (this.channels.length === 0) {
+            this.disconnect();
+        }
+        return statuses;
+    }
+
+    /**
+     * Use a new access token, e.g. after signing in or a token refresh. Joined
+     * channels are told straight away so RLS applies to the new user.
+     * @param {string|null} token - JWT, or null to fall back to the api key
+     */
+    setAuth(token) {
+        this.accessToken = token;
+        this.channels.forEach(channel => {
+            if (channel.state === 'joined') {
+                channel.push('access_token', { access_token: token });
+            }
+        });
+    }
+
+    /**
+     * Send a message, or queue it until the connection opens
+     * @param {Object} message - { topic, event, payload, ref, join_ref }
+     */
+    push(message) {
+        if (this.isConnected()) {
+            this.conn.send(JSON.stringify(message));
+        } else {
+            this.sendBuffer.push(message);
+        }
+    }
+
+    /**
+     * @returns {string} - Next message reference
+     */
+    makeRef() {
+        this.ref += 1;
+        return String(this.ref);
+    }
+
+    /**
+     * Flush queued messages, start heartbeats and rejoin channels
+     */
+    onConnOpen() {
+        this.reconnectTries = 0;
+        const buffered = this.sendBuffer;
+        this.sendBuffer = [];
+        buffered.forEach(message => this.push(message));
+        this.startHeartbeat();
+        this.channels.forEach(channel => channel.onSocketOpen());
+    }
+
+    /**
+     * Route an incoming message to the heartbeat or its channel
+     * @param {MessageEvent} event - Websocket message
+     */
+    onConnMessage(event) {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            this.logError('Invalid realtime message:', error);
+            return;
+        }
+
+        if (message.topic === 'phoenix' && message.ref === this.pendingHeartbeatRef) {
+            this.pendingHeartbeatRef = null;
+            return;
+        }
+        this.channels
+            .filter(channel => channel.topic === message.topic)
+            .forEach(channel => channel.trigger(message));
+    }
+
+    /**
+     * @param {Event} event - Websocket error
+     */
+    onConnError(event) {
+        this.logError('Realtime connection error:', event && event.message ? event.message : event);
+    }
+
+    /**
+     * Mark channels as errored and reconnect unless disconnect() was called
+     */
+    onConnClose() {
+        this.conn = null;
+        this.stopHeartbeat();
+        this.channels.forEach(channel => channel.onSocketClose());
+        if (!this.closeWasClean) {
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Reconnect after reconnectAfterMs(tries)
+     */
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTries += 1;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, this.reconnectAfterMs(this.reconnectTries));
+    }
+
+    /**
+     * Send heartbeats every heartbeatInterval
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+    }
+
+    /**
+     * Stop sending heartbeats
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.pendingHeartbeatRef = null;
+    }
+
+    /**
+     * Send a heartbeat; when the previous one was never answered the connection
+     * is treated as dead and closed, which triggers a reconnect
+     */
+    sendHeartbeat() {
+        if (!this.isConnected()) {
+            return;
+        }
+        if (this.pendingHeartbeatRef) {
+            // Don't wait for a close handshake from a server that stopped answering
+            const conn = this.conn;
+            conn.onclose = null;
+            conn.close(1000, 'heartbeat timeout');
+            this.onConnClose();
+            return;
+        }
+        this.pendingHeartbeatRef = this.makeRef();
+        this.push({ topic: 'phoenix', event: 'heartbeat', payload: {}, ref: this.pendingHeartbeatRef });
+    }
+
+    /**
+     * Log an error if logErrors is enabled
+     * @param {string} message - Error message
+     * @param {*} error - Error or event
+     */
+    logError(message, error) {
+        if (this.logErrors) {
+            console.error(message, error);
+        }
+    }
+}
+
+/**
+ * A Realtime channel (topic). Bind callbacks with on() before subscribe().
+ */
+class SupabaseRealtimeChannel {
+    static EVENT_TYPES = ['INSERT', 'UPDATE', 'DELETE', '*'];
+
+    /**
+     * @param {string} topic - Full topic, e.g. realtime:comments-feed
+     * @param {Object} params - { config: { broadcast, presence } }
+     * @param {SupabaseRealtimeClient} socket - Shared connection
+     */
+    constructor(topic, params, socket) {
+        this.topic = topic;
+        this.params = params;
+        this.socket = socket;
+        this.state = 'closed';
+        this.bindings = [];
+        this.joinRef = null;
+        this.joinTimer = null;
+        this.rejoinTimer = null;
+        this.rejoinTries = 0;
+        this.statusCallback = null;
+        this.replyCallbacks = new Map();
+    }
+
+    /**
+     * Listen for database changes
+     * @param {string} type - 'postgres_changes'
+     * @param {Object} filter - { event: 'INSERT'|'UPDATE'|'DELETE'|'*', schema, table, filter: 'column=eq.value' }
+     * @param {Function} callback - Receives { schema, table, commit_timestamp, eventType, new, old, errors }
+     * @returns {SupabaseRealtimeChannel}
+     */
+    on(type, filter, callback) {
+        if (type !== 'postgres_changes') {
+            throw new Error(`Unsupported realtime event type "${type}"`);
+        }
+        const event = (filter.event || '*').toUpperCase();
+        if (!SupabaseRealtimeChannel.EVENT_TYPES.includes(event)) {
+            throw new Error(`Unknown postgres_changes event "${filter.event}"`);
+        }
+        if (this.state !== 'closed') {
+            throw new Error('Add bindings before subscribing to the channel');
+        }
+
+        this.bindings.push({
+            filter: { event, schema: filter.schema || 'public', table: filter.table, filter: filter.filter },
+            callback,
+            id: null
+        });
+        return this;
+    }
+
+    /**
+     * Join the channel, connecting first if needed
+     * @param {Function} callback - (status, error) with status SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT or CLOSED
+     * @returns {SupabaseRealtimeChannel}
+     */
+    subscribe(callback) {
+        if (this.state !== 'closed') {
+            throw new Error('Tried to subscribe to the same channel more than once');
+        }
+        this.statusCallback = callback || null;
+        this.socket.connect();
+        this.join();
+        return this;
+    }
+
+    /**
+     * Leave the channel
+     * @returns {Promise<string>} - 'ok', or 'timed out' when the server did not answer
+     */
+    unsubscribe() {
+        clearTimeout(this.joinTimer);
+        clearTimeout(this.rejoinTimer);
+        const wasJoined = this.state === 'joined' || this.state === 'joining';
+        this.state = 'leaving';
+
+        if (!wasJoined || !this.socket.isConnected()) {
+            this.close();
+            return Promise.resolve('ok');
+        }
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.replyCallbacks.delete(ref);
+                this.close();
+                resolve('timed out');
+            }, this.socket.timeout);
+            const ref = this.push('phx_leave', {}, () => {
+                clearTimeout(timer);
+                this.close();
+                resolve('ok');
+            });
+        });
+    }
+
+    /**
+     * Send a message on this channel
+     * @param {string} event - Phoenix event
+     * @param {Object} payload - Message payload
+     * @param {Function} onReply - Called with the phx_reply payload (optional)
+     * @returns {string} - Message reference
+     */
+    push(event, payload, onReply) {
+        const ref = this.socket.makeRef();
+        if (onReply) {
+            this.replyCallbacks.set(ref, onReply);
+        }
+        this.socket.push({ topic: this.topic, event, payload, ref, join_ref: this.joinRef });
+        return ref;
+    }
+
+    /**
+     * Send phx_join with the postgres_changes bindings and the access token
+     */
+    join() {
+        clearTimeout(this.rejoinTimer);
+        this.state = 'joining';
+        this.replyCallbacks.clear();
+        this.joinRef = this.socket.makeRef();
+
+        const config = this.params.config || {};
+        const payload = {
+            config: {
+                broadcast: config.broadcast || { ack: false, self: false },
+                presence: config.presence || { key: '' },
+                postgres_changes: this.bindings.map(binding => {
+                    const change = { event: binding.filter.event, schema: binding.filter.schema, table: binding.filter.table };
+                    if (binding.filter.filter) {
+                        change.filter = binding.filter.filter;
+                    }
+                    return change;
+                }),
+                private: false
+            }
+        };
+        if (this.socket.accessToken) {
+            payload.access_token = this.socket.accessToken;
+        }
+
+        this.replyCallbacks.set(this.joinRef, reply => this.onJoinReply(reply));
+        this.socket.push({ topic: this.topic, event: 'phx_join', payload, ref: this.joinRef, join_ref: this.joinRef });
+
+        clearTimeout(this.joinTimer);
+        this.joinTimer = setTimeout(() => {
+            this.replyCallbacks.delete(this.joinRef);
+            this.state = 'errored';
+            this.emitStatus('TIMED_OUT');
+            this.scheduleRejoin();
+        }, this.socket.timeout);
+    }
+
+    /**
+     * Store the server ids of the bindings, or report why the join failed
+     * @param {Object} reply - phx_reply payload ({ status, response })
+     */
+    onJoinReply(reply) {
+        clearTimeout(this.joinTimer);
+
+        if (reply.status !== 'ok') {
+            this.state = 'errored';
+            const reason = reply.response && (reply.response.reason || reply.response.message);
+            this.emitStatus('CHANNEL_ERROR', new Error(reason || 'Could not join the realtime channel'));
+            this.scheduleRejoin();
+            return;
+        }
+
+        // The server answers with an id per binding, in the order they were sent
+        const serverChanges = (reply.response && reply.response.postgres_changes) || [];
+        for (let i = 0; i < this.bindings.length; i++) {
+            const server = serverChanges[i];
+            const client = this.bindings[i].filter;
+            if (!server || server.table !== client.table || server.schema !== client.schema ||
+                server.event !== client.event || (server.filter || undefined) !== client.filter) {
+                this.state = 'errored';
+                this.emitStatus('CHANNEL_ERROR', new Error('Mismatch between server and client bindings for postgres changes'));
+                this.unsubscribe();
+                return;
+            }
+            this.bindings[i].id = server.id;
+        }
+
+        this.state = 'joined';
+        this.rejoinTries = 0;
+        this.emitStatus('SUBSCRIBED');
+    }
+
+    /**
+     * Handle a message for this topic
+     * @param {Object} message - { event, payload, ref }
+     */
+    trigger(message) {
+        if (message.join_ref && this.joinRef && message.join_ref !== this.joinRef) {
+            return; // Left over from an earlier join
+        }
+
+        if (message.event === 'phx_reply') {
+            const callback = this.replyCallbacks.get(message.ref);
+            if (callback) {
+                this.replyCallbacks.delete(message.ref);
+                callback(message.payload || {});
+            }
+        } else if (message.event === 'phx_error') {
+            if (this.state === 'joined' || this.state === 'joining') {
+                this.state = 'errored';
+                this.emitStatus('CHANNEL_ERROR', new Error('The realtime channel crashed on the server'));
+                this.scheduleRejoin();
+            }
+        } else if (message.event === 'phx_close') {
+            this.close();
+        } else if (message.event === 'postgres_changes') {
+            this.dispatchChange(message.payload);
+        }
+    }
+
+    /**
+     * Call the bindings a change was sent for
+     * @param {Object} payload - { ids, data: { schema, table, commit_timestamp, type, record, old_record, errors } }
+     */
+    dispatchChange(payload) {
+        const ids = payload.ids || [];
+        const data = payload.data || {};
+        const change = {
+            schema: data.schema,
+            table: data.table,
+            commit_timestamp: data.commit_timestamp,
+            eventType: data.type,
+            new: data.record || {},
+            old: data.old_record || {},
+            errors: data.errors || null
+        };
+
+        this.bindings
+            .filter(binding => ids.includes(binding.id))
+            .filter(binding => binding.filter.event === '*' || binding.filter.event === change.eventType)
+            .forEach(binding => {
+                try {
+                    binding.callback(change);
+                } catch (error) {
+                    this.socket.logError('Error in realtime callback:', error);
+                }
+            });
+    }
+
+    /**
+     * Rejoin after the connection came back
+     */
+    onSocketOpen() {
+        if (this.state === 'errored') {
+            this.rejoinTries = 0;
+            this.join();
+        }
+    }
+
+    /**
+     * The connection dropped; the channel rejoins once it reopens
+     */
+    onSocketClose() {
+        clearTimeout(this.joinTimer);
+        clearTimeout(this.rejoinTimer);
+        if (this.state === 'joined' || this.state === 'joining') {
+            this.state = 'errored';
+            this.emitStatus('CHANNEL_ERROR', new Error('Realtime connection lost'));
+        }
+    }
+
+    /**
+     * Try joining again after a failed or timed out join
+     */
+    scheduleRejoin() {
+        clearTimeout(this.rejoinTimer);
+        if (!this.socket.isConnected()) {
+            return; // Rejoins when the connection opens again
+        }
+        this.rejoinTries += 1;
+        this.rejoinTimer = setTimeout(() => {
+            if (this.state === 'errored' && this.socket.isConnected()) {
+                this.join();
+            }
+        }, this.socket.reconnectAfterMs(this.rejoinTries));
+    }
+
+    /**
+     * Mark the channel closed and report CLOSED
+     */
+    close() {
+        clearTimeout(this.joinTimer);
+        clearTimeout(this.rejoinTimer);
+        this.replyCallbacks.clear();
+        const wasClosed = this.state === 'closed';
+        this.state = 'closed';
+        if (!wasClosed) {
+            this.emitStatus('CLOSED');
+        }
+    }
+
+    /**
+     * Report a status to the subscribe() callback
+     * @param {string} status - SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT or CLOSED
+     * @param {Error} error - Reason for CHANNEL_ERROR (optional)
+     */
+    emitStatus(status, error) {
+        if (!this.statusCallback) {
+            return;
+        }
+        try {
+            this.statusCallback(status, error);
+        } catch (e) {
+            this.socket.logError('Error in realtime status callback:', e);
+        }
+    }
+}
+
+/**
+ * Error thrown by SupabaseClient for failed requests. Keeps the HTTP status and
+ * the PostgREST / GoTrue error fields so callers can react to specific failures.
+ *
+ * Usage:
+ *   try {
+ *       await supabase.insert('users', user);
+ *   } catch (error) {
+ *       if (error instanceof SupabaseError && error.isUniqueViolation()) { ... }
+ *   }
+ */
+class SupabaseError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} fields - { status, code, details, hint, table, operation, service }
+     */
+    constructor(message, fields = {}) {
+        super(message);
+        this.name = 'SupabaseError';
+        this.status = fields.status || 0;
+        this.code = fields.code || null;
+        this.details = fields.details || null;
+        this.hint = fields.hint || null;
+        this.table = fields.table || null;
+        this.operation = fields.operation || null;
+        this.service = fields.service || 'rest';
+    }
+
+    /**
+     * Build an error from a failed response, whether or not its body is JSON
+     * @param {Response} response - Fetch response with ok === false
+     * @param {Object} context - { table, operation, service }
+     * @returns {Promise<SupabaseError>}
+     */
+    static async fromResponse(response, context = {}) {
+        const body = await SupabaseError.readBody(response);
+        const detail = body.message || body.msg || body.error_description || body.error
+            || response.statusText || `HTTP ${response.status}`;
+        const prefix = context.service === 'auth' ? 'Supabase Auth Error' : 'Supabase Error';
+
+        return new SupabaseError(`${prefix}: ${detail}`, {
+            ...context,
+            status: response.status,
+            code: body.code || body.error_code || (typeof body.error === 'string' ? body.error : null),
+            details: body.details,
+            hint: body.hint
+        });
+    }
+
+    /**
+     * Build an error for a request that never got a response
+     * @param {Error} error - Error thrown by fetch
+     * @param {Object} context - { table, operation, service }
+     * @returns {SupabaseError}
+     */
+    static fromNetworkError(error, context = {}) {
+        const wrapped = new SupabaseError(`Supabase Error: ${error.message || 'Network request failed'}`, {
+            ...context,
+            code: error.name === 'AbortError' ? 'ABORTED' : error.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK_ERROR'
+        });
+        wrapped.cause = error;
+        return wrapped;
+    }
+
+    /**
+     * Read an error body as JSON, falling back to { message: text } for HTML or plain text
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object>}
+     */
+    static async readBody(response) {
+        try {
+            if (typeof response.text === 'function') {
+                const text = await response.text();
+                if (!text) {
+                    return {};
+                }
+                try {
+                    const parsed = JSON.parse(text);
+                    return parsed && typeof parsed === 'object' ? parsed : { message: String(parsed) };
+                } catch (e) {
+                    return { message: text.trim().slice(0, 200) };
+                }
+            }
+            return (await response.json()) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Name of the violated constraint, when Postgres reported one
+     * @returns {string|null}
+     */
+    get constraint() {
+        const match = /constraint "([^"]+)"/.exec(this.message);
+        return match ? match[1] : null;
+    }
+
+    /** @returns {boolean} - True for Postgres unique_violation (23505) */
+    isUniqueViolation() {
+        return this.code === '23505';
+    }
+
+    /** @returns {boolean} - True when row-level security or grants rejected the request */
+    isPermissionDenied() {
+        return this.code === '42501' || this.status === 403;
+    }
+
+    /** @returns {boolean} - True when the token is missing, invalid or expired */
+    isAuthError() {
+        return this.status === 401 || this.code === 'PGRST301';
+    }
+
+    /** @returns {boolean} - True when the request never reached the server */
+    isNetworkError() {
+        return this.code === 'NETWORK_ERROR' || this.code === 'TIMEOUT';
+    }
+
+    /** @returns {boolean} - True when the request took longer than its timeout */
+    isTimeout() {
+        return this.code === 'TIMEOUT';
+    }
+
+    /** @returns {boolean} - True when the caller cancelled the request */
+    isAborted() {
+        return this.code === 'ABORTED';
     }
 }
 
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SupabaseClient;
+    module.exports.SupabaseQueryBuilder = SupabaseQueryBuilder;
+    module.exports.SupabaseError = SupabaseError;
+    module.exports.SupabaseRealtimeClient = SupabaseRealtimeClient;
+    module.exports.SupabaseRealtimeChannel = SupabaseRealtimeChannel;
 }
 
@@ -0,0 +1,158 @@
+-- Move accounts from the legacy `users` table (cleartext passwords) to Supabase Auth.
+--
+-- * auth.users holds credentials; `profiles` holds nickname, role and business_name
+--   and is created by a trigger from the metadata passed to signUp.
+-- * Nickname login goes through account-proxy.js, which rate-limits attempts, maps the
+--   nickname to the account email with login_email() (service role only, so emails never
+--   reach the browser) and signs in with Supabase Auth's password grant.
+-- * Legacy accounts migrate lazily through the same proxy route: it checks the old
+--   password with claim_legacy_account() (service role only), signs the user up with
+--   the same email/password and only answers once the signup trigger has bound the
+--   legacy row to the new auth user and cleared the old password. The legacy table is
+--   no longer readable over the REST API.
+
+-- Profiles -------------------------------------------------------------------------
+
+create table if not exists public.profiles (
+    id uuid primary key references auth.users (id) on delete cascade,
+    nickname text not null,
+    role text not null default 'user' check (role in ('user', 'business')),
+    business_name text,
+    created_at timestamptz not null default now(),
+    constraint profiles_nickname_key unique (nickname),
+    constraint profiles_business_name_check check (role <> 'business' or business_name is not null)
+);
+
+alter table public.profiles enable row level security;
+
+create policy "Profiles are readable by everyone"
+    on public.profiles for select
+    using (true);
+
+create policy "Users can update their own profile"
+    on public.profiles for update
+    using (auth.uid() = id)
+    with check (auth.uid() = id);
+
+-- Only the nickname is editable by the owner; role and business_name are set at signup
+revoke update on public.profiles from anon, authenticated;
+grant update (nickname) on public.profiles to authenticated;
+
+-- Legacy users table ---------------------------------------------------------------
+
+alter table public.users add column if not exists migrated_to uuid references auth.users (id);
+
+alter table public.users enable row level security;
+revoke all on public.users from anon, authenticated;
+
+-- Signup trigger -------------------------------------------------------------------
+
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_nickname text := nullif(trim(new.raw_user_meta_data ->> 'nickname'), '');
+    v_role text := coalesce(new.raw_user_meta_data ->> 'role', 'user');
+begin
+    if v_nickname is null then
+        v_nickname := split_part(new.email, '@', 1) || '_' || substr(new.id::text, 1, 6);
+    end if;
+
+    -- Nicknames of accounts that have not migrated yet stay reserved for their owner
+    if exists (
+        select 1 from public.users u
+        where lower(u.nickname) = lower(v_nickname)
+          and u.migrated_to is null
+          and lower(u.email) <> lower(new.email)
+    ) then
+        raise exception 'duplicate key value violates unique constraint "profiles_nickname_key"'
+            using errcode = '23505';
+    end if;
+
+    insert into public.profiles (id, nickname, role, business_name)
+    values (
+        new.id,
+        v_nickname,
+        case when v_role = 'business' then 'business' else 'user' end,
+        case when v_role = 'business' then new.raw_user_meta_data ->> 'business_name' end
+    );
+
+    -- Finish a legacy migration: drop the cleartext password
+    update public.users
+    set migrated_to = new.id, password = null
+    where lower(email) = lower(new.email)
+      and lower(nickname) = lower(v_nickname)
+      and migrated_to is null;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+    after insert on auth.users
+    for each row execute function public.handle_new_user();
+
+-- RPCs -----------------------------------------------------------------------------
+
+-- True when nobody (migrated or not) uses the nickname
+create or replace function public.nickname_available(p_nickname text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select not exists (select 1 from public.profiles where lower(nickname) = lower(trim(p_nickname)))
+       and not exists (
+           select 1 from public.users
+           where lower(nickname) = lower(trim(p_nickname)) and migrated_to is null
+       );
+$$;
+
+-- Email to sign in with for a nickname (null when no migrated account has it). Called
+-- by account-proxy.js with the service role; never exposed to the browser.
+create or replace function public.login_email(p_nickname text)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select u.email
+    from public.profiles p
+    join auth.users u on u.id = p.id
+    where lower(p.nickname) = lower(trim(p_nickname));
+$$;
+
+-- Legacy account for a nickname, only when its old password matches. Called by
+-- account-proxy.js with the service role; never exposed to the browser.
+create or replace function public.claim_legacy_account(p_nickname text, p_password text)
+returns json
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select json_build_object('id', id, 'email', email, 'nickname', nickname, 'role', role, 'business_name', business_name)
+    from public.users
+    where lower(nickname) = lower(trim(p_nickname))
+      and password = p_password
+      and migrated_to is null
+    limit 1;
+$$;
+
+revoke all on function public.nickname_available(text) from public;
+revoke all on function public.login_email(text) from public, anon, authenticated;
+revoke all on function public.claim_legacy_account(text, text) from public, anon, authenticated;
+grant execute on function public.nickname_available(text) to anon, authenticated;
+grant execute on function public.login_email(text) to service_role;
+grant execute on function public.claim_legacy_account(text, text) to service_role;
+
+-- Comments -------------------------------------------------------------------------
+
+-- New comments are linked to the auth user; user_id keeps pointing at legacy users rows
+alter table public.comments add column if not exists author_id uuid default auth.uid() references auth.users (id);
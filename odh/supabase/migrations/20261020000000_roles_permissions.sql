@@ -0,0 +1,301 @@
+-- Roles and permissions: user, business (shop owner) and admin.
+--
+-- * Signing up as a business only files an application (business_status = 'pending');
+--   an admin approves or rejects it with set_business_status(). Only approved
+--   businesses get business capabilities. Nobody can make themselves an admin.
+-- * Users can no longer write role, business_name or business_status on their
+--   profile; only the security definer RPCs below change them.
+-- * Comments: the author name and role shown on a comment come from the profile, not
+--   from the client. Approved businesses can post official replies; admins can hide or
+--   delete any comment.
+-- * venue_promotions: approved businesses promote their venue; admins moderate. Only
+--   admins can hide or unhide a promotion, and owners can't edit a hidden one.
+--
+-- Admins are appointed in SQL: update public.profiles set role = 'admin' where nickname = '...';
+
+-- Profiles -------------------------------------------------------------------------
+
+alter table public.profiles drop constraint if exists profiles_role_check;
+alter table public.profiles add constraint profiles_role_check check (role in ('user', 'business', 'admin'));
+
+alter table public.profiles add column if not exists business_status text not null default 'none';
+alter table public.profiles drop constraint if exists profiles_business_status_check;
+alter table public.profiles add constraint profiles_business_status_check
+    check (business_status in ('none', 'pending', 'approved', 'rejected'));
+
+-- Business accounts created before this migration were self-declared: make them apply
+update public.profiles set business_status = 'pending' where role = 'business' and business_status = 'none';
+
+-- Only the nickname is editable by the owner; a new business name goes through
+-- request_business_verification() so it is reviewed again
+revoke update on public.profiles from anon, authenticated;
+grant update (nickname) on public.profiles to authenticated;
+
+-- Role helpers (security definer so policies can use them without recursing into RLS)
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from public.profiles where id = auth.uid() and role = 'admin');
+$$;
+
+create or replace function public.is_verified_business()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from public.profiles
+        where id = auth.uid() and role = 'business' and business_status = 'approved'
+    );
+$$;
+
+-- Signup trigger: business signups start as pending applications
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_nickname text := nullif(trim(new.raw_user_meta_data ->> 'nickname'), '');
+    v_role text := coalesce(new.raw_user_meta_data ->> 'role', 'user');
+begin
+    if v_nickname is null then
+        v_nickname := split_part(new.email, '@', 1) || '_' || substr(new.id::text, 1, 6);
+    end if;
+
+    -- Nicknames of accounts that have not migrated yet stay reserved for their owner
+    if exists (
+        select 1 from public.users u
+        where lower(u.nickname) = lower(v_nickname)
+          and u.migrated_to is null
+          and lower(u.email) <> lower(new.email)
+    ) then
+        raise exception 'duplicate key value violates unique constraint "profiles_nickname_key"'
+            using errcode = '23505';
+    end if;
+
+    insert into public.profiles (id, nickname, role, business_name, business_status)
+    values (
+        new.id,
+        v_nickname,
+        case when v_role = 'business' then 'business' else 'user' end,
+        case when v_role = 'business' then new.raw_user_meta_data ->> 'business_name' end,
+        case when v_role = 'business' then 'pending' else 'none' end
+    );
+
+    -- Finish a legacy migration: drop the cleartext password
+    update public.users
+    set migrated_to = new.id, password = null
+    where lower(email) = lower(new.email)
+      and lower(nickname) = lower(v_nickname)
+      and migrated_to is null;
+
+    return new;
+end;
+$$;
+
+-- Apply for a business account (also used to re-apply after a rejection)
+create or replace function public.request_business_verification(p_business_name text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if nullif(trim(p_business_name), '') is null then
+        raise exception 'A business name is required' using errcode = '23514';
+    end if;
+
+    update public.profiles
+    set role = 'business', business_name = trim(p_business_name), business_status = 'pending'
+    where id = auth.uid() and role <> 'admin' and business_status <> 'approved';
+
+    if not found then
+        raise exception 'This account cannot apply for a business account' using errcode = '42501';
+    end if;
+end;
+$$;
+
+-- Approve or reject a business application (admins only)
+create or replace function public.set_business_status(p_user_id uuid, p_status text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.is_admin() then
+        raise exception 'Only admins can review business accounts' using errcode = '42501';
+    end if;
+    if p_status not in ('approved', 'rejected') then
+        raise exception 'Unknown business status "%"', p_status using errcode = '22023';
+    end if;
+
+    update public.profiles
+    set business_status = p_status
+    where id = p_user_id and role = 'business';
+end;
+$$;
+
+revoke all on function public.is_admin() from public;
+revoke all on function public.is_verified_business() from public;
+revoke all on function public.request_business_verification(text) from public;
+revoke all on function public.set_business_status(uuid, text) from public;
+grant execute on function public.is_admin() to anon, authenticated;
+grant execute on function public.is_verified_business() to anon, authenticated;
+grant execute on function public.request_business_verification(text) to authenticated;
+grant execute on function public.set_business_status(uuid, text) to authenticated;
+
+-- Comments -------------------------------------------------------------------------
+
+alter table public.comments add column if not exists is_official boolean not null default false;
+alter table public.comments add column if not exists hidden boolean not null default false;
+
+-- Replies point at a comment; match whatever type comments.id has
+do $$
+begin
+    if not exists (
+        select 1 from information_schema.columns
+        where table_schema = 'public' and table_name = 'comments' and column_name = 'parent_id'
+    ) then
+        execute format(
+            'alter table public.comments add column parent_id %s references public.comments (id) on delete cascade',
+            (select format_type(atttypid, atttypmod) from pg_attribute
+             where attrelid = 'public.comments'::regclass and attname = 'id')
+        );
+    end if;
+end;
+$$;
+
+-- Author name and role come from the profile, so badges can't be forged
+create or replace function public.set_comment_author()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_profile public.profiles;
+begin
+    select * into v_profile from public.profiles where id = auth.uid();
+    if not found then
+        raise exception 'Only signed-in users can post comments' using errcode = '42501';
+    end if;
+
+    new.author_id := v_profile.id;
+    new.user_nickname := v_profile.nickname;
+    new.user_role := case
+        when v_profile.role = 'business' and v_profile.business_status = 'approved' then 'business'
+        when v_profile.role = 'admin' then 'admin'
+        else 'user'
+    end;
+    return new;
+end;
+$$;
+
+drop trigger if exists set_comment_author on public.comments;
+create trigger set_comment_author
+    before insert on public.comments
+    for each row execute function public.set_comment_author();
+
+alter table public.comments enable row level security;
+
+drop policy if exists "Comments are readable by everyone" on public.comments;
+create policy "Comments are readable by everyone"
+    on public.comments for select
+    using (not hidden or author_id = auth.uid() or public.is_admin());
+
+drop policy if exists "Signed-in users can post comments" on public.comments;
+create policy "Signed-in users can post comments"
+    on public.comments for insert
+    to authenticated
+    with check (
+        author_id = auth.uid()
+        and not hidden
+        and (not is_official or (parent_id is not null and public.is_verified_business()))
+    );
+
+drop policy if exists "Admins can moderate comments" on public.comments;
+create policy "Admins can moderate comments"
+    on public.comments for update
+    to authenticated
+    using (public.is_admin())
+    with check (public.is_admin());
+
+drop policy if exists "Authors and admins can delete comments" on public.comments;
+create policy "Authors and admins can delete comments"
+    on public.comments for delete
+    to authenticated
+    using (author_id = auth.uid() or public.is_admin());
+
+-- Venue promotions -----------------------------------------------------------------
+
+create table if not exists public.venue_promotions (
+    id bigint generated always as identity primary key,
+    business_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+    venue_name text not null,
+    description text,
+    url text,
+    tour_type text check (tour_type in ('panda', 'eco', 'sports', 'concert')),
+    hidden boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists venue_promotions_business_id_idx on public.venue_promotions (business_id);
+
+alter table public.venue_promotions enable row level security;
+
+create policy "Promotions are readable by everyone"
+    on public.venue_promotions for select
+    using (not hidden or business_id = auth.uid() or public.is_admin());
+
+create policy "Approved businesses can promote their venue"
+    on public.venue_promotions for insert
+    to authenticated
+    with check (business_id = auth.uid() and not hidden and public.is_verified_business());
+
+create policy "Approved businesses can edit their promotions"
+    on public.venue_promotions for update
+    to authenticated
+    using (business_id = auth.uid() and not hidden and public.is_verified_business())
+    with check (business_id = auth.uid() and not hidden);
+
+create policy "Admins can moderate promotions"
+    on public.venue_promotions for update
+    to authenticated
+    using (public.is_admin())
+    with check (public.is_admin());
+
+create policy "Owners and admins can delete promotions"
+    on public.venue_promotions for delete
+    to authenticated
+    using (business_id = auth.uid() or public.is_admin());
+
+-- hidden is the admins' moderation flag; other users' updates keep it as it was
+-- (updates without a user, from SQL or the service role, may still change it)
+create or replace function public.keep_promotion_hidden()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is not null and not public.is_admin() then
+        new.hidden := old.hidden;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists keep_promotion_hidden on public.venue_promotions;
+create trigger keep_promotion_hidden
+    before update on public.venue_promotions
+    for each row execute function public.keep_promotion_hidden();
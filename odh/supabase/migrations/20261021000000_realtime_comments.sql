@@ -0,0 +1,58 @@
+-- Stream comment changes to the live feed on comments.html.
+--
+-- Realtime checks the comments select policy for every subscriber against the new row,
+-- so hidden comments only reach their author and admins. That also means an admin
+-- hiding a comment sends nobody else the UPDATE; comment_moderation records the id of
+-- every comment whose hidden flag changed, and the feed fetches that comment again to
+-- drop (or show) its card. DELETE events carry only the primary key, which is all the
+-- feed needs to remove a card.
+
+create table if not exists public.comment_moderation (
+    id bigint generated always as identity primary key,
+    comment_id text not null,
+    created_at timestamptz not null default now()
+);
+
+alter table public.comment_moderation enable row level security;
+
+create policy "Moderation events are readable by everyone"
+    on public.comment_moderation for select
+    using (true);
+
+-- Only the comment id is recorded; rows older than a day are pruned along the way
+create or replace function public.record_comment_moderation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.hidden is distinct from old.hidden then
+        delete from public.comment_moderation where created_at < now() - interval '1 day';
+        insert into public.comment_moderation (comment_id) values (new.id::text);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists record_comment_moderation on public.comments;
+create trigger record_comment_moderation
+    after update of hidden on public.comments
+    for each row execute function public.record_comment_moderation();
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'comments'
+    ) then
+        alter publication supabase_realtime add table public.comments;
+    end if;
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'comment_moderation'
+    ) then
+        alter publication supabase_realtime add table public.comment_moderation;
+    end if;
+end;
+$$;
@@ -0,0 +1,87 @@
+-- Data the trip planner's tools look up (trip-tools.js): events, weather forecasts and hotels.
+--
+-- Everyone can read them, since the planner runs for visitors too; only admins edit them.
+-- weather_forecasts is meant to be refreshed by a scheduled job from the Observatory's
+-- 9-day forecast (service role, bypasses RLS). Rows in data/trip-data.json use the same
+-- columns, so the fixture can be imported for a local project.
+
+create table if not exists public.tour_events (
+    id bigint generated always as identity primary key,
+    title text not null,
+    category text not null check (category in (
+        'sightseeing', 'food', 'shopping', 'nature', 'culture', 'sports', 'concert', 'wildlife', 'nightlife', 'hotel', 'other'
+    )),
+    tour_type text check (tour_type in ('panda', 'eco', 'sports', 'concert')),
+    venue text not null,
+    district text,
+    event_date date not null,
+    start_time time,
+    end_time time,
+    price_hkd numeric(10, 2) check (price_hkd >= 0),
+    url text,
+    description text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists tour_events_event_date_idx on public.tour_events (event_date, category);
+
+create table if not exists public.weather_forecasts (
+    forecast_date date primary key,
+    summary text not null,
+    min_temp_c numeric(4, 1),
+    max_temp_c numeric(4, 1),
+    rain_chance integer check (rain_chance between 0 and 100),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists public.hotels (
+    id bigint generated always as identity primary key,
+    name text not null,
+    district text not null,
+    price_per_night_hkd numeric(10, 2) not null check (price_per_night_hkd >= 0),
+    rating numeric(2, 1) check (rating between 0 and 5),
+    address text,
+    url text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists hotels_price_idx on public.hotels (price_per_night_hkd);
+
+-- Row level security ----------------------------------------------------------------
+
+alter table public.tour_events enable row level security;
+alter table public.weather_forecasts enable row level security;
+alter table public.hotels enable row level security;
+
+create policy "Tour events are readable by everyone"
+    on public.tour_events for select
+    using (true);
+
+create policy "Admins manage tour events"
+    on public.tour_events for all
+    to authenticated
+    using (public.is_admin())
+    with check (public.is_admin());
+
+create policy "Weather forecasts are readable by everyone"
+    on public.weather_forecasts for select
+    using (true);
+
+create policy "Admins manage weather forecasts"
+    on public.weather_forecasts for all
+    to authenticated
+    using (public.is_admin())
+    with check (public.is_admin());
+
+create policy "Hotels are readable by everyone"
+    on public.hotels for select
+    using (true);
+
+create policy "Admins manage hotels"
+    on public.hotels for all
+    to authenticated
+    using (public.is_admin())
+    with check (public.is_admin());
+
+grant select on public.tour_events, public.weather_forecasts, public.hotels to anon, authenticated;
+grant insert, update, delete on public.tour_events, public.weather_forecasts, public.hotels to authenticated;
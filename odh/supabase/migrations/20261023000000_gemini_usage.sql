@@ -0,0 +1,56 @@
+-- Tokens and estimated cost of every Gemini call the trip planner makes (gemini-usage.js).
+--
+-- The Gemini proxy (gemini-proxy.js) inserts one row per answer with the service role, from
+-- the usageMetadata Gemini returned, so users can't skip or change their rows. plan_id ties
+-- the calls of one trip together (research, plan, continuations, refinements). cost_usd is
+-- the proxy's estimate from its price list, kept with the row so later price changes don't
+-- rewrite history. Users read their own rows, admins read everyone's; nobody edits them.
+
+create table if not exists public.gemini_usage (
+    id bigint generated always as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    plan_id text,
+    operation text,
+    model text not null,
+    method text not null,
+    prompt_tokens integer not null default 0 check (prompt_tokens >= 0),
+    output_tokens integer not null default 0 check (output_tokens >= 0),
+    thoughts_tokens integer not null default 0 check (thoughts_tokens >= 0),
+    cached_tokens integer not null default 0 check (cached_tokens >= 0),
+    total_tokens integer not null default 0 check (total_tokens >= 0),
+    finish_reason text,
+    cost_usd numeric(12, 6),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists gemini_usage_user_idx on public.gemini_usage (user_id, created_at desc);
+create index if not exists gemini_usage_plan_idx on public.gemini_usage (plan_id);
+
+-- Spend per trip; security_invoker keeps the table's policies in force
+create or replace view public.gemini_usage_by_plan
+with (security_invoker = true) as
+select
+    user_id,
+    plan_id,
+    count(*) as calls,
+    sum(prompt_tokens) as prompt_tokens,
+    sum(output_tokens + thoughts_tokens) as output_tokens,
+    sum(total_tokens) as total_tokens,
+    sum(cost_usd) as cost_usd,
+    min(created_at) as started_at,
+    max(created_at) as last_call_at
+from public.gemini_usage
+group by user_id, plan_id;
+
+-- Row level security ----------------------------------------------------------------
+
+alter table public.gemini_usage enable row level security;
+
+create policy "Users read their own Gemini usage, admins read all"
+    on public.gemini_usage for select
+    to authenticated
+    using (user_id = auth.uid() or public.is_admin());
+
+grant select on public.gemini_usage to authenticated;
+grant select on public.gemini_usage_by_plan to authenticated;
+grant insert on public.gemini_usage to service_role;
@@ -0,0 +1,58 @@
+-- Shared cache of Gemini answers, kept by the Gemini proxy (gemini-proxy.js).
+--
+-- Rows are keyed by a SHA-256 of the model, method and request body the proxy sent to
+-- Gemini, and hold the answer exactly as Gemini returned it, so identical trip plan
+-- requests from anyone are answered without calling Gemini again. Only the proxy reads
+-- and writes the table, through the two functions below with the service role; pages
+-- can't reach it, so nobody can plant an answer for someone else's request. A key that
+-- is already cached keeps its first answer until it expires, and created_by records
+-- whose request it answered.
+
+create table if not exists public.plan_cache (
+    key text primary key check (key ~ '^[0-9a-f]{64}$'),
+    value jsonb not null,
+    expires_at timestamptz not null,
+    created_by uuid references auth.users (id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists plan_cache_expires_at_idx on public.plan_cache (expires_at);
+
+alter table public.plan_cache enable row level security;
+
+create or replace function public.get_plan_cache(p_key text)
+returns table (value jsonb, expires_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select c.value, c.expires_at
+    from public.plan_cache c
+    where c.key = p_key and c.expires_at > now();
+$$;
+
+-- Store an answer for at most a day; expired rows are pruned along the way
+create or replace function public.put_plan_cache(p_key text, p_value jsonb, p_expires_at timestamptz, p_created_by uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if octet_length(p_value::text) > 200000 then
+        raise exception 'Cached answers are limited to 200 kB' using errcode = '22023';
+    end if;
+
+    delete from public.plan_cache where expires_at <= now();
+
+    insert into public.plan_cache (key, value, expires_at, created_by)
+    values (p_key, p_value, least(p_expires_at, now() + interval '1 day'), p_created_by)
+    on conflict (key) do nothing;
+end;
+$$;
+
+revoke all on function public.get_plan_cache(text) from public, anon, authenticated;
+revoke all on function public.put_plan_cache(text, jsonb, timestamptz, uuid) from public, anon, authenticated;
+grant execute on function public.get_plan_cache(text) to service_role;
+grant execute on function public.put_plan_cache(text, jsonb, timestamptz, uuid) to service_role;
@@ -0,0 +1,71 @@
+-- Saved trips ("My Trips" on trip-planner.html, trips.js).
+--
+-- A trip is the planner form plus the itinerary Gemini generated for it. Only the owner
+-- can see or change their trips. plan_id matches gemini_usage.plan_id, so the cost of a
+-- saved trip can be looked up in gemini_usage_by_plan.
+
+create table if not exists public.trips (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    title text not null check (char_length(title) between 1 and 120),
+    arrive_date date not null,
+    departure_date date not null,
+    num_people integer not null check (num_people between 1 and 100),
+    tour_types text[] not null default '{}',
+    preferences text not null default '' check (char_length(preferences) <= 2000),
+    itinerary jsonb,
+    plan_id text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (departure_date >= arrive_date)
+);
+
+create index if not exists trips_user_updated_idx on public.trips (user_id, updated_at desc);
+
+create or replace function public.set_trip_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.updated_at := now();
+    -- A trip can't be handed to someone else
+    new.user_id := old.user_id;
+    return new;
+end;
+$$;
+
+drop trigger if exists set_trip_updated_at on public.trips;
+create trigger set_trip_updated_at
+    before update on public.trips
+    for each row execute function public.set_trip_updated_at();
+
+-- Row level security ----------------------------------------------------------------
+
+alter table public.trips enable row level security;
+
+drop policy if exists "Users read their own trips" on public.trips;
+create policy "Users read their own trips"
+    on public.trips for select
+    to authenticated
+    using (user_id = auth.uid());
+
+drop policy if exists "Users save their own trips" on public.trips;
+create policy "Users save their own trips"
+    on public.trips for insert
+    to authenticated
+    with check (user_id = auth.uid());
+
+drop policy if exists "Users change their own trips" on public.trips;
+create policy "Users change their own trips"
+    on public.trips for update
+    to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+drop policy if exists "Users delete their own trips" on public.trips;
+create policy "Users delete their own trips"
+    on public.trips for delete
+    to authenticated
+    using (user_id = auth.uid());
+
+grant select, insert, update, delete on public.trips to authenticated;
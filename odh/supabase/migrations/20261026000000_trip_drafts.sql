@@ -0,0 +1,38 @@
+-- The trip planner form in progress, per user (trip-drafts.js).
+--
+-- One row per user holding the form and the last generated plan as JSON, so a draft started
+-- on one device carries on on another after login. Only the owner can see or change it.
+
+create table if not exists public.trip_drafts (
+    user_id uuid primary key default auth.uid() references auth.users (id) on delete cascade,
+    draft jsonb not null check (octet_length(draft::text) <= 200000),
+    updated_at timestamptz not null default now()
+);
+
+create or replace function public.set_trip_draft_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.updated_at := now();
+    return new;
+end;
+$$;
+
+drop trigger if exists set_trip_draft_updated_at on public.trip_drafts;
+create trigger set_trip_draft_updated_at
+    before update on public.trip_drafts
+    for each row execute function public.set_trip_draft_updated_at();
+
+-- Row level security ----------------------------------------------------------------
+
+alter table public.trip_drafts enable row level security;
+
+drop policy if exists "Users manage their own trip draft" on public.trip_drafts;
+create policy "Users manage their own trip draft"
+    on public.trip_drafts for all
+    to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+grant select, insert, update, delete on public.trip_drafts to authenticated;
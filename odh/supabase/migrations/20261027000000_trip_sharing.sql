@@ -0,0 +1,206 @@
+-- Sharing saved trips (trips.js, trip-share-ui.js).
+--
+-- * Read-only links: the owner gives a trip a random share_token; anyone with the link
+--   (trip-planner.html?share=<token>) can view it through get_shared_trip(), without logging
+--   in. The trip's preferences stay private; the owner is shown by nickname only, which
+--   profiles makes public anyway. Clearing the token revokes the link.
+-- * Collaborators: the owner invites registered users by nickname as editors in
+--   trip_members. Editors can see and change the plan and comment on it; only the owner can
+--   rename, delete or share the trip, or change who is on it. Members can leave.
+-- * trip_comments: comments by the owner and editors on the whole trip, a day, or one event.
+--   Events are addressed by day date and position, and the comment keeps the event's title
+--   and start time, so it still finds the event after a refine moves it, and shows as
+--   detached once the event is gone.
+
+alter table public.trips add column if not exists share_token text unique
+    check (share_token ~ '^[A-Za-z0-9_-]{22,64}$');
+
+create table if not exists public.trip_members (
+    trip_id uuid not null references public.trips (id) on delete cascade,
+    user_id uuid not null references public.profiles (id) on delete cascade,
+    role text not null default 'editor' check (role in ('editor')),
+    invited_by uuid default auth.uid() references auth.users (id) on delete set null,
+    created_at timestamptz not null default now(),
+    primary key (trip_id, user_id)
+);
+
+create index if not exists trip_members_user_idx on public.trip_members (user_id);
+
+create table if not exists public.trip_comments (
+    id bigint generated always as identity primary key,
+    trip_id uuid not null references public.trips (id) on delete cascade,
+    author_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+    day_date date,
+    event_index integer check (event_index >= 0),
+    event_title text check (char_length(event_title) <= 200),
+    event_start text check (char_length(event_start) <= 20),
+    content text not null check (char_length(content) between 1 and 1000),
+    created_at timestamptz not null default now(),
+    check (event_index is null or day_date is not null),
+    check (event_title is null or event_index is not null)
+);
+
+create index if not exists trip_comments_trip_idx on public.trip_comments (trip_id, created_at);
+
+-- Access helpers (security definer so the trips and trip_members policies can use each
+-- other without recursing into RLS)
+
+create or replace function public.is_trip_owner(p_trip_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from public.trips where id = p_trip_id and user_id = auth.uid());
+$$;
+
+create or replace function public.can_edit_trip(p_trip_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select public.is_trip_owner(p_trip_id)
+        or exists (select 1 from public.trip_members where trip_id = p_trip_id and user_id = auth.uid());
+$$;
+
+-- Trips: editors read and change the plan; the rest stays with the owner ------------------
+
+drop policy if exists "Users read their own trips" on public.trips;
+drop policy if exists "Owners and members read trips" on public.trips;
+create policy "Owners and members read trips"
+    on public.trips for select
+    to authenticated
+    using (user_id = auth.uid() or public.can_edit_trip(id));
+
+drop policy if exists "Users change their own trips" on public.trips;
+drop policy if exists "Owners and editors change trips" on public.trips;
+create policy "Owners and editors change trips"
+    on public.trips for update
+    to authenticated
+    using (user_id = auth.uid() or public.can_edit_trip(id))
+    with check (user_id = auth.uid() or public.can_edit_trip(id));
+
+-- Editors change the plan only: the name and the share link stay the owner's
+create or replace function public.set_trip_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.updated_at := now();
+    -- A trip can't be handed to someone else
+    new.user_id := old.user_id;
+    if old.user_id is distinct from auth.uid() then
+        new.title := old.title;
+        new.share_token := old.share_token;
+    end if;
+    return new;
+end;
+$$;
+
+-- Read-only view of a shared trip, for anyone with the link
+create or replace function public.get_shared_trip(p_token text)
+returns table (
+    id uuid,
+    title text,
+    arrive_date date,
+    departure_date date,
+    num_people integer,
+    tour_types text[],
+    itinerary jsonb,
+    owner_nickname text,
+    updated_at timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select t.id, t.title, t.arrive_date, t.departure_date, t.num_people, t.tour_types, t.itinerary,
+           p.nickname, t.updated_at
+    from public.trips t
+    left join public.profiles p on p.id = t.user_id
+    where p_token is not null and t.share_token = p_token;
+$$;
+
+-- Invite a registered user as an editor (owners only); returns the new member. Only
+-- nicknames are looked up, so nobody can use it to find out which emails have accounts.
+create or replace function public.invite_trip_member(p_trip_id uuid, p_nickname text)
+returns table (user_id uuid, nickname text, role text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid;
+begin
+    if not public.is_trip_owner(p_trip_id) then
+        raise exception 'Only the trip owner can invite people' using errcode = '42501';
+    end if;
+
+    select p.id into v_user_id
+    from public.profiles p
+    where lower(p.nickname) = lower(trim(p_nickname));
+
+    if v_user_id is null then
+        raise exception 'Nobody has the nickname "%"', trim(p_nickname) using errcode = 'P0002';
+    end if;
+    if v_user_id = auth.uid() then
+        raise exception 'You already own this trip' using errcode = '22023';
+    end if;
+
+    insert into public.trip_members (trip_id, user_id, role)
+    values (p_trip_id, v_user_id, 'editor')
+    on conflict on constraint trip_members_pkey do nothing;
+
+    return query
+        select p.id, p.nickname, 'editor'::text
+        from public.profiles p
+        where p.id = v_user_id;
+end;
+$$;
+
+revoke all on function public.is_trip_owner(uuid) from public;
+revoke all on function public.can_edit_trip(uuid) from public;
+revoke all on function public.get_shared_trip(text) from public;
+revoke all on function public.invite_trip_member(uuid, text) from public;
+grant execute on function public.is_trip_owner(uuid) to authenticated;
+grant execute on function public.can_edit_trip(uuid) to authenticated;
+grant execute on function public.get_shared_trip(text) to anon, authenticated;
+grant execute on function public.invite_trip_member(uuid, text) to authenticated;
+
+-- Row level security ----------------------------------------------------------------
+
+alter table public.trip_members enable row level security;
+alter table public.trip_comments enable row level security;
+
+create policy "Owners and members see who is on a trip"
+    on public.trip_members for select
+    to authenticated
+    using (public.can_edit_trip(trip_id));
+
+-- Invitations go through invite_trip_member(); owners remove people, members can leave
+create policy "Owners remove members, members leave"
+    on public.trip_members for delete
+    to authenticated
+    using (public.is_trip_owner(trip_id) or user_id = auth.uid());
+
+create policy "Owners and members read trip comments"
+    on public.trip_comments for select
+    to authenticated
+    using (public.can_edit_trip(trip_id));
+
+create policy "Owners and members comment on trips"
+    on public.trip_comments for insert
+    to authenticated
+    with check (author_id = auth.uid() and public.can_edit_trip(trip_id));
+
+create policy "Authors and owners delete trip comments"
+    on public.trip_comments for delete
+    to authenticated
+    using (author_id = auth.uid() or public.is_trip_owner(trip_id));
+
+grant select, delete on public.trip_members to authenticated;
+grant select, insert, delete on public.trip_comments to authenticated;
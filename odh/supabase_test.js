@@ -12,11 +12,13 @@
 // Import SupabaseClient if using Node.js
 if (typeof require !== 'undefined') {
     var SupabaseClient = require('./supabase.js');
+    var SupabaseError = SupabaseClient.SupabaseError;
 }
 
 // Simple test runner for standalone execution
 class TestRunner {
-    constructor() {
+    constructor(name = 'SupabaseClient') {
+        this.name = name;
         this.tests = [];
         this.passed = 0;
         this.failed = 0;
@@ -27,7 +29,7 @@ class TestRunner {
     }
 
     async run() {
-        console.log('Running SupabaseClient tests...\n');
+        console.log(`Running ${this.name} tests...\n`);
         
         for (const { name, fn } of this.tests) {
             try {
@@ -73,6 +75,91 @@ function assertThrows(fn, errorMessage) {
     }
 }
 
+// Fixtures shared by the tests of the services built on SupabaseClient
+
+// Session of a signed-in user
+const testSession = { access_token: 'token', user: { id: 'user-kim' } };
+
+/**
+ * Client for the test project that doesn't log errors, store sessions or refresh them
+ * @param {Object|null} session - Session to start with (default: signed out)
+ * @returns {SupabaseClient}
+ */
+function createTestClient(session = null) {
+    const supabase = new SupabaseClient('https://test.supabase.co', 'test-key', {
+        logErrors: false,
+        auth: { persistSession: false, autoRefreshToken: false }
+    });
+    supabase.session = session;
+    return supabase;
+}
+
+/**
+ * Answer every request with the same rows (or error status) and record the requests
+ * @param {*} rows - Response body
+ * @param {number} status - HTTP status
+ * @returns {Array<Object>} - { method, url (decoded), body } of each request, filled in as they are sent
+ */
+function mockRows(rows, status = 200) {
+    const requests = [];
+    global.fetch = async (url, options) => {
+        requests.push({ method: options.method, url: decodeURIComponent(url), body: options.body ? JSON.parse(options.body) : undefined });
+        return {
+            ok: status < 400,
+            status,
+            statusText: status < 400 ? 'OK' : 'Error',
+            json: async () => rows
+        };
+    };
+    return requests;
+}
+
+/**
+ * Wait for a promise that should fail, without the console noise of the failure
+ * @param {Promise} promise - Call under test
+ * @returns {Promise<Error>} - The error it failed with
+ */
+async function expectError(promise) {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    } finally {
+        console.error = originalError;
+    }
+    throw new Error('Expected the call to fail');
+}
+
+/**
+ * In-memory stand-in for localStorage
+ * @param {Object} initial - Items to start with
+ * @param {Object} options - { quota: characters it holds before throwing like a full storage }
+ * @returns {Object} - Storage, with its `items` to look at
+ */
+function createMemoryStorage(initial = {}, { quota = Infinity } = {}) {
+    const items = { ...initial };
+    return {
+        items,
+        get length() {
+            return Object.keys(items).length;
+        },
+        key: i => Object.keys(items)[i] || null,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => {
+            const used = Object.keys(items).reduce((sum, k) => sum + (k === key ? 0 : items[k].length), 0);
+            if (used + String(value).length > quota) {
+                const error = new Error('The quota has been exceeded.');
+                error.name = 'QuotaExceededError';
+                throw error;
+            }
+            items[key] = String(value);
+        },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
 // Mock fetch for testing
 let mockFetch = null;
 let originalFetch = null;
@@ -97,6 +184,17 @@ function restoreFetch() {
     }
 }
 
+// Token response as returned by /auth/v1/token
+function createTokenResponse(accessToken, expiresIn = 3600) {
+    return {
+        access_token: accessToken,
+        refresh_token: `refresh-${accessToken}`,
+        token_type: 'bearer',
+        expires_in: expiresIn,
+        user: { id: 'user-1', email: 'kim@example.com' }
+    };
+}
+
 // Test suite
 const runner = new TestRunner();
 
@@ -170,6 +268,95 @@ runner.test('buildUrl should combine all options correctly', () => {
     assert(url.includes('offset=10'), 'Should include offset');
 });
 
+// Test: buildUrl - comparison operators
+runner.test('buildUrl should support comparison operators on one column', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('trips', 'select', {
+        filters: { arrive_date: { gte: '2024-01-01', lt: '2024-02-01' }, num_people: { neq: 2 } }
+    });
+    assert(url.includes('arrive_date=gte.2024-01-01'), 'Should include gte filter');
+    assert(url.includes('arrive_date=lt.2024-02-01'), 'Should include lt filter');
+    assert(url.includes('num_people=neq.2'), 'Should include neq filter');
+});
+
+// Test: buildUrl - pattern operators
+runner.test('buildUrl should support like and ilike', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('comments', 'select', { filters: { content: { ilike: '*dim sum*' } } });
+    assert(url.includes('content=ilike.*dim%20sum*'), 'Should include ilike filter');
+});
+
+// Test: buildUrl - in with reserved characters
+runner.test('buildUrl should quote in() values containing reserved characters', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('trips', 'select', { filters: { name: { in: ['a,b', 'c(d)', 'plain'] } } });
+    const value = decodeURIComponent(url.split('name=')[1]);
+    assertEqual(value, 'in.("a,b","c(d)",plain)');
+});
+
+// Test: buildUrl - array shorthand
+runner.test('buildUrl should treat array values as in()', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('trips', 'select', { filters: { id: [1, 2, 3] } });
+    assert(url.includes('id=in.(1,2,3)'), 'Should include in filter');
+});
+
+// Test: buildUrl - nulls
+runner.test('buildUrl should use is.null for null values', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('users', 'select', {
+        filters: { business_name: null, deleted_at: { neq: null }, verified: { is: true } }
+    });
+    assert(url.includes('business_name=is.null'), 'Should map plain null to is.null');
+    assert(url.includes('deleted_at=not.is.null'), 'Should map neq null to not.is.null');
+    assert(url.includes('verified=is.true'), 'Should include is filter');
+});
+
+// Test: buildUrl - negation
+runner.test('buildUrl should support not negation', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('trips', 'select', { filters: { status: { not: { in: ['cancelled', 'draft'] } } } });
+    assert(url.includes('status=not.in.(cancelled,draft)'), 'Should include negated in filter');
+});
+
+// Test: buildUrl - contains / overlaps
+runner.test('buildUrl should support contains and overlaps', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('trips', 'select', {
+        filters: { tour_types: { contains: ['panda', 'eco'] }, tags: { overlaps: ['hiking trail'] }, meta: { contains: { lang: 'en' } } }
+    });
+    assert(url.includes('tour_types=cs.%7Bpanda,eco%7D'), 'Should include contains filter');
+    assert(decodeURIComponent(url).includes('tags=ov.{"hiking trail"}'), 'Should quote overlaps items');
+    assert(decodeURIComponent(url).includes('meta=cs.{"lang":"en"}'), 'Should encode JSON containment');
+});
+
+// Test: buildUrl - or / and groups
+runner.test('buildUrl should build or and and groups', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('trips', 'select', {
+        filters: {
+            user_id: 1,
+            or: [{ num_people: { gt: 4 } }, { status: 'vip', notes: { ilike: '*a, b*' } }]
+        }
+    });
+    const decoded = decodeURIComponent(url);
+    assert(url.includes('user_id=eq.1'), 'Should keep plain filters');
+    assert(decoded.includes('or=(num_people.gt.4,and(status.eq.vip,notes.ilike."*a, b*"))'), 'Should build nested group');
+});
+
+// Test: buildUrl - negated group
+runner.test('buildUrl should support negated groups', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.buildUrl('trips', 'select', { filters: { not: { and: { status: 'draft', num_people: { lte: 1 } } } } });
+    assert(decodeURIComponent(url).includes('not.and=(status.eq.draft,num_people.lte.1)'), 'Should build negated and group');
+});
+
+// Test: buildUrl - unknown operator
+runner.test('buildUrl should reject unknown operators', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    assertThrows(() => client.buildUrl('trips', 'select', { filters: { id: { between: [1, 2] } } }), 'Unknown filter operator');
+});
+
 // Test: read - success
 runner.test('read should fetch data successfully', async () => {
     const mockData = [{ id: 1, name: 'Test Trip' }];
@@ -410,6 +597,26 @@ runner.test('update should handle multiple filters', async () => {
     restoreFetch();
 });
 
+// Test: update - operator filters
+runner.test('update should accept operator filters', async () => {
+    let capturedUrl = '';
+    mockFetch = async (url, options) => {
+        capturedUrl = url;
+        return {
+            ok: true,
+            json: async () => []
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    await client.update('trips', { depart_date: { lt: '2024-01-01' }, status: { neq: 'archived' } }, { status: 'archived' });
+    assert(capturedUrl.includes('depart_date=lt.2024-01-01'), 'Should include lt filter');
+    assert(capturedUrl.includes('status=neq.archived'), 'Should include neq filter');
+    
+    restoreFetch();
+});
+
 // Test: updateById - success
 runner.test('updateById should update record by ID', async () => {
     const updateData = { name: 'Updated Trip' };
@@ -472,6 +679,25 @@ runner.test('delete should handle multiple filters', async () => {
     restoreFetch();
 });
 
+// Test: delete - operator filters
+runner.test('delete should accept operator filters', async () => {
+    let capturedUrl = '';
+    mockFetch = async (url, options) => {
+        capturedUrl = url;
+        return {
+            ok: true,
+            json: async () => []
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    await client.delete('comments', { id: { in: [4, 5] } });
+    assert(capturedUrl.includes('id=in.(4,5)'), 'Should include in filter');
+    
+    restoreFetch();
+});
+
 // Test: deleteById - success
 runner.test('deleteById should delete record by ID', async () => {
     let capturedUrl = '';
@@ -491,6 +717,706 @@ runner.test('deleteById should delete record by ID', async () => {
     restoreFetch();
 });
 
+// Test: from - builds the same URL as read/query
+runner.test('from should compile chained calls to a select URL', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.from('comments')
+        .select('id,content')
+        .gte('created_at', '2024-01-01')
+        .neq('user_role', 'business')
+        .order('created_at', { ascending: false })
+        .range(20, 39)
+        .toUrl();
+    assert(url.startsWith('https://test.supabase.co/rest/v1/comments?'), 'Should target the table');
+    assert(url.includes('created_at=gte.2024-01-01'), 'Should include gte filter');
+    assert(url.includes('user_role=neq.business'), 'Should include neq filter');
+    assert(url.includes('select=id,content'), 'Should include select');
+    assert(url.includes('order=created_at.desc'), 'Should include order');
+    assert(url.includes('offset=20'), 'Should include offset');
+    assert(url.includes('limit=20'), 'Should include limit');
+});
+
+// Test: from - multiple orders and groups
+runner.test('from should combine multiple orders and or groups', () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const url = client.from('trips')
+        .or([{ status: 'draft' }, { num_people: { gt: 4 } }])
+        .not('status', 'in', ['cancelled'])
+        .order('arrive_date')
+        .order('id', { ascending: false, nullsFirst: false })
+        .toUrl();
+    assert(decodeURIComponent(url).includes('or=(status.eq.draft,num_people.gt.4)'), 'Should include or group');
+    assert(url.includes('status=not.in.(cancelled)'), 'Should include negated filter');
+    assert(url.includes('order=arrive_date.asc,id.desc.nullslast'), 'Should include both orders');
+});
+
+// Test: from - awaitable
+runner.test('from should resolve to rows when awaited', async () => {
+    const mockData = [{ id: 1, content: 'Hi' }];
+    let capturedOptions = null;
+    mockFetch = async (url, options) => {
+        capturedOptions = options;
+        return {
+            ok: true,
+            json: async () => mockData
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const result = await client.from('comments').select('id,content');
+    assert(capturedOptions.method === 'GET', 'Should use GET method');
+    assertEqual(result, mockData, 'Should return rows');
+    
+    restoreFetch();
+});
+
+// Test: from - single / maybeSingle
+runner.test('single and maybeSingle should check the row count', async () => {
+    let rows = [];
+    mockFetch = async () => {
+        return {
+            ok: true,
+            json: async () => rows
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    assert(await client.from('trips').eq('id', 1).maybeSingle() === null, 'maybeSingle should return null for no rows');
+    try {
+        await client.from('trips').eq('id', 1).single();
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.message.includes('expected a single row'), 'single should reject no rows');
+    }
+
+    rows = [{ id: 1 }];
+    assertEqual(await client.from('trips').eq('id', 1).single(), { id: 1 }, 'single should return the row');
+
+    rows = [{ id: 1 }, { id: 2 }];
+    try {
+        await client.from('trips').maybeSingle();
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.message.includes('got 2'), 'maybeSingle should reject several rows');
+    }
+    
+    restoreFetch();
+});
+
+// Test: from - count
+runner.test('count should request and parse the total row count', async () => {
+    let capturedHeaders = null;
+    mockFetch = async (url, options) => {
+        capturedHeaders = options.headers;
+        return {
+            ok: true,
+            headers: { get: name => (name === 'Content-Range' ? '0-1/57' : null) },
+            json: async () => [{ id: 1 }, { id: 2 }]
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const result = await client.from('comments').range(0, 1).count('exact');
+    assert(capturedHeaders.Prefer === 'count=exact', 'Should send count preference');
+    assert(client.headers.Prefer === 'return=representation', 'Should not change client headers');
+    assertEqual(result, { data: [{ id: 1 }, { id: 2 }], count: 57 }, 'Should return data and count');
+    
+    restoreFetch();
+});
+
+// Test: SupabaseError - structured fields
+runner.test('errors should keep status, code, details and hint', async () => {
+    mockFetch = async () => {
+        return {
+            ok: false,
+            status: 409,
+            statusText: 'Conflict',
+            text: async () => JSON.stringify({
+                code: '23505',
+                message: 'duplicate key value violates unique constraint "users_nickname_key"',
+                details: 'Key (nickname)=(kim) already exists.',
+                hint: null
+            })
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    try {
+        await client.insert('users', { nickname: 'kim' });
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error instanceof SupabaseError, 'Should throw a SupabaseError');
+        assert(error.status === 409, 'Should keep the status');
+        assert(error.code === '23505', 'Should keep the code');
+        assert(error.details.includes('nickname'), 'Should keep the details');
+        assert(error.table === 'users', 'Should record the table');
+        assert(error.operation === 'insert', 'Should record the operation');
+        assert(error.isUniqueViolation(), 'Should detect unique violations');
+        assert(error.constraint === 'users_nickname_key', 'Should expose the constraint name');
+    }
+    
+    restoreFetch();
+});
+
+// Test: SupabaseError - non-JSON body
+runner.test('errors should handle non-JSON error bodies', async () => {
+    mockFetch = async () => {
+        return {
+            ok: false,
+            status: 502,
+            statusText: 'Bad Gateway',
+            text: async () => '<html><body>Bad Gateway</body></html>'
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    try {
+        await client.read('trips');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error instanceof SupabaseError, 'Should throw a SupabaseError');
+        assert(error.status === 502, 'Should keep the status');
+        assert(error.message.includes('Bad Gateway'), 'Should use the body text as message');
+        assert(error.operation === 'select', 'Should record the operation');
+    }
+    
+    restoreFetch();
+});
+
+// Test: SupabaseError - network failure
+runner.test('errors should wrap network failures', async () => {
+    mockFetch = async () => {
+        throw new TypeError('Failed to fetch');
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    try {
+        await client.delete('trips', { id: 1 });
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error instanceof SupabaseError, 'Should throw a SupabaseError');
+        assert(error.isNetworkError(), 'Should be a network error');
+        assert(error.status === 0, 'Should have no status');
+        assert(error.cause instanceof TypeError, 'Should keep the original error');
+    }
+    
+    restoreFetch();
+});
+
+// Test: logErrors option
+runner.test('logErrors: false should silence console.error', async () => {
+    mockFetch = async () => {
+        return {
+            ok: false,
+            status: 500,
+            statusText: 'Internal Server Error',
+            json: async () => ({ message: 'boom' })
+        };
+    };
+    setupMockFetch();
+    const originalConsoleError = console.error;
+    let logged = 0;
+    console.error = () => { logged++; };
+    
+    try {
+        const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false, retry: false });
+        await client.read('trips').catch(() => {});
+        assert(logged === 0, 'Should not log');
+    } finally {
+        console.error = originalConsoleError;
+        restoreFetch();
+    }
+});
+
+// Test: auth errors
+runner.test('signIn should throw a SupabaseError with the auth message', async () => {
+    mockFetch = async () => {
+        return {
+            ok: false,
+            status: 400,
+            statusText: 'Bad Request',
+            json: async () => ({ error: 'invalid_grant', error_description: 'Invalid login credentials' })
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    try {
+        await client.signIn('a@b.com', 'wrong');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error instanceof SupabaseError, 'Should throw a SupabaseError');
+        assert(error.message === 'Supabase Auth Error: Invalid login credentials', 'Should use the auth description');
+        assert(error.code === 'invalid_grant', 'Should keep the auth error code');
+        assert(error.service === 'auth', 'Should mark the auth service');
+    }
+    
+    restoreFetch();
+});
+
+// Test: retry - transient failures
+runner.test('GET requests should be retried on 503 with backoff', async () => {
+    let calls = 0;
+    mockFetch = async () => {
+        calls++;
+        if (calls < 3) {
+            return {
+                ok: false,
+                status: 503,
+                statusText: 'Service Unavailable',
+                json: async () => ({ message: 'unavailable' })
+            };
+        }
+        return {
+            ok: true,
+            json: async () => [{ id: 1 }]
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    const delays = [];
+    client.sleep = async ms => { delays.push(ms); };
+    const result = await client.read('comments');
+    assertEqual(result, [{ id: 1 }], 'Should return data from the last attempt');
+    assert(calls === 3, 'Should make three attempts');
+    assert(delays.length === 2, 'Should wait between attempts');
+    assert(delays[0] >= 150 && delays[0] <= 300, 'First delay should be half to full base delay');
+    assert(delays[1] >= 300 && delays[1] <= 600, 'Second delay should double');
+    
+    restoreFetch();
+});
+
+// Test: retry - Retry-After
+runner.test('retries should respect Retry-After', async () => {
+    let calls = 0;
+    mockFetch = async () => {
+        calls++;
+        if (calls === 1) {
+            return {
+                ok: false,
+                status: 429,
+                statusText: 'Too Many Requests',
+                headers: { get: name => (name === 'Retry-After' ? '2' : null) },
+                json: async () => ({})
+            };
+        }
+        return {
+            ok: true,
+            json: async () => []
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    const delays = [];
+    client.sleep = async ms => { delays.push(ms); };
+    await client.read('comments');
+    assertEqual(delays, [2000], 'Should wait for Retry-After seconds');
+    
+    restoreFetch();
+});
+
+// Test: retry - non-idempotent verbs
+runner.test('POST and PATCH should not be retried by default', async () => {
+    let calls = 0;
+    mockFetch = async () => {
+        calls++;
+        return {
+            ok: false,
+            status: 503,
+            statusText: 'Service Unavailable',
+            json: async () => ({})
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    client.sleep = async () => {};
+    await client.insert('comments', { content: 'hi' }).catch(() => {});
+    await client.update('comments', { id: 1 }, { content: 'hi' }).catch(() => {});
+    assert(calls === 2, 'Should make one attempt each');
+
+    calls = 0;
+    const optedIn = new SupabaseClient('https://test.supabase.co', 'test-key', {
+        logErrors: false,
+        retry: { methods: ['GET', 'PATCH', 'DELETE'], maxAttempts: 2 }
+    });
+    optedIn.sleep = async () => {};
+    await optedIn.update('comments', { id: 1 }, { content: 'hi' }).catch(() => {});
+    assert(calls === 2, 'Should retry PATCH when opted in');
+    
+    restoreFetch();
+});
+
+// Test: retry - network errors
+runner.test('network errors should be retried and client errors should not', async () => {
+    let calls = 0;
+    mockFetch = async () => {
+        calls++;
+        if (calls === 1) {
+            throw new TypeError('Failed to fetch');
+        }
+        return {
+            ok: false,
+            status: 404,
+            statusText: 'Not Found',
+            json: async () => ({ message: 'missing' })
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    client.sleep = async () => {};
+    try {
+        await client.read('missing');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error.status === 404, 'Should surface the 404');
+        assert(calls === 2, 'Should not retry the 404');
+    }
+    
+    restoreFetch();
+});
+
+// Test: timeout
+runner.test('requests should time out and be reported as TIMEOUT', async () => {
+    mockFetch = (url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+        });
+    });
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false, retry: false, timeout: 20 });
+    try {
+        await client.read('comments');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error instanceof SupabaseError, 'Should throw a SupabaseError');
+        assert(error.isTimeout(), 'Should be a timeout');
+    }
+    
+    restoreFetch();
+});
+
+// Test: caller AbortSignal
+runner.test('aborting the caller signal should cancel without retrying', async () => {
+    let calls = 0;
+    mockFetch = (url, options) => new Promise((resolve, reject) => {
+        calls++;
+        options.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+        });
+    });
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { logErrors: false });
+    const controller = new AbortController();
+    const pending = client.from('comments').abortSignal(controller.signal);
+    const result = pending.then(() => null, error => error);
+    controller.abort();
+    const error = await result;
+    assert(error && error.isAborted(), 'Should be aborted');
+    assert(calls === 1, 'Should not retry an aborted request');
+    
+    restoreFetch();
+});
+
+// Test: rpc
+runner.test('rpc should POST named arguments to the function endpoint', async () => {
+    let capturedUrl = '';
+    let capturedOptions = null;
+    mockFetch = async (url, options) => {
+        capturedUrl = url;
+        capturedOptions = options;
+        return {
+            ok: true,
+            json: async () => true
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    const result = await client.rpc('nickname_available', { p_nickname: 'kim' });
+    assert(capturedUrl === 'https://test.supabase.co/rest/v1/rpc/nickname_available', 'Should call the rpc endpoint');
+    assert(capturedOptions.method === 'POST', 'Should use POST method');
+    assertEqual(JSON.parse(capturedOptions.body), { p_nickname: 'kim' }, 'Should send the arguments');
+    assert(result === true, 'Should return the result');
+    
+    restoreFetch();
+});
+
+// Test: sessions - signIn
+runner.test('signIn should store, persist and announce the session', async () => {
+    mockFetch = async (url, options) => {
+        assert(url.endsWith('/auth/v1/token?grant_type=password'), 'Should call the password grant');
+        return {
+            ok: true,
+            json: async () => createTokenResponse('token-1')
+        };
+    };
+    setupMockFetch();
+    
+    const storage = createMemoryStorage();
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { storage } });
+    const events = [];
+    client.onAuthStateChange((event, session) => events.push([event, session && session.access_token]));
+    await client.signIn('kim@example.com', 'secret');
+    await Promise.resolve();
+    
+    const session = await client.getSession();
+    assert(session.access_token === 'token-1', 'Should keep the access token');
+    assert(session.refresh_token === 'refresh-token-1', 'Should keep the refresh token');
+    assert(session.expires_at > Date.now() / 1000, 'Should record the expiry');
+    assert(client.headers.Authorization === 'Bearer token-1', 'Should authorize requests');
+    assert(JSON.parse(storage.items['sb-test-auth-token']).access_token === 'token-1', 'Should persist the session');
+    assertEqual(events, [['INITIAL_SESSION', null], ['SIGNED_IN', 'token-1']], 'Should notify listeners');
+    
+    client.stopAutoRefresh();
+    restoreFetch();
+});
+
+// Test: sessions - restore
+runner.test('a new client should restore a persisted session', () => {
+    const stored = { ...createTokenResponse('token-2'), expires_at: Math.floor(Date.now() / 1000) + 3600 };
+    const storage = createMemoryStorage({ 'sb-test-auth-token': JSON.stringify(stored) });
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { storage, autoRefreshToken: false } });
+    assert(client.session.access_token === 'token-2', 'Should restore the session');
+    assert(client.headers.Authorization === 'Bearer token-2', 'Should authorize requests');
+});
+
+// Test: sessions - refresh
+runner.test('expired sessions should be refreshed with the refresh token', async () => {
+    let capturedBody = null;
+    mockFetch = async (url, options) => {
+        assert(url.endsWith('/auth/v1/token?grant_type=refresh_token'), 'Should call the refresh grant');
+        assert(options.headers.Authorization === 'Bearer test-key', 'Should not send the expired token');
+        capturedBody = JSON.parse(options.body);
+        return {
+            ok: true,
+            json: async () => createTokenResponse('token-4')
+        };
+    };
+    setupMockFetch();
+    
+    const stored = { ...createTokenResponse('token-3'), expires_at: Math.floor(Date.now() / 1000) - 10 };
+    const storage = createMemoryStorage({ 'sb-test-auth-token': JSON.stringify(stored) });
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { storage } });
+    const events = [];
+    client.onAuthStateChange(event => events.push(event));
+    
+    const session = await client.getSession();
+    assertEqual(capturedBody, { refresh_token: 'refresh-token-3' }, 'Should send the refresh token');
+    assert(session.access_token === 'token-4', 'Should return the refreshed session');
+    assert(client.headers.Authorization === 'Bearer token-4', 'Should use the new token');
+    assert(events.includes('TOKEN_REFRESHED'), 'Should announce the refresh');
+    
+    client.stopAutoRefresh();
+    restoreFetch();
+});
+
+// Test: sessions - rejected refresh token
+runner.test('a rejected refresh token should sign the user out', async () => {
+    mockFetch = async () => {
+        return {
+            ok: false,
+            status: 400,
+            statusText: 'Bad Request',
+            json: async () => ({ error: 'invalid_grant', error_description: 'Invalid Refresh Token' })
+        };
+    };
+    setupMockFetch();
+    
+    const stored = { ...createTokenResponse('token-5'), expires_at: Math.floor(Date.now() / 1000) - 10 };
+    const storage = createMemoryStorage({ 'sb-test-auth-token': JSON.stringify(stored) });
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { storage }, logErrors: false });
+    const events = [];
+    client.onAuthStateChange(event => events.push(event));
+    
+    assert(await client.getSession() === null, 'Should have no session');
+    assert(!storage.items['sb-test-auth-token'], 'Should clear the stored session');
+    assert(client.headers.Authorization === 'Bearer test-key', 'Should fall back to the anon key');
+    assert(events.includes('SIGNED_OUT'), 'Should announce the sign out');
+    
+    restoreFetch();
+});
+
+// Test: sessions - getUser
+runner.test('getUser should validate the token with the auth server', async () => {
+    let capturedAuth = null;
+    mockFetch = async (url, options) => {
+        assert(url.endsWith('/auth/v1/user'), 'Should call the user endpoint');
+        capturedAuth = options.headers.Authorization;
+        return {
+            ok: true,
+            json: async () => ({ id: 'user-1', email: 'kim@example.com', user_metadata: { nickname: 'kim' } })
+        };
+    };
+    setupMockFetch();
+    
+    const stored = { ...createTokenResponse('token-6'), expires_at: Math.floor(Date.now() / 1000) + 3600 };
+    const storage = createMemoryStorage({ 'sb-test-auth-token': JSON.stringify(stored) });
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { storage, autoRefreshToken: false } });
+    const user = await client.getUser();
+    assert(capturedAuth === 'Bearer token-6', 'Should send the access token');
+    assert(user.user_metadata.nickname === 'kim', 'Should return the user');
+    assert(client.session.user.user_metadata.nickname === 'kim', 'Should update the stored user');
+    
+    restoreFetch();
+});
+
+// Test: sessions - signOut
+runner.test('signOut should clear the session', async () => {
+    let capturedAuth = null;
+    mockFetch = async (url, options) => {
+        capturedAuth = options.headers.Authorization;
+        return {
+            ok: true,
+            status: 204,
+            text: async () => ''
+        };
+    };
+    setupMockFetch();
+    
+    const stored = { ...createTokenResponse('token-7'), expires_at: Math.floor(Date.now() / 1000) + 3600 };
+    const storage = createMemoryStorage({ 'sb-test-auth-token': JSON.stringify(stored) });
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { storage, autoRefreshToken: false } });
+    const events = [];
+    client.onAuthStateChange(event => events.push(event));
+    await client.signOut();
+    
+    assert(capturedAuth === 'Bearer token-7', 'Should revoke the current token');
+    assert(client.session === null, 'Should clear the session');
+    assert(!storage.items['sb-test-auth-token'], 'Should clear the stored session');
+    assert(events.includes('SIGNED_OUT'), 'Should announce the sign out');
+    
+    restoreFetch();
+});
+
+// Test: password reset
+runner.test('resetPasswordForEmail should call recover with the redirect URL', async () => {
+    let capturedUrl = '';
+    let capturedBody = null;
+    mockFetch = async (url, options) => {
+        capturedUrl = url;
+        capturedBody = JSON.parse(options.body);
+        return {
+            ok: true,
+            json: async () => ({})
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    await client.resetPasswordForEmail('kim@example.com', { redirectTo: 'https://site.test/odh/comments.html' });
+    assert(capturedUrl === 'https://test.supabase.co/auth/v1/recover?redirect_to=https%3A%2F%2Fsite.test%2Fodh%2Fcomments.html', 'Should call recover');
+    assertEqual(capturedBody, { email: 'kim@example.com' }, 'Should send the email');
+    
+    restoreFetch();
+});
+
+// Test: resend and magic link
+runner.test('resend and signInWithOtp should call their endpoints', async () => {
+    const calls = [];
+    mockFetch = async (url, options) => {
+        calls.push({ url, body: JSON.parse(options.body) });
+        return {
+            ok: true,
+            json: async () => ({})
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key');
+    await client.resend({ email: 'kim@example.com' });
+    await client.signInWithOtp({ email: 'kim@example.com' });
+    assert(calls[0].url === 'https://test.supabase.co/auth/v1/resend', 'Should call resend');
+    assertEqual(calls[0].body, { email: 'kim@example.com', type: 'signup' }, 'Should resend the signup email');
+    assert(calls[1].url === 'https://test.supabase.co/auth/v1/otp', 'Should call otp');
+    assertEqual(calls[1].body, { email: 'kim@example.com', create_user: false }, 'Should not create users by default');
+    
+    restoreFetch();
+});
+
+// Test: updateUser
+runner.test('updateUser should PUT with the session token and announce the change', async () => {
+    let capturedOptions = null;
+    mockFetch = async (url, options) => {
+        assert(url === 'https://test.supabase.co/auth/v1/user', 'Should call the user endpoint');
+        capturedOptions = options;
+        return {
+            ok: true,
+            json: async () => ({ id: 'user-1', email: 'kim@example.com' })
+        };
+    };
+    setupMockFetch();
+    
+    const stored = { ...createTokenResponse('token-8'), expires_at: Math.floor(Date.now() / 1000) + 3600 };
+    const storage = createMemoryStorage({ 'sb-test-auth-token': JSON.stringify(stored) });
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { storage, autoRefreshToken: false } });
+    const events = [];
+    client.onAuthStateChange(event => events.push(event));
+    await client.updateUser({ password: 'new-secret' });
+    
+    assert(capturedOptions.method === 'PUT', 'Should use PUT method');
+    assert(capturedOptions.headers.Authorization === 'Bearer token-8', 'Should send the access token');
+    assertEqual(JSON.parse(capturedOptions.body), { password: 'new-secret' }, 'Should send the new password');
+    assert(events.includes('USER_UPDATED'), 'Should announce the change');
+    
+    restoreFetch();
+});
+
+// Test: getSessionFromUrl
+runner.test('getSessionFromUrl should store a recovery session from the fragment', async () => {
+    mockFetch = async (url, options) => {
+        assert(options.headers.Authorization === 'Bearer token-9', 'Should look up the user with the new token');
+        return {
+            ok: true,
+            json: async () => ({ id: 'user-1', email: 'kim@example.com' })
+        };
+    };
+    setupMockFetch();
+    
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { persistSession: false, autoRefreshToken: false } });
+    const events = [];
+    client.onAuthStateChange(event => events.push(event));
+    const result = await client.getSessionFromUrl(
+        'https://site.test/odh/trip-planner.html#access_token=token-9&expires_in=3600&refresh_token=refresh-9&token_type=bearer&type=recovery'
+    );
+    
+    assert(result.type === 'recovery', 'Should return the link type');
+    assert(result.session.refresh_token === 'refresh-9', 'Should keep the refresh token');
+    assert(client.session.user.id === 'user-1', 'Should store the user');
+    assert(events.includes('PASSWORD_RECOVERY'), 'Should announce the recovery');
+    assert(await client.getSessionFromUrl('https://site.test/odh/trip-planner.html') === null, 'Should ignore URLs without tokens');
+    
+    restoreFetch();
+});
+
+// Test: getSessionFromUrl - errors
+runner.test('getSessionFromUrl should surface errors from the fragment', async () => {
+    const client = new SupabaseClient('https://test.supabase.co', 'test-key', { auth: { persistSession: false } });
+    try {
+        await client.getSessionFromUrl('https://site.test/#error=access_denied&error_code=otp_expired&error_description=Email+link+is+invalid+or+has+expired');
+        assert(false, 'Should throw an error');
+    } catch (error) {
+        assert(error instanceof SupabaseError, 'Should throw a SupabaseError');
+        assert(error.code === 'otp_expired', 'Should keep the error code');
+        assert(error.message.includes('Email link is invalid or has expired'), 'Should use the description');
+    }
+});
+
 // Test: setCredentials
 runner.test('setCredentials should update URL and key', () => {
     const client = new SupabaseClient('https://old.supabase.co', 'old-key');
@@ -515,6 +1441,6 @@ if (typeof require !== 'undefined' && require.main === module) {
 
 // Export for use with testing frameworks
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TestRunner, runner, assert, assertEqual, assertThrows };
+    module.exports = { TestRunner, runner, assert, assertEqual, assertThrows, testSession, createTestClient, createMemoryStorage, mockRows, expectError };
 }
 
@@ -0,0 +1,212 @@
+/**
+ * Trip planner drafts
+ *
+ * Keeps what is typed into the planner form, and the last generated plan, across
+ * reloads and visits to other pages. Drafts are kept in localStorage; for signed-in
+ * users they are also synced to the trip_drafts table (one row per user, see
+ * supabase/migrations/20261026000000_trip_drafts.sql), so they follow the account.
+ *
+ * Usage:
+ *   const drafts = new TripDraftStore(supabase);
+ *   const draft = drafts.load();   // { details, plan, updatedAt } or null
+ *
+ *   drafts.save({ details, plan: { itinerary, planId, tripId } });   // the account copy is debounced
+ *
+ *   // After login: whichever copy is newer wins, the other is brought up to date
+ *   const latest = await drafts.sync();
+ *
+ *   await drafts.clear();          // "Start over"
+ */
+
+class TripDraftStore {
+    static DEFAULTS = {
+        storage: typeof localStorage !== 'undefined' ? localStorage : null,
+        storageKey: 'trip-planner-draft',
+        table: 'trip_drafts',
+        debounce: 1500,   // ms to wait for more changes before saving to the account
+        now: () => Date.now()
+    };
+
+    /**
+     * @param {SupabaseClient} supabase - Client for the account copy
+     * @param {Object} options - See TripDraftStore.DEFAULTS
+     */
+    constructor(supabase, options = {}) {
+        this.supabase = supabase;
+        this.options = { ...TripDraftStore.DEFAULTS, ...options };
+        this.timer = null;
+        this.pendingDraft = null;
+    }
+
+    /**
+     * The draft in this browser
+     * @returns {Object|null} - { details, plan, updatedAt }
+     */
+    load() {
+        const { storage, storageKey } = this.options;
+        if (!storage) {
+            return null;
+        }
+        try {
+            return TripDraftStore.checkDraft(JSON.parse(storage.getItem(storageKey)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Keep a draft in this browser now, and in the account shortly after
+     * @param {Object} draft - { details (planner form), plan ({ itinerary, planId, tripId } or null) }
+     * @returns {Object} - The stored draft, with updatedAt
+     */
+    save({ details, plan = null }) {
+        const draft = { details, plan, updatedAt: this.options.now() };
+        this.writeLocal(draft);
+
+        if (this.supabase.session) {
+            this.pendingDraft = draft;
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.flush(), this.options.debounce);
+        }
+        return draft;
+    }
+
+    /**
+     * Save a draft waiting for the debounce to the account straight away
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const draft = this.pendingDraft;
+        this.pendingDraft = null;
+        if (!draft || !this.supabase.session) {
+            return;
+        }
+        try {
+            await this.saveRemote(draft);
+        } catch (error) {
+            console.error('Error saving the trip draft:', error);
+        }
+    }
+
+    /**
+     * Bring the browser and account copies together after login
+     * @returns {Promise<Object|null>} - The newer draft, or null when there is none
+     */
+    async sync() {
+        const local = this.load();
+        let remote;
+        try {
+            remote = await this.loadRemote();
+        } catch (error) {
+            console.error('Error loading the trip draft:', error);
+            return local;
+        }
+
+        if (local && (!remote || local.updatedAt > remote.updatedAt)) {
+            try {
+                await this.saveRemote(local);
+            } catch (error) {
+                console.error('Error saving the trip draft:', error);
+            }
+            return local;
+        }
+        if (remote) {
+            this.writeLocal(remote);
+        }
+        return remote;
+    }
+
+    /**
+     * Forget the draft here and in the account
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pendingDraft = null;
+        this.clearLocal();
+
+        const session = this.supabase.session;
+        if (session) {
+            await this.supabase.delete(this.options.table, { user_id: session.user.id });
+        }
+    }
+
+    /**
+     * Forget the draft in this browser only, e.g. on sign out (the account keeps its copy)
+     */
+    clearLocal() {
+        const { storage, storageKey } = this.options;
+        if (storage) {
+            storage.removeItem(storageKey);
+        }
+    }
+
+    /**
+     * @param {Object} draft - Draft to keep in this browser
+     */
+    writeLocal(draft) {
+        const { storage, storageKey } = this.options;
+        if (!storage) {
+            return;
+        }
+        try {
+            storage.setItem(storageKey, JSON.stringify(draft));
+        } catch (error) {
+            // Full: keep the form at least, the plan is in the account or can be regenerated
+            console.error('Error saving the trip draft:', error);
+            try {
+                storage.setItem(storageKey, JSON.stringify({ ...draft, plan: null }));
+            } catch (retryError) {
+                // Not even the form fits; the account copy (if any) still gets it
+                console.error('Error saving the trip draft form:', retryError);
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - The account's draft
+     */
+    async loadRemote() {
+        const session = this.supabase.session;
+        if (!session) {
+            return null;
+        }
+        const row = await this.supabase.from(this.options.table)
+            .select('draft')
+            .eq('user_id', session.user.id)
+            .maybeSingle();
+        return row ? TripDraftStore.checkDraft(row.draft) : null;
+    }
+
+    /**
+     * Store the account's draft (one row per user)
+     * @param {Object} draft - Draft to store
+     * @returns {Promise<void>}
+     */
+    async saveRemote(draft) {
+        const userId = this.supabase.session.user.id;
+        const updated = await this.supabase.update(this.options.table, { user_id: userId }, { draft });
+        if (!updated || updated.length === 0) {
+            await this.supabase.insert(this.options.table, { user_id: userId, draft });
+        }
+    }
+
+    /**
+     * @param {*} draft - Stored value
+     * @returns {Object|null} - The draft, or null when it isn't one
+     */
+    static checkDraft(draft) {
+        if (!draft || typeof draft !== 'object' || !draft.details || typeof draft.updatedAt !== 'number') {
+            return null;
+        }
+        return { details: draft.details, plan: draft.plan || null, updatedAt: draft.updatedAt };
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TripDraftStore;
+}
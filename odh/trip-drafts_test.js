@@ -0,0 +1,118 @@
+/**
+ * Test file for TripDraftStore
+ *
+ * Run with: node trip-drafts_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var TripDraftStore = require('./trip-drafts.js');
+    var { TestRunner, assert, assertEqual, testSession, createTestClient, createMemoryStorage, mockRows } = require('./supabase_test.js');
+}
+
+function createStore({ signedIn = true, storage = createMemoryStorage(), now = () => 1000 } = {}) {
+    return new TripDraftStore(createTestClient(signedIn ? testSession : null), { storage, now, debounce: 5 });
+}
+
+const details = { arriveDate: '2026-11-01', departureDate: '2026-11-03', numPeople: '2', selectedTours: ['panda'], preferences: 'Dim sum' };
+const plan = { details, itinerary: { title: 'Pandas' }, planId: 'plan-1', tripId: null };
+
+const runner = new TestRunner('TripDraftStore');
+const originalFetch = global.fetch;
+
+runner.test('save and load should keep the form and plan in this browser', async () => {
+    const requests = mockRows([]);
+    const storage = createMemoryStorage();
+    const store = createStore({ signedIn: false, storage });
+
+    assertEqual(store.load(), null);
+    store.save({ details, plan });
+    assertEqual(createStore({ signedIn: false, storage }).load(), { details, plan, updatedAt: 1000 }, 'Should survive a reload');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assertEqual(requests.length, 0, 'Should not touch the account while signed out');
+
+    storage.setItem('trip-planner-draft', '{not json');
+    assertEqual(store.load(), null, 'Should ignore a broken draft');
+});
+
+runner.test('save should cope with a full storage', async () => {
+    mockRows([]);
+    const bigPlan = { ...plan, itinerary: { title: 'x'.repeat(500) } };
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        let storage = createMemoryStorage({}, { quota: 300 });
+        createStore({ signedIn: false, storage }).save({ details, plan: bigPlan });
+        assertEqual(JSON.parse(storage.getItem('trip-planner-draft')), { details, plan: null, updatedAt: 1000 },
+            'Should keep the form without the plan');
+
+        storage = createMemoryStorage({}, { quota: 10 });
+        const draft = createStore({ signedIn: false, storage }).save({ details, plan: bigPlan });
+        assertEqual(draft.plan, bigPlan, 'Should not throw when not even the form fits');
+        assertEqual(storage.getItem('trip-planner-draft'), null);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+runner.test('save should sync to the account once typing stops', async () => {
+    // No row yet: the update finds nothing, so the row is created
+    let requests = mockRows([]);
+    const store = createStore();
+    store.save({ details: { ...details, preferences: 'D' } });
+    store.save({ details: { ...details, preferences: 'Di' } });
+    store.save({ details, plan });
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assertEqual(requests.map(request => request.method), ['PATCH', 'POST'], 'Should save once, creating the row');
+    assertEqual(requests[1].body, { user_id: 'user-kim', draft: { details, plan, updatedAt: 1000 } });
+
+    requests = mockRows([{ user_id: 'user-kim', draft: {} }]);
+    store.save({ details: { ...details, numPeople: '3' } });
+    await store.flush();
+    assertEqual(requests.map(request => request.method), ['PATCH'], 'Should update the row once it exists');
+    assert(requests[0].url.includes('trip_drafts?user_id=eq.user-kim'), 'Should update the user\'s row');
+    assertEqual(requests[0].body.draft.details.numPeople, '3');
+});
+
+runner.test('sync should keep whichever draft is newer', async () => {
+    // This browser is newer: the account catches up
+    let storage = createMemoryStorage();
+    createStore({ signedIn: false, storage, now: () => 2000 }).save({ details, plan });
+    let requests = mockRows([{ draft: { details: { ...details, numPeople: '5' }, plan: null, updatedAt: 1000 } }]);
+    let draft = await createStore({ storage }).sync();
+    assertEqual(requests.map(request => request.method), ['GET', 'PATCH']);
+    assertEqual([draft.updatedAt, requests[1].body.draft.updatedAt, requests[1].body.draft.plan], [2000, 2000, plan]);
+
+    // The account is newer: this browser catches up
+    storage = createMemoryStorage();
+    createStore({ signedIn: false, storage, now: () => 1000 }).save({ details });
+    requests = mockRows([{ draft: { details: { ...details, numPeople: '5' }, plan, updatedAt: 3000 } }]);
+    draft = await createStore({ storage }).sync();
+    assertEqual([draft.details.numPeople, draft.plan], ['5', plan]);
+    assertEqual(JSON.parse(storage.getItem('trip-planner-draft')).updatedAt, 3000);
+    assertEqual(requests.map(request => request.method), ['GET'], 'Should not write the account back');
+
+    mockRows([]);
+    assertEqual(await createStore().sync(), null);
+});
+
+runner.test('clear should forget the draft here and in the account', async () => {
+    const requests = mockRows([{ user_id: 'user-kim', draft: { details, plan, updatedAt: 1000 } }]);
+    const store = createStore();
+    store.save({ details, plan });
+    await store.clear();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assertEqual(store.load(), null);
+    assertEqual(requests.map(request => request.method), ['DELETE'], 'Should drop the pending save');
+    assert(requests[0].url.includes('trip_drafts?user_id=eq.user-kim'), 'Should delete the user\'s row');
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        global.fetch = originalFetch;
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,383 @@
+/**
+ * Sharing panel for a saved trip
+ *
+ * Shown under a trip opened from My Trips. The owner gets the read-only link
+ * (create, copy, stop sharing) and can invite other users as editors or take them
+ * off the trip; editors see who else is on it and can leave. Everyone on the trip
+ * can comment on the whole trip, a day or one event, and delete their own comments
+ * (the owner can delete any). Event comments keep the event's title and start time,
+ * so they follow the event when the plan changes, and are marked as detached once it
+ * is gone. Access is enforced by the database, see
+ * supabase/migrations/20261027000000_trip_sharing.sql.
+ *
+ * Needs MarkdownRenderer and ItineraryView as globals.
+ *
+ * Usage:
+ *   const panel = new TripSharePanel(trips, document.getElementById('tripSharing'));
+ *   await panel.show(trip);                 // Row from TripService.getTrip
+ *   panel.setItinerary(updated);            // After the plan changed
+ *   panel.hide();
+ */
+
+class TripSharePanel {
+    static DEFAULTS = {
+        notify: message => alert(message),
+        describeError: error => error.message,
+        baseUrl: undefined                  // Page the share link points to (default: this page)
+    };
+
+    /**
+     * @param {TripService} trips - Trip service for the page's Supabase client
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} options - See TripSharePanel.DEFAULTS
+     */
+    constructor(trips, container, options = {}) {
+        this.trips = trips;
+        this.container = container;
+        this.options = { ...TripSharePanel.DEFAULTS, ...options };
+        this.trip = null;
+        this.members = [];
+        this.comments = [];
+
+        this.container.addEventListener('click', event => this.handleClick(event));
+        this.container.addEventListener('submit', event => this.handleSubmit(event));
+    }
+
+    /**
+     * Show the panel for a saved trip and load its members and comments
+     * @param {Object} trip - Trip row, with user_id, share_token and itinerary
+     * @returns {Promise<TripSharePanel>}
+     */
+    async show(trip) {
+        this.trip = trip;
+        this.members = [];
+        this.comments = [];
+        this.container.style.display = 'block';
+        this.render();
+        await this.reload();
+        return this;
+    }
+
+    /**
+     * Hide the panel, e.g. when the plan on screen isn't a saved trip
+     */
+    hide() {
+        this.trip = null;
+        this.container.style.display = 'none';
+        this.container.innerHTML = '';
+    }
+
+    /**
+     * Keep the day and event choices in step with the plan on screen
+     * @param {Itinerary} itinerary - Current itinerary
+     */
+    setItinerary(itinerary) {
+        if (this.trip) {
+            this.trip = { ...this.trip, itinerary };
+            this.render();
+        }
+    }
+
+    /**
+     * Load the trip's members and comments again
+     * @returns {Promise<void>}
+     */
+    async reload() {
+        const tripId = this.trip.id;
+        try {
+            const [members, comments] = await Promise.all([
+                this.trips.listMembers(tripId),
+                this.trips.listComments(tripId)
+            ]);
+            if (!this.trip || this.trip.id !== tripId) {
+                return;
+            }
+            this.members = members || [];
+            this.comments = comments || [];
+            this.render();
+        } catch (error) {
+            console.error('Error loading trip sharing:', error);
+            this.options.notify(`Could not load who this trip is shared with: ${this.options.describeError(error)}`);
+        }
+    }
+
+    /**
+     * Render the panel for the current trip
+     */
+    render() {
+        if (!this.trip) {
+            return;
+        }
+        const session = this.trips.supabase.session;
+        this.container.innerHTML = TripSharePanel.toHtml({
+            trip: this.trip,
+            members: this.members,
+            comments: this.comments,
+            userId: session ? session.user.id : null,
+            shareUrl: this.trip.share_token ? TripService.shareUrl(this.trip.share_token, this.options.baseUrl) : null
+        });
+    }
+
+    /**
+     * @param {Event} event - Click inside the panel
+     */
+    async handleClick(event) {
+        const button = event.target.closest('button[data-share-action]');
+        if (!button || !this.trip) {
+            return;
+        }
+        const action = button.dataset.shareAction;
+        const tripId = this.trip.id;
+        button.disabled = true;
+        try {
+            if (action === 'create-link') {
+                this.trip.share_token = await this.trips.createShareLink(tripId);
+                this.render();
+            } else if (action === 'copy-link') {
+                await navigator.clipboard.writeText(TripService.shareUrl(this.trip.share_token, this.options.baseUrl));
+                this.options.notify('Link copied. Anyone with it can see this trip.');
+            } else if (action === 'revoke-link' && confirm('Stop sharing? The link will stop working.')) {
+                await this.trips.revokeShareLink(tripId);
+                this.trip.share_token = null;
+                this.render();
+            } else if (action === 'remove-member' && confirm('Take this person off the trip?')) {
+                await this.trips.removeMember(tripId, button.dataset.userId);
+                await this.reload();
+            } else if (action === 'leave' && confirm('Leave this trip? You will need a new invitation to see it again.')) {
+                await this.trips.removeMember(tripId, this.trips.supabase.session.user.id);
+                this.hide();
+                this.container.dispatchEvent(new CustomEvent('tripleft', { bubbles: true, detail: { tripId } }));
+            } else if (action === 'delete-comment' && confirm('Delete this comment?')) {
+                await this.trips.deleteComment(Number(button.dataset.commentId));
+                await this.reload();
+            }
+        } catch (error) {
+            console.error(`Error (${action}) for trip ${tripId}:`, error);
+            this.options.notify(this.options.describeError(error));
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * @param {Event} event - Invite or comment form submitted
+     */
+    async handleSubmit(event) {
+        const form = event.target.closest('form[data-share-form]');
+        if (!form || !this.trip) {
+            return;
+        }
+        event.preventDefault();
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            if (form.dataset.shareForm === 'invite') {
+                const member = await this.trips.inviteMember(this.trip.id, form.elements.login.value);
+                this.options.notify(`${member ? member.nickname : 'They'} can now see and change this trip.`);
+            } else {
+                const target = TripSharePanel.parseTarget(form.elements.target.value);
+                await this.trips.addComment(this.trip.id, {
+                    ...target,
+                    event: TripSharePanel.eventAt(this.trip.itinerary, target),
+                    content: form.elements.content.value
+                });
+            }
+            await this.reload();
+        } catch (error) {
+            console.error('Error updating trip sharing:', error);
+            this.options.notify(this.options.describeError(error));
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * HTML for the panel
+     * @param {Object} state - { trip, members, comments, userId, shareUrl }
+     * @returns {string}
+     */
+    static toHtml({ trip, members, comments, userId, shareUrl }) {
+        const escape = MarkdownRenderer.escapeHtml;
+        const isOwner = !!userId && trip.user_id === userId;
+
+        const people = members.map(member => {
+            const nickname = member.profile ? member.profile.nickname : 'Someone';
+            const remove = isOwner
+                ? ` <button type="button" data-share-action="remove-member" data-user-id="${escape(member.user_id)}">Remove</button>`
+                : '';
+            return `<li>${escape(nickname)} <span>(${escape(member.role)})</span>${remove}</li>`;
+        }).join('');
+
+        let sharing;
+        if (isOwner) {
+            const link = shareUrl
+                ? `
+                    <p>Anyone with this link can see the plan, without logging in:</p>
+                    <div class="trip-share-link">
+                        <input type="text" readonly value="${escape(shareUrl)}" aria-label="Share link">
+                        <button type="button" data-share-action="copy-link">Copy</button>
+                        <button type="button" data-share-action="revoke-link">Stop sharing</button>
+                    </div>`
+                : `
+                    <p>Share a read-only link with anyone, even without an account.</p>
+                    <button type="button" data-share-action="create-link">Create share link</button>`;
+            sharing = `
+                ${link}
+                <form class="trip-share-invite" data-share-form="invite">
+                    <label for="tripShareLogin">Invite someone to plan with you:</label>
+                    <input type="text" id="tripShareLogin" name="login" placeholder="Nickname" required>
+                    <button type="submit">Invite</button>
+                </form>
+                ${people ? `<ul class="trip-share-members">${people}</ul>` : '<p>Nobody else is on this trip yet.</p>'}`;
+        } else {
+            sharing = `
+                <p>You were invited to plan this trip. Your changes are saved for everyone on it.</p>
+                ${people ? `<ul class="trip-share-members">${people}</ul>` : ''}
+                <button type="button" data-share-action="leave">Leave trip</button>`;
+        }
+
+        const targets = TripSharePanel.commentTargets(trip.itinerary);
+        const list = comments.map(comment => {
+            const author = comment.author ? comment.author.nickname : 'Someone';
+            const remove = isOwner || comment.author_id === userId
+                ? ` <button type="button" data-share-action="delete-comment" data-comment-id="${escape(comment.id)}">Delete</button>`
+                : '';
+            const detached = TripSharePanel.isDetached(comment, trip.itinerary);
+            return `
+                <li class="trip-comment${detached ? ' trip-comment-detached' : ''}">
+                    <div class="trip-comment-meta">
+                        <strong>${escape(author)}</strong> on ${escape(TripSharePanel.describeTarget(comment, trip.itinerary))}${remove}
+                    </div>
+                    <div class="trip-comment-content">${escape(comment.content)}</div>
+                </li>`;
+        }).join('');
+
+        return `
+            <div class="trip-share">
+                <h4>Sharing</h4>
+                ${sharing}
+            </div>
+            <div class="trip-comments">
+                <h4>Comments</h4>
+                ${list ? `<ul>${list}</ul>` : '<p>No comments yet.</p>'}
+                <form class="trip-comment-form" data-share-form="comment">
+                    <label for="tripCommentTarget">Comment on</label>
+                    <select id="tripCommentTarget" name="target">
+                        ${targets.map(target => `<option value="${escape(target.value)}">${escape(target.label)}</option>`).join('')}
+                    </select>
+                    <textarea name="content" maxlength="${TripService.MAX_COMMENT_LENGTH}" placeholder="e.g. Can we start later on day 2?" required></textarea>
+                    <button type="submit">Post comment</button>
+                </form>
+            </div>`;
+    }
+
+    /**
+     * What comments can be about: the whole trip, each day and each of its events
+     * @param {Itinerary} itinerary - Trip's itinerary (may be missing)
+     * @returns {Array<{ value: string, label: string }>} - value is '', 'date' or 'date|index'
+     */
+    static commentTargets(itinerary) {
+        const targets = [{ value: '', label: 'The whole trip' }];
+        if (!ItineraryView.isItinerary(itinerary)) {
+            return targets;
+        }
+        itinerary.days.forEach(day => {
+            targets.push({ value: day.date, label: `${ItineraryView.formatDate(day.date)}: ${day.title}` });
+            day.events.forEach((event, i) => {
+                targets.push({ value: `${day.date}|${i}`, label: `— ${event.startTime} ${event.title}` });
+            });
+        });
+        return targets;
+    }
+
+    /**
+     * @param {string} value - From commentTargets
+     * @returns {{ dayDate: ?string, eventIndex: ?number }}
+     */
+    static parseTarget(value) {
+        const [dayDate, index] = String(value || '').split('|');
+        return { dayDate: dayDate || null, eventIndex: index === undefined ? null : Number(index) };
+    }
+
+    /**
+     * The event a target from parseTarget points at
+     * @param {Itinerary} itinerary - Trip's itinerary
+     * @param {Object} target - { dayDate, eventIndex }
+     * @returns {Object|null} - The event, or null for trip and day comments
+     */
+    static eventAt(itinerary, { dayDate, eventIndex }) {
+        const day = TripSharePanel.findDay(itinerary, dayDate);
+        return day && eventIndex !== null && eventIndex !== undefined ? day.events[eventIndex] || null : null;
+    }
+
+    /**
+     * The event a comment is about, in the plan as it is now. Comments that kept the
+     * event's title find it by title (and start time, when several match), wherever it
+     * moved to that day; older comments go by position.
+     * @param {Object} comment - Row with day_date, event_index, event_title and event_start
+     * @param {Itinerary} itinerary - Trip's itinerary
+     * @returns {Object|null} - The event, or null when it is gone or the comment isn't about one
+     */
+    static findEvent(comment, itinerary) {
+        const day = TripSharePanel.findDay(itinerary, comment.day_date);
+        if (!day || comment.event_index === null || comment.event_index === undefined) {
+            return null;
+        }
+        if (!comment.event_title) {
+            return day.events[comment.event_index] || null;
+        }
+        const matches = day.events.filter(event => event.title === comment.event_title);
+        return matches.find(event => event.startTime === comment.event_start) || matches[0] || null;
+    }
+
+    /**
+     * @param {Object} comment - Trip comment row
+     * @param {Itinerary} itinerary - Trip's itinerary
+     * @returns {boolean} - Whether the comment is about an event that is no longer in the plan
+     */
+    static isDetached(comment, itinerary) {
+        return !!comment.day_date && comment.event_index !== null && comment.event_index !== undefined
+            && !TripSharePanel.findEvent(comment, itinerary);
+    }
+
+    /**
+     * @param {Itinerary} itinerary - Trip's itinerary (may be missing)
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object|null} - The day
+     */
+    static findDay(itinerary, date) {
+        if (!date || !ItineraryView.isItinerary(itinerary)) {
+            return null;
+        }
+        return itinerary.days.find(day => day.date === date) || null;
+    }
+
+    /**
+     * What a comment is about, in words
+     * @param {Object} comment - Row with day_date, event_index, event_title and event_start
+     * @param {Itinerary} itinerary - Trip's itinerary, for event titles
+     * @returns {string} - e.g. "Sun 1 Nov: Giant pandas"
+     */
+    static describeTarget(comment, itinerary) {
+        if (!comment.day_date) {
+            return 'the whole trip';
+        }
+        const date = ItineraryView.formatDate(comment.day_date);
+        if (comment.event_index === null || comment.event_index === undefined) {
+            return date;
+        }
+        const event = TripSharePanel.findEvent(comment, itinerary);
+        if (event) {
+            return `${date}: ${event.title}`;
+        }
+        // The plan changed since and the event is gone
+        const was = comment.event_title
+            ? `${comment.event_title}${comment.event_start ? ` at ${comment.event_start}` : ''}`
+            : `event ${comment.event_index + 1}`;
+        return `${date}: ${was} (no longer in the plan)`;
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TripSharePanel;
+}
@@ -0,0 +1,108 @@
+/**
+ * Test file for TripSharePanel
+ *
+ * Run with: node trip-share-ui_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var TripSharePanel = require('./trip-share-ui.js');
+    var { TestRunner, assert, assertEqual } = require('./supabase_test.js');
+    // trip-share-ui.js expects these as globals, like in the browser
+    global.MarkdownRenderer = require('./markdown.js');
+    global.ItineraryView = require('./itinerary-view.js');
+    global.TripService = require('./trips.js');
+}
+
+const itinerary = {
+    title: 'Pandas',
+    summary: '',
+    currency: 'HKD',
+    days: [{
+        date: '2026-11-01',
+        title: 'Ocean Park',
+        events: [
+            { startTime: '09:00', endTime: '13:00', title: 'Giant pandas' },
+            { startTime: '13:30', endTime: '15:00', title: 'Lunch <b>' }
+        ]
+    }]
+};
+
+const trip = { id: 'trip-1', user_id: 'user-kim', title: 'Pandas', share_token: null, itinerary };
+const members = [{ user_id: 'user-lee', role: 'editor', profile: { nickname: 'lee' } }];
+const comments = [
+    { id: 1, author_id: 'user-lee', day_date: '2026-11-01', event_index: 1, content: 'Too <i>early</i>?', author: { nickname: 'lee' } },
+    { id: 2, author_id: 'user-kim', day_date: null, event_index: null, content: 'Great plan', author: { nickname: 'kim' } }
+];
+
+const runner = new TestRunner('TripSharePanel');
+
+runner.test('owners should get the link, invitations and every delete button', () => {
+    let html = TripSharePanel.toHtml({ trip, members, comments, userId: 'user-kim', shareUrl: null });
+    assert(html.includes('data-share-action="create-link"'), 'Should offer a link when there is none');
+    assert(html.includes('data-share-form="invite"'), 'Should let the owner invite people');
+    assert(html.includes('data-share-action="remove-member" data-user-id="user-lee"'), 'Should let the owner remove members');
+    assertEqual(html.match(/data-share-action="delete-comment"/g).length, 2, 'Should let the owner delete any comment');
+    assert(html.includes('Too &lt;i&gt;early&lt;/i&gt;?'), 'Should escape comments');
+
+    html = TripSharePanel.toHtml({ trip, members, comments, userId: 'user-kim', shareUrl: 'https://example.org/trip-planner.html?share=abc' });
+    assert(html.includes('value="https://example.org/trip-planner.html?share=abc"'), 'Should show the link');
+    assert(html.includes('data-share-action="revoke-link"'), 'Should let the owner stop sharing');
+});
+
+runner.test('editors should comment and leave, but not share', () => {
+    const html = TripSharePanel.toHtml({ trip, members, comments, userId: 'user-lee', shareUrl: null });
+    assert(!html.includes('create-link') && !html.includes('data-share-form="invite"') && !html.includes('remove-member'),
+        'Should keep sharing to the owner');
+    assert(html.includes('data-share-action="leave"'), 'Should let editors leave');
+    assertEqual(html.match(/data-share-action="delete-comment" data-comment-id="(\d+)"/g),
+        ['data-share-action="delete-comment" data-comment-id="1"'], 'Should only delete their own comments');
+    assert(html.includes('data-share-form="comment"'), 'Should let editors comment');
+});
+
+runner.test('comment targets should cover the trip, its days and events', () => {
+    const targets = TripSharePanel.commentTargets(itinerary);
+    assertEqual(targets.map(target => target.value), ['', '2026-11-01', '2026-11-01|0', '2026-11-01|1']);
+    assertEqual(TripSharePanel.commentTargets(null).length, 1);
+
+    assertEqual(TripSharePanel.parseTarget(''), { dayDate: null, eventIndex: null });
+    assertEqual(TripSharePanel.parseTarget('2026-11-01'), { dayDate: '2026-11-01', eventIndex: null });
+    assertEqual(TripSharePanel.parseTarget('2026-11-01|1'), { dayDate: '2026-11-01', eventIndex: 1 });
+
+    assertEqual(TripSharePanel.describeTarget(comments[0], itinerary), 'Sun 1 Nov: Lunch <b>');
+    assertEqual(TripSharePanel.describeTarget(comments[1], itinerary), 'the whole trip');
+    assertEqual(TripSharePanel.describeTarget({ day_date: '2026-11-01', event_index: 5 }, itinerary),
+        'Sun 1 Nov: event 6 (no longer in the plan)', 'Should cope with events removed since');
+    assertEqual(TripSharePanel.eventAt(itinerary, { dayDate: '2026-11-01', eventIndex: 1 }).title, 'Lunch <b>');
+    assertEqual(TripSharePanel.eventAt(itinerary, { dayDate: '2026-11-01', eventIndex: null }), null);
+});
+
+runner.test('event comments should follow their event when the plan changes', () => {
+    const comment = { day_date: '2026-11-01', event_index: 0, event_title: 'Giant pandas', event_start: '09:00' };
+    const refined = {
+        ...itinerary,
+        days: [{
+            ...itinerary.days[0],
+            events: [
+                { startTime: '08:00', endTime: '09:00', title: 'Breakfast' },
+                { startTime: '09:30', endTime: '13:00', title: 'Giant pandas' }
+            ]
+        }]
+    };
+    assertEqual(TripSharePanel.findEvent(comment, refined), refined.days[0].events[1], 'Should find the event where it moved');
+    assertEqual(TripSharePanel.describeTarget(comment, refined), 'Sun 1 Nov: Giant pandas');
+
+    const without = { ...refined, days: [{ ...refined.days[0], events: [refined.days[0].events[0]] }] };
+    assertEqual(TripSharePanel.describeTarget(comment, without), 'Sun 1 Nov: Giant pandas at 09:00 (no longer in the plan)');
+    const html = TripSharePanel.toHtml({ trip: { ...trip, itinerary: without }, members, comments: [{ ...comment, id: 3 }], userId: 'user-kim' });
+    assert(html.includes('trip-comment trip-comment-detached'), 'Should mark comments on removed events');
+    assert(!TripSharePanel.toHtml({ trip, members, comments, userId: 'user-kim' }).includes('trip-comment-detached'),
+        'Should not mark comments on events still in the plan');
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
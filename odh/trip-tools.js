@@ -0,0 +1,224 @@
+/**
+ * Trip data tools for TripPlannerAgent
+ *
+ * Function-calling tools the agent uses to look up real data before planning:
+ * searchEvents(date, category), getWeather(date) and findHotels(budget, district).
+ * They read the tour_events, weather_forecasts and hotels tables through Supabase
+ * (see supabase/migrations/20261022000000_trip_data.sql), or the same rows from a
+ * local JSON fixture (data/trip-data.json) for offline development and tests.
+ *
+ * Usage:
+ *   const agent = new TripPlannerAgent(apiKey);
+ *   agent.registerTools(new TripDataTools({ supabase }).tools());
+ *
+ *   // Offline
+ *   const fixtures = await TripDataTools.loadFixtures('data/trip-data.json');
+ *   agent.registerTools(new TripDataTools({ fixtures }).tools());
+ *
+ *   const itinerary = await agent.generateItinerary(details, {
+ *       onToolCall: call => console.log(call.name, call.args)
+ *   });
+ */
+
+class TripDataTools {
+    static DEFAULTS = {
+        supabase: null,   // SupabaseClient; used when set
+        fixtures: null,   // { events, weather, hotels } rows, used without Supabase
+        limit: 10         // Most events or hotels returned by one call
+    };
+
+    static EVENT_COLUMNS = 'title,category,tour_type,venue,district,event_date,start_time,end_time,price_hkd,url,description';
+    static WEATHER_COLUMNS = 'forecast_date,summary,min_temp_c,max_temp_c,rain_chance';
+    static HOTEL_COLUMNS = 'name,district,price_per_night_hkd,rating,address,url';
+
+    /**
+     * @param {Object} options - See TripDataTools.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...TripDataTools.DEFAULTS, ...options };
+        if (!this.options.supabase && !this.options.fixtures) {
+            throw new Error('TripDataTools needs a Supabase client or fixtures');
+        }
+    }
+
+    /**
+     * Tool definitions for GeminiClient.registerTools
+     * @returns {Array<Object>} - [{ name, description, parameters, handler }]
+     */
+    tools() {
+        return [
+            {
+                name: 'searchEvents',
+                description: 'Find events, shows, matches and tours in Hong Kong on a date, optionally of one category.',
+                parameters: {
+                    type: 'OBJECT',
+                    properties: {
+                        date: { type: 'STRING', description: 'Date as YYYY-MM-DD' },
+                        category: { type: 'STRING', description: 'Event category, e.g. concert, sports, wildlife, nature, culture' }
+                    },
+                    required: ['date']
+                },
+                handler: (args, context) => this.searchEvents(args, context)
+            },
+            {
+                name: 'getWeather',
+                description: 'Weather forecast for Hong Kong on a date.',
+                parameters: {
+                    type: 'OBJECT',
+                    properties: {
+                        date: { type: 'STRING', description: 'Date as YYYY-MM-DD' }
+                    },
+                    required: ['date']
+                },
+                handler: (args, context) => this.getWeather(args, context)
+            },
+            {
+                name: 'findHotels',
+                description: 'Find hotels in Hong Kong up to a price per room per night, optionally in one district. Best rated first.',
+                parameters: {
+                    type: 'OBJECT',
+                    properties: {
+                        budget: { type: 'NUMBER', description: 'Highest price per room per night in HKD' },
+                        district: { type: 'STRING', description: 'District, e.g. Wan Chai, Tsim Sha Tsui, Central' }
+                    },
+                    required: ['budget']
+                },
+                handler: (args, context) => this.findHotels(args, context)
+            }
+        ];
+    }
+
+    /**
+     * Events on a date
+     * @param {Object} args - { date: YYYY-MM-DD, category }
+     * @param {Object} context - { signal } from the tool call
+     * @returns {Promise<Object>} - { date, category, events }
+     */
+    async searchEvents({ date, category } = {}, context = {}) {
+        TripDataTools.checkDate(date);
+        const { supabase, fixtures, limit } = this.options;
+        let events;
+
+        if (supabase) {
+            let query = supabase.from('tour_events')
+                .select(TripDataTools.EVENT_COLUMNS)
+                .eq('event_date', date);
+            if (category) {
+                query = query.eq('category', category.toLowerCase());
+            }
+            events = await TripDataTools.withSignal(query.order('start_time').limit(limit), context.signal);
+        } else {
+            events = (fixtures.events || [])
+                .filter(event => event.event_date === date && (!category || event.category === category.toLowerCase()))
+                .sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)))
+                .slice(0, limit);
+        }
+
+        return { date, category: category || null, events };
+    }
+
+    /**
+     * Forecast for a date
+     * @param {Object} args - { date: YYYY-MM-DD }
+     * @param {Object} context - { signal } from the tool call
+     * @returns {Promise<Object>} - { date, forecast } (forecast is null, with a note, when there is none yet)
+     */
+    async getWeather({ date } = {}, context = {}) {
+        TripDataTools.checkDate(date);
+        const { supabase, fixtures } = this.options;
+        let forecast;
+
+        if (supabase) {
+            forecast = await TripDataTools.withSignal(supabase.from('weather_forecasts')
+                .select(TripDataTools.WEATHER_COLUMNS)
+                .eq('forecast_date', date)
+                .maybeSingle(), context.signal);
+        } else {
+            forecast = (fixtures.weather || []).find(row => row.forecast_date === date) || null;
+        }
+
+        if (!forecast) {
+            return { date, forecast: null, note: 'No forecast for this date yet; plan for the usual weather of the season.' };
+        }
+        return { date, forecast };
+    }
+
+    /**
+     * Hotels within a budget
+     * @param {Object} args - { budget: HKD per room per night, district }
+     * @param {Object} context - { signal } from the tool call
+     * @returns {Promise<Object>} - { budget, district, hotels }
+     */
+    async findHotels({ budget, district } = {}, context = {}) {
+        if (typeof budget !== 'number' || !(budget > 0)) {
+            throw new Error('budget must be a positive number of HKD');
+        }
+        const { supabase, fixtures, limit } = this.options;
+        let hotels;
+
+        if (supabase) {
+            let query = supabase.from('hotels')
+                .select(TripDataTools.HOTEL_COLUMNS)
+                .lte('price_per_night_hkd', budget);
+            if (district) {
+                query = query.ilike('district', `%${TripDataTools.escapeLike(district)}%`);
+            }
+            hotels = await TripDataTools.withSignal(query.order('rating', { ascending: false }).limit(limit), context.signal);
+        } else {
+            const wanted = district ? district.toLowerCase() : null;
+            hotels = (fixtures.hotels || [])
+                .filter(hotel => hotel.price_per_night_hkd <= budget && (!wanted || hotel.district.toLowerCase().includes(wanted)))
+                .sort((a, b) => b.rating - a.rating)
+                .slice(0, limit);
+        }
+
+        return { budget, district: district || null, hotels };
+    }
+
+    /**
+     * Load fixture rows from a JSON file ({ events, weather, hotels })
+     * @param {string} url - Fixture URL
+     * @returns {Promise<Object>}
+     */
+    static async loadFixtures(url = 'data/trip-data.json') {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load trip data fixtures from ${url} (${response.status})`);
+        }
+        return response.json();
+    }
+
+    /**
+     * @param {*} date - Tool argument
+     * @throws {Error} - Unless it is a YYYY-MM-DD date
+     */
+    static checkDate(date) {
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error('date must be a YYYY-MM-DD string');
+        }
+    }
+
+    /**
+     * Escape the wildcards of a LIKE pattern
+     * @param {string} text - Text to match literally
+     * @returns {string}
+     */
+    static escapeLike(text) {
+        return String(text).replace(/[\\%_]/g, '\\$&');
+    }
+
+    /**
+     * Attach the tool call's abort signal to a query
+     * @param {SupabaseQueryBuilder} query - Query to run
+     * @param {AbortSignal} signal - Optional signal
+     * @returns {SupabaseQueryBuilder}
+     */
+    static withSignal(query, signal) {
+        return signal ? query.abortSignal(signal) : query;
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TripDataTools;
+}
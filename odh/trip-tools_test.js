@@ -0,0 +1,109 @@
+/**
+ * Test file for TripDataTools
+ *
+ * Run with: node trip-tools_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var TripDataTools = require('./trip-tools.js');
+    var { GeminiClient } = require('./gemini.js');
+    var { TestRunner, assert, assertEqual, createTestClient, mockRows } = require('./supabase_test.js');
+    var fixtures = require('./data/trip-data.json');
+}
+
+const runner = new TestRunner('TripDataTools');
+const originalFetch = global.fetch;
+
+runner.test('tools should register with GeminiClient', async () => {
+    const gemini = new GeminiClient('key');
+    gemini.registerTools(new TripDataTools({ fixtures }).tools());
+    assertEqual(Array.from(gemini.tools.keys()), ['searchEvents', 'getWeather', 'findHotels']);
+    assertEqual(GeminiClient.functionDeclaration(gemini.tools.get('getWeather')).parameters.required, ['date']);
+});
+
+runner.test('searchEvents should filter the fixtures by date and category in time order', async () => {
+    const tools = new TripDataTools({ fixtures });
+    const all = await tools.searchEvents({ date: '2026-11-01' });
+    assertEqual(all.events.map(event => event.start_time), ['09:00', '10:30', '19:30']);
+
+    const sports = await tools.searchEvents({ date: '2026-11-01', category: 'Sports' });
+    assertEqual(sports.category, 'Sports');
+    assertEqual(sports.events.map(event => event.venue), ['Kai Tak Stadium']);
+    assertEqual((await tools.searchEvents({ date: '2026-12-25' })).events, []);
+});
+
+runner.test('getWeather should return the forecast or a note when there is none', async () => {
+    const tools = new TripDataTools({ fixtures });
+    assertEqual((await tools.getWeather({ date: '2026-11-03' })).forecast.rain_chance, 60);
+
+    const missing = await tools.getWeather({ date: '2027-01-01' });
+    assertEqual(missing.forecast, null);
+    assert(missing.note.includes('usual weather'), 'Should tell the model to assume the usual weather');
+});
+
+runner.test('findHotels should keep to the budget and district, best rated first', async () => {
+    const tools = new TripDataTools({ fixtures, limit: 2 });
+    const cheap = await tools.findHotels({ budget: 1000 });
+    assertEqual(cheap.hotels.map(hotel => hotel.name), ['YHA Mei Ho House', 'Harbour Plaza North Point']);
+
+    const wanChai = await tools.findHotels({ budget: 2000, district: 'wan chai' });
+    assertEqual(wanChai.hotels.map(hotel => hotel.name), ['The Fleming', 'Mini Hotel Causeway Bay']);
+});
+
+runner.test('handlers should reject bad arguments', async () => {
+    const tools = new TripDataTools({ fixtures });
+    for (const [method, args, message] of [
+        ['searchEvents', { date: 'next Friday' }, 'YYYY-MM-DD'],
+        ['getWeather', {}, 'YYYY-MM-DD'],
+        ['findHotels', { budget: '1000' }, 'positive number']
+    ]) {
+        let error = null;
+        try {
+            await tools[method](args);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message.includes(message), `${method} should reject ${JSON.stringify(args)}`);
+    }
+
+    let error = null;
+    try {
+        new TripDataTools();
+    } catch (e) {
+        error = e;
+    }
+    assert(error, 'Should need a data source');
+});
+
+runner.test('handlers should query the Supabase tables', async () => {
+    const tools = new TripDataTools({ supabase: createTestClient() });
+
+    let requests = mockRows(fixtures.events.slice(0, 1));
+    const events = await tools.searchEvents({ date: '2026-11-01', category: 'Wildlife' });
+    assertEqual(events.events.length, 1);
+    assert(requests[0].url.includes('/rest/v1/tour_events?'), 'Should read tour_events');
+    assert(requests[0].url.includes('event_date=eq.2026-11-01'), 'Should filter by date');
+    assert(requests[0].url.includes('category=eq.wildlife'), 'Should filter by category');
+    assert(requests[0].url.includes('order=start_time.asc'), 'Should sort by time');
+    assert(requests[0].url.includes('limit=10'), 'Should limit the results');
+
+    requests = mockRows([]);
+    assertEqual((await tools.getWeather({ date: '2026-11-09' })).forecast, null);
+    assert(requests[0].url.includes('/rest/v1/weather_forecasts?') && requests[0].url.includes('forecast_date=eq.2026-11-09'), 'Should read the forecast');
+
+    requests = mockRows(fixtures.hotels.slice(0, 2));
+    const hotels = await tools.findHotels({ budget: 1200, district: '100%_Wan Chai' });
+    assertEqual(hotels.hotels.length, 2);
+    assert(requests[0].url.includes('price_per_night_hkd=lte.1200'), 'Should keep to the budget');
+    assert(requests[0].url.includes('district=ilike.%100\\%\\_Wan Chai%'), 'Should match the district literally');
+    assert(requests[0].url.includes('order=rating.desc'), 'Should put the best rated first');
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        global.fetch = originalFetch;
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,402 @@
+/**
+ * Saved trips ("My Trips") for the trip planner
+ *
+ * A trip keeps the planner form (dates, group size, tour types, preferences) and the
+ * generated itinerary in the `trips` table, owned by the user who saved it (see
+ * supabase/migrations/20261025000000_trips.sql). Row-level security keeps every
+ * query to the signed-in user's own trips, and the ones they were invited to.
+ *
+ * Owners can share a read-only link and invite other users as editors, who can
+ * change the plan and comment on its days and events (see
+ * supabase/migrations/20261027000000_trip_sharing.sql).
+ *
+ * Usage:
+ *   const trips = new TripService(supabase);
+ *
+ *   const trip = await trips.saveTrip({ details, itinerary, planId });
+ *   const list = await trips.listTrips();                 // newest first, without itineraries
+ *   const { details, itinerary } = TripService.toPlan(await trips.getTrip(trip.id));
+ *
+ *   await trips.updateTrip(trip.id, { itinerary: refined });
+ *   await trips.renameTrip(trip.id, 'Pandas with the kids');
+ *   await trips.deleteTrip(trip.id);
+ *
+ *   // Sharing
+ *   const token = await trips.createShareLink(trip.id);
+ *   const url = TripService.shareUrl(token);             // trip-planner.html?share=<token>
+ *   const shared = await trips.getSharedTrip(token);     // works signed out
+ *   await trips.inviteMember(trip.id, 'kim');            // by nickname
+ *   await trips.addComment(trip.id, { dayDate: '2026-11-01', eventIndex: 0, event: itinerary.days[0].events[0], content: 'Book ahead?' });
+ */
+
+class TripService {
+    static MAX_TITLE_LENGTH = 120;
+
+    // Columns shown in the list; the itinerary is only loaded when a trip is opened
+    static LIST_COLUMNS = 'id,user_id,title,arrive_date,departure_date,num_people,tour_types,created_at,updated_at';
+
+    static MAX_COMMENT_LENGTH = 1000;
+
+    /**
+     * @param {SupabaseClient} supabase - Client the trips are read and written with
+     */
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    /**
+     * Save a plan as a new trip
+     * @param {Object} plan - { details (planner form, see TripPlannerAgent.generateItinerary), itinerary, title, planId }
+     * @returns {Promise<Object>} - The saved trip row
+     */
+    async saveTrip({ details, itinerary, title, planId = null }) {
+        this.requireSession();
+        const [trip] = await this.supabase.insert('trips', {
+            ...TripService.toRow(details, itinerary),
+            title: TripService.checkTitle(title || TripService.defaultTitle(details, itinerary)),
+            plan_id: planId
+        });
+        return trip;
+    }
+
+    /**
+     * The signed-in user's trips, most recently changed first
+     * @param {Object} options - { limit (default 50), signal }
+     * @returns {Promise<Array<Object>>} - Rows with LIST_COLUMNS
+     */
+    async listTrips({ limit = 50, signal } = {}) {
+        const userId = this.requireSession().user.id;
+        let query = this.supabase.from('trips')
+            .select(TripService.LIST_COLUMNS)
+            .eq('user_id', userId)
+            .order('updated_at', { ascending: false })
+            .limit(limit);
+        if (signal) {
+            query = query.abortSignal(signal);
+        }
+        return query;
+    }
+
+    /**
+     * Trips other users invited the signed-in user to, most recently changed first
+     * @param {Object} options - { limit (default 50), signal }
+     * @returns {Promise<Array<Object>>} - Rows with LIST_COLUMNS
+     */
+    async listSharedTrips({ limit = 50, signal } = {}) {
+        const userId = this.requireSession().user.id;
+        // Row-level security only returns the user's trips and the ones they are a member of
+        let query = this.supabase.from('trips')
+            .select(TripService.LIST_COLUMNS)
+            .neq('user_id', userId)
+            .order('updated_at', { ascending: false })
+            .limit(limit);
+        if (signal) {
+            query = query.abortSignal(signal);
+        }
+        return query;
+    }
+
+    /**
+     * One trip with its itinerary
+     * @param {string} id - Trip id
+     * @returns {Promise<Object>} - The trip row
+     * @throws {Error} - When there is no such trip (or it isn't the user's)
+     */
+    async getTrip(id) {
+        const trip = await this.supabase.from('trips').select('*').eq('id', id).maybeSingle();
+        if (!trip) {
+            throw new Error('This trip no longer exists');
+        }
+        return trip;
+    }
+
+    /**
+     * Change a saved trip's plan
+     * @param {string} id - Trip id
+     * @param {Object} changes - { details, itinerary, title, planId }; whatever is given is saved
+     * @returns {Promise<Object>} - The updated trip row
+     */
+    async updateTrip(id, { details, itinerary, title, planId } = {}) {
+        const changes = {};
+        if (details) {
+            Object.assign(changes, TripService.toRow(details));
+        }
+        if (itinerary !== undefined) {
+            changes.itinerary = itinerary;
+        }
+        if (title !== undefined) {
+            changes.title = TripService.checkTitle(title);
+        }
+        if (planId !== undefined) {
+            changes.plan_id = planId;
+        }
+        return this.updateRow(id, changes);
+    }
+
+    /**
+     * @param {string} id - Trip id
+     * @param {string} title - New name
+     * @returns {Promise<Object>} - The updated trip row
+     */
+    async renameTrip(id, title) {
+        return this.updateRow(id, { title: TripService.checkTitle(title) });
+    }
+
+    /**
+     * @param {string} id - Trip id
+     */
+    async deleteTrip(id) {
+        this.requireSession();
+        const deleted = await this.supabase.deleteById('trips', id);
+        if (!deleted || deleted.length === 0) {
+            throw new Error('This trip no longer exists');
+        }
+    }
+
+    /**
+     * Give a trip a new read-only link (the old one stops working)
+     * @param {string} id - Trip id
+     * @returns {Promise<string>} - The share token, see shareUrl
+     */
+    async createShareLink(id) {
+        const token = TripService.createToken();
+        await this.updateRow(id, { share_token: token });
+        return token;
+    }
+
+    /**
+     * Stop sharing a trip's link
+     * @param {string} id - Trip id
+     */
+    async revokeShareLink(id) {
+        await this.updateRow(id, { share_token: null });
+    }
+
+    /**
+     * A shared trip, read-only; no login needed
+     * @param {string} token - Share token from the link
+     * @returns {Promise<Object>} - { id, title, arrive_date, departure_date, num_people, tour_types, itinerary, owner_nickname, updated_at }
+     * @throws {Error} - When the link is wrong or no longer shared
+     */
+    async getSharedTrip(token) {
+        const rows = await this.supabase.rpc('get_shared_trip', { p_token: token });
+        const trip = Array.isArray(rows) ? rows[0] : rows;
+        if (!trip) {
+            throw new Error('This trip link is not valid any more. Ask the owner for a new one.');
+        }
+        return trip;
+    }
+
+    /**
+     * People invited to a trip
+     * @param {string} tripId - Trip id
+     * @returns {Promise<Array<Object>>} - [{ user_id, role, created_at, profile: { nickname } }]
+     */
+    async listMembers(tripId) {
+        return this.supabase.from('trip_members')
+            .select('user_id,role,created_at,profile:profiles(nickname)')
+            .eq('trip_id', tripId)
+            .order('created_at', { ascending: true });
+    }
+
+    /**
+     * Invite a registered user as an editor (owners only). Only nicknames are looked
+     * up, so invitations can't tell anyone which emails have accounts.
+     * @param {string} tripId - Trip id
+     * @param {string} nickname - Their nickname
+     * @returns {Promise<Object>} - { user_id, nickname, role }
+     */
+    async inviteMember(tripId, nickname) {
+        this.requireSession();
+        const name = String(nickname || '').trim();
+        if (!name) {
+            throw new Error('Enter the nickname of the person to invite');
+        }
+        if (name.includes('@')) {
+            throw new Error('Invite people by their nickname, not their email');
+        }
+        const rows = await this.supabase.rpc('invite_trip_member', { p_trip_id: tripId, p_nickname: name });
+        return Array.isArray(rows) ? rows[0] : rows;
+    }
+
+    /**
+     * Take someone off a trip (owners), or leave it (members, with their own id)
+     * @param {string} tripId - Trip id
+     * @param {string} userId - Member's user id
+     */
+    async removeMember(tripId, userId) {
+        this.requireSession();
+        await this.supabase.delete('trip_members', { trip_id: tripId, user_id: userId });
+    }
+
+    /**
+     * Comments on a trip, oldest first
+     * @param {string} tripId - Trip id
+     * @returns {Promise<Array<Object>>} - [{ id, author_id, day_date, event_index, event_title, event_start,
+     *   content, created_at, author: { nickname } }]
+     */
+    async listComments(tripId) {
+        return this.supabase.from('trip_comments')
+            .select('id,author_id,day_date,event_index,event_title,event_start,content,created_at,author:profiles(nickname)')
+            .eq('trip_id', tripId)
+            .order('created_at', { ascending: true });
+    }
+
+    /**
+     * Comment on the whole trip, a day, or one event of a day
+     * @param {string} tripId - Trip id
+     * @param {Object} comment - { content, dayDate (YYYY-MM-DD, optional), eventIndex (optional, needs dayDate),
+     *   event (the event at eventIndex; its title and start time find it again after the plan changes) }
+     * @returns {Promise<Object>} - The new comment row
+     */
+    async addComment(tripId, { content, dayDate = null, eventIndex = null, event = null }) {
+        this.requireSession();
+        const text = String(content || '').trim();
+        if (!text) {
+            throw new Error('Please write a comment first');
+        }
+        if (text.length > TripService.MAX_COMMENT_LENGTH) {
+            throw new Error(`Comments can be at most ${TripService.MAX_COMMENT_LENGTH} characters`);
+        }
+        const onEvent = !!dayDate && eventIndex !== null && eventIndex !== undefined;
+        const [comment] = await this.supabase.insert('trip_comments', {
+            trip_id: tripId,
+            day_date: dayDate,
+            event_index: onEvent ? eventIndex : null,
+            event_title: onEvent && event ? event.title : null,
+            event_start: onEvent && event ? event.startTime : null,
+            content: text
+        });
+        return comment;
+    }
+
+    /**
+     * @param {number} id - Comment id
+     */
+    async deleteComment(id) {
+        this.requireSession();
+        await this.supabase.deleteById('trip_comments', id);
+    }
+
+    /**
+     * @param {string} id - Trip id
+     * @param {Object} changes - Columns to set
+     * @returns {Promise<Object>} - The updated trip row
+     */
+    async updateRow(id, changes) {
+        this.requireSession();
+        const [trip] = await this.supabase.updateById('trips', id, changes);
+        if (!trip) {
+            throw new Error('This trip no longer exists');
+        }
+        return trip;
+    }
+
+    /**
+     * @returns {Object} - The current session
+     * @throws {Error} - When nobody is signed in
+     */
+    requireSession() {
+        if (!this.supabase.session) {
+            throw new Error('Please log in to save your trips');
+        }
+        return this.supabase.session;
+    }
+
+    /**
+     * Link to the read-only view of a shared trip
+     * @param {string} token - Share token
+     * @param {string} base - Page URL (default: this page)
+     * @returns {string}
+     */
+    static shareUrl(token, base = typeof window !== 'undefined' ? window.location.href : 'https://localhost/trip-planner.html') {
+        const url = new URL(base);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('share', token);
+        return url.toString();
+    }
+
+    /**
+     * Random, URL-safe share token
+     * @returns {string} - 32 characters
+     */
+    static createToken() {
+        const bytes = crypto.getRandomValues(new Uint8Array(24));
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_');
+    }
+
+    /**
+     * Table columns for a plan
+     * @param {Object} details - Planner form { arriveDate, departureDate, numPeople, selectedTours, preferences }
+     * @param {Itinerary} itinerary - Generated plan (left out when undefined)
+     * @returns {Object}
+     */
+    static toRow(details, itinerary) {
+        const row = {
+            arrive_date: details.arriveDate,
+            departure_date: details.departureDate,
+            num_people: Number(details.numPeople),
+            tour_types: details.selectedTours || [],
+            preferences: details.preferences || ''
+        };
+        if (itinerary !== undefined) {
+            row.itinerary = itinerary;
+        }
+        return row;
+    }
+
+    /**
+     * The planner form and itinerary of a trip row
+     * @param {Object} trip - Row from getTrip
+     * @returns {Object} - { details, itinerary }
+     */
+    static toPlan(trip) {
+        return {
+            details: {
+                arriveDate: trip.arrive_date,
+                departureDate: trip.departure_date,
+                numPeople: trip.num_people,
+                selectedTours: trip.tour_types || [],
+                preferences: trip.preferences || ''
+            },
+            itinerary: trip.itinerary || null
+        };
+    }
+
+    /**
+     * Name for a new trip: the itinerary's title, or the dates
+     * @param {Object} details - Planner form
+     * @param {Itinerary} itinerary - Generated plan
+     * @returns {string}
+     */
+    static defaultTitle(details, itinerary) {
+        if (itinerary && itinerary.title) {
+            return itinerary.title.slice(0, TripService.MAX_TITLE_LENGTH);
+        }
+        return details.arriveDate === details.departureDate
+            ? `Hong Kong, ${details.arriveDate}`
+            : `Hong Kong, ${details.arriveDate} to ${details.departureDate}`;
+    }
+
+    /**
+     * @param {string} title - Trip name
+     * @returns {string} - Trimmed name
+     * @throws {Error} - When it is empty or too long
+     */
+    static checkTitle(title) {
+        const trimmed = String(title || '').trim();
+        if (!trimmed) {
+            throw new Error('Please give the trip a name');
+        }
+        if (trimmed.length > TripService.MAX_TITLE_LENGTH) {
+            throw new Error(`Trip names can be at most ${TripService.MAX_TITLE_LENGTH} characters`);
+        }
+        return trimmed;
+    }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TripService;
+}
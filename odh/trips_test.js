@@ -0,0 +1,178 @@
+/**
+ * Test file for TripService
+ *
+ * Run with: node trips_test.js
+ */
+
+// Import dependencies if using Node.js
+if (typeof require !== 'undefined') {
+    var TripService = require('./trips.js');
+    var { TestRunner, assert, assertEqual, testSession, createTestClient, mockRows, expectError } = require('./supabase_test.js');
+}
+
+function createService(session = testSession) {
+    return new TripService(createTestClient(session));
+}
+
+const details = { arriveDate: '2026-11-01', departureDate: '2026-11-03', numPeople: '4', selectedTours: ['panda', 'eco'], preferences: 'Vegetarian' };
+const itinerary = { title: 'Pandas and Peaks', summary: '', currency: 'HKD', days: [], tips: [] };
+
+const runner = new TestRunner('TripService');
+const originalFetch = global.fetch;
+
+runner.test('saveTrip should store the form and the itinerary', async () => {
+    const requests = mockRows([{ id: 'trip-1', title: 'Pandas and Peaks' }]);
+    const trip = await createService().saveTrip({ details, itinerary, planId: 'plan-1' });
+
+    assertEqual(trip.id, 'trip-1');
+    assertEqual([requests[0].method, requests[0].url], ['POST', 'https://test.supabase.co/rest/v1/trips']);
+    assertEqual(requests[0].body, {
+        arrive_date: '2026-11-01',
+        departure_date: '2026-11-03',
+        num_people: 4,
+        tour_types: ['panda', 'eco'],
+        preferences: 'Vegetarian',
+        itinerary,
+        title: 'Pandas and Peaks',
+        plan_id: 'plan-1'
+    });
+
+    await createService().saveTrip({ details, itinerary: null });
+    assertEqual(requests[1].body.title, 'Hong Kong, 2026-11-01 to 2026-11-03', 'Should name it by its dates without an itinerary');
+});
+
+runner.test('listTrips should list the user\'s own trips without itineraries', async () => {
+    const requests = mockRows([]);
+    await createService().listTrips({ limit: 20 });
+    const url = requests[0].url;
+    assert(url.includes('/rest/v1/trips?'), 'Should read trips');
+    assert(url.includes(`select=${TripService.LIST_COLUMNS}`), 'Should leave the itineraries out');
+    assert(url.includes('user_id=eq.user-kim'), 'Should only list the user\'s trips');
+    assert(url.includes('order=updated_at.desc') && url.includes('limit=20'), 'Should put the latest first');
+});
+
+runner.test('getTrip and toPlan should give back the form and the itinerary', async () => {
+    mockRows([{ id: 'trip-1', ...TripService.toRow({ ...details, numPeople: 4 }, itinerary), title: 'Pandas' }]);
+    const plan = TripService.toPlan(await createService().getTrip('trip-1'));
+    assertEqual(plan, { details: { ...details, numPeople: 4 }, itinerary });
+
+    mockRows([]);
+    assertEqual((await expectError(createService().getTrip('gone'))).message, 'This trip no longer exists');
+});
+
+runner.test('renameTrip, updateTrip and deleteTrip should change only the given trip', async () => {
+    let requests = mockRows([{ id: 'trip-1' }]);
+    const service = createService();
+    await service.renameTrip('trip-1', '  Pandas with the kids  ');
+    await service.updateTrip('trip-1', { itinerary });
+    await service.deleteTrip('trip-1');
+
+    assertEqual(requests.map(request => [request.method, request.url.split('/rest/v1/')[1]]), [
+        ['PATCH', 'trips?id=eq.trip-1'],
+        ['PATCH', 'trips?id=eq.trip-1'],
+        ['DELETE', 'trips?id=eq.trip-1']
+    ]);
+    assertEqual(requests[0].body, { title: 'Pandas with the kids' });
+    assertEqual(requests[1].body, { itinerary });
+
+    requests = mockRows([]);
+    assertEqual((await expectError(service.deleteTrip('gone'))).message, 'This trip no longer exists');
+    assertEqual((await expectError(service.renameTrip('trip-1', '   '))).message, 'Please give the trip a name');
+    assertEqual(requests.length, 1, 'Should not send an empty name');
+});
+
+runner.test('share links should be random, revocable and open without login', async () => {
+    let requests = mockRows([{ id: 'trip-1' }]);
+    const service = createService();
+    const token = await service.createShareLink('trip-1');
+    await service.revokeShareLink('trip-1');
+
+    assert(/^[A-Za-z0-9_-]{32}$/.test(token), 'Should be URL-safe and too long to guess');
+    assert(token !== TripService.createToken(), 'Should be random');
+    assertEqual(requests.map(request => [request.method, request.body]), [
+        ['PATCH', { share_token: token }],
+        ['PATCH', { share_token: null }]
+    ]);
+    assertEqual(TripService.shareUrl('abc', 'https://example.org/odh/trip-planner.html?x=1#plan'),
+        'https://example.org/odh/trip-planner.html?share=abc');
+
+    requests = mockRows([{ id: 'trip-1', title: 'Pandas', itinerary, owner_nickname: 'kim' }]);
+    const shared = await createService(null).getSharedTrip(token);
+    assertEqual(shared.owner_nickname, 'kim');
+    assertEqual([requests[0].url, requests[0].body], ['https://test.supabase.co/rest/v1/rpc/get_shared_trip', { p_token: token }]);
+
+    mockRows([]);
+    assert((await expectError(service.getSharedTrip('gone'))).message.includes('not valid any more'));
+});
+
+runner.test('members and comments should go to the trip\'s tables', async () => {
+    const requests = mockRows([{ id: 7, user_id: 'user-lee', nickname: 'lee', role: 'editor' }]);
+    const service = createService();
+
+    assertEqual((await service.inviteMember('trip-1', ' lee ')).nickname, 'lee');
+    await service.listMembers('trip-1');
+    await service.removeMember('trip-1', 'user-lee');
+    await service.addComment('trip-1', {
+        dayDate: '2026-11-01',
+        eventIndex: 2,
+        event: { startTime: '09:00', title: 'Giant pandas' },
+        content: ' Book ahead? '
+    });
+    await service.addComment('trip-1', { eventIndex: 2, content: 'Love it' });
+    await service.listComments('trip-1');
+    await service.deleteComment(7);
+    await service.listSharedTrips();
+
+    assertEqual(requests.map(request => [request.method, request.url.split('/rest/v1/')[1].split('?')[0]]), [
+        ['POST', 'rpc/invite_trip_member'],
+        ['GET', 'trip_members'],
+        ['DELETE', 'trip_members'],
+        ['POST', 'trip_comments'],
+        ['POST', 'trip_comments'],
+        ['GET', 'trip_comments'],
+        ['DELETE', 'trip_comments'],
+        ['GET', 'trips']
+    ]);
+    assertEqual(requests[0].body, { p_trip_id: 'trip-1', p_nickname: 'lee' });
+    assert(requests[2].url.includes('trip_id=eq.trip-1') && requests[2].url.includes('user_id=eq.user-lee'), 'Should remove one member');
+    assertEqual(requests[3].body, {
+        trip_id: 'trip-1',
+        day_date: '2026-11-01',
+        event_index: 2,
+        event_title: 'Giant pandas',
+        event_start: '09:00',
+        content: 'Book ahead?'
+    });
+    assertEqual(requests[4].body, { trip_id: 'trip-1', day_date: null, event_index: null, event_title: null, event_start: null, content: 'Love it' },
+        'Should need a day for an event');
+    assert(requests[5].url.includes('author:profiles(nickname)'), 'Should show who wrote each comment');
+    assert(requests[5].url.includes('event_title,event_start'), 'Should load what each event comment was about');
+    assert(requests[7].url.includes('user_id=neq.user-kim'), 'Should leave the user\'s own trips out');
+
+    assertEqual((await expectError(service.addComment('trip-1', { content: '  ' }))).message, 'Please write a comment first');
+    assertEqual((await expectError(service.inviteMember('trip-1', ''))).message, 'Enter the nickname of the person to invite');
+    assertEqual((await expectError(service.inviteMember('trip-1', 'lee@example.com'))).message, 'Invite people by their nickname, not their email');
+    assertEqual(requests.length, 8, 'Should not send empty comments or invites');
+});
+
+runner.test('should need a signed-in user', async () => {
+    const requests = mockRows([]);
+    const service = createService(null);
+    for (const call of [
+        () => service.saveTrip({ details, itinerary }),
+        () => service.listTrips(),
+        () => service.renameTrip('trip-1', 'Pandas'),
+        () => service.deleteTrip('trip-1')
+    ]) {
+        assertEqual((await expectError(call())).message, 'Please log in to save your trips');
+    }
+    assertEqual(requests.length, 0);
+});
+
+// Run tests if executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    runner.run().then(success => {
+        global.fetch = originalFetch;
+        process.exit(success ? 0 : 1);
+    });
+}